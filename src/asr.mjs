@@ -0,0 +1,210 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { segmentsFromWhisper, segmentsToText } from "./transcript.mjs";
+import { probeVideo } from "./video.mjs";
+
+const pExecFile = promisify(execFile);
+
+// --- config ---
+// ASR_MODE=api sends audio to OpenAI (or ASR_PROVIDER=custom, any OpenAI-compatible server);
+// ASR_MODE=local keeps it on our machines: ASR_LOCAL_URL (HTTP server) or ASR_LOCAL_BIN (CLI)
+const ASR_MODE = (process.env.ASR_MODE || "api").toLowerCase(); // api | local
+const ASR_PROVIDER = (process.env.ASR_PROVIDER || "openai").toLowerCase(); // openai | custom
+const LOCAL_URL = process.env.ASR_LOCAL_URL || null;
+// "/v1/audio/transcriptions" for faster-whisper-server / speaches, "/inference" for whisper.cpp's server
+const LOCAL_PATH = process.env.ASR_LOCAL_PATH || "/v1/audio/transcriptions";
+const LOCAL_BIN = process.env.ASR_LOCAL_BIN || null;
+const LOCAL_ENGINES = ["whisper.cpp", "faster-whisper"];
+const LOCAL_ENGINE = (process.env.ASR_LOCAL_ENGINE || "whisper.cpp").toLowerCase();
+const LOCAL_MODEL = process.env.ASR_LOCAL_MODEL || null;
+// null = let the model detect it
+const ASR_LANGUAGE = process.env.ASR_LANGUAGE && process.env.ASR_LANGUAGE !== "auto" ? process.env.ASR_LANGUAGE : null;
+// long audio is cut into pieces; also keeps uploads under the 25 MB API limit (16 kHz mono ≈ 1.9 MB/min)
+const CHUNK_SECONDS = Number(process.env.ASR_CHUNK_SECONDS || 600);
+const TIMEOUT_MS = Number(process.env.ASR_TIMEOUT_MS || 15 * 60 * 1000);
+const CACHE_ENABLED = String(process.env.ASR_CACHE || "true").toLowerCase() === "true";
+const CACHE_DIR = process.env.ASR_CACHE_DIR || path.join(process.env.DOWNLOAD_DIR || "downloads", "cache", "asr");
+
+// --- audio ---
+/** 16 kHz mono PCM; bit-exact so the same audio always hashes the same */
+async function extractAudioWav(videoPath, wavPath) {
+  await pExecFile("ffmpeg", [
+    "-y", "-v", "error", "-i", videoPath, "-vn", "-ac", "1", "-ar", "16000",
+    "-map_metadata", "-1", "-fflags", "+bitexact", "-flags:a", "+bitexact", wavPath
+  ]);
+  return wavPath;
+}
+
+function fileSha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file).on("error", reject).on("data", d => hash.update(d)).on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/** Cuts `wav` into CHUNK_SECONDS pieces -> [{ file, offset_sec }] (just the file when it is short enough) */
+async function splitAudio(wav, workDir) {
+  const { duration_sec } = await probeVideo(wav);
+  if (!(duration_sec > CHUNK_SECONDS * 1.1)) return [{ file: wav, offset_sec: 0 }];
+  await fs.promises.mkdir(workDir, { recursive: true });
+  await pExecFile("ffmpeg", [
+    "-y", "-v", "error", "-i", wav, "-f", "segment", "-segment_time", String(CHUNK_SECONDS),
+    "-c", "copy", path.join(workDir, "chunk_%03d.wav")
+  ]);
+  const chunks = [];
+  let offset = 0;
+  for (const f of fs.readdirSync(workDir).filter(f => f.startsWith("chunk_")).sort()) {
+    const file = path.join(workDir, f);
+    chunks.push({ file, offset_sec: offset });
+    offset += (await probeVideo(file)).duration_sec;
+  }
+  return chunks;
+}
+
+// --- engines: each returns { text, language, segments } for one audio file ---
+function whisperForm(file, { model, language }) {
+  const form = new FormData();
+  form.append("file", new Blob([fs.readFileSync(file)]), path.basename(file));
+  if (model) form.append("model", model);
+  if (language) form.append("language", language);
+  // verbose_json carries segment start/end times next to the text
+  form.append("response_format", "verbose_json");
+  return form;
+}
+
+async function postWhisper(url, form, headers = {}) {
+  const r = await fetch(url, { method: "POST", headers, body: form, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!r.ok) throw new Error(`ASR server ${r.status}: ${(await r.text()).slice(0, 200)}`);
+  const data = await r.json();
+  return { text: String(data?.text || "").trim(), language: data?.language || null, segments: segmentsFromWhisper(data) };
+}
+
+const ENGINES = {
+  // OpenAI Whisper API
+  async openai(file) {
+    const apiKey = process.env.AI_API_KEY || process.env.OPENAI_API_KEY;
+    const form = whisperForm(file, { model: "whisper-1", language: ASR_LANGUAGE });
+    form.append("timestamp_granularities[]", "segment");
+    return postWhisper("https://api.openai.com/v1/audio/transcriptions", form, { Authorization: `Bearer ${apiKey}` });
+  },
+
+  // Custom Whisper server (OpenAI-compatible style)
+  custom(file) {
+    const key = process.env.ASR_API_KEY;
+    return postWhisper(`${process.env.ASR_BASE_URL}/v1/audio/transcriptions`, whisperForm(file, { model: "whisper", language: ASR_LANGUAGE }),
+      key ? { Authorization: `Bearer ${key}` } : {});
+  },
+
+  // self-hosted HTTP server: faster-whisper-server / speaches (OpenAI routes) or whisper.cpp `server`
+  http(file) {
+    return postWhisper(`${LOCAL_URL.replace(/\/+$/, "")}${LOCAL_PATH}`, whisperForm(file, { model: LOCAL_MODEL, language: ASR_LANGUAGE }));
+  },
+
+  // whisper.cpp CLI: -oj writes <base>.json with millisecond offsets per segment
+  async "whisper.cpp"(file) {
+    const base = file.replace(/\.wav$/i, "");
+    const args = ["-f", file, "-l", ASR_LANGUAGE || "auto", "-oj", "-of", base, "-np"];
+    if (LOCAL_MODEL) args.unshift("-m", LOCAL_MODEL);
+    await pExecFile(LOCAL_BIN, args, { timeout: TIMEOUT_MS, maxBuffer: 1024 * 1024 * 50 });
+    const out = JSON.parse(await fs.promises.readFile(`${base}.json`, "utf8"));
+    await fs.promises.rm(`${base}.json`, { force: true });
+    const segments = (out.transcription || [])
+      .map(s => ({ start_sec: (s.offsets?.from ?? 0) / 1000, end_sec: (s.offsets?.to ?? 0) / 1000, text: String(s.text || "").trim() }))
+      .filter(s => s.text);
+    return { text: segmentsToText(segments), language: out.result?.language || ASR_LANGUAGE, segments };
+  },
+
+  // faster-whisper / openai-whisper style CLIs (whisper-ctranslate2, whisper): Whisper's own JSON
+  async "faster-whisper"(file) {
+    const outDir = `${file}.out`;
+    const args = [file, "--output_format", "json", "--output_dir", outDir];
+    if (LOCAL_MODEL) args.push("--model", LOCAL_MODEL);
+    if (ASR_LANGUAGE) args.push("--language", ASR_LANGUAGE);
+    await pExecFile(LOCAL_BIN, args, { timeout: TIMEOUT_MS, maxBuffer: 1024 * 1024 * 50 });
+    const json = path.join(outDir, `${path.basename(file, path.extname(file))}.json`);
+    const data = JSON.parse(await fs.promises.readFile(json, "utf8"));
+    await fs.promises.rm(outDir, { recursive: true, force: true });
+    return { text: String(data.text || "").trim(), language: data.language || ASR_LANGUAGE, segments: segmentsFromWhisper(data) };
+  }
+};
+
+/** Engine for the current config, or null when ASR isn't set up (no key / URL / binary). */
+function activeEngine() {
+  if (ASR_MODE === "local") {
+    if (LOCAL_URL) return { name: "http", model: LOCAL_MODEL };
+    if (LOCAL_BIN) {
+      if (!LOCAL_ENGINES.includes(LOCAL_ENGINE)) throw new Error(`Unknown ASR_LOCAL_ENGINE "${LOCAL_ENGINE}" (use whisper.cpp or faster-whisper)`);
+      return { name: LOCAL_ENGINE, model: LOCAL_MODEL };
+    }
+    return null;
+  }
+  if (ASR_PROVIDER === "openai") return process.env.AI_API_KEY || process.env.OPENAI_API_KEY ? { name: "openai", model: "whisper-1" } : null;
+  if (ASR_PROVIDER === "custom") return process.env.ASR_BASE_URL ? { name: "custom", model: "whisper" } : null;
+  return null;
+}
+
+// --- cache ---
+// same audio + same engine/model/language -> same transcript, e.g. on rebuilds or reposts
+function cacheFile(audioHash, engine) {
+  const variant = crypto.createHash("sha1").update([engine.name, engine.model || "", ASR_LANGUAGE || "auto"].join("|")).digest("hex").slice(0, 12);
+  return path.join(CACHE_DIR, `${audioHash}-${variant}.json`);
+}
+
+function readAsrCache(file) {
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); } catch { return null; }
+}
+
+// --- main ---
+/**
+ * Transcribes the audio track of `videoPath`.
+ * Returns { text, language, segments } (segments: [{ start_sec, end_sec, text }] or null when
+ * the engine doesn't send any), or null when ASR isn't configured or heard nothing.
+ * Audio longer than ASR_CHUNK_SECONDS is transcribed in pieces whose times are shifted back
+ * into place; results are cached by audio hash (ASR_CACHE_DIR).
+ */
+export async function transcribeWithASRLocalOrAPI({ videoPath }) {
+  if (!videoPath) return null;
+  const engine = activeEngine();
+  if (!engine) return null;
+
+  const wav = videoPath.replace(/\.(mp4|mov|m4v|webm|mkv)$/i, "") + ".wav";
+  await extractAudioWav(videoPath, wav);
+
+  const cached = CACHE_ENABLED ? cacheFile(await fileSha256(wav), engine) : null;
+  const hit = cached && readAsrCache(cached);
+  if (hit) return hit.text ? { text: hit.text, language: hit.language, segments: hit.segments } : null;
+
+  const workDir = `${wav}.chunks`;
+  try {
+    const chunks = await splitAudio(wav, workDir);
+    const text = [];
+    let segments = [];
+    let language = null;
+    for (const chunk of chunks) {
+      const r = await ENGINES[engine.name](chunk.file);
+      if (r.text) text.push(r.text);
+      language ||= r.language;
+      if (r.segments && segments) {
+        segments.push(...r.segments.map(s => ({
+          ...s,
+          start_sec: Math.round((s.start_sec + chunk.offset_sec) * 1000) / 1000,
+          end_sec: Math.round((s.end_sec + chunk.offset_sec) * 1000) / 1000
+        })));
+      } else {
+        segments = null; // one chunk without times makes the whole timeline unreliable
+      }
+    }
+    const result = { text: text.join("\n").trim(), language, segments: segments?.length ? segments : null };
+
+    if (cached) {
+      await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+      await fs.promises.writeFile(cached, JSON.stringify({ ...result, engine: engine.name, model: engine.model || null }), "utf8");
+    }
+    return result.text ? result : null;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,57 @@
+import crypto from "node:crypto";
+import { v4 as uuidv4 } from "uuid";
+import { pool } from "./db.mjs";
+
+// --- API keys ---
+// Keys are random 32-byte tokens handed out once; only their sha256 is stored.
+export function generateApiKey() {
+  return `rk_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function tokenFromRequest(req) {
+  const header = req.get("authorization") || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  return req.get("x-api-key")?.trim() || null;
+}
+
+export async function findUserByApiKey(key) {
+  if (!key) return null;
+  const { rows } = await pool.query(
+    "SELECT id, email, name, created_at FROM users WHERE api_key_hash=$1 AND disabled_at IS NULL",
+    [hashApiKey(key)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Creates a user and returns it together with the plaintext API key
+ * (the key cannot be recovered later).
+ */
+export async function createUser({ email, name = null }, db = pool) {
+  const apiKey = generateApiKey();
+  const { rows } = await db.query(
+    `INSERT INTO users (id, email, name, api_key_hash)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, email, name, created_at`,
+    [uuidv4(), email, name, hashApiKey(apiKey)]
+  );
+  return { user: rows[0], apiKey };
+}
+
+/**
+ * Express middleware: accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ * and sets `req.user`. Responds 401 when the key is missing or unknown.
+ */
+export async function requireUser(req, res, next) {
+  try {
+    const user = await findUserByApiKey(tokenFromRequest(req));
+    if (!user) return res.status(401).json({ error: "Missing or invalid API key" });
+    req.user = user;
+    next();
+  } catch (e) { res.status(500).json({ error: e.message }); }
+}
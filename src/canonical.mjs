@@ -0,0 +1,75 @@
+// --- canonical post URLs and item ids ---
+// Share links carry tracking params and come in several shapes per post (youtu.be vs
+// /shorts/ vs /watch, /reel/ vs /p/, vm.tiktok.com short links). Jobs, sources and the
+// worker's shared-item lookup all compare canonical URLs so one post means one piece of work.
+
+const RESOLVE_TIMEOUT_MS = Number(process.env.URL_RESOLVE_TIMEOUT_MS || 8000);
+
+// query params that never change what a link points to (platform links are rebuilt from their id instead)
+const TRACKING_PARAM = /^(utm_.*|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|igsh|si|ref|ref_src|spm|mibextid)$/i;
+
+// hosts whose links only redirect to the real post
+const SHORTENER_HOSTS = ["vm.tiktok.com", "vt.tiktok.com", "pin.it", "fb.watch", "instagr.am", "bit.ly", "t.co", "amzn.to"];
+
+const bareHost = (u) => u.hostname.toLowerCase().replace(/^(www|m|mobile)\./, "");
+
+/**
+ * Canonical form of a post URL (sync; no network). Other URLs keep scheme and path and lose
+ * tracking params and the fragment (the rest of the query is sorted); invalid URLs come back unchanged.
+ *   youtu.be/ID, youtube.com/shorts/ID, /live/ID, /embed/ID -> https://www.youtube.com/watch?v=ID
+ *   instagram.com/reel/ID, /reels/ID, /tv/ID                 -> https://www.instagram.com/p/ID/
+ *   tiktok.com/@user/video/ID                                -> https://www.tiktok.com/@user/video/ID
+ */
+export function canonicalUrl(url) {
+  let u;
+  try { u = new URL(String(url).trim()); } catch { return url; }
+  if (!/^https?:$/.test(u.protocol)) return url;
+  const host = bareHost(u);
+  const p = u.pathname;
+
+  if (host === "youtu.be") {
+    const id = p.split("/")[1];
+    if (id) return `https://www.youtube.com/watch?v=${id}`;
+  }
+  if (host === "youtube.com" || host === "music.youtube.com" || host === "youtube-nocookie.com") {
+    const id = u.searchParams.get("v") || /^\/(?:shorts|live|embed|v)\/([\w-]{6,})/.exec(p)?.[1];
+    if (id) return `https://www.youtube.com/watch?v=${id}`;
+  }
+  if (host === "instagram.com") {
+    const m = /^\/(?:[\w.]+\/)?(?:p|reels?|tv)\/([\w-]+)/.exec(p);
+    if (m) return `https://www.instagram.com/p/${m[1]}/`;
+  }
+  if (host.endsWith("tiktok.com") && !SHORTENER_HOSTS.includes(host)) {
+    const m = /^\/(@[\w.-]+)\/(video|photo)\/(\d+)/.exec(p);
+    if (m) return `https://www.tiktok.com/${m[1].toLowerCase()}/${m[2]}/${m[3]}`;
+  }
+
+  u.hash = "";
+  for (const k of [...u.searchParams.keys()]) if (TRACKING_PARAM.test(k)) u.searchParams.delete(k);
+  u.searchParams.sort();
+  return u.toString();
+}
+
+/**
+ * canonicalUrl after following short links (vm.tiktok.com, pin.it, fb.watch, tiktok.com/t/…).
+ * Resolution is best effort: on timeouts or errors the short link itself is canonicalized.
+ */
+export async function resolveCanonicalUrl(url) {
+  let u;
+  try { u = new URL(String(url).trim()); } catch { return url; }
+  const host = bareHost(u);
+  const isShort = SHORTENER_HOSTS.includes(host) || (host === "tiktok.com" && u.pathname.startsWith("/t/"));
+  if (!isShort) return canonicalUrl(url);
+  try {
+    const r = await fetch(u, { redirect: "follow", signal: AbortSignal.timeout(RESOLVE_TIMEOUT_MS) });
+    r.body?.cancel().catch(() => {});
+    return canonicalUrl(r.url || url);
+  } catch {
+    return canonicalUrl(url);
+  }
+}
+
+/** items.id: post ids are only unique per platform ("youtube:dQw4w9WgXcQ", "web:example-com-…") */
+export function itemIdFor(meta) {
+  return `${meta.platform || "post"}:${meta.post_id}`;
+}
@@ -0,0 +1,192 @@
+import { pool, withTx } from "./db.mjs";
+import { embedText, toPgVectorLiteral } from "./pipeline.mjs";
+import { parseDietFilters, dietClauses } from "./diet.mjs";
+
+// --- config ---
+// A smart collection stores a query instead of members. Its items are whatever in the owner's
+// library matches right now, or, with `materialize`, rows in collection_items the worker keeps
+// in step as items are upserted (and the server refills when the query changes).
+export const QUERY_FIELDS = [
+  "q", "max_distance", "topic", "platform", "is_recipe", "author",
+  "published_after", "published_before", "diet", "exclude_allergens"
+];
+// L2 distance between the item and `q` embeddings; same scale as POST /search `distance`
+const DEFAULT_MAX_DISTANCE = Number(process.env.SMART_COLLECTION_MAX_DISTANCE || 1.0);
+
+const ITEM_COLUMNS = `i.id, i.title, i.platform, i.url, i.topics, i.is_recipe,
+       i.author_name, i.published_at, i.created_at, i.thumb_url, i.summary`;
+
+// --- query ---
+/**
+ * Reads `query` from a collections body.
+ * { q?, max_distance?, topic?, platform?, is_recipe?, author?, published_after?, published_before?,
+ *   diet?, exclude_allergens? } -> { query } (only the fields set) or { error } for a 400
+ */
+export function parseCollectionQuery(input) {
+  if (typeof input !== "object" || input === null || Array.isArray(input)) return { error: "query must be an object" };
+  const unknown = Object.keys(input).filter(k => !QUERY_FIELDS.includes(k));
+  if (unknown.length) return { error: `Unknown query fields: ${unknown.join(", ")} (use: ${QUERY_FIELDS.join(", ")})` };
+
+  const query = {};
+  for (const k of ["q", "topic", "platform", "author"]) {
+    if (input[k] == null || input[k] === "") continue;
+    if (typeof input[k] !== "string" || !input[k].trim()) return { error: `query.${k} must be a string` };
+    query[k] = input[k].trim();
+  }
+  if (query.q && query.q.length > 500) return { error: "query.q is longer than 500 characters" };
+  if (input.max_distance != null) {
+    if (!query.q) return { error: "query.max_distance needs query.q" };
+    const d = Number(input.max_distance);
+    if (!Number.isFinite(d) || d <= 0) return { error: "query.max_distance must be a positive number" };
+    query.max_distance = d;
+  } else if (query.q) {
+    query.max_distance = DEFAULT_MAX_DISTANCE;
+  }
+  if (input.is_recipe != null) {
+    if (![true, false, "true", "false"].includes(input.is_recipe)) return { error: "query.is_recipe must be a boolean" };
+    query.is_recipe = input.is_recipe === true || input.is_recipe === "true";
+  }
+  for (const k of ["published_after", "published_before"]) {
+    if (input[k] == null || input[k] === "") continue;
+    const t = Date.parse(input[k]);
+    if (Number.isNaN(t)) return { error: `query.${k} must be a date` };
+    query[k] = new Date(t).toISOString();
+  }
+  if (query.published_after && query.published_before && query.published_after > query.published_before) {
+    return { error: "query.published_after is later than query.published_before" };
+  }
+  const diet = parseDietFilters(input);
+  if (diet.error) return { error: `query: ${diet.error}` };
+  if (diet.filters.diet.length) query.diet = diet.filters.diet;
+  if (diet.filters.exclude_allergens.length) query.exclude_allergens = diet.filters.exclude_allergens;
+
+  if (!Object.keys(query).length) return { error: `query needs at least one of: ${QUERY_FIELDS.filter(k => k !== "max_distance").join(", ")}` };
+  return { query };
+}
+
+/** pgvector literal for `query.q` (stored with the collection), or null without q. */
+export async function embedCollectionQuery(query) {
+  if (!query?.q) return null;
+  const vec = await embedText(query.q);
+  if (!Array.isArray(vec) || !vec.length) throw new Error("Embedding failed");
+  return toPgVectorLiteral(vec);
+}
+
+/**
+ * FROM / WHERE for the items of `collection` ({ user_id, query, query_embedding }) in its
+ * owner's library; appends to `params` in place. `distance` is the SQL for ordering by q.
+ */
+function matchSql({ user_id, query, query_embedding }, params) {
+  params.push(user_id);
+  const from = `FROM items i JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $${params.length}`;
+  const clauses = [];
+  if (query.is_recipe !== undefined) { params.push(query.is_recipe); clauses.push(`i.is_recipe = $${params.length}`); }
+  if (query.platform) { params.push(query.platform); clauses.push(`i.platform = $${params.length}`); }
+  if (query.topic) { params.push(query.topic); clauses.push(`$${params.length} = ANY(i.topics)`); }
+  if (query.author) { params.push(query.author); clauses.push(`lower(i.author_name) = lower($${params.length})`); }
+  if (query.published_after) { params.push(query.published_after); clauses.push(`i.published_at >= $${params.length}`); }
+  if (query.published_before) { params.push(query.published_before); clauses.push(`i.published_at <= $${params.length}`); }
+  clauses.push(...dietClauses({ diet: query.diet, exclude_allergens: query.exclude_allergens }, params));
+  let distance = null;
+  if (query.q) {
+    params.push(query_embedding);
+    distance = `(i.embedding <-> $${params.length}::vector)`;
+    params.push(query.max_distance ?? DEFAULT_MAX_DISTANCE);
+    clauses.push("i.embedding IS NOT NULL", `${distance} <= $${params.length}`);
+  }
+  return { from, where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", distance };
+}
+
+async function loadSmartCollection(client, collectionId) {
+  const { rows } = await client.query(
+    `SELECT id, user_id, name, query, query_embedding::text AS query_embedding, materialize
+     FROM collections WHERE id=$1 AND query IS NOT NULL`,
+    [collectionId]
+  );
+  return rows[0] || null;
+}
+
+// --- contents ---
+/**
+ * What a smart collection's query matches right now, closest to `q` first (newest in the
+ * library first without one). No `limit` returns every match. -> [{ ...item, distance }]
+ */
+export async function smartCollectionItems(collectionId, { limit = null, offset = 0 } = {}) {
+  const collection = await loadSmartCollection(pool, collectionId);
+  if (!collection) return [];
+  const params = [];
+  const { from, where, distance } = matchSql(collection, params);
+  const page = limit ? `LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : "";
+  const { rows } = await pool.query(
+    `SELECT ${ITEM_COLUMNS}, ${distance || "NULL"} AS distance
+     ${from}
+     ${where}
+     ORDER BY ${distance ? `${distance} ASC,` : ""} ui.added_at DESC, i.id
+     ${page}`,
+    params
+  );
+  return rows.map(r => ({ ...r, distance: r.distance != null ? Number(r.distance) : null }));
+}
+
+/**
+ * Brings collection_items of a materialized collection in line with its query: drops what no
+ * longer matches, adds the rest (members that stay keep their added_at). -> number of items
+ */
+export async function refreshSmartCollection(collectionId) {
+  return withTx(async (client) => {
+    const collection = await loadSmartCollection(client, collectionId);
+    if (!collection) return 0;
+    const params = [collectionId];
+    const { from, where } = matchSql(collection, params);
+    await client.query(
+      `DELETE FROM collection_items
+       WHERE collection_id = $1 AND item_id NOT IN (SELECT i.id ${from} ${where})`,
+      params
+    );
+    await client.query(
+      `INSERT INTO collection_items (collection_id, item_id)
+       SELECT $1, i.id ${from} ${where}
+       ON CONFLICT DO NOTHING`,
+      params
+    );
+    await client.query("UPDATE collections SET refreshed_at=now() WHERE id=$1", [collectionId]);
+    const { rows } = await client.query("SELECT count(*)::int AS n FROM collection_items WHERE collection_id=$1", [collectionId]);
+    return rows[0].n;
+  });
+}
+
+/**
+ * After the worker upserts an item: adds it to every materialized collection of its holders
+ * whose query it matches now, and drops it from those it no longer matches.
+ * -> [{ id, name, user_id }] of the collections it was added to
+ */
+export async function materializeItem(itemId) {
+  const { rows: candidates } = await pool.query(
+    `SELECT c.id
+     FROM collections c
+     JOIN user_items ui ON ui.user_id = c.user_id AND ui.item_id = $1
+     WHERE c.materialize AND c.query IS NOT NULL`,
+    [itemId]
+  );
+  const added = [];
+  for (const { id } of candidates) {
+    const collection = await loadSmartCollection(pool, id);
+    if (!collection) continue;
+    const params = [itemId];
+    const { from, where } = matchSql(collection, params);
+    const { rows } = await pool.query(
+      `SELECT EXISTS (SELECT 1 ${from} ${where ? `${where} AND` : "WHERE"} i.id = $1) AS matches`,
+      params
+    );
+    if (rows[0].matches) {
+      const { rowCount } = await pool.query(
+        "INSERT INTO collection_items (collection_id, item_id) VALUES ($1,$2) ON CONFLICT DO NOTHING",
+        [id, itemId]
+      );
+      if (rowCount) added.push({ id, name: collection.name, user_id: collection.user_id });
+    } else {
+      await pool.query("DELETE FROM collection_items WHERE collection_id=$1 AND item_id=$2", [id, itemId]);
+    }
+  }
+  return added;
+}
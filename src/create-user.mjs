@@ -0,0 +1,40 @@
+import "dotenv/config";
+import { pool, withTx } from "./db.mjs";
+import { createUser } from "./auth.mjs";
+
+// usage: node src/create-user.mjs <email> [name] [--claim-orphans]
+//   --claim-orphans  adopt every item, collection and job that has no owner yet
+//                    (use once when upgrading a single-user deployment)
+const args = process.argv.slice(2);
+const claimOrphans = args.includes("--claim-orphans");
+const [email, name = null] = args.filter(a => !a.startsWith("--"));
+
+if (!email) {
+  console.error("usage: node src/create-user.mjs <email> [name] [--claim-orphans]");
+  process.exit(1);
+}
+
+try {
+  const { user, apiKey } = await withTx(async (client) => {
+    const created = await createUser({ email, name }, client);
+    if (claimOrphans) {
+      const uid = created.user.id;
+      await client.query(`
+        INSERT INTO user_items (user_id, item_id, added_at)
+        SELECT $1, i.id, i.created_at
+        FROM items i
+        WHERE NOT EXISTS (SELECT 1 FROM user_items ui WHERE ui.item_id = i.id)
+        ON CONFLICT DO NOTHING
+      `, [uid]);
+      await client.query("UPDATE collections SET user_id=$1 WHERE user_id IS NULL", [uid]);
+      await client.query("UPDATE jobs SET user_id=$1 WHERE user_id IS NULL", [uid]);
+    }
+    return created;
+  });
+
+  console.log(`✓ User ${user.email} (${user.id})`);
+  console.log(`  API key: ${apiKey}`);
+  console.log("  Store it now — it is not shown again.");
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,301 @@
+import { getProvider } from "./providers.mjs";
+import { normalizeIngredientName } from "./shopping.mjs";
+import { matchFood } from "./nutrition.mjs";
+
+// --- labels ---
+// Diet labels and EU allergen flags are derived from the recipe's ingredients: keyword rules
+// first, the chat model only for ingredients the rules (and the food table) don't know.
+export const DIET_VERSION = 1;
+export const DIET_LABELS = ["vegan", "vegetarian", "gluten-free", "dairy-free", "keto"];
+// the 14 allergens of EU Regulation 1169/2011, Annex II
+export const ALLERGENS = [
+  "gluten", "crustaceans", "eggs", "fish", "peanuts", "soybeans", "milk",
+  "nuts", "celery", "mustard", "sesame", "sulphites", "lupin", "molluscs"
+];
+// spellings clients use for the filter -> ALLERGENS
+const ALLERGEN_ALIASES = {
+  wheat: "gluten", shellfish: "crustaceans", crustacean: "crustaceans", egg: "eggs", peanut: "peanuts",
+  soy: "soybeans", soya: "soybeans", soybean: "soybeans", dairy: "milk", lactose: "milk", nut: "nuts",
+  "tree nuts": "nuts", "tree nut": "nuts", sulfites: "sulphites", sulfite: "sulphites", sulphite: "sulphites",
+  lupine: "lupin", mollusc: "molluscs", mollusk: "molluscs", mollusks: "molluscs"
+};
+const USE_MODEL = String(process.env.DIET_MODEL || "true").toLowerCase() === "true";
+// keto: at most this many grams of net carbs (carbs - fiber) per serving, when nutrition is known
+const KETO_MAX_NET_CARBS = Number(process.env.KETO_MAX_NET_CARBS_G || 20);
+
+// --- rules ---
+// category -> diet labels it rules out, allergen it flags, keywords (whole words of the normalized name)
+const CATEGORIES = {
+  meat: {
+    excludes: ["vegan", "vegetarian"],
+    keywords: ["meat", "chicken", "beef", "pork", "lamb", "veal", "mutton", "duck", "goose", "venison", "rabbit", "turkey", "bacon", "ham", "prosciutto", "pancetta", "guanciale", "sausage", "chorizo", "salami", "pepperoni", "mince", "steak", "meatball", "lard", "gelatin", "gelatine", "bone broth", "fleisch", "hähnchen", "hühnchen", "huhn", "rindfleisch", "rinderhack", "rinderbraten", "schwein", "schweinefleisch", "speck", "schinken", "hackfleisch", "wurst", "bratwurst", "lamm", "pute", "ente"]
+  },
+  fish: {
+    excludes: ["vegan", "vegetarian"], allergen: "fish",
+    keywords: ["fish", "salmon", "tuna", "cod", "anchovy", "sardine", "mackerel", "trout", "halibut", "haddock", "tilapia", "sea bass", "bass", "pollock", "herring", "bonito", "dashi", "fish sauce", "worcestershire", "worcestershire sauce", "fisch", "lachs", "thunfisch", "kabeljau", "sardelle", "forelle", "hering"]
+  },
+  crustaceans: {
+    excludes: ["vegan", "vegetarian"], allergen: "crustaceans",
+    keywords: ["shrimp", "prawn", "crab", "lobster", "crayfish", "langoustine", "scampi", "garnele", "garnelen", "krabbe", "hummer", "shrimps"]
+  },
+  molluscs: {
+    excludes: ["vegan", "vegetarian"], allergen: "molluscs",
+    keywords: ["mussel", "clam", "oyster", "oyster sauce", "scallop", "squid", "calamari", "octopus", "snail", "muschel", "miesmuschel", "tintenfisch"]
+  },
+  egg: {
+    excludes: ["vegan"], allergen: "eggs",
+    keywords: ["egg", "eggs", "yolk", "egg white", "mayonnaise", "mayo", "aioli", "meringue", "ei", "eier", "eigelb", "eiweiß", "eiklar"]
+  },
+  milk: {
+    excludes: ["vegan", "dairy-free"], allergen: "milk",
+    keywords: ["milk", "butter", "buttermilk", "cream", "cheese", "yogurt", "yoghurt", "ghee", "kefir", "whey", "casein", "parmesan", "parmigiano", "pecorino", "grana padano", "mozzarella", "burrata", "feta", "ricotta", "mascarpone", "cheddar", "gouda", "emmental", "gruyère", "gruyere", "brie", "camembert", "halloumi", "paneer", "quark", "crème fraîche", "creme fraiche", "sour cream", "ice cream", "custard", "milch", "sahne", "käse", "frischkäse", "joghurt", "schmand", "butterschmalz"]
+  },
+  honey: {
+    excludes: ["vegan"],
+    keywords: ["honey", "honig"]
+  },
+  gluten: {
+    excludes: ["gluten-free"], allergen: "gluten",
+    keywords: ["wheat", "flour", "bread", "breadcrumb", "panko", "pasta", "spaghetti", "penne", "fusilli", "macaroni", "linguine", "tagliatelle", "rigatoni", "orzo", "lasagna", "lasagne", "noodle", "noodles", "udon", "ramen", "couscous", "bulgur", "barley", "rye", "spelt", "semolina", "farro", "seitan", "oat", "oats", "oatmeal", "cracker", "biscuit", "cookie", "cake", "tortilla", "wrap", "pita", "naan", "baguette", "croissant", "brioche", "toast", "pastry", "puff pastry", "dough", "beer", "malt", "soy sauce", "mehl", "weizen", "weizenmehl", "brot", "toastbrot", "nudel", "nudeln", "grieß", "dinkel", "roggen", "gerste", "paniermehl", "semmelbrösel", "blätterteig", "haferflocken", "sojasauce", "bier"]
+  },
+  peanuts: {
+    allergen: "peanuts",
+    keywords: ["peanut", "peanut butter", "groundnut", "erdnuss", "erdnüsse", "erdnussbutter"]
+  },
+  nuts: {
+    allergen: "nuts",
+    keywords: ["nut", "nuts", "almond", "hazelnut", "walnut", "cashew", "pecan", "pistachio", "macadamia", "brazil nut", "praline", "marzipan", "gianduja", "nutella", "mandel", "mandeln", "mandelmehl", "haselnuss", "haselnüsse", "walnuss", "walnüsse", "cashewkern", "pistazie", "nüsse"]
+  },
+  soybeans: {
+    allergen: "soybeans",
+    keywords: ["soy", "soya", "soybean", "soy sauce", "tamari", "tofu", "tempeh", "edamame", "miso", "soja", "sojasauce"]
+  },
+  celery: {
+    allergen: "celery",
+    keywords: ["celery", "celeriac", "celery salt", "sellerie", "stangensellerie", "knollensellerie"]
+  },
+  mustard: {
+    allergen: "mustard",
+    keywords: ["mustard", "dijon", "senf"]
+  },
+  sesame: {
+    allergen: "sesame",
+    keywords: ["sesame", "tahini", "tahin", "gomasio", "sesam"]
+  },
+  sulphites: {
+    allergen: "sulphites",
+    keywords: ["wine", "sherry", "vermouth", "prosecco", "champagne", "marsala", "balsamic", "balsamico", "dried apricot", "wein", "rotwein", "weißwein"]
+  },
+  lupin: {
+    allergen: "lupin",
+    keywords: ["lupin", "lupine", "lupini", "lupinen"]
+  },
+  high_carb: {
+    excludes: ["keto"],
+    keywords: ["sugar", "flour", "rice", "pasta", "spaghetti", "penne", "noodle", "noodles", "bread", "breadcrumb", "tortilla", "potato", "sweet potato", "corn", "cornstarch", "starch", "oat", "oats", "quinoa", "couscous", "bulgur", "barley", "bean", "lentil", "lentils", "chickpea", "chickpeas", "pea", "peas", "banana", "date", "raisin", "honey", "syrup", "maple syrup", "agave", "juice", "ketchup", "jam", "zucker", "mehl", "reis", "nudel", "nudeln", "brot", "kartoffel", "honig", "mais"]
+  }
+};
+
+// phrases that contain a keyword without being that thing ("peanut butter" has no milk)
+const EXCEPTIONS = [
+  ["peanut butter", ["milk"]], ["almond butter", ["milk"]], ["cashew butter", ["milk"]], ["cocoa butter", ["milk"]],
+  ["nut butter", ["milk"]], ["butter bean", ["milk"]], ["cream of tartar", ["milk"]],
+  ["coconut milk", ["milk"]], ["coconut cream", ["milk"]], ["coconut yogurt", ["milk"]], ["almond milk", ["milk"]],
+  ["oat milk", ["milk"]], ["soy milk", ["milk"]], ["rice milk", ["milk"]], ["cashew milk", ["milk"]],
+  ["hafermilch", ["milk"]], ["mandelmilch", ["milk"]], ["kokosmilch", ["milk"]], ["sojamilch", ["milk"]],
+  ["rice flour", ["gluten"]], ["almond flour", ["gluten", "high_carb"]], ["coconut flour", ["gluten", "high_carb"]],
+  ["corn flour", ["gluten"]], ["chickpea flour", ["gluten"]], ["buckwheat flour", ["gluten"]], ["tapioca flour", ["gluten"]],
+  ["rice noodle", ["gluten"]], ["glass noodle", ["gluten"]], ["rice paper", ["gluten"]], ["corn tortilla", ["gluten"]],
+  ["reismehl", ["gluten"]], ["kichererbsenmehl", ["gluten"]], ["mandelmehl", ["high_carb"]],
+  ["cauliflower rice", ["high_carb"]], ["lemon juice", ["high_carb"]], ["lime juice", ["high_carb"]], ["pine nut", ["nuts"]], ["egg free", ["egg"]], ["eggless", ["egg"]],
+  ["tamari", ["gluten"]]
+];
+// qualifiers in the name that cancel whole categories ("vegan butter", "gluten-free pasta")
+const QUALIFIERS = [
+  [/\b(vegan|plant[- ]based|vegetarian)\b/u, ["meat", "fish", "crustaceans", "molluscs", "egg", "milk", "honey"]],
+  [/\b(vegetarisch|vegane?r?)\b/u, ["meat", "fish", "crustaceans", "molluscs", "egg", "milk", "honey"]],
+  [/\b(dairy[- ]free|non[- ]dairy|laktosefrei)\b/u, ["milk"]],
+  [/\b(gluten[- ]free|glutenfrei)\b/u, ["gluten"]],
+  [/\b(sugar[- ]free|zuckerfrei)\b/u, ["high_carb"]]
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const wordRe = (phrase) => new RegExp(`(^|[^\\p{L}])${escapeRe(phrase)}($|[^\\p{L}])`, "u");
+const KEYWORD_RES = Object.entries(CATEGORIES).map(([cat, c]) => [cat, c.keywords.map(k => [k, wordRe(k)])]);
+const EXCEPTION_RES = EXCEPTIONS.map(([phrase, cats]) => [wordRe(phrase), cats]);
+
+/**
+ * Categories the keyword rules find in a normalized name -> { found: Map(category -> keyword), matched }.
+ * `matched` says a keyword hit before exceptions and qualifiers, which may leave `found` empty.
+ */
+function ruleCategories(normalized) {
+  const found = new Map();
+  for (const [cat, res] of KEYWORD_RES) {
+    const hit = res.find(([, re]) => re.test(normalized));
+    if (hit) found.set(cat, hit[0]);
+  }
+  const matched = found.size > 0;
+  for (const [re, cats] of EXCEPTION_RES) if (re.test(normalized)) for (const c of cats) found.delete(c);
+  for (const [re, cats] of QUALIFIERS) if (re.test(normalized)) for (const c of cats) found.delete(c);
+  return { found, matched };
+}
+
+/**
+ * One ingredient -> { categories: Map(category -> keyword), source } where source is "rules",
+ * "food" (no keyword, but a known food from the nutrition table: the rules on its name plus its
+ * `contains` column, e.g. pesto -> milk, nuts) or null when nothing recognized it or the food
+ * depends on the recipe (stock); the model is asked about those.
+ */
+export function classifyIngredient(name) {
+  const normalized = normalizeIngredientName(name);
+  if (!normalized) return { categories: new Map(), source: null };
+  // a keyword that an exception or qualifier cancelled ("vegan butter") is still a rules answer
+  const { found, matched } = ruleCategories(normalized);
+  if (matched) return { categories: found, source: "rules" };
+  const match = matchFood(name);
+  if (match && match.confidence >= 0.8 && match.food.contains) {
+    const categories = ruleCategories(match.food.name.toLowerCase()).found;
+    for (const cat of match.food.contains) if (CATEGORIES[cat] && !categories.has(cat)) categories.set(cat, match.food.name);
+    return { categories, source: "food" };
+  }
+  return { categories: found, source: null };
+}
+
+// --- model (unrecognized ingredients only) ---
+const CATEGORY_NAMES = Object.keys(CATEGORIES);
+export function buildDietPrompt(names) {
+  return `For each ingredient, list which of these categories it belongs to. Output ONLY valid JSON:
+{"ingredients":[{"name":"string","categories":["${CATEGORY_NAMES.join("|")}"],"known":true}]}
+
+Ingredients:
+${names.map(n => `- ${n}`).join("\n")}
+
+Rules:
+- categories: every one that applies (e.g. "pesto" -> milk, nuts; "naan" -> gluten, milk, high_carb); [] when none.
+- high_carb: starches, grains, sugars and other foods not eaten on a keto diet.
+- known: false when you don't recognize the ingredient; never guess.`;
+}
+
+/** name -> Map(category -> "model") for ingredients the model recognized; {} when disabled or failing. */
+async function askModel(names, postId) {
+  if (!USE_MODEL || !names.length) return new Map();
+  try {
+    const out = await getProvider("chat").chatJSON({
+      system: "You classify recipe ingredients for diet and allergen labels. Output ONLY valid JSON.",
+      user: buildDietPrompt(names),
+      task: "diet",
+      postId
+    });
+    const answers = new Map();
+    for (const a of Array.isArray(out?.ingredients) ? out.ingredients : []) {
+      if (!a?.known || typeof a.name !== "string" || !names.includes(a.name)) continue;
+      const cats = (Array.isArray(a.categories) ? a.categories : []).filter(c => CATEGORY_NAMES.includes(c));
+      answers.set(a.name, new Map(cats.map(c => [c, "model"])));
+    }
+    return answers;
+  } catch (e) {
+    console.warn("diet model failed:", e.message);
+    return new Map();
+  }
+}
+
+// --- classification ---
+/**
+ * Diet labels and allergens of a recipe. Every decision carries an explanation naming the
+ * ingredient behind it; a diet label is only given when every ingredient was recognized, by the
+ * rules, the food table or the model (the rest are listed in `unclassified`). keto also needs
+ * `nutrition.per_serving` (when known) to stay under KETO_MAX_NET_CARBS_G net carbs. `postId` only
+ * picks mock fixtures (see providers.mjs).
+ */
+export async function classifyDiet(recipe, { nutrition = null, postId = null } = {}) {
+  const ingredients = (recipe?.ingredients || []).filter(i => i?.name);
+  const classified = ingredients.map(i => ({ name: i.name, ...classifyIngredient(i.name) }));
+  const unknown = [...new Set(classified.filter(c => !c.source).map(c => c.name))];
+  const answers = await askModel(unknown, postId);
+  for (const c of classified) {
+    if (!c.source && answers.has(c.name)) Object.assign(c, { categories: answers.get(c.name), source: "model" });
+  }
+  const unclassified = classified.filter(c => !c.source).map(c => c.name);
+
+  const explanations = [];
+  const allergens = new Set();
+  for (const c of classified) {
+    for (const [cat, keyword] of c.categories) {
+      const allergen = CATEGORIES[cat].allergen;
+      if (!allergen) continue;
+      allergens.add(allergen);
+      explanations.push({ label: allergen, kind: "allergen", applies: true, ingredient: c.name, because: keyword === "model" ? cat : keyword, source: c.source });
+    }
+  }
+
+  const diets = [];
+  for (const label of DIET_LABELS) {
+    const triggers = classified.filter(c => [...c.categories.keys()].some(cat => CATEGORIES[cat].excludes?.includes(label)));
+    for (const t of triggers) {
+      const [cat, keyword] = [...t.categories].find(([cat]) => CATEGORIES[cat].excludes?.includes(label));
+      explanations.push({ label, kind: "diet", applies: false, ingredient: t.name, because: keyword === "model" ? cat : keyword, source: t.source });
+    }
+    const per = nutrition?.per_serving;
+    const netCarbs = per ? Math.round((per.carbs_g - per.fiber_g) * 10) / 10 : null;
+    if (label === "keto" && !triggers.length && netCarbs != null && netCarbs > KETO_MAX_NET_CARBS) {
+      explanations.push({ label, kind: "diet", applies: false, ingredient: null, because: `${netCarbs} g net carbs per serving`, source: "nutrition" });
+      continue;
+    }
+    if (triggers.length) continue;
+    if (!ingredients.length || unclassified.length) {
+      explanations.push({ label, kind: "diet", applies: false, ingredient: unclassified[0] || null, because: ingredients.length ? "unclassified ingredient" : "no ingredients", source: null });
+      continue;
+    }
+    diets.push(label);
+    explanations.push({ label, kind: "diet", applies: true, ingredient: null, because: null, source: null });
+  }
+
+  return {
+    version: DIET_VERSION,
+    diets,
+    allergens: ALLERGENS.filter(a => allergens.has(a)),
+    explanations,
+    unclassified,
+    model_used: unknown.length > 0 && answers.size > 0,
+    computed_at: new Date().toISOString()
+  };
+}
+
+// --- filters (API) ---
+/** `["a","b"]`, `"a,b"` or a JSON array string (query strings) -> trimmed lowercase names */
+function listParam(v) {
+  if (v === undefined || v === null || v === "") return [];
+  if (typeof v === "string" && v.trim().startsWith("[")) {
+    try { v = JSON.parse(v); } catch { return null; }
+  }
+  const list = (Array.isArray(v) ? v : String(v).split(",")).map(x => String(x).trim().toLowerCase()).filter(Boolean);
+  return list;
+}
+
+/**
+ * `diet` (every label required) and `exclude_allergens` (none of them present) from a query
+ * string or JSON body -> { filters: { diet, exclude_allergens } } or { error } for a 400.
+ * Items without labels (not a recipe, not classified yet) never match these filters.
+ */
+export function parseDietFilters(source = {}) {
+  const diet = listParam(source.diet);
+  const excluded = listParam(source.exclude_allergens);
+  if (!diet || !excluded) return { error: "diet and exclude_allergens must be arrays or comma-separated lists" };
+  const badDiet = diet.filter(d => !DIET_LABELS.includes(d));
+  if (badDiet.length) return { error: `Unknown diet labels: ${badDiet.join(", ")} (use: ${DIET_LABELS.join(", ")})` };
+  const allergens = excluded.map(a => ALLERGEN_ALIASES[a] || a);
+  const badAllergens = allergens.filter(a => !ALLERGENS.includes(a));
+  if (badAllergens.length) return { error: `Unknown allergens: ${badAllergens.join(", ")} (use: ${ALLERGENS.join(", ")})` };
+  return { filters: { diet: [...new Set(diet)], exclude_allergens: [...new Set(allergens)] } };
+}
+
+/** SQL clauses for parsed filters against items `i`; appends to `params` in place. */
+export function dietClauses({ diet = [], exclude_allergens = [] } = {}, params) {
+  const clauses = [];
+  if (diet.length) { params.push(diet); clauses.push(`i.diet_labels @> $${params.length}::text[]`); }
+  if (exclude_allergens.length) {
+    params.push(exclude_allergens);
+    clauses.push(`i.allergens IS NOT NULL AND NOT (i.allergens && $${params.length}::text[])`);
+  }
+  return clauses;
+}
@@ -0,0 +1,281 @@
+import zlib from "node:zlib";
+import crypto from "node:crypto";
+import archiver from "archiver";
+import { pool } from "./db.mjs";
+import { stripEmoji, formatQuantity } from "./units.mjs";
+import { normalizeIngredientName, splitPieceWord } from "./shopping.mjs";
+
+export const EXPORT_FORMATS = ["jsonld", "markdown", "paprika", "mealie", "cooklang"];
+
+// --- loading ---
+/** item row + meta/recipe/analysis bodies, or null when the item has no recipe */
+export async function loadRecipeForExport(itemId) {
+  const { rows } = await pool.query(
+    `SELECT i.id, i.url, i.title, i.author_name, i.published_at, i.thumb_url, i.summary,
+            max(ij.body::text) FILTER (WHERE ij.kind='meta')     AS meta,
+            max(ij.body::text) FILTER (WHERE ij.kind='recipe')   AS recipe,
+            max(ij.body::text) FILTER (WHERE ij.kind='analysis') AS analysis
+     FROM items i
+     LEFT JOIN item_json ij ON ij.item_id = i.id
+     WHERE i.id=$1
+     GROUP BY i.id`,
+    [itemId]
+  );
+  const r = rows[0];
+  if (!r?.recipe) return null;
+  const { meta, recipe, analysis, ...item } = r;
+  return { item, meta: meta ? JSON.parse(meta) : {}, recipe: JSON.parse(recipe), analysis: analysis ? JSON.parse(analysis) : null };
+}
+
+// --- shared helpers ---
+function slugify(s, fallback = "recipe") {
+  const slug = String(s || "")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80);
+  return slug || fallback;
+}
+
+/** 90 -> "PT1H30M" */
+function isoDuration(minutes) {
+  if (!(minutes > 0)) return null;
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return `PT${h ? `${h}H` : ""}${m || !h ? `${m}M` : ""}`;
+}
+
+function minutesText(minutes) {
+  if (!(minutes > 0)) return null;
+  const h = Math.floor(minutes / 60);
+  const m = Math.round(minutes % 60);
+  return [h && `${h} h`, m && `${m} min`].filter(Boolean).join(" ");
+}
+
+// names keep their emoji in Markdown; other tools parse ingredient lines, so it's stripped there
+function ingredientLine(ing, { emoji = false } = {}) {
+  const name = emoji ? ing.name : stripEmoji(ing.name);
+  const line = [formatQuantity(ing.quantity, ing.unit), name].filter(Boolean).join(" ");
+  return ing.notes ? `${line}, ${ing.notes}` : line;
+}
+
+function details({ item, meta, recipe, analysis }) {
+  return {
+    title: recipe.title || item.title || meta.title || "Untitled recipe",
+    author: recipe.author || meta.author?.name || item.author_name || null,
+    url: meta.url || item.url || null,
+    image: item.thumb_url || null,
+    description: analysis?.summary || item.summary || null,
+    published: item.published_at ? new Date(item.published_at).toISOString() : null,
+    servings: recipe.servings ?? null,
+    totalMinutes: recipe.total_time_minutes ?? null,
+    ingredients: recipe.ingredients || [],
+    steps: recipe.steps || [],
+    tags: recipe.tags || []
+  };
+}
+
+// --- formats ---
+/** schema.org Recipe */
+export function toJsonLd(data) {
+  const d = details(data);
+  const doc = {
+    "@context": "https://schema.org",
+    "@type": "Recipe",
+    name: d.title,
+    description: d.description || undefined,
+    author: d.author ? { "@type": "Person", name: d.author } : undefined,
+    url: d.url || undefined,
+    image: d.image || undefined,
+    datePublished: d.published || undefined,
+    recipeYield: d.servings ? `${d.servings} servings` : undefined,
+    totalTime: isoDuration(d.totalMinutes) || undefined,
+    keywords: d.tags.length ? d.tags.join(", ") : undefined,
+    recipeIngredient: d.ingredients.map(i => ingredientLine(i)),
+    recipeInstructions: d.steps.map((s, idx) => ({
+      "@type": "HowToStep",
+      position: s.index ?? idx + 1,
+      text: s.instruction,
+      ...(s.timer_minutes ? { timeRequired: isoDuration(s.timer_minutes) } : {})
+    }))
+  };
+  return JSON.parse(JSON.stringify(doc)); // drop undefined keys
+}
+
+export function toMarkdown(data) {
+  const d = details(data);
+  const lines = [`# ${d.title}`, ""];
+  const byline = [d.author && `*by ${d.author}*`, d.url && `[Source](${d.url})`].filter(Boolean).join(" · ");
+  if (byline) lines.push(byline, "");
+  if (d.image) lines.push(`![${d.title}](${d.image})`, "");
+  const facts = [d.servings && `**Servings:** ${d.servings}`, d.totalMinutes && `**Total time:** ${minutesText(d.totalMinutes)}`].filter(Boolean);
+  if (facts.length) lines.push(facts.join(" · "), "");
+  if (d.description) lines.push(d.description, "");
+
+  lines.push("## Ingredients", "");
+  for (const i of d.ingredients) lines.push(`- ${ingredientLine(i, { emoji: true })}`);
+  lines.push("");
+
+  if (d.steps.length) {
+    lines.push("## Steps", "");
+    d.steps.forEach((s, idx) => {
+      lines.push(`${idx + 1}. ${s.instruction}${s.timer_minutes ? ` *(⏲ ${minutesText(s.timer_minutes)})*` : ""}`);
+    });
+    lines.push("");
+  }
+  if (d.tags.length) lines.push(`Tags: ${d.tags.map(t => `#${t.replace(/\s+/g, "-")}`).join(" ")}`, "");
+  return lines.join("\n");
+}
+
+/** Paprika recipe object (serialized gzipped as .paprikarecipe) */
+export function toPaprika(data) {
+  const d = details(data);
+  const uid = data.item.id;
+  const doc = {
+    uid,
+    name: d.title,
+    ingredients: d.ingredients.map(i => ingredientLine(i)).join("\n"),
+    directions: d.steps.map(s => s.instruction).join("\n\n"),
+    description: d.description || "",
+    notes: "",
+    servings: d.servings ? String(d.servings) : "",
+    total_time: minutesText(d.totalMinutes) || "",
+    prep_time: "",
+    cook_time: "",
+    source: d.author || "",
+    source_url: d.url || "",
+    image_url: d.image || "",
+    categories: d.tags,
+    rating: 0,
+    difficulty: "",
+    nutritional_info: "",
+    created: (d.published || new Date().toISOString()).slice(0, 19).replace("T", " "),
+    photo_data: null
+  };
+  doc.hash = crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex");
+  return doc;
+}
+
+/** Mealie recipe JSON (as accepted by its "import from JSON" / API) */
+export function toMealie(data) {
+  const d = details(data);
+  return {
+    name: d.title,
+    slug: slugify(d.title),
+    description: d.description || "",
+    orgURL: d.url,
+    image: d.image,
+    recipeYield: d.servings ? `${d.servings} servings` : null,
+    recipeServings: d.servings,
+    totalTime: minutesText(d.totalMinutes),
+    tags: d.tags.map(t => ({ name: t, slug: slugify(t) })),
+    recipeIngredient: d.ingredients.map(i => ({
+      quantity: i.quantity,
+      unit: i.unit ? { name: i.unit } : null,
+      food: { name: stripEmoji(i.name) },
+      note: i.notes || "",
+      display: ingredientLine(i),
+      originalText: ingredientLine(i, { emoji: true })
+    })),
+    recipeInstructions: d.steps.map(s => ({ title: "", text: s.instruction })),
+    extras: { recallr_item_id: data.item.id }
+  };
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function cooklangAmount(ing, piece = null) {
+  if (ing.quantity == null) return "{}";
+  const q = Math.round(ing.quantity * 100) / 100;
+  const unit = ing.unit || piece;
+  return unit ? `{${q}%${unit}}` : `{${q}}`;
+}
+
+/**
+ * Cooklang: ingredients are marked up where a step mentions them (`@olive oil{2%tbsp}`),
+ * step timers become `~{10%minutes}`; ingredients no step mentions go into a leading step.
+ */
+export function toCooklang(data) {
+  const d = details(data);
+  const lines = [`>> title: ${d.title}`];
+  if (d.url) lines.push(`>> source: ${d.url}`);
+  if (d.author) lines.push(`>> author: ${d.author}`);
+  if (d.servings) lines.push(`>> servings: ${d.servings}`);
+  if (d.totalMinutes) lines.push(`>> time required: ${d.totalMinutes} minutes`);
+  if (d.tags.length) lines.push(`>> tags: ${d.tags.join(", ")}`);
+  lines.push("");
+
+  const pending = d.ingredients.map(i => {
+    const { name, piece } = splitPieceWord(normalizeIngredientName(i.name));
+    return { ing: i, key: name, piece, used: false };
+  });
+  const steps = d.steps.map(s => {
+    let text = s.instruction.replace(/[@#~]/g, "");
+    for (const p of pending) {
+      if (p.used || !p.key) continue;
+      const re = new RegExp(`\\b${escapeRegExp(p.key)}(?:e?s)?\\b`, "i");
+      const m = text.match(re);
+      if (!m) continue;
+      text = text.slice(0, m.index) + `@${m[0]}${cooklangAmount(p.ing, p.piece)}` + text.slice(m.index + m[0].length);
+      p.used = true;
+    }
+    if (s.timer_minutes) text += ` ~{${s.timer_minutes}%minutes}`;
+    return text;
+  });
+
+  const unused = pending.filter(p => !p.used && p.key);
+  if (unused.length) steps.unshift(`Ingredients: ${unused.map(p => `@${p.key}${cooklangAmount(p.ing, p.piece)}`).join(", ")}`);
+  lines.push(steps.join("\n\n"), "");
+  return lines.join("\n");
+}
+
+// --- files ---
+/**
+ * renderExport(format, data) -> { filename, contentType, body }
+ * `data` is what loadRecipeForExport returns.
+ */
+export function renderExport(format, data) {
+  const slug = slugify(details(data).title);
+  switch (format) {
+    case "jsonld":
+      return { filename: `${slug}.jsonld`, contentType: "application/ld+json", body: JSON.stringify(toJsonLd(data), null, 2) };
+    case "markdown":
+      return { filename: `${slug}.md`, contentType: "text/markdown; charset=utf-8", body: toMarkdown(data) };
+    case "paprika":
+      return { filename: `${slug}.paprikarecipe`, contentType: "application/octet-stream", body: zlib.gzipSync(JSON.stringify(toPaprika(data))) };
+    case "mealie":
+      return { filename: `${slug}.json`, contentType: "application/json", body: JSON.stringify(toMealie(data), null, 2) };
+    case "cooklang":
+      return { filename: `${slug}.cook`, contentType: "text/plain; charset=utf-8", body: toCooklang(data) };
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
+
+/**
+ * Streams a zip with one file per recipe to `out` (an HTTP response).
+ * Paprika's bulk format (.paprikarecipes) is exactly such a zip of .paprikarecipe files.
+ */
+export async function writeExportArchive(out, format, recipes) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on("error", reject);
+    out.on("close", resolve);
+    archive.on("end", resolve);
+  });
+  archive.pipe(out);
+
+  const seen = new Map();
+  for (const data of recipes) {
+    const file = renderExport(format, data);
+    // two recipes with the same title must not overwrite each other
+    const n = (seen.get(file.filename) || 0) + 1;
+    seen.set(file.filename, n);
+    const name = n > 1 ? file.filename.replace(/(\.[^.]+)$/, `-${n}$1`) : file.filename;
+    archive.append(typeof file.body === "string" ? Buffer.from(file.body) : file.body, { name });
+  }
+  await archive.finalize();
+  return done;
+}
+
+export function archiveFilename(name, format) {
+  return `${slugify(name, "collection")}${format === "paprika" ? ".paprikarecipes" : `-${format}.zip`}`;
+}
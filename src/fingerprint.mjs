@@ -0,0 +1,118 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { probeVideo } from "./video.mjs";
+
+const pExecFile = promisify(execFile);
+
+// --- config ---
+// Perceptual fingerprints find the same video re-uploaded elsewhere (re-encoded, resized,
+// a watermark added), so its analysis can be reused instead of asking the model again.
+const FRAMES = Number(process.env.FINGERPRINT_FRAMES || 16);
+// optional: Chromaprint's fpcalc for the audio side; without it only frames are compared
+const FPCALC_BIN = process.env.FPCALC_BIN || "fpcalc";
+// a frame "matches" when its 64-bit dHash differs in at most this many bits
+const FRAME_MAX_BITS = 10;
+// reposts trim a little at either end
+const DURATION_TOLERANCE = 0.1;
+
+/**
+ * dHash (64 bits, hex) of FRAMES evenly spaced frames: each frame shrunk to 9×8 grey pixels,
+ * one bit per horizontal neighbour pair (left brighter than right).
+ */
+async function frameHashes(videoPath, duration) {
+  const { stdout } = await pExecFile("ffmpeg", [
+    "-v", "error", "-i", videoPath,
+    "-vf", `fps=${FRAMES / Math.max(duration, 0.1)},scale=9:8:flags=area,format=gray`,
+    "-frames:v", String(FRAMES), "-f", "rawvideo", "-"
+  ], { encoding: "buffer", maxBuffer: 1024 * 1024 * 10 });
+  const hashes = [];
+  for (let off = 0; off + 72 <= stdout.length; off += 72) {
+    let bits = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) bits = (bits << 1n) | (stdout[off + y * 9 + x] > stdout[off + y * 9 + x + 1] ? 1n : 0n);
+    }
+    hashes.push(bits.toString(16).padStart(16, "0"));
+  }
+  return hashes;
+}
+
+/** Chromaprint's raw fingerprint (32-bit ints, ~8 per second), or null without fpcalc / audio */
+async function audioPrint(videoPath) {
+  try {
+    const { stdout } = await pExecFile(FPCALC_BIN, ["-raw", "-json", "-length", "120", videoPath], { maxBuffer: 1024 * 1024 * 10 });
+    const fp = JSON.parse(stdout).fingerprint;
+    return Array.isArray(fp) && fp.length ? fp : null;
+  } catch {
+    return null;
+  }
+}
+
+/** -> { duration_sec, frames: [hex], audio: [int] | null }, or null when no frame could be read */
+export async function fingerprintVideo(videoPath) {
+  const { duration_sec } = await probeVideo(videoPath);
+  const frames = await frameHashes(videoPath, duration_sec);
+  if (!frames.length) return null;
+  return { duration_sec, frames, audio: await audioPrint(videoPath) };
+}
+
+// --- comparing ---
+function popcount32(n) {
+  n -= (n >>> 1) & 0x55555555;
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+const hexBits = (a, b) => {
+  const x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  return popcount32(Number(x >> 32n)) + popcount32(Number(x & 0xffffffffn));
+};
+
+/** Share of frames that match, allowing the sequences to be one frame apart (0..1) */
+export function frameSimilarity(a = [], b = []) {
+  let best = 0;
+  for (const shift of [-1, 0, 1]) {
+    let matched = 0;
+    let compared = 0;
+    for (let i = 0; i < a.length; i++) {
+      const j = i + shift;
+      if (j < 0 || j >= b.length) continue;
+      compared++;
+      if (hexBits(a[i], b[j]) <= FRAME_MAX_BITS) matched++;
+    }
+    if (compared) best = Math.max(best, matched / Math.max(a.length, b.length));
+  }
+  return best;
+}
+
+/** 1 − bit error rate of two Chromaprint fingerprints at their best offset (±2 s), or null */
+export function audioSimilarity(a, b) {
+  if (!a?.length || !b?.length) return null;
+  let best = 0;
+  for (let offset = -16; offset <= 16; offset++) {
+    let bits = 0;
+    let n = 0;
+    for (let i = Math.max(0, -offset); i < a.length && i + offset < b.length; i++) {
+      bits += popcount32((a[i] ^ b[i + offset]) >>> 0);
+      n++;
+    }
+    if (n >= 16) best = Math.max(best, 1 - bits / (n * 32));
+  }
+  return best;
+}
+
+export const durationsMatch = (a, b) => Math.abs(a - b) <= Math.max(a, b) * DURATION_TOLERANCE + 1;
+
+/** [min, max] length of a video that durationsMatch one of `sec` seconds (for candidate lookups) */
+export const durationRange = (sec) => [Math.max(0, sec * (1 - DURATION_TOLERANCE) - 1), (sec + 1) / (1 - DURATION_TOLERANCE)];
+
+/**
+ * Is `b` the same video as `a`? Trending sounds are reused by many unrelated videos, so
+ * audio alone never decides: frames must match, audio only tips the borderline cases.
+ * -> { duplicate, frames, audio }
+ */
+export function compareFingerprints(a, b) {
+  const frames = durationsMatch(a.duration_sec, b.duration_sec) ? frameSimilarity(a.frames, b.frames) : 0;
+  const audio = audioSimilarity(a.audio, b.audio);
+  const duplicate = frames >= 0.9 || (frames >= 0.75 && audio != null && audio >= 0.85);
+  return { duplicate, frames: Math.round(frames * 1000) / 1000, audio: audio == null ? null : Math.round(audio * 1000) / 1000 };
+}
@@ -27,4 +27,22 @@ export async function uploadLocalFileToGCS(localPath, { dstName } = {}) {
   });
 
   return `gs://${BUCKET}/${filename}`;
-}
\ No newline at end of file
+}
+
+// V4 signed URLs can't live longer than 7 days
+const MAX_SIGNED_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * V4 signed read URL for gs://bucket/object. Needs credentials that can sign
+ * (a service account key, or iam.serviceAccounts.signBlob on the runtime account).
+ */
+export async function signGcsReadUrl(gsUri, { expiresSec = 900 } = {}) {
+  const m = /^gs:\/\/([^/]+)\/(.+)$/.exec(String(gsUri));
+  if (!m) throw new Error(`Not a gs:// URI: ${gsUri}`);
+  const [url] = await storage.bucket(m[1]).file(m[2]).getSignedUrl({
+    version: "v4",
+    action: "read",
+    expires: Date.now() + Math.min(expiresSec, MAX_SIGNED_SECONDS) * 1000
+  });
+  return url;
+}
@@ -4,11 +4,52 @@ const PROJECT_ID = process.env.GCLOUD_PROJECT;
 const LOCATION   = process.env.GCLOUD_LOCATION || "us-central1";
 const MODEL      = process.env.GEMINI_MODEL || "gemini-2.5-flash-lite";
 
-const vertexAI = new VertexAI({ project: PROJECT_ID, location: LOCATION });
-const generativeModel = vertexAI.getGenerativeModel({ model: MODEL });
+// created on first use so importing this module never needs GCP credentials
+let generativeModel = null;
+function getGenerativeModel() {
+  if (!generativeModel) {
+    const vertexAI = new VertexAI({ project: PROJECT_ID, location: LOCATION });
+    generativeModel = vertexAI.getGenerativeModel({ model: MODEL });
+  }
+  return generativeModel;
+}
+
+// --- Plain JSON chat (text only; used when Vertex is the chat provider) ---
+export async function geminiChatJSON({ system, user }) {
+  const r = await getGenerativeModel().generateContent({
+    systemInstruction: { role: "system", parts: [{ text: system }] },
+    contents: [{ role: "user", parts: [{ text: user }] }],
+    generationConfig: { responseMimeType: "application/json" }
+  });
+  const text = r.response.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+  if (!text) throw new Error("Gemini chat response empty");
+  return JSON.parse(text);
+}
+
+// --- Multi-item posts (carousels, photo slideshows) ---
+// `media` replaces the single video: [{ index, type, mimeType, data? (base64, images), fileUri? (gs://, clips) }]
+const MULTI_ITEM_RULES = `
+MULTI-ITEM POSTS
+- The post is a carousel/slideshow: its images and clips follow in order, each introduced by "Item N (image|video)".
+- Treat them as ONE post; merge what they show in item order and don't repeat what several items share.
+- Read text in images carefully (OCR): recipe cards, ingredient lists, captions printed on photos, handwritten notes.
+- Anything read from an image counts as on-screen text (provenance source "ocr").
+`;
+
+function mediaParts(media) {
+  return media.flatMap(m => [
+    { text: `Item ${m.index} (${m.type})` },
+    m.data ? { inlineData: { mimeType: m.mimeType, data: m.data } } : { fileData: { mimeType: m.mimeType, fileUri: m.fileUri } }
+  ]);
+}
+
+function postParts({ gcsUri, media }) {
+  return media?.length ? mediaParts(media) : [{ fileData: { mimeType: "video/mp4", fileUri: gcsUri } }];
+}
 
 // --- General post extractor (works for ANY video, not just recipes) ---
-export async function analyzeVideoGeneral({ gcsUri, meta }) {
+// `feedback` is appended to the user turn when re-asking after a schema violation (see schemas.mjs)
+export async function analyzeVideoGeneral({ gcsUri, media = null, meta, feedback = "" }) {
   const system = `
 You analyze short social videos (reels/shorts/tiktoks).
 Return ONLY valid JSON with this schema:
@@ -77,23 +118,23 @@ URL: ${meta.url}
 Post ID: ${meta.post_id}
 Title: ${meta.title || ""}
 
-Return JSON only.
+Return JSON only.${feedback}
 `;
 
   const req = {
-    systemInstruction: { role: "system", parts: [{ text: system }] },
-    contents: [{ role: "user", parts: [{ text: user }, { fileData: { mimeType: "video/mp4", fileUri: gcsUri } }] }],
+    systemInstruction: { role: "system", parts: [{ text: media?.length ? system + MULTI_ITEM_RULES : system }] },
+    contents: [{ role: "user", parts: [{ text: user }, ...postParts({ gcsUri, media })] }],
     generationConfig: { responseMimeType: "application/json" }
   };
 
-  const r = await generativeModel.generateContent(req);
+  const r = await getGenerativeModel().generateContent(req);
   const text = r.response.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
   if (!text) throw new Error("Gemini general analysis empty");
   return JSON.parse(text);
 }
 
 // --- Recipe extractor (richer JSON for food) ---
-export async function extractRecipeFromVideo({ gcsUri, meta, allowInference = true }) {
+export async function extractRecipeFromVideo({ gcsUri, media = null, meta, allowInference = true, feedback = "" }) {
   const system = `
 You extract recipes from social videos and return ONLY valid JSON:
 
@@ -161,16 +202,16 @@ URL: ${meta.url}
 Post ID: ${meta.post_id}
 Title: ${meta.title || ""}
 
-Return JSON only.
+Return JSON only.${feedback}
 `;
 
   const req = {
-    systemInstruction: { role: "system", parts: [{ text: system }] },
-    contents: [{ role: "user", parts: [{ text: user }, { fileData: { mimeType: "video/mp4", fileUri: gcsUri } }] }],
+    systemInstruction: { role: "system", parts: [{ text: media?.length ? system + MULTI_ITEM_RULES : system }] },
+    contents: [{ role: "user", parts: [{ text: user }, ...postParts({ gcsUri, media })] }],
     generationConfig: { responseMimeType: "application/json" }
   };
 
-  const r = await generativeModel.generateContent(req);
+  const r = await getGenerativeModel().generateContent(req);
   const text = r.response.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
   if (!text) throw new Error("Gemini recipe response empty");
   return JSON.parse(text);
@@ -1,14 +1,48 @@
 import "dotenv/config";
-import fs from "node:fs";
-import path from "node:path";
-import pg from "pg";
+import { pool } from "./db.mjs";
+import { migrateUp, migrateDown, migrationStatus, createMigration } from "./migrator.mjs";
 
-const sql = fs.readFileSync(path.resolve("src/sql/migrations.sql"), "utf8");
-const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
+// usage:
+//   node src/migrate.mjs [up] [--to N]          apply pending migrations (default)
+//   node src/migrate.mjs down [steps] [--to N]  roll back the last `steps` (default 1) or down to version N
+//   node src/migrate.mjs status                 list migrations and their state
+//   node src/migrate.mjs create <name>          new empty NNNN_name.up.sql / .down.sql
+const [command = "up", ...args] = process.argv.slice(2);
+
+function option(name) {
+  const i = args.indexOf(`--${name}`);
+  if (i < 0) return null;
+  const v = Number(args[i + 1]);
+  if (!Number.isInteger(v) || v < 0) throw new Error(`--${name} needs a version number`);
+  return v;
+}
 
 try {
-  await pool.query(sql);
-  console.log("✓ Migrations applied");
+  if (command === "up") {
+    const done = await migrateUp({ to: option("to") ?? Infinity });
+    console.log(done.length ? "✓ Migrations applied" : "✓ Already up to date");
+  } else if (command === "down") {
+    const to = option("to");
+    const steps = to == null && args[0] ? Number(args[0]) : 1;
+    if (!Number.isInteger(steps) || steps < 1) throw new Error("steps must be a positive integer");
+    const done = await migrateDown({ steps, to });
+    if (!done.length) console.log("Nothing to roll back");
+  } else if (command === "status") {
+    const rows = await migrationStatus();
+    for (const r of rows) {
+      const when = r.applied_at ? new Date(r.applied_at).toISOString() : "";
+      console.log(`${String(r.version).padStart(4, "0")}  ${r.state.padEnd(8)}  ${r.name}${r.reversible ? "" : " (irreversible)"}  ${when}`);
+    }
+    if (rows.some(r => r.state === "modified" || r.state === "missing")) process.exitCode = 1;
+  } else if (command === "create") {
+    const { up, down } = createMigration(args.join(" "));
+    console.log(`✓ Created ${up}\n  and ${down}`);
+  } else {
+    throw new Error(`Unknown command "${command}" (use up, down, status or create)`);
+  }
+} catch (e) {
+  console.error("✗", e.message);
+  process.exitCode = 1;
 } finally {
   await pool.end();
-}
\ No newline at end of file
+}
@@ -0,0 +1,186 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { pool } from "./db.mjs";
+
+// --- config ---
+// NNNN_name.up.sql (+ optional NNNN_name.down.sql); a migration without a down file can't be rolled back
+export const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "sql", "migrations");
+const FILE_RE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+// any constant works as long as every process uses the same one
+const LOCK_KEY = 724_101_001;
+// first line of a migration that can't run inside a transaction (e.g. CREATE INDEX CONCURRENTLY)
+const NO_TX = /^--\s*migrate:no-transaction/m;
+
+const checksum = (sql) => crypto.createHash("sha256").update(sql).digest("hex");
+
+/** [{ version, name, up, down, checksum }] sorted by version, read from MIGRATIONS_DIR */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = file.match(FILE_RE);
+    if (!m) continue;
+    const version = Number(m[1]);
+    const entry = byVersion.get(version) || { version, name: m[2], up: null, down: null };
+    if (entry.name !== m[2]) throw new Error(`Migration ${version} has two names: ${entry.name}, ${m[2]}`);
+    entry[m[3]] = fs.readFileSync(path.join(dir, file), "utf8");
+    byVersion.set(version, entry);
+  }
+  return [...byVersion.values()]
+    .map(m => {
+      if (m.up == null) throw new Error(`Migration ${m.version}_${m.name} has no .up.sql`);
+      return { ...m, checksum: checksum(m.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+// --- locking + history ---
+/** Runs fn(client) while holding the migration advisory lock, so concurrent boots apply each migration once. */
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INT PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          duration_ms INT,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )`);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+  return new Map(rows.map(r => [r.version, r]));
+}
+
+async function runSql(client, sql, after) {
+  if (NO_TX.test(sql)) {
+    await client.query(sql);
+    await after();
+    return;
+  }
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await after();
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
+  }
+}
+
+function assertUnchanged(migrations, applied) {
+  const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+  if (changed.length) {
+    throw new Error(`Applied migrations were modified: ${changed.map(m => `${m.version}_${m.name}`).join(", ")}. ` +
+      "Add a new migration instead of editing an applied one.");
+  }
+}
+
+// --- commands ---
+/** Applies pending migrations (up to `to`, inclusive). Returns the applied [{version, name, duration_ms}]. */
+export async function migrateUp({ to = Infinity, log = console.log } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMigrations(client);
+    assertUnchanged(migrations, applied);
+
+    const done = [];
+    for (const m of migrations) {
+      if (m.version > to || applied.has(m.version)) continue;
+      const t0 = Date.now();
+      await runSql(client, m.up, async () => {
+        await client.query(
+          "INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1,$2,$3,$4)",
+          [m.version, m.name, m.checksum, Date.now() - t0]
+        );
+      });
+      done.push({ version: m.version, name: m.name, duration_ms: Date.now() - t0 });
+      log(`✓ ${String(m.version).padStart(4, "0")}_${m.name} (${Date.now() - t0} ms)`);
+    }
+    return done;
+  });
+}
+
+/** Rolls back the last `steps` migrations, or everything above version `to`. */
+export async function migrateDown({ steps = 1, to = null, log = console.log } = {}) {
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+  return withMigrationLock(async (client) => {
+    const applied = [...(await appliedMigrations(client)).values()].sort((a, b) => b.version - a.version);
+    const targets = to != null ? applied.filter(a => a.version > to) : applied.slice(0, steps);
+
+    // check the whole batch first so we never stop half-way on a missing down file
+    for (const a of targets) {
+      const m = migrations.get(a.version);
+      if (!m) throw new Error(`Migration ${a.version}_${a.name} is applied but its files are missing`);
+      if (m.down == null) throw new Error(`Migration ${a.version}_${a.name} has no .down.sql and can't be rolled back`);
+    }
+
+    const done = [];
+    for (const a of targets) {
+      const m = migrations.get(a.version);
+      const t0 = Date.now();
+      await runSql(client, m.down, () => client.query("DELETE FROM schema_migrations WHERE version=$1", [m.version]));
+      done.push({ version: m.version, name: m.name, duration_ms: Date.now() - t0 });
+      log(`↩ ${String(m.version).padStart(4, "0")}_${m.name} (${Date.now() - t0} ms)`);
+    }
+    return done;
+  });
+}
+
+/** [{ version, name, state: applied|pending|modified|missing, applied_at, reversible }] */
+export async function migrationStatus() {
+  const migrations = loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMigrations(client);
+    const out = migrations.map(m => {
+      const a = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        state: !a ? "pending" : a.checksum === m.checksum ? "applied" : "modified",
+        applied_at: a?.applied_at || null,
+        reversible: m.down != null
+      };
+    });
+    for (const a of applied.values()) {
+      if (!migrations.some(m => m.version === a.version)) {
+        out.push({ version: a.version, name: a.name, state: "missing", applied_at: a.applied_at, reversible: false });
+      }
+    }
+    return out.sort((x, y) => x.version - y.version);
+  });
+}
+
+/** Writes empty NNNN_name.up.sql / .down.sql files with the next version number; returns their paths. */
+export function createMigration(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!slug) throw new Error("Migration name required");
+  const next = (loadMigrations(dir).at(-1)?.version || 0) + 1;
+  const base = `${String(next).padStart(4, "0")}_${slug}`;
+  const up = path.join(dir, `${base}.up.sql`);
+  const down = path.join(dir, `${base}.down.sql`);
+  fs.writeFileSync(up, `-- ${base}\n\n`, { flag: "wx" });
+  fs.writeFileSync(down, `-- ${base} (rollback)\n\n`, { flag: "wx" });
+  return { up, down };
+}
+
+/** For server/worker boot: applies pending migrations when MIGRATE_ON_BOOT=true. */
+export async function migrateOnBoot() {
+  if (String(process.env.MIGRATE_ON_BOOT || "false").toLowerCase() !== "true") return;
+  const done = await migrateUp({ log: () => {} });
+  if (done.length) console.log(`✓ Applied ${done.length} migration(s): ${done.map(m => `${m.version}_${m.name}`).join(", ")}`);
+}
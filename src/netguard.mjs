@@ -0,0 +1,107 @@
+import dns from "node:dns";
+import net from "node:net";
+import http from "node:http";
+import https from "node:https";
+
+// --- config ---
+// Web pages, feeds, thumbnails, carousel media and webhooks are user-supplied URLs, and what
+// comes back is stored and shown to the user, so those requests must never reach the API's own
+// network: loopback, private, link-local (cloud metadata), CGNAT, multicast, reserved.
+// local development only: lets page, feed and media fetches reach localhost and private networks
+const FETCH_ALLOW_PRIVATE = String(process.env.FETCH_ALLOW_PRIVATE || "false").toLowerCase() === "true";
+const MAX_REDIRECTS = 5;
+
+// --- addresses ---
+const PRIVATE = new net.BlockList();
+for (const [net4, bits] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]]) {
+  PRIVATE.addSubnet(net4, bits, "ipv4");
+}
+for (const [net6, bits] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96]]) {
+  PRIVATE.addSubnet(net6, bits, "ipv6");
+}
+
+/** true for addresses outside the public internet (IPv4-mapped IPv6 is checked as IPv4; non-IPs count as private) */
+export function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  if (!family) return true;
+  return PRIVATE.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * dns.lookup that fails (code EBLOCKED) when the host resolves to a private address. Used as
+ * the socket's `lookup`, so the address checked is the one connected to (no DNS rebinding).
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(Object.assign(new Error(`${hostname} resolves to a blocked address (${blocked.address})`), { code: "EBLOCKED" }));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/** -> null when `host` (name or IP literal, brackets allowed) is public, else the reason */
+export async function hostError(host) {
+  host = host.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return isPrivateAddress(host) ? `${host} is not a public address` : null;
+  try {
+    await new Promise((resolve, reject) => publicLookup(host, {}, (err) => (err ? reject(err) : resolve())));
+    return null;
+  } catch (e) {
+    return e.code === "EBLOCKED" ? e.message : `Can't resolve ${host}`;
+  }
+}
+
+// --- fetching ---
+function request(u, { headers, signal, allowPrivate }) {
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  // IP literals never go through `lookup`
+  if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) return Promise.reject(new Error(`${host} is not a public address`));
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      headers,
+      signal,
+      ...(allowPrivate ? {} : { lookup: publicLookup })
+    }, resolve);
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+/**
+ * GET from public addresses only. Redirects are followed by hand (at most MAX_REDIRECTS) so
+ * every hop is checked again. `signal` covers the whole exchange, body included.
+ * -> the response (http.IncomingMessage, headers lowercased) with `url` set to the final URL
+ */
+export async function getPublic(url, { headers = {}, signal, allowPrivate = FETCH_ALLOW_PRIVATE } = {}) {
+  let u = new URL(url);
+  for (let hop = 0; ; hop++) {
+    if (!/^https?:$/.test(u.protocol)) throw new Error(`Unsupported protocol ${u.protocol}`);
+    const res = await request(u, { headers, signal, allowPrivate });
+    const location = res.headers.location;
+    if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+      res.resume();
+      if (hop >= MAX_REDIRECTS) throw new Error("Too many redirects");
+      u = new URL(location, u);
+      continue;
+    }
+    res.url = u.toString();
+    return res;
+  }
+}
+
+/** The response body, or null once it passes `maxBytes` (the response is destroyed then). */
+export async function readCapped(res, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > maxBytes) { res.destroy(); return null; }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,223 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { normalizeUnit, densityFor, convertQuantity } from "./units.mjs";
+import { normalizeIngredientName, splitPieceWord, singularize } from "./shopping.mjs";
+
+// --- config ---
+// Nutrition is estimated locally from recipe ingredients: names are matched against a bundled
+// food composition table (USDA-derived, per 100 g) and quantities converted to grams.
+export const NUTRITION_VERSION = 1;
+const FOODS_FILE = process.env.NUTRITION_FOODS_FILE
+  || path.join(path.dirname(fileURLToPath(import.meta.url)), "foods.csv");
+// weaker name matches count as unmatched
+const MIN_CONFIDENCE = Number(process.env.NUTRITION_MIN_CONFIDENCE || 0.5);
+
+// nutrient -> items column (per serving) used by the min_/max_ filters
+export const NUTRIENTS = {
+  kcal: "kcal_per_serving",
+  protein: "protein_g_per_serving",
+  fat: "fat_g_per_serving",
+  carbs: "carbs_g_per_serving",
+  fiber: "fiber_g_per_serving",
+  sodium: "sodium_mg_per_serving"
+};
+const FIELDS = ["kcal", "protein_g", "fat_g", "carbs_g", "fiber_g", "sodium_mg"];
+
+// words that describe the ingredient, not the food ("2 large eggs, beaten")
+const SIZE_FACTORS = { small: 0.75, klein: 0.75, kleine: 0.75, medium: 1, mittel: 1, large: 1.25, big: 1.25, groß: 1.25, große: 1.25, jumbo: 1.5 };
+export const FILLER_WORDS = new Set([
+  ...Object.keys(SIZE_FACTORS), "fresh", "frisch", "frische", "chopped", "diced", "minced", "sliced", "finely", "roughly",
+  "thinly", "peeled", "crushed", "softened", "melted", "cold", "warm", "room", "temperature", "organic", "ripe",
+  "about", "approx", "of", "a", "to", "taste", "optional", "gehackt", "gehackte", "gewürfelt", "gewürfelte"
+]);
+// count units with a typical weight when the food has none of its own (grams, lower confidence)
+const GENERIC_PIECES = { pinch: 0.4, prise: 0.4, dash: 0.6, handful: 30, handvoll: 30, bunch: 30, bund: 30, slice: 30, scheibe: 30, can: 400, dose: 400, tin: 400, stick: 113, sprig: 1, packet: 10, päckchen: 10, cube: 10, sheet: 275 };
+// count units that mean "one of the food" (its piece_g)
+const WHOLE = new Set(["piece", "pc", "pcs", "whole", "stück", "stk", "st", "ea", "each", "medium", "large", "small"]);
+// names where a word is part of a different food than its alias says ("cream of tartar" isn't cream);
+// aliases may only match these phrases as a whole, not a word inside them
+const NOT_ALIASES = ["cream of tartar", "sugar snap", "butter bean", "butter lettuce", "egg noodle", "cream cracker", "salt cod"]
+  .map(p => p.split(" "));
+
+// --- food table ---
+let foods = null;
+
+/**
+ * foods.csv: comma-separated, no quoting; `#` lines are comments. aliases, pieces and contains
+ * are `|`-separated ("clove:3|head:40"). Loaded once, on first use.
+ */
+export function loadFoods(file = FOODS_FILE) {
+  if (foods && file === FOODS_FILE) return foods;
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/).filter(l => l.trim() && !l.startsWith("#"));
+  const header = lines.shift().split(",").map(h => h.trim());
+  const num = (v) => (v === "" || v == null ? null : Number(v));
+  const table = { aliases: new Map(), count: 0, source: path.basename(file) };
+  for (const line of lines) {
+    const cols = line.split(",");
+    const row = Object.fromEntries(header.map((h, i) => [h, (cols[i] ?? "").trim()]));
+    const food = {
+      name: row.name,
+      per100: Object.fromEntries(FIELDS.map(f => [f, num(row[f]) || 0])),
+      density: num(row.density_g_ml),
+      piece_g: num(row.piece_g),
+      pieces: Object.fromEntries(row.pieces ? row.pieces.split("|").map(p => { const [k, g] = p.split(":"); return [k.trim(), Number(g)]; }) : []),
+      // diet categories beyond what the name says; null: depends on the recipe (see diet.mjs)
+      contains: row.contains === "?" ? null : (row.contains ? row.contains.split("|").map(c => c.trim()) : [])
+    };
+    for (const alias of new Set([row.name, ...row.aliases.split("|")].map(a => a.trim().toLowerCase()).filter(Boolean))) {
+      if (!table.aliases.has(alias)) table.aliases.set(alias, food);
+    }
+    table.count++;
+  }
+  if (file === FOODS_FILE) foods = table;
+  return table;
+}
+
+// --- matching ---
+/**
+ * Best food for an ingredient name: the alias with the most words that appears in the
+ * normalized name as whole words ("2 red onions, diced" -> onion). Confidence is 1 when the
+ * alias covers every descriptive word, down to 0.6 when it covers a small part of the name.
+ * -> { food, alias, confidence, piece, size } or null
+ */
+export function matchFood(name, table = loadFoods()) {
+  const { name: normalized, piece } = splitPieceWord(normalizeIngredientName(name));
+  const words = normalized.replace(/[^\p{L}\p{N}' -]/gu, " ").split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  const size = words.map(w => SIZE_FACTORS[w]).find(Boolean) || 1;
+  const content = words.filter(w => !FILLER_WORDS.has(w));
+
+  // word spans [start, end) of NOT_ALIASES phrases in the name
+  const spans = [];
+  for (const p of NOT_ALIASES) {
+    for (let i = 0; i + p.length <= words.length; i++) {
+      if (p.every((w, j) => words[i + j] === w || singularize(words[i + j]) === w)) spans.push([i, i + p.length]);
+    }
+  }
+  const cutsSpan = (i, end) => spans.some(([s, e]) => i < e && end > s && (i > s || end < e));
+
+  let best = null;
+  for (let len = Math.min(words.length, 5); len >= 1 && !best; len--) {
+    for (let i = 0; i + len <= words.length; i++) {
+      if (cutsSpan(i, i + len)) continue;
+      const phrase = words.slice(i, i + len);
+      const alias = phrase.join(" ");
+      // "chopped tomatoes" -> normalized already singular; inner plurals ("tomatoes paste") too
+      const food = table.aliases.get(alias) || table.aliases.get(phrase.map(singularize).join(" "));
+      if (food) { best = { food, alias, words: len }; break; }
+    }
+  }
+  if (!best) return null;
+  const confidence = best.words >= content.length ? 1 : 0.6 + 0.4 * (best.words / Math.max(content.length, 1));
+  return { food: best.food, alias: best.alias, confidence: Math.round(confidence * 100) / 100, piece, size };
+}
+
+/**
+ * Grams for a quantity of a matched food -> { grams, source, factor } where factor (0..1)
+ * lowers the ingredient's confidence for guessed conversions, or null when it can't be converted.
+ */
+export function toGrams(quantity, unit, match) {
+  const { food, piece, size } = match;
+  const norm = normalizeUnit(unit);
+  if (norm.kind === "mass") return { grams: convertQuantity(quantity, norm.unit, "g"), source: "mass", factor: 1 };
+  if (norm.kind === "volume") {
+    const density = food.density || densityFor(food.name);
+    if (density) return { grams: convertQuantity(quantity, norm.unit, "g", { density }), source: "volume", factor: 1 };
+    return { grams: convertQuantity(quantity, norm.unit, "g", { density: 1 }), source: "volume_water", factor: 0.7 };
+  }
+  // counts: "2 cloves" (unit), "2 garlic cloves" (piece word in the name), "2 eggs" (no unit)
+  const word = norm.unit ? singularize(String(norm.unit).toLowerCase().replace(/\.$/, "")) : piece;
+  if (word && !WHOLE.has(word)) {
+    if (food.pieces[word]) return { grams: quantity * food.pieces[word] * size, source: "piece", factor: 1 };
+    if (GENERIC_PIECES[word]) return { grams: quantity * GENERIC_PIECES[word] * size, source: "estimate", factor: 0.6 };
+    return null;
+  }
+  if (food.piece_g) return { grams: quantity * food.piece_g * (SIZE_FACTORS[word] || size), source: "piece", factor: 1 };
+  return null;
+}
+
+// --- estimation ---
+const round = (n, d = 1) => Math.round(n * 10 ** d) / 10 ** d;
+
+function roundNutrients(n) {
+  return {
+    kcal: Math.round(n.kcal),
+    protein_g: round(n.protein_g),
+    fat_g: round(n.fat_g),
+    carbs_g: round(n.carbs_g),
+    fiber_g: round(n.fiber_g),
+    sodium_mg: Math.round(n.sodium_mg)
+  };
+}
+
+/**
+ * Total and per-serving kcal / macros / fiber / sodium of a recipe. Every ingredient reports
+ * the food it matched, its weight and `match_confidence`; ingredients without a match or a
+ * convertible quantity ("salt to taste") contribute nothing and carry a `note`.
+ * `coverage` is the share of ingredients counted, `confidence` the mean ingredient confidence
+ * (0 for those not counted). per_serving is null when the recipe has no servings.
+ */
+export function estimateNutrition(recipe, { table = loadFoods() } = {}) {
+  const total = Object.fromEntries(FIELDS.map(f => [f, 0]));
+  let counted = 0;
+  let confidenceSum = 0;
+
+  const ingredients = (recipe?.ingredients || []).map(ing => {
+    const out = { name: ing.name, quantity: ing.quantity ?? null, unit: ing.unit ?? null, food: null, grams: null, grams_source: null, match_confidence: 0 };
+    const match = matchFood(ing.name, table);
+    if (!match || match.confidence < MIN_CONFIDENCE) return { ...out, note: "no matching food" };
+    out.food = match.food.name;
+    out.match_confidence = match.confidence;
+    if (ing.quantity == null || !(Number(ing.quantity) > 0)) return { ...out, note: "no quantity" };
+
+    const g = toGrams(Number(ing.quantity), ing.unit, match);
+    if (!g || g.grams == null) return { ...out, note: `can't convert ${ing.unit || "pieces"} to grams` };
+    const nutrients = Object.fromEntries(FIELDS.map(f => [f, match.food.per100[f] * g.grams / 100]));
+    for (const f of FIELDS) total[f] += nutrients[f];
+    counted++;
+    confidenceSum += match.confidence * g.factor;
+    return { ...out, grams: round(g.grams), grams_source: g.source, ...roundNutrients(nutrients) };
+  });
+
+  const servings = Number(recipe?.servings) > 0 ? Number(recipe.servings) : null;
+  return {
+    version: NUTRITION_VERSION,
+    source: table.source,
+    servings,
+    total: roundNutrients(total),
+    per_serving: servings ? roundNutrients(Object.fromEntries(FIELDS.map(f => [f, total[f] / servings]))) : null,
+    coverage: ingredients.length ? round(counted / ingredients.length, 2) : 0,
+    confidence: ingredients.length ? round(confidenceSum / ingredients.length, 2) : 0,
+    ingredients,
+    computed_at: new Date().toISOString()
+  };
+}
+
+// --- filters (API) ---
+/**
+ * min_kcal / max_kcal, min_protein ... max_sodium (per serving) from a query string or JSON body.
+ * -> { filters: [[column, op, value]] } or { error } for a 400. Items without nutrition never
+ * match a nutrition filter.
+ */
+export function parseNutritionFilters(source = {}) {
+  const filters = [];
+  for (const [nutrient, column] of Object.entries(NUTRIENTS)) {
+    for (const [prefix, op] of [["min_", ">="], ["max_", "<="]]) {
+      const raw = source[prefix + nutrient];
+      if (raw === undefined || raw === null || raw === "") continue;
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < 0) return { error: `${prefix}${nutrient} must be a non-negative number` };
+      filters.push([column, op, value]);
+    }
+  }
+  return { filters };
+}
+
+/** SQL clauses for parsed filters against items `i`; appends to `params` in place. */
+export function nutritionClauses(filters = [], params) {
+  return filters.map(([column, op, value]) => {
+    params.push(value);
+    return `i.${column} ${op} $${params.length}`;
+  });
+}
@@ -0,0 +1,252 @@
+import { normalizeIngredientName } from "./shopping.mjs";
+
+// --- config ---
+// User overlays: what one user adds to an item in their library (rating, notes, cook log, recipe
+// edits). They are stored on user_items / cook_log and merged over the model output on read, so
+// rebuilding the item replaces the model output underneath but keeps them.
+export const ITEM_SORTS = ["newest", "rating", "cooked"];
+export const SEARCH_SORTS = ["relevance", "rating", "cooked"];
+const RECIPE_FIELDS = ["title", "servings", "total_time_minutes"];
+const MAX_EDITS = 200;
+
+// --- rating / cook log ---
+/** 1..5, or null to clear -> { rating } or { error } */
+export function parseRating(value) {
+  if (value === null) return { rating: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 5) return { error: "rating must be an integer from 1 to 5 or null" };
+  return { rating: n };
+}
+
+/** "cooked on" date of a cook log entry: YYYY-MM-DD, default today (UTC) -> { cookedOn } or { error } */
+export function parseCookedOn(value) {
+  if (value == null || value === "") return { cookedOn: new Date().toISOString().slice(0, 10) };
+  const t = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+  // Date.parse rolls 2024-02-30 over to March; only real calendar dates round-trip
+  if (Number.isNaN(t) || new Date(t).toISOString().slice(0, 10) !== value) return { error: "cooked_on must be a date (YYYY-MM-DD)" };
+  return { cookedOn: String(value) };
+}
+
+/** Recomputes user_items.cooked_count / last_cooked_on from cook_log (same transaction as the change). */
+export async function refreshCookStats(client, userId, itemId) {
+  const { rows } = await client.query(
+    `UPDATE user_items ui
+     SET cooked_count = s.n, last_cooked_on = s.last, updated_at = now()
+     FROM (SELECT count(*)::int AS n, max(cooked_on) AS last FROM cook_log WHERE user_id=$1 AND item_id=$2) s
+     WHERE ui.user_id=$1 AND ui.item_id=$2
+     RETURNING ui.cooked_count, ui.last_cooked_on::text AS last_cooked_on`,
+    [userId, itemId]
+  );
+  return rows[0] || null;
+}
+
+// --- recipe edits ---
+// Edits are operations on the model's recipe, not a copy of it, so a rebuild's better extraction
+// still shows through. Ingredients are addressed by name ("spaghetti" finds "🍝 Spaghetti, dried"),
+// steps by index plus the instruction they had when the edit was made.
+const sameIngredient = (a, b) => normalizeIngredientName(a || "") === normalizeIngredientName(b || "");
+
+function ingredientValue(v, { partial = false } = {}) {
+  if (typeof v !== "object" || v === null || Array.isArray(v)) return { error: "must be an object" };
+  const out = {};
+  if (v.name !== undefined || !partial) {
+    if (typeof v.name !== "string" || !v.name.trim()) return { error: "name must be a non-empty string" };
+    out.name = v.name.trim();
+  }
+  if (v.quantity !== undefined) {
+    if (v.quantity !== null && !(Number(v.quantity) >= 0)) return { error: "quantity must be a non-negative number or null" };
+    out.quantity = v.quantity === null ? null : Number(v.quantity);
+  } else if (!partial) out.quantity = null;
+  for (const k of ["unit", "notes"]) {
+    if (v[k] !== undefined) {
+      if (v[k] !== null && typeof v[k] !== "string") return { error: `${k} must be a string or null` };
+      out[k] = v[k];
+    } else if (!partial) out[k] = null;
+  }
+  if (partial && !Object.keys(out).length) return { error: "set needs name, quantity, unit or notes" };
+  return { value: out };
+}
+
+function stepValue(v, { partial = false } = {}) {
+  if (typeof v !== "object" || v === null || Array.isArray(v)) return { error: "must be an object" };
+  const out = {};
+  if (v.instruction !== undefined || !partial) {
+    if (typeof v.instruction !== "string" || !v.instruction.trim()) return { error: "instruction must be a non-empty string" };
+    out.instruction = v.instruction.trim();
+  }
+  if (v.timer_minutes !== undefined) {
+    if (v.timer_minutes !== null && !(Number(v.timer_minutes) >= 0)) return { error: "timer_minutes must be a non-negative number or null" };
+    out.timer_minutes = v.timer_minutes === null ? null : Number(v.timer_minutes);
+  } else if (!partial) out.timer_minutes = null;
+  if (partial && !Object.keys(out).length) return { error: "set needs instruction or timer_minutes" };
+  return { value: out };
+}
+
+/**
+ * Validates a PUT /items/:id/recipe-edits body against the current model recipe:
+ * { title?, servings?, total_time_minutes?,
+ *   ingredients?: [{ op: "update", name, set } | { op: "add", after?, value } | { op: "remove", name }],
+ *   steps?: [{ op: "update", index, set } | { op: "add", after?, value } | { op: "remove", index }] }
+ * Step targets are stored with the instruction they point at (`was`) so a rebuild that reorders
+ * steps can't redirect them. -> { edits } or { error } for a 400
+ */
+export function parseRecipeEdits(input, recipe) {
+  if (typeof input !== "object" || input === null || Array.isArray(input)) return { error: "Body must be an object" };
+  if (!recipe) return { error: "No recipe for this item" };
+  const edits = {};
+  if (input.title !== undefined) {
+    if (typeof input.title !== "string" || !input.title.trim()) return { error: "title must be a non-empty string" };
+    edits.title = input.title.trim();
+  }
+  for (const k of ["servings", "total_time_minutes"]) {
+    if (input[k] === undefined) continue;
+    if (input[k] !== null && !(Number(input[k]) > 0)) return { error: `${k} must be a positive number or null` };
+    edits[k] = input[k] === null ? null : Number(input[k]);
+  }
+
+  const ingredients = recipe.ingredients || [];
+  const steps = recipe.steps || [];
+  const findIngredient = (name) => typeof name === "string" && ingredients.some(i => sameIngredient(i.name, name));
+  const stepAt = (index) => steps.find(s => s.index === Number(index));
+
+  for (const [list, key] of [[input.ingredients, "ingredients"], [input.steps, "steps"]]) {
+    if (list === undefined) continue;
+    if (!Array.isArray(list)) return { error: `${key} must be an array of edits` };
+    if (list.length > MAX_EDITS) return { error: `At most ${MAX_EDITS} ${key} edits` };
+    edits[key] = [];
+    for (const [n, e] of list.entries()) {
+      const at = `${key}[${n}]`;
+      if (!["update", "add", "remove"].includes(e?.op)) return { error: `${at}.op must be update, add or remove` };
+      const parse = key === "ingredients" ? ingredientValue : stepValue;
+      const out = { op: e.op };
+      if (e.op === "add") {
+        const v = parse(e.value);
+        if (v.error) return { error: `${at}.value: ${v.error}` };
+        out.value = v.value;
+        if (e.after != null) {
+          if (key === "ingredients" && !findIngredient(e.after)) return { error: `${at}.after: no ingredient "${e.after}" in the recipe` };
+          if (key === "steps" && !stepAt(e.after)) return { error: `${at}.after: no step ${e.after} in the recipe` };
+          out.after = key === "ingredients" ? e.after : Number(e.after);
+          if (key === "steps") out.after_was = stepAt(e.after).instruction;
+        }
+      } else if (key === "ingredients") {
+        if (!findIngredient(e.name)) return { error: `${at}.name: no ingredient "${e.name}" in the recipe` };
+        out.name = e.name;
+      } else {
+        const step = stepAt(e.index);
+        if (!step) return { error: `${at}.index: no step ${e.index} in the recipe` };
+        out.index = step.index;
+        out.was = step.instruction;
+      }
+      if (e.op === "update") {
+        const v = parse(e.set, { partial: true });
+        if (v.error) return { error: `${at}.set: ${v.error}` };
+        out.set = v.value;
+      }
+      edits[key].push(out);
+    }
+  }
+  if (!Object.keys(edits).length) return { error: `Nothing to edit (use ${[...RECIPE_FIELDS, "ingredients", "steps"].join(", ")})` };
+  return { edits: { ...edits, updated_at: new Date().toISOString() } };
+}
+
+/** Applies update / remove / add operations to one list; `find` locates an operation's target. */
+function applyListEdits(list, ops, find, findAnchor) {
+  const rows = list.map(value => ({ value: { ...value }, original: value, removed: false }));
+  const after = new Map();
+  const atEnd = [];
+  const unapplied = [];
+  for (const op of ops) {
+    if (op.op === "add") {
+      const anchor = op.after != null ? findAnchor(rows, op) : -1;
+      // a lost anchor still keeps the addition, at the end
+      if (anchor < 0) atEnd.push(op.value);
+      else after.set(anchor, [...(after.get(anchor) || []), op.value]);
+      continue;
+    }
+    const i = find(rows, op);
+    if (i < 0) { unapplied.push({ ...op, reason: "not in the recipe any more" }); continue; }
+    if (op.op === "remove") rows[i].removed = true;
+    else rows[i].value = { ...rows[i].value, ...op.set, edited: true };
+  }
+  const out = [];
+  rows.forEach((r, i) => {
+    if (!r.removed) out.push(r.value);
+    for (const v of after.get(i) || []) out.push({ ...v, added: true });
+  });
+  for (const v of atEnd) out.push({ ...v, added: true });
+  return { list: out, unapplied };
+}
+
+/** The step a stored step edit meant: the same instruction, at its index if possible. */
+function findStep(rows, index, was) {
+  const at = rows.findIndex(r => r.original.index === index);
+  if (at >= 0 && rows[at].original.instruction === was) return at;
+  return rows.findIndex(r => r.original.instruction === was);
+}
+
+/**
+ * The user's view of a recipe: the model output with `edits` applied. Changed ingredients and
+ * steps carry `edited: true`, the user's own `added: true`; steps are renumbered. Edits whose
+ * target a rebuild removed come back in `unapplied`. -> { recipe, unapplied }
+ */
+export function applyRecipeEdits(recipe, edits) {
+  if (!recipe || !edits) return { recipe, unapplied: [] };
+  const out = { ...recipe };
+  for (const k of RECIPE_FIELDS) if (edits[k] !== undefined) out[k] = edits[k];
+
+  const ingredients = applyListEdits(
+    recipe.ingredients || [], edits.ingredients || [],
+    (rows, op) => rows.findIndex(r => !r.removed && sameIngredient(r.original.name, op.name)),
+    (rows, op) => rows.findIndex(r => sameIngredient(r.original.name, op.after))
+  );
+  const steps = applyListEdits(
+    recipe.steps || [], edits.steps || [],
+    (rows, op) => findStep(rows, op.index, op.was),
+    (rows, op) => findStep(rows, op.after, op.after_was)
+  );
+  out.ingredients = ingredients.list;
+  out.steps = steps.list.map((s, i) => ({ ...s, index: i + 1 }));
+  return {
+    recipe: out,
+    unapplied: [
+      ...ingredients.unapplied.map(e => ({ list: "ingredients", ...e })),
+      ...steps.unapplied.map(e => ({ list: "steps", ...e }))
+    ]
+  };
+}
+
+// --- filters / sorting (API) ---
+/**
+ * min_rating / max_rating, cooked (true|false), min_cooked from a query string or JSON body
+ * -> { filters } or { error } for a 400. Unrated items never match a rating filter.
+ */
+export function parseOverlayFilters(source = {}) {
+  const filters = {};
+  for (const k of ["min_rating", "max_rating"]) {
+    if (source[k] == null || source[k] === "") continue;
+    const r = parseRating(source[k]);
+    if (r.error || r.rating == null) return { error: `${k} must be an integer from 1 to 5` };
+    filters[k] = r.rating;
+  }
+  if (source.cooked != null && source.cooked !== "") {
+    if (![true, false, "true", "false"].includes(source.cooked)) return { error: "cooked must be true or false" };
+    filters.cooked = source.cooked === true || source.cooked === "true";
+  }
+  if (source.min_cooked != null && source.min_cooked !== "") {
+    const n = Number(source.min_cooked);
+    if (!Number.isInteger(n) || n < 0) return { error: "min_cooked must be a non-negative integer" };
+    filters.min_cooked = n;
+  }
+  return { filters };
+}
+
+/** SQL clauses for parsed filters against user_items `ui`; appends to `params` in place. */
+export function overlayClauses({ min_rating, max_rating, cooked, min_cooked } = {}, params) {
+  const clauses = [];
+  if (min_rating != null) { params.push(min_rating); clauses.push(`ui.rating >= $${params.length}`); }
+  if (max_rating != null) { params.push(max_rating); clauses.push(`ui.rating <= $${params.length}`); }
+  if (cooked !== undefined) clauses.push(cooked ? "ui.cooked_count > 0" : "ui.cooked_count = 0");
+  if (min_cooked != null) { params.push(min_cooked); clauses.push(`ui.cooked_count >= $${params.length}`); }
+  return clauses;
+}
@@ -0,0 +1,101 @@
+import { pool, withTx } from "./db.mjs";
+import { normalizeIngredientName, splitPieceWord } from "./shopping.mjs";
+import { matchFood, FILLER_WORDS } from "./nutrition.mjs";
+import { applyRecipeEdits } from "./overlays.mjs";
+
+// --- ingredient entities ---
+// "What can I cook" compares what the user has with recipe ingredients as entities: the food
+// table alias an ingredient matched ("red onion", food "onion"), else its name without
+// amounts, prep notes and size words. Both sides are normalized the same way.
+const MIN_FOOD_CONFIDENCE = 0.8;
+// food table groups too broad to stand in for each other (basil is no parsley)
+const GROUP_FOODS = new Set(["fresh herbs", "dried herbs", "mixed nuts"]);
+// ignored unless a request sends its own list (PANTRY_STAPLES: comma-separated)
+export const DEFAULT_STAPLES = (process.env.PANTRY_STAPLES || "salt,black pepper,water,oil,olive oil,sugar")
+  .split(",").map(s => s.trim()).filter(Boolean);
+const OPTIONAL = /\b(optional|to taste|for garnish|for serving|to serve|nach belieben|zum garnieren)\b/i;
+
+/** "🧅 2 red onions, diced" -> { name: "red onion", food: "onion" }; null for an empty name */
+export function ingredientEntity(name) {
+  const descriptive = (text) => text.replace(/[^\p{L}\p{N}' -]/gu, " ").split(/\s+/).filter(w => w && !FILLER_WORDS.has(w)).join(" ");
+  const match = matchFood(name);
+  if (match && match.confidence >= MIN_FOOD_CONFIDENCE) return { name: descriptive(match.alias) || match.alias, food: match.food.name };
+  const words = descriptive(splitPieceWord(normalizeIngredientName(name)).name);
+  return words ? { name: words, food: null } : null;
+}
+
+/** A list the user typed (["eggs", "Spinach", "feta cheese"]) -> { names, foods } for the SQL below */
+export function pantryEntities(list = []) {
+  const names = new Set();
+  const foods = new Set();
+  for (const raw of list) {
+    const e = ingredientEntity(String(raw));
+    if (!e) continue;
+    names.add(e.name);
+    if (e.food && !GROUP_FOODS.has(e.food)) foods.add(e.food);
+  }
+  return { names: [...names], foods: [...foods] };
+}
+
+/** item_ingredients rows (without item_id) for a recipe: [{ position, name, food, raw, optional }] */
+function ingredientRows(recipe) {
+  return (recipe?.ingredients || []).map((ing, position) => {
+    const e = ing?.name ? ingredientEntity(ing.name) : null;
+    return e && { position, ...e, raw: ing.name, optional: OPTIONAL.test(`${ing.name} ${ing.notes || ""}`) };
+  }).filter(Boolean);
+}
+
+/**
+ * The ingredient rows of the items `userId` edited the recipe of (see overlays.mjs), edits
+ * applied; searchPantry uses them instead of item_ingredients for those items.
+ * -> [{ item_id, position, name, food, raw, optional }]
+ */
+export async function editedItemIngredients(userId) {
+  const { rows } = await pool.query(`
+    SELECT ui.item_id, ui.recipe_edits, j.body AS recipe
+    FROM user_items ui
+    JOIN item_json j ON j.item_id = ui.item_id AND j.kind = 'recipe'
+    WHERE ui.user_id = $1 AND ui.recipe_edits IS NOT NULL
+  `, [userId]);
+  return rows.flatMap(r => ingredientRows(applyRecipeEdits(r.recipe, r.recipe_edits).recipe).map(i => ({ item_id: r.item_id, ...i })));
+}
+
+// --- storage (worker) ---
+/** Replaces the item's item_ingredients rows with the entities of `recipe` (none without one). */
+export async function syncItemIngredients(client, itemId, recipe) {
+  await client.query("DELETE FROM item_ingredients WHERE item_id=$1", [itemId]);
+  const rows = ingredientRows(recipe);
+  for (const r of rows) {
+    await client.query(`
+      INSERT INTO item_ingredients (item_id, position, name, food, raw, optional)
+      VALUES ($1,$2,$3,$4,$5,$6)
+      ON CONFLICT (item_id, position) DO UPDATE SET name=EXCLUDED.name, food=EXCLUDED.food, raw=EXCLUDED.raw, optional=EXCLUDED.optional
+    `, [itemId, r.position, r.name, r.food, r.raw, r.optional]);
+  }
+  return rows.length;
+}
+
+/**
+ * Fills item_ingredients for recipes stored before it existed (the worker runs this on boot).
+ * -> number of items filled
+ */
+export async function backfillItemIngredients({ batch = 200 } = {}) {
+  let filled = 0;
+  for (;;) {
+    const { rows } = await pool.query(`
+      SELECT j.item_id, j.body
+      FROM item_json j
+      WHERE j.kind = 'recipe'
+        AND jsonb_array_length(COALESCE(j.body->'ingredients', '[]'::jsonb)) > 0
+        AND NOT EXISTS (SELECT 1 FROM item_ingredients ii WHERE ii.item_id = j.item_id)
+      LIMIT ${batch}
+    `);
+    let stored = 0;
+    for (const r of rows) {
+      if (await withTx(client => syncItemIngredients(client, r.item_id, r.body))) stored++;
+    }
+    filled += stored;
+    // recipes whose ingredients all have empty names would come back forever
+    if (rows.length < batch || !stored) return filled;
+  }
+}
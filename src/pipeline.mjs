@@ -1,9 +1,19 @@
 import fs from "node:fs";
 import path from "node:path";
-import { extract, transcribeWithASRLocalOrAPI } from "./scraper.mjs";
-import { downscaleForGemini } from "./video.mjs";
-import { uploadLocalFileToGCS } from "./gcs.mjs";
-import { analyzeVideoGeneral, extractRecipeFromVideo } from "./gemini.mjs";
+import { extract } from "./scraper.mjs";
+import { transcribeWithASRLocalOrAPI } from "./asr.mjs";
+import { NOOP_STAGES } from "./progress.mjs";
+import { getProvider, providerSupports, AI_EMBED_MODEL, EMBED_DIM } from "./providers.mjs";
+import { createSchemaChecker } from "./schemas.mjs";
+import { getStorage, putJson, storageKey, storeLocalFile } from "./storage.mjs";
+import { generateVideoStills, generateImageCover } from "./video.mjs";
+import { segmentsToText, linkRecipeSteps, linkKeyPoints } from "./transcript.mjs";
+import { fingerprintVideo } from "./fingerprint.mjs";
+import { itemIdFor } from "./canonical.mjs";
+import { estimateNutrition } from "./nutrition.mjs";
+import { classifyDiet } from "./diet.mjs";
+
+export { AI_EMBED_MODEL, EMBED_DIM };
 
 
 
@@ -40,7 +50,7 @@ function buildAnalysisText(analysis) {
   if (!analysis) return "";
   const parts = [];
   if (analysis.summary) parts.push(analysis.summary);
-  if (analysis.key_points?.length) parts.push("key points: " + analysis.key_points.join("; "));
+  if (analysis.key_points?.length) parts.push("key points: " + analysis.key_points.map(k => k?.text ?? k).join("; "));
   if (analysis.entities?.length) parts.push("entities: " + analysis.entities.join(", "));
   if (analysis.screen_text?.length) parts.push("screen: " + analysis.screen_text.join(" / "));
   if (analysis.topics?.length) parts.push("topics: " + analysis.topics.join(", "));
@@ -71,35 +81,16 @@ export function pickBestThumb(rawThumbs = []) {
   return scored[0]?.url || null;
 }
 
-// --- AI config ---
-const AI_BASE_URL   = process.env.AI_BASE_URL   || "https://api.openai.com/v1";
-const AI_MODEL      = process.env.AI_MODEL      || "gpt-5-mini";
-const AI_API_KEY    = process.env.AI_API_KEY    || "";
-export const AI_EMBED_MODEL = process.env.AI_EMBED_MODEL || "text-embedding-3-small";
-export const EMBED_DIM      = Number(process.env.EMBED_DIM || 1536);
-
-// --- OpenAI-compatible JSON chat ---
-export async function callChatJSON({ system, user }) {
-  const res = await fetch(`${AI_BASE_URL}/chat/completions`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", ...(AI_API_KEY ? { Authorization: `Bearer ${AI_API_KEY}` } : {}) },
-    body: JSON.stringify({
-      model: AI_MODEL,
-      response_format: { type: "json_object" },
-      messages: [{ role: "system", content: system }, { role: "user", content: user }]
-    })
-  });
-  if (!res.ok) throw new Error(`AI HTTP ${res.status}: ${await res.text().catch(() => "...")}`);
-  const json = await res.json();
-  const text = json?.choices?.[0]?.message?.content;
-  if (!text) throw new Error("AI returned empty content");
-  return JSON.parse(text);
+// --- JSON chat via the configured provider (see providers.mjs) ---
+// task: "classify" | "recipe" and postId let the mock provider pick fixtures
+export async function callChatJSON({ system, user, task = "chat", postId = null }) {
+  return getProvider("chat").chatJSON({ system, user, task, postId });
 }
 
 // --- prompts (exported) ---
 const CLASSIFIER_SCHEMA_TEXT = `{"content_type":"recipe|tutorial|travel|humor|product|other","topics":["string"],"confidence":0.0}`;
-export function buildClassifierPrompt({ title, caption, transcript }) {
-  return `Classify this social video post. Output ONLY this JSON:
+export function buildClassifierPrompt({ title, caption, transcript, pageText = null }) {
+  return `Classify this social video post or web page. Output ONLY this JSON:
 ${CLASSIFIER_SCHEMA_TEXT}
 
 Title:
@@ -110,7 +101,10 @@ ${clip(caption,1200)}
 
 Transcript (may be empty):
 ${clip(transcript,2000)}
-
+${pageText ? `
+Page text:
+${clip(pageText,3000)}
+` : ""}
 Rules:
 - recipe only if ingredients or clear cooking steps.
 - topics: short lowercase keywords.
@@ -135,7 +129,7 @@ const RECIPE_SCHEMA_TEXT = `{
   "flags":{"has_inferred_values":"boolean"}
 }`;
 export function buildRecipePrompt({ allowInference, meta }) {
-  return `You extract recipes from social video posts. Output ONLY valid JSON matching this schema:
+  return `You extract recipes from social video posts and web pages. Output ONLY valid JSON matching this schema:
 ${RECIPE_SCHEMA_TEXT}
 
 Inputs:
@@ -150,7 +144,10 @@ ${clip(cleanCaption(meta.caption),1500)}
 
 Transcript (cleaned):
 ${clip(cleanTranscript(meta.transcript),3000)}
-
+${meta.page_text ? `
+Page text:
+${clip(meta.page_text,6000)}
+` : ""}
 Requirements:
 1) Normalize units (g, ml, tsp, tbsp, cup). Merge duplicates.
 2) Number steps; infer timer_minutes only if explicit.
@@ -179,16 +176,7 @@ export function buildItemEmbeddingText({ meta, recipe, classification }) {
 
 export async function embedText(text) {
   if (!text) return null;
-  const r = await fetch(`${AI_BASE_URL}/embeddings`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json", ...(AI_API_KEY ? { Authorization: `Bearer ${AI_API_KEY}` } : {}) },
-    body: JSON.stringify({ model: AI_EMBED_MODEL, input: text })
-  });
-  if (!r.ok) throw new Error(`embed HTTP ${r.status}: ` + await r.text());
-  const j = await r.json();
-  const vec = j?.data?.[0]?.embedding;
-  if (!Array.isArray(vec) || !vec.length) return null;
-  return vec;
+  return getProvider("embed").embed(text);
 }
 
 // Convert JS number[] → pgvector text literal "[...]" (exported)
@@ -197,53 +185,208 @@ export function toPgVectorLiteral(vec) {
   return `[${vec.join(",")}]`;
 }
 
+// partial results reported with each stage (kept small: they end up in job_events)
+const summarizeAnalysis = a => a && { content_type: a.content_type, topics: a.topics, summary: a.summary };
+const summarizeRecipe = r => r && { title: r.title, ingredients: r.ingredients?.length || 0, steps: r.steps?.length || 0 };
+
+/**
+ * Stores one pipeline artifact next to the extracted files and records its key in
+ * meta.storage.files. Older cached metas have no `storage` yet; their folder name is the prefix.
+ */
+async function storeArtifact(meta, name, filename, body) {
+  const prefix = meta.storage?.prefix || (meta.paths?.dir ? path.basename(meta.paths.dir) : null);
+  if (!prefix) return null;
+  const key = storageKey(prefix, filename);
+  if (typeof body === "string") await getStorage().put(key, body, { contentType: "text/plain; charset=utf-8" });
+  else await putJson(key, body);
+  meta.storage = { driver: getStorage().name, prefix, ...meta.storage, files: { ...meta.storage?.files, [name]: key } };
+  return key;
+}
+
+// stills need ffmpeg; MEDIA_STILLS=false turns the stage off
+const MEDIA_STILLS = String(process.env.MEDIA_STILLS || "true").toLowerCase() === "true";
+
+/**
+ * Cover, keyframes and contact sheet (see video.mjs) from the downloaded video, or just a
+ * cover from the saved thumbnail. The WebP files go to storage under <prefix>/media/ and the
+ * manifest, with keys instead of local paths, is stored as media.json and returned.
+ */
+async function buildStills(meta) {
+  const dir = path.join(meta.paths.dir, "media");
+  // carousels: the first entry stands in for the video (a clip) or the thumbnail (an image)
+  const first = meta.media_items?.length ? { ...meta.media_items[0], path: meta.paths.media?.[0] } : null;
+  const video = first ? (first.type === "video" ? first.path : null) : meta.video?.downloaded_path;
+  const thumbnail = first?.type === "image" && first.path
+    ? first.path
+    : meta.storage?.files?.thumbnail && path.join(meta.paths.dir, path.basename(meta.storage.files.thumbnail));
+  let stills;
+  if (video && fs.existsSync(video)) stills = await generateVideoStills(video, dir);
+  else if (thumbnail && fs.existsSync(thumbnail)) stills = await generateImageCover(thumbnail, dir);
+  else return null;
+
+  const prefix = storageKey(meta.storage.prefix, "media");
+  const store = (variants) => Promise.all(variants.map(async ({ file, ...v }) => ({ ...v, key: await storeLocalFile(prefix, file) })));
+  const manifest = {
+    generated_at: new Date().toISOString(),
+    source: video && fs.existsSync(video) ? "video" : (first ? "image" : "thumbnail"),
+    duration_sec: stills.duration_sec ?? null,
+    width: stills.width,
+    height: stills.height,
+    mode: stills.mode || null,
+    cover: { variants: await store(stills.cover.variants) },
+    keyframes: [],
+    contact_sheet: null
+  };
+  for (const f of stills.keyframes || []) manifest.keyframes.push({ ...f, variants: await store(f.variants) });
+  if (stills.contact_sheet) manifest.contact_sheet = { ...stills.contact_sheet, variants: await store(stills.contact_sheet.variants) };
+
+  await storeArtifact(meta, "media", "media.json", manifest);
+  return manifest;
+}
+
 // --- main pipeline (exported) ---
-export async function runPipeline({ url, downloadVideo=false, wantTranscript=true, allow_inference=true, refresh=false }) {
-  const meta = await extract(url, { downloadVideo, wantTranscript, refresh });
+// `stages` (see progress.mjs) gets extract → download → fingerprint → asr → media → downscale → upload → analysis → recipe → nutrition → diet → embedding
+// (carousels and photo posts: extract → download → media → upload → analysis → recipe → nutrition → diet → embedding)
+// `findDuplicate(fingerprint, meta)` looks the video up among stored items (the worker passes one);
+// a match lends its analysis and recipe unless `reuseAnalysis` is false
+export async function runPipeline({ url, downloadVideo=false, wantTranscript=true, allow_inference=true, refresh=false, stages=NOOP_STAGES, findDuplicate=null, reuseAnalysis=true }) {
+  const meta = await extract(url, { downloadVideo, wantTranscript, refresh, stages });
+
+  // perceptual fingerprint (see fingerprint.mjs); like the stills, failing here must not lose the item
+  let fingerprint = null;
+  let duplicate = null;
+  if (meta.video?.downloaded_path && fs.existsSync(meta.video.downloaded_path)) {
+    await stages.run("fingerprint", async () => {
+      fingerprint = await fingerprintVideo(meta.video.downloaded_path);
+      if (fingerprint && findDuplicate) duplicate = await findDuplicate(fingerprint, meta);
+      return fingerprint;
+    }, fp => fp && { frames: fp.frames.length, audio: !!fp.audio, duplicate_of: duplicate?.item_id || null, match: duplicate?.match || null })
+      .catch(e => console.warn("fingerprint failed:", e.message));
+  }
 
   // ASR fallback if needed
   if (wantTranscript && !meta.transcript && meta.video?.downloaded_path) {
     try {
-      const asr = await transcribeWithASRLocalOrAPI({ videoPath: meta.video.downloaded_path });
+      const asr = await stages.run("asr",
+        () => transcribeWithASRLocalOrAPI({ videoPath: meta.video.downloaded_path }),
+        t => ({ chars: t?.text?.length || 0, segments: t?.segments?.length || 0 }));
       if (asr) {
-        const cleaned = cleanTranscript(asr);
+        const cleaned = cleanTranscript(asr.segments ? segmentsToText(asr.segments) : asr.text);
         meta.transcript = cleaned;
-        if (meta.paths?.dir) {
-          fs.writeFileSync(path.join(meta.paths.dir, "transcript.txt"), cleaned, "utf8");
-          meta.paths.transcript_txt = path.join(meta.paths.dir, "transcript.txt");
-        }
+        await storeArtifact(meta, "transcript", "transcript.txt", cleaned);
+        if (asr.segments) meta.timed_transcript = { source: "asr", language: asr.language, segments: asr.segments };
       }
     } catch {}
   }
 
-let analysis = null;
+  // { source, language, segments } from subtitle cues or ASR segments; stored as transcript.json
+  const transcript = meta.timed_transcript?.segments?.length ? meta.timed_transcript : null;
+  if (transcript) await storeArtifact(meta, "timed_transcript", "transcript.json", transcript);
+
+  // stills for the app; losing them must not lose the item
+  let media = null;
+  if (MEDIA_STILLS && meta.paths?.dir && meta.storage?.prefix) {
+    media = await stages.run("media", () => buildStills(meta),
+      m => m && { source: m.source, keyframes: m.keyframes.length, mode: m.mode })
+      .catch(e => { console.warn("media stills failed:", e.message); return null; });
+  }
+
+  let analysis = null;
   let recipe = null;
 
+  // every model answer is repaired + validated (schemas.mjs); errors that survive the retries flag the item
+  const { check: checked, errors: validation } = createSchemaChecker();
+
+  // web pages with schema.org Recipe markup need no model (see webrecipe.mjs)
+  if (meta.structured_recipe) {
+    const structured = meta.structured_recipe;
+    analysis = await stages.run("analysis", async () => ({
+      content_type: "recipe",
+      topics: (structured.tags || []).slice(0, 8),
+      summary: meta.caption || null,
+      key_points: [],
+      entities: [meta.author?.name, meta.site_name].filter(Boolean),
+      screen_text: [],
+      links: [],
+      confidence: 0.9
+    }), summarizeAnalysis);
+    recipe = await stages.run("recipe", () => checked("recipe", async () => structured, { retries: 0 }), summarizeRecipe);
+  }
+
+  // a re-upload of an item we already analyzed: same video, same answers
+  if (!analysis && reuseAnalysis && duplicate?.analysis) {
+    analysis = await stages.run("analysis", async () => duplicate.analysis,
+      a => ({ ...summarizeAnalysis(a), reused_from: duplicate.item_id }));
+    if (duplicate.recipe) {
+      recipe = await stages.run("recipe", async () => ({
+        ...duplicate.recipe,
+        recipe_id: itemIdFor(meta),
+        source: { platform: meta.platform, url: meta.url, post_id: meta.post_id }
+      }), r => ({ ...summarizeRecipe(r), reused_from: duplicate.item_id }));
+    } else {
+      await stages.skip("recipe", "not a recipe");
+    }
+  }
+
   const USE_GEMINI = String(process.env.USE_GEMINI || "true").toLowerCase() === "true";
-  if (USE_GEMINI && meta.video?.downloaded_path) {
+  if (!analysis && USE_GEMINI && meta.video?.downloaded_path && providerSupports("video", "analyzeVideo")) {
     try {
-      // 1) downscale & upload
-      const downscaled = await downscaleForGemini(meta.video.downloaded_path); // returns local temp mp4
-      const gsUri = await uploadLocalFileToGCS(downscaled, `videos/${meta.platform}-${meta.post_id}.mp4`);
+      const videoProvider = getProvider("video");
+
+      // 1) make the video available to the model (Vertex: downscale & upload to GCS)
+      const video = await videoProvider.prepareVideo({ videoPath: meta.video.downloaded_path, meta, stages });
 
       // 2) general understanding (for ANY content)
-      analysis = await analyzeVideoGeneral({ gcsUri: gsUri, meta });
+      analysis = await stages.run("analysis",
+        () => checked("analysis", feedback => videoProvider.analyzeVideo({ video, meta, feedback })),
+        summarizeAnalysis);
 
       // 3) if recipe, do a recipe pass
       if (analysis?.content_type === "recipe") {
-        recipe = await extractRecipeFromVideo({ gcsUri: gsUri, meta, allowInference: allow_inference });
+        recipe = await stages.run("recipe",
+          () => checked("recipe", feedback => videoProvider.extractRecipeFromVideo({ video, meta, allowInference: allow_inference, feedback })),
+          summarizeRecipe);
+      } else {
+        await stages.skip("recipe", "not a recipe");
       }
     } catch (e) {
-      console.warn("Gemini video path failed:", e.message);
+      console.warn("Video analysis path failed:", e.message);
+    }
+  }
+
+  // carousels / photo posts: every downloaded image and clip goes to the model in one multimodal prompt
+  const mediaEntries = (meta.media_items || [])
+    .map((m, i) => ({ index: m.index, type: m.type, path: meta.paths?.media?.[i] }))
+    .filter(m => m.path && fs.existsSync(m.path));
+  if (!analysis && USE_GEMINI && mediaEntries.length && providerSupports("video", "analyzeMedia")) {
+    try {
+      const videoProvider = getProvider("video");
+      const postMedia = await videoProvider.prepareMedia({ items: mediaEntries, meta, stages });
+
+      analysis = await stages.run("analysis",
+        () => checked("analysis", feedback => videoProvider.analyzeMedia({ media: postMedia, meta, feedback })),
+        summarizeAnalysis);
+
+      if (analysis?.content_type === "recipe") {
+        recipe = await stages.run("recipe",
+          () => checked("recipe", feedback => videoProvider.extractRecipeFromMedia({ media: postMedia, meta, allowInference: allow_inference, feedback })),
+          summarizeRecipe);
+      } else {
+        await stages.skip("recipe", "not a recipe");
+      }
+    } catch (e) {
+      console.warn("Media analysis path failed:", e.message);
     }
   }
 
   // Fallback: if no Gemini analysis, use your existing OpenAI classify/recipe
   if (!analysis) {
-    const classification = await callChatJSON({
+    const classification = await stages.run("analysis", () => checked("classification", feedback => callChatJSON({
+      task: "classify",
+      postId: meta.post_id,
       system: "You are a content classifier. Output ONLY valid JSON per instructions.",
-      user: buildClassifierPrompt({ title: meta.title, caption: cleanCaption(meta.caption), transcript: cleanTranscript(meta.transcript) })
-    });
+      user: buildClassifierPrompt({ title: meta.title, caption: cleanCaption(meta.caption), transcript: cleanTranscript(meta.transcript), pageText: meta.page_text }) + feedback
+    })), c => c && { content_type: c.content_type, topics: c.topics, fallback: true });
     analysis = {
       summary: null,
       topics: classification?.topics || [],
@@ -255,27 +398,48 @@ let analysis = null;
       confidence: classification?.confidence ?? 0.5
     };
     if (analysis.content_type === "recipe") {
-      recipe = await callChatJSON({
+      recipe = await stages.run("recipe", () => checked("recipe", feedback => callChatJSON({
+        task: "recipe",
+        postId: meta.post_id,
         system: "You extract recipes. Output ONLY valid JSON per schema.",
-        user: buildRecipePrompt({ allowInference: !!allow_inference, meta })
-      });
-      recipe.recipe_id = recipe.recipe_id || `${meta.platform}:${meta.post_id}`;
-      recipe.source = { platform: meta.platform, url: meta.url, post_id: meta.post_id, ...(recipe.source || {}) };
+        user: buildRecipePrompt({ allowInference: !!allow_inference, meta }) + feedback
+      })), summarizeRecipe);
+      if (recipe) {
+        recipe.recipe_id = recipe.recipe_id || `${meta.platform}:${meta.post_id}`;
+        recipe.source = { platform: meta.platform, url: meta.url, post_id: meta.post_id, ...(recipe.source || {}) };
+      }
     }
   }
 
-  // Save analysis.json if present
-  if (analysis && meta.paths?.dir) {
-    const ap = path.join(meta.paths.dir, "analysis.json");
-    fs.writeFileSync(ap, JSON.stringify(analysis, null, 2), "utf8");
-    analysis.__saved_path = ap; // convenience
-    }
+  // steps and key points get the time they are said at, so clients can seek the video
+  const segments = transcript?.segments || [];
+  linkKeyPoints(analysis, segments);
+  linkRecipeSteps(recipe, segments);
+
+  // Save analysis.json / recipe.json if present
+  if (analysis) await storeArtifact(meta, "analysis", "analysis.json", analysis);
+  if (recipe) await storeArtifact(meta, "recipe", "recipe.json", recipe);
+
+  // kcal and macros from the bundled food table (see nutrition.mjs); an estimate, never fatal
+  let nutrition = null;
+  if (recipe?.ingredients?.length) {
+    nutrition = await stages.run("nutrition", async () => estimateNutrition(recipe),
+      n => n && { kcal_per_serving: n.per_serving?.kcal ?? null, coverage: n.coverage, confidence: n.confidence })
+      .catch(e => { console.warn("nutrition failed:", e.message); return null; });
+    if (nutrition) await storeArtifact(meta, "nutrition", "nutrition.json", nutrition);
+  } else {
+    await stages.skip("nutrition", recipe ? "no ingredients" : "not a recipe");
+  }
 
-  // Save recipe.json if present
-  if (recipe && meta.paths?.dir) {
-    const p = path.join(meta.paths.dir, "recipe.json");
-    fs.writeFileSync(p, JSON.stringify(recipe, null, 2), "utf8");
-    recipe.__saved_path = p;
+  // diet labels + allergens (see diet.mjs); the model is only asked about ingredients the rules don't know
+  let diet = null;
+  if (recipe?.ingredients?.length) {
+    diet = await stages.run("diet", () => classifyDiet(recipe, { nutrition, postId: meta.post_id }),
+      d => d && { diets: d.diets, allergens: d.allergens, unclassified: d.unclassified.length })
+      .catch(e => { console.warn("diet labels failed:", e.message); return null; });
+    if (diet) await storeArtifact(meta, "diet", "diet.json", diet);
+  } else {
+    await stages.skip("diet", recipe ? "no ingredients" : "not a recipe");
   }
 
   // Build embedding text (now includes analysis)
@@ -286,19 +450,20 @@ let analysis = null;
       meta.title || "",
       cleanCaption(meta.caption),
       cleanTranscript(meta.transcript),
+      clip(meta.page_text, 3000),
       analysisText,
       recipe ? ("recipe title: " + (recipe.title || "")) : ""
     ].filter(Boolean).join("\n");
-    embedding = await embedText(embedBlob);
-    if (embedding && meta.paths?.dir) {
-      fs.writeFileSync(path.join(meta.paths.dir, "embedding.json"), JSON.stringify({
+    embedding = await stages.run("embedding", () => embedText(embedBlob), v => ({ dims: v?.length || 0 }));
+    if (embedding) {
+      await storeArtifact(meta, "embedding", "embedding.json", {
         model: AI_EMBED_MODEL, dims: embedding.length,
         vector: embedding.map(x => Math.round(x * 1e6) / 1e6)
-      }, null, 2), "utf8");
+      });
     }
   } catch (e) {
     console.warn("embed failed:", e.message);
   }
 
-  return { meta, analysis, recipe, embedding };
+  return { meta, analysis, recipe, nutrition, diet, embedding, validation, media, transcript, fingerprint, duplicate_of: duplicate?.item_id || null };
 }
\ No newline at end of file
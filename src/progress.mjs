@@ -0,0 +1,124 @@
+import { pool } from "./db.mjs";
+
+// Stages runPipeline (and extract) report, in order. "job" is used for the job itself.
+export const PIPELINE_STAGES = ["extract", "download", "fingerprint", "asr", "media", "downscale", "upload", "analysis", "recipe", "nutrition", "diet", "embedding"];
+
+const CHANNEL = "job_events";
+
+// --- stage tracker ---
+/**
+ * Wraps pipeline steps so every step reports started/done/error (with timings).
+ * `emit` receives { stage, status, duration_ms, data, error }; when it is null the
+ * tracker just runs the steps, so callers outside the worker can ignore progress.
+ * Once `signal` is aborted the next step throws its reason instead of starting
+ * (the worker uses this to stop cancelled jobs between stages).
+ */
+export function createStageTracker(emit, { signal = null } = {}) {
+  const send = async (evt) => {
+    if (!emit) return;
+    try { await emit(evt); } catch (e) { console.warn("progress event failed:", e.message); }
+  };
+
+  return {
+    failedStage: null,
+
+    /** run(stage, fn, summarize?) -> fn's result; summarize(result) becomes the event's partial data */
+    async run(stage, fn, summarize) {
+      signal?.throwIfAborted();
+      await send({ stage, status: "started" });
+      const t0 = Date.now();
+      try {
+        const result = await fn();
+        await send({
+          stage,
+          status: "done",
+          duration_ms: Date.now() - t0,
+          data: summarize ? summarize(result) : null
+        });
+        return result;
+      } catch (e) {
+        this.failedStage = stage;
+        await send({ stage, status: "error", duration_ms: Date.now() - t0, error: e?.message || String(e) });
+        throw e;
+      }
+    },
+
+    async skip(stage, reason) {
+      await send({ stage, status: "skipped", data: reason ? { reason } : null });
+    }
+  };
+}
+
+export const NOOP_STAGES = createStageTracker(null);
+
+// --- persistence (worker side) ---
+/** Stores one event, moves jobs.stage along and notifies API listeners. */
+export async function recordJobEvent({ jobId, userId = null, stage, status, duration_ms = null, data = null, error = null }) {
+  const { rows } = await pool.query(`
+    INSERT INTO job_events (job_id, user_id, stage, status, duration_ms, data, error)
+    VALUES ($1,$2,$3,$4,$5,$6,$7)
+    RETURNING id
+  `, [jobId, userId, stage, status, duration_ms, data, error ? String(error).slice(0, 1000) : null]);
+
+  if (stage !== "job") {
+    await pool.query("UPDATE jobs SET stage=$2, updated_at=now() WHERE id=$1", [jobId, stage]);
+  }
+
+  // payload stays tiny (NOTIFY is capped at 8kB); listeners load the row by id
+  await pool.query("SELECT pg_notify($1, $2)", [CHANNEL, JSON.stringify({ id: rows[0].id, job_id: jobId, user_id: userId })]);
+  return rows[0].id;
+}
+
+/** Latest status per stage, in pipeline order (for GET /jobs/:id). */
+export async function summarizeJobStages(jobId) {
+  const { rows } = await pool.query(`
+    SELECT DISTINCT ON (stage) stage, status, duration_ms, data, error, created_at
+    FROM job_events
+    WHERE job_id=$1 AND stage <> 'job'
+    ORDER BY stage, id DESC
+  `, [jobId]);
+  const order = (s) => { const i = PIPELINE_STAGES.indexOf(s); return i < 0 ? PIPELINE_STAGES.length : i; };
+  return rows.sort((a, b) => order(a.stage) - order(b.stage));
+}
+
+// --- subscription (API side) ---
+// One LISTEN connection per process, fanned out to every open SSE stream.
+const listeners = new Set();
+let listening = null; // Promise<pg.PoolClient> while connected
+
+async function connectListener() {
+  const client = await pool.connect();
+  client.on("notification", async (msg) => {
+    if (msg.channel !== CHANNEL) return;
+    try {
+      const { id } = JSON.parse(msg.payload);
+      const { rows } = await pool.query("SELECT * FROM job_events WHERE id=$1", [id]);
+      if (rows[0]) for (const fn of listeners) fn(rows[0]);
+    } catch (e) { console.warn("job event dispatch failed:", e.message); }
+  });
+  client.on("error", (e) => {
+    console.warn("job event listener lost:", e.message);
+    listening = null;
+    client.release(e);
+    if (listeners.size) ensureListening().catch(() => {}); // keep open streams alive
+  });
+  await client.query(`LISTEN ${CHANNEL}`);
+  return client;
+}
+
+function ensureListening() {
+  if (!listening) listening = connectListener().catch((e) => { listening = null; throw e; });
+  return listening;
+}
+
+/** subscribeJobEvents(fn) -> unsubscribe(); fn receives job_events rows as they are recorded */
+export async function subscribeJobEvents(fn) {
+  listeners.add(fn);
+  try {
+    await ensureListening();
+  } catch (e) {
+    listeners.delete(fn);
+    throw e;
+  }
+  return () => listeners.delete(fn);
+}
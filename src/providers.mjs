@@ -0,0 +1,309 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { downscaleForGemini } from "./video.mjs";
+import { uploadLocalFileToGCS } from "./gcs.mjs";
+import { contentTypeFor } from "./storage.mjs";
+import { analyzeVideoGeneral, extractRecipeFromVideo, geminiChatJSON } from "./gemini.mjs";
+import { NOOP_STAGES } from "./progress.mjs";
+
+// --- config ---
+// Provider per task: LLM_CHAT_PROVIDER / LLM_EMBED_PROVIDER / LLM_VIDEO_PROVIDER,
+// falling back to LLM_PROVIDER, then to the historical defaults below.
+const TASK_DEFAULTS = { chat: "openai", embed: "openai", video: "vertex" };
+
+const AI_BASE_URL   = process.env.AI_BASE_URL   || "https://api.openai.com/v1";
+const AI_MODEL      = process.env.AI_MODEL      || "gpt-5-mini";
+const AI_API_KEY    = process.env.AI_API_KEY    || "";
+export const AI_EMBED_MODEL = process.env.AI_EMBED_MODEL || "text-embedding-3-small";
+export const EMBED_DIM      = Number(process.env.EMBED_DIM || 1536);
+
+const OLLAMA_BASE_URL    = process.env.OLLAMA_BASE_URL    || "http://localhost:11434";
+const OLLAMA_MODEL       = process.env.OLLAMA_MODEL       || "llama3.1";
+const OLLAMA_EMBED_MODEL = process.env.OLLAMA_EMBED_MODEL || "nomic-embed-text";
+
+const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || null;
+
+/**
+ * A provider implements any subset of:
+ *   chatJSON({ system, user, task })              -> object
+ *   embed(text)                                   -> number[]
+ *   prepareVideo({ videoPath, meta, stages })     -> opaque handle for the calls below
+ *   analyzeVideo({ video, meta, feedback })       -> analysis
+ *   extractRecipeFromVideo({ video, meta, allowInference, feedback }) -> recipe
+ *   prepareMedia({ items, meta, stages })         -> handle for the ordered images / clips of a
+ *                                                    carousel (items: [{ index, type, path }])
+ *   analyzeMedia({ media, meta, feedback })       -> analysis
+ *   extractRecipeFromMedia({ media, meta, allowInference, feedback }) -> recipe
+ * `feedback` carries schema errors from a previous attempt (see schemas.mjs withSchemaRetry).
+ * `task` on chatJSON is "classify" | "recipe" | ... so fixtures can be picked per task.
+ */
+
+// --- OpenAI-compatible HTTP ---
+const openaiProvider = {
+  name: "openai",
+
+  async chatJSON({ system, user }) {
+    const res = await fetch(`${AI_BASE_URL}/chat/completions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(AI_API_KEY ? { Authorization: `Bearer ${AI_API_KEY}` } : {}) },
+      body: JSON.stringify({
+        model: AI_MODEL,
+        response_format: { type: "json_object" },
+        messages: [{ role: "system", content: system }, { role: "user", content: user }]
+      })
+    });
+    if (!res.ok) throw new Error(`AI HTTP ${res.status}: ${await res.text().catch(() => "...")}`);
+    const json = await res.json();
+    const text = json?.choices?.[0]?.message?.content;
+    if (!text) throw new Error("AI returned empty content");
+    return JSON.parse(text);
+  },
+
+  async embed(text) {
+    const r = await fetch(`${AI_BASE_URL}/embeddings`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(AI_API_KEY ? { Authorization: `Bearer ${AI_API_KEY}` } : {}) },
+      body: JSON.stringify({ model: AI_EMBED_MODEL, input: text })
+    });
+    if (!r.ok) throw new Error(`embed HTTP ${r.status}: ` + await r.text());
+    const j = await r.json();
+    const vec = j?.data?.[0]?.embedding;
+    if (!Array.isArray(vec) || !vec.length) return null;
+    return vec;
+  }
+};
+
+// --- Vertex Gemini (video goes through GCS) ---
+const vertexProvider = {
+  name: "vertex",
+
+  chatJSON: ({ system, user }) => geminiChatJSON({ system, user }),
+
+  async prepareVideo({ videoPath, meta, stages = NOOP_STAGES }) {
+    const downscaled = await stages.run("downscale", () => downscaleForGemini(videoPath)); // returns local temp mp4
+    const gcsUri = await stages.run("upload",
+      () => uploadLocalFileToGCS(downscaled, { dstName: `videos/${meta.platform}-${meta.post_id}.mp4` }),
+      uri => ({ uri }));
+    return { gcsUri };
+  },
+
+  analyzeVideo: ({ video, meta, feedback }) => analyzeVideoGeneral({ gcsUri: video.gcsUri, meta, feedback }),
+
+  extractRecipeFromVideo: ({ video, meta, allowInference, feedback }) =>
+    extractRecipeFromVideo({ gcsUri: video.gcsUri, meta, allowInference, feedback }),
+
+  // images travel inline (a few hundred KB each); clips are downscaled and uploaded like single videos
+  async prepareMedia({ items, meta, stages = NOOP_STAGES }) {
+    return stages.run("upload", async () => {
+      const media = [];
+      for (const item of items) {
+        if (item.type === "image") {
+          const data = (await fs.promises.readFile(item.path)).toString("base64");
+          media.push({ index: item.index, type: "image", mimeType: contentTypeFor(item.path), data });
+        } else {
+          const downscaled = await downscaleForGemini(item.path);
+          const fileUri = await uploadLocalFileToGCS(downscaled, { dstName: `videos/${meta.platform}-${meta.post_id}-${item.index}.mp4` });
+          media.push({ index: item.index, type: "video", mimeType: "video/mp4", fileUri });
+        }
+      }
+      return media;
+    }, m => ({ images: m.filter(x => x.type === "image").length, videos: m.filter(x => x.type === "video").length }));
+  },
+
+  analyzeMedia: ({ media, meta, feedback }) => analyzeVideoGeneral({ media, meta, feedback }),
+
+  extractRecipeFromMedia: ({ media, meta, allowInference, feedback }) =>
+    extractRecipeFromVideo({ media, meta, allowInference, feedback })
+};
+
+// --- Ollama-style local server ---
+const ollamaProvider = {
+  name: "ollama",
+
+  async chatJSON({ system, user }) {
+    const r = await fetch(`${OLLAMA_BASE_URL}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model: OLLAMA_MODEL,
+        format: "json",
+        stream: false,
+        messages: [{ role: "system", content: system }, { role: "user", content: user }]
+      })
+    });
+    if (!r.ok) throw new Error(`ollama HTTP ${r.status}: ${await r.text().catch(() => "...")}`);
+    const j = await r.json();
+    const text = j?.message?.content;
+    if (!text) throw new Error("ollama returned empty content");
+    return JSON.parse(text);
+  },
+
+  async embed(text) {
+    const r = await fetch(`${OLLAMA_BASE_URL}/api/embed`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: OLLAMA_EMBED_MODEL, input: text })
+    });
+    if (!r.ok) throw new Error(`ollama embed HTTP ${r.status}: ` + await r.text());
+    const j = await r.json();
+    const vec = j?.embeddings?.[0];
+    if (!Array.isArray(vec) || !vec.length) return null;
+    return vec;
+  }
+};
+
+// --- Mock: deterministic, offline ---
+// Looks for fixtures in LLM_FIXTURES_DIR first (`<post_id>.<task>.json`, then `<task>.json`),
+// otherwise derives plausible output from the input text with simple rules.
+const RECIPE_HINTS = /\b(recipe|rezept|ingredients?|zutaten|bake|backen|cook|kochen|tbsp|tsp|teaspoon|tablespoon|\d+\s?(g|ml|kg)\b)/i;
+const INGREDIENT_LINE = /^\s*[-•*]?\s*(\d+(?:[.,]\d+)?|\d+\/\d+)\s*(g|kg|ml|l|tsp|tbsp|cups?|oz|lb|pcs?)?\.?\s+(.{2,60})$/i;
+const STOPWORDS = new Set("the a an and or of to in on for with this that is are was it you i my your from at by be de und der die das mit title caption transcript may empty cleaned".split(" "));
+
+// drop the instructions around the post text so schema/rule wording doesn't skew the rules below
+function promptInputs(prompt) {
+  return String(prompt || "").replace(/^[\s\S]*?(?=^-? ?Title:)/m, "").replace(/\n(Rules|Requirements):[\s\S]*$/, "");
+}
+
+function readFixture(task, postId) {
+  if (!LLM_FIXTURES_DIR) return null;
+  const names = [postId && `${postId}.${task}.json`, `${task}.json`].filter(Boolean);
+  for (const n of names) {
+    const p = path.join(LLM_FIXTURES_DIR, n);
+    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, "utf8"));
+  }
+  return null;
+}
+
+function keywords(text, n = 5) {
+  const counts = new Map();
+  for (const w of String(text || "").toLowerCase().match(/\p{L}{3,}/gu) || []) {
+    if (!STOPWORDS.has(w)) counts.set(w, (counts.get(w) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, n).map(([w]) => w);
+}
+
+function mockClassification(text) {
+  const isRecipe = RECIPE_HINTS.test(text || "");
+  return { content_type: isRecipe ? "recipe" : "other", topics: keywords(text), confidence: isRecipe ? 0.8 : 0.5 };
+}
+
+function mockRecipe(text, { title = null, meta = null } = {}) {
+  const ingredients = String(text || "").split("\n")
+    .map(l => l.match(INGREDIENT_LINE))
+    .filter(Boolean)
+    .map(m => ({
+      name: `🍽️ ${m[3].trim()}`,
+      quantity: m[1].includes("/") ? Number(m[1].split("/")[0]) / Number(m[1].split("/")[1]) : Number(m[1].replace(",", ".")),
+      unit: m[2]?.toLowerCase() || null,
+      notes: null
+    }));
+  return {
+    recipe_id: meta ? `${meta.platform}:${meta.post_id}` : null,
+    source: meta ? { platform: meta.platform, url: meta.url, post_id: meta.post_id } : {},
+    title: title || "Untitled recipe",
+    author: meta?.author?.name || null,
+    servings: null,
+    total_time_minutes: null,
+    ingredients,
+    steps: [],
+    tags: keywords(text, 3),
+    confidence: { ingredients: ingredients.length ? 0.6 : 0, steps: 0, servings: 0, time: 0 },
+    provenance: {
+      servings: { source: null, confidence: null },
+      total_time_minutes: { source: null, confidence: null }
+    },
+    flags: { has_inferred_values: false }
+  };
+}
+
+/** Feature-hashed bag of words, L2-normalized: identical text → identical vector, overlap → close vectors. */
+export function hashEmbedding(text, dim = EMBED_DIM) {
+  const v = new Array(dim).fill(0);
+  for (const tok of String(text || "").toLowerCase().match(/\p{L}[\p{L}\p{N}]*|\p{N}+/gu) || []) {
+    const h = crypto.createHash("sha1").update(tok).digest();
+    v[h.readUInt32BE(0) % dim] += (h[4] & 1) ? 1 : -1;
+  }
+  const norm = Math.sqrt(v.reduce((a, x) => a + x * x, 0)) || 1;
+  return v.map(x => x / norm);
+}
+
+const mockProvider = {
+  name: "mock",
+
+  async chatJSON({ user, task, postId }) {
+    const fixture = readFixture(task, postId);
+    if (fixture) return fixture;
+    const inputs = promptInputs(user);
+    if (task === "recipe") return mockRecipe(inputs, { title: inputs.match(/Title:[ \t]*(.+)/)?.[1]?.trim() });
+    // no ingredient knowledge offline: every ingredient stays unclassified (see diet.mjs)
+    if (task === "diet") return { ingredients: [...inputs.matchAll(/^- (.+)$/gm)].map(m => ({ name: m[1].trim(), categories: [], known: false })) };
+    return mockClassification(inputs);
+  },
+
+  async embed(text) {
+    return hashEmbedding(text);
+  },
+
+  async prepareVideo({ videoPath }) {
+    return { videoPath };
+  },
+
+  async analyzeVideo({ meta }) {
+    const fixture = readFixture("analysis", meta.post_id);
+    if (fixture) return fixture;
+    const text = [meta.title, meta.caption].filter(Boolean).join("\n");
+    const c = mockClassification(text);
+    return {
+      content_type: c.content_type,
+      topics: c.topics,
+      summary: meta.title || "",
+      key_points: [],
+      entities: meta.author?.name ? [meta.author.name] : [],
+      screen_text: [],
+      links: []
+    };
+  },
+
+  async extractRecipeFromVideo({ meta }) {
+    return readFixture("video-recipe", meta.post_id) || mockRecipe(meta.caption, { title: meta.title, meta });
+  },
+
+  async prepareMedia({ items }) {
+    return items;
+  },
+
+  analyzeMedia({ meta }) {
+    return this.analyzeVideo({ meta });
+  },
+
+  async extractRecipeFromMedia({ meta }) {
+    return readFixture("media-recipe", meta.post_id) || mockRecipe(meta.caption, { title: meta.title, meta });
+  }
+};
+
+// --- registry ---
+const PROVIDERS = {
+  openai: openaiProvider,
+  vertex: vertexProvider,
+  ollama: ollamaProvider,
+  mock: mockProvider
+};
+
+export function providerNameFor(task) {
+  const envKey = `LLM_${task.toUpperCase()}_PROVIDER`;
+  return (process.env[envKey] || process.env.LLM_PROVIDER || TASK_DEFAULTS[task] || "").toLowerCase();
+}
+
+/** getProvider("chat" | "embed" | "video") -> provider configured for that task */
+export function getProvider(task) {
+  const name = providerNameFor(task);
+  const provider = PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown LLM provider "${name}" for ${task} (use ${Object.keys(PROVIDERS).join(", ")})`);
+  return provider;
+}
+
+/** True when the provider configured for `task` implements `method`. */
+export function providerSupports(task, method) {
+  return typeof PROVIDERS[providerNameFor(task)]?.[method] === "function";
+}
@@ -0,0 +1,312 @@
+import Ajv from "ajv";
+
+// --- formal schemas for model output ---
+// The prompts (pipeline.mjs, gemini.mjs) describe the same shapes in prose; keep them in sync.
+
+const CONTENT_TYPES = ["recipe", "tutorial", "travel", "humor", "product", "news", "music", "other"];
+const PROVENANCE_SOURCES = ["caption", "transcript", "ocr", "model", "page"];  // page: schema.org markup on a web page
+
+const unit01 = { type: "number", minimum: 0, maximum: 1 };
+const stringArray = { type: "array", items: { type: "string", minLength: 1 } };
+const nullableNumber = { type: ["number", "null"], minimum: 0 };
+const nullableString = { type: ["string", "null"] };
+const provenance = {
+  type: "object",
+  required: ["source", "confidence"],
+  properties: {
+    source: { enum: [...PROVENANCE_SOURCES, null] },
+    confidence: { type: ["number", "null"], minimum: 0, maximum: 1 }
+  }
+};
+
+export const CLASSIFICATION_SCHEMA = {
+  type: "object",
+  required: ["content_type", "topics", "confidence"],
+  properties: {
+    content_type: { enum: CONTENT_TYPES },
+    topics: stringArray,
+    confidence: unit01
+  }
+};
+
+export const ANALYSIS_SCHEMA = {
+  type: "object",
+  required: ["content_type", "topics", "summary", "key_points", "entities", "screen_text", "links"],
+  properties: {
+    content_type: { enum: CONTENT_TYPES },
+    topics: stringArray,
+    summary: nullableString,
+    key_points: stringArray,
+    entities: stringArray,
+    screen_text: stringArray,
+    links: stringArray,
+    confidence: unit01
+  }
+};
+
+export const RECIPE_SCHEMA = {
+  type: "object",
+  required: ["title", "servings", "total_time_minutes", "ingredients", "steps", "tags", "confidence", "provenance", "flags"],
+  properties: {
+    recipe_id: nullableString,
+    source: { type: "object" },
+    title: { type: "string", minLength: 1 },
+    author: nullableString,
+    servings: nullableNumber,
+    total_time_minutes: nullableNumber,
+    ingredients: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["name", "quantity", "unit", "notes"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          quantity: nullableNumber,
+          unit: nullableString,
+          notes: nullableString
+        }
+      }
+    },
+    steps: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["index", "instruction", "timer_minutes"],
+        properties: {
+          index: { type: "integer", minimum: 1 },
+          instruction: { type: "string", minLength: 1 },
+          timer_minutes: nullableNumber
+        }
+      }
+    },
+    tags: stringArray,
+    confidence: {
+      type: "object",
+      required: ["ingredients", "steps", "servings", "time"],
+      properties: { ingredients: unit01, steps: unit01, servings: unit01, time: unit01 }
+    },
+    provenance: {
+      type: "object",
+      required: ["servings", "total_time_minutes"],
+      properties: { servings: provenance, total_time_minutes: provenance }
+    },
+    flags: {
+      type: "object",
+      required: ["has_inferred_values"],
+      properties: { has_inferred_values: { type: "boolean" } }
+    }
+  }
+};
+
+export const SCHEMAS = {
+  classification: CLASSIFICATION_SCHEMA,
+  analysis: ANALYSIS_SCHEMA,
+  recipe: RECIPE_SCHEMA
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = Object.fromEntries(Object.entries(SCHEMAS).map(([k, s]) => [k, ajv.compile(s)]));
+
+// --- coercion / repair ---
+const UNICODE_FRACTIONS = { "¼": 0.25, "½": 0.5, "¾": 0.75, "⅓": 1 / 3, "⅔": 2 / 3, "⅛": 0.125, "⅜": 0.375, "⅝": 0.625, "⅞": 0.875 };
+
+/**
+ * "1 1/2" → 1.5, "½" → 0.5, "2,5" → 2.5, "2-3" → 2, "30 min" → 30, "1 h" → 60 (with `minutes`).
+ * Returns null when no number can be read.
+ */
+export function parseQuantity(v, { minutes = false } = {}) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (typeof v !== "string") return null;
+  let s = v.trim().toLowerCase();
+  for (const [ch, n] of Object.entries(UNICODE_FRACTIONS)) s = s.replaceAll(ch, ` ${n}`);
+  s = s.replace(/(\d),(\d)/g, "$1.$2");
+
+  const m = s.match(/(\d+)\s+(\d+)\/(\d+)|(\d+)\/(\d+)|(\d+(?:\.\d+)?)/);
+  if (!m) return null;
+  let n;
+  if (m[1]) n = Number(m[1]) + Number(m[2]) / Number(m[3]);
+  else if (m[4]) n = Number(m[4]) / Number(m[5]);
+  else {
+    n = Number(m[6]);
+    // "1 0.5" from a unicode fraction
+    const rest = s.slice(m.index + m[0].length).match(/^\s+(0\.\d+)/);
+    if (rest) n += Number(rest[1]);
+  }
+  if (minutes && /\b(h|hr|hrs|hours?|std|stunden?)\b/.test(s)) n *= 60;
+  return Number.isFinite(n) ? n : null;
+}
+
+function toConfidence(v) {
+  let n = parseQuantity(v);
+  if (n == null) return 0;
+  if (n > 1 && n <= 100) n /= 100;  // percentages
+  return Math.min(Math.max(n, 0), 1);
+}
+
+function toStringArray(v) {
+  if (typeof v === "string") v = v.split(/\n|;\s*/);
+  if (!Array.isArray(v)) return [];
+  const out = [];
+  for (const x of v) {
+    const s = typeof x === "string" ? x.trim() : (x == null ? "" : String(x?.text ?? x?.name ?? x).trim());
+    if (s && !out.includes(s)) out.push(s);
+  }
+  return out;
+}
+
+function toNullableString(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s ? s : null;
+}
+
+function toContentType(v) {
+  const s = String(v || "").trim().toLowerCase();
+  return CONTENT_TYPES.includes(s) ? s : "other";
+}
+
+function repairProvenance(p) {
+  const src = String(p?.source ?? "").trim().toLowerCase();
+  return {
+    source: PROVENANCE_SOURCES.includes(src) ? src : null,
+    confidence: p?.confidence == null ? null : toConfidence(p.confidence)
+  };
+}
+
+function repairClassification(o) {
+  return {
+    ...o,
+    content_type: toContentType(o.content_type),
+    topics: toStringArray(o.topics).map(t => t.toLowerCase()),
+    confidence: toConfidence(o.confidence ?? 0.5)
+  };
+}
+
+function repairAnalysis(o) {
+  const out = {
+    ...o,
+    content_type: toContentType(o.content_type),
+    topics: toStringArray(o.topics).map(t => t.toLowerCase()),
+    summary: toNullableString(o.summary),
+    key_points: toStringArray(o.key_points),
+    entities: toStringArray(o.entities),
+    screen_text: toStringArray(o.screen_text),
+    links: toStringArray(o.links)
+  };
+  if (o.confidence !== undefined) out.confidence = toConfidence(o.confidence);
+  return out;
+}
+
+function repairRecipe(o) {
+  const ingredients = (Array.isArray(o.ingredients) ? o.ingredients : [])
+    .map(i => (typeof i === "string" ? { name: i } : i || {}))
+    .map(i => {
+      const quantity = parseQuantity(i.quantity);
+      let notes = toNullableString(i.notes);
+      // keep unparseable quantities ("a pinch") instead of dropping them
+      if (quantity == null && typeof i.quantity === "string" && i.quantity.trim()) {
+        notes = notes ? `${i.quantity.trim()}; ${notes}` : i.quantity.trim();
+      }
+      return { ...i, name: toNullableString(i.name) || "", quantity, unit: toNullableString(i.unit), notes };
+    })
+    .filter(i => i.name);
+
+  const steps = (Array.isArray(o.steps) ? o.steps : [])
+    .map(s => (typeof s === "string" ? { instruction: s } : s || {}))
+    .map(s => ({ ...s, instruction: toNullableString(s.instruction) || "", timer_minutes: parseQuantity(s.timer_minutes, { minutes: true }) }))
+    .filter(s => s.instruction)
+    .map((s, idx) => ({ ...s, index: idx + 1 }));
+
+  const confidence = o.confidence || {};
+  const flags = o.flags || {};
+  return {
+    ...o,
+    recipe_id: toNullableString(o.recipe_id),
+    title: toNullableString(o.title) || "",
+    author: toNullableString(o.author),
+    servings: parseQuantity(o.servings),
+    total_time_minutes: parseQuantity(o.total_time_minutes, { minutes: true }),
+    ingredients,
+    steps,
+    tags: toStringArray(o.tags),
+    confidence: {
+      ingredients: toConfidence(confidence.ingredients),
+      steps: toConfidence(confidence.steps),
+      servings: toConfidence(confidence.servings),
+      time: toConfidence(confidence.time)
+    },
+    provenance: {
+      servings: repairProvenance(o.provenance?.servings),
+      total_time_minutes: repairProvenance(o.provenance?.total_time_minutes)
+    },
+    flags: { ...flags, has_inferred_values: flags.has_inferred_values === true || flags.has_inferred_values === "true" }
+  };
+}
+
+const REPAIRS = { classification: repairClassification, analysis: repairAnalysis, recipe: repairRecipe };
+
+/** Coerces a model response towards the schema (string numbers, percent confidences, missing keys, …). */
+export function repairOutput(kind, obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return obj;
+  return REPAIRS[kind](obj);
+}
+
+/** validateOutput(kind, obj) -> ["/path message", ...] (empty when valid) */
+export function validateOutput(kind, obj) {
+  const validate = validators[kind];
+  if (!validate) throw new Error(`Unknown schema "${kind}"`);
+  if (validate(obj)) return [];
+  return validate.errors.map(e => `${e.instancePath || "/"} ${e.message}${e.params?.allowedValues ? ` (${e.params.allowedValues.join("|")})` : ""}`);
+}
+
+/** Text appended to a prompt when asking the model to fix its previous answer. */
+export function formatSchemaFeedback(errors) {
+  if (!errors?.length) return "";
+  return `\n\nYour previous answer did not match the required JSON schema:\n${errors.map(e => `- ${e}`).join("\n")}\nReturn the complete corrected JSON only.`;
+}
+
+const SCHEMA_RETRIES = Number(process.env.LLM_SCHEMA_RETRIES ?? 1);
+
+/**
+ * Calls the model, repairs and validates its output, and re-asks with the
+ * validation errors (up to LLM_SCHEMA_RETRIES times). `call(feedback)` receives
+ * "" on the first attempt and formatSchemaFeedback(errors) afterwards.
+ * Returns { value, errors, attempts, repaired }; `errors` is non-empty when the model
+ * never produced a valid answer — callers store the repaired value and flag the item.
+ * `repaired` tells whether the accepted value needed coercion.
+ */
+export async function withSchemaRetry(kind, call, { retries = SCHEMA_RETRIES } = {}) {
+  let errors = [];
+  let value = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    let raw;
+    try {
+      raw = await call(formatSchemaFeedback(errors));
+    } catch (e) {
+      if (!(e instanceof SyntaxError) || attempt > retries) throw e;
+      errors = [`response was not valid JSON (${e.message})`];
+      continue;
+    }
+    const repaired = validateOutput(kind, raw).length > 0;
+    value = repairOutput(kind, raw);
+    errors = validateOutput(kind, value);
+    if (!errors.length) return { value, errors, attempts: attempt, repaired };
+  }
+  return { value, errors, attempts: retries + 1, repaired: true };
+}
+
+/**
+ * Runs several withSchemaRetry calls and collects the leftover errors per kind:
+ *   const { check, errors } = createSchemaChecker();
+ *   const recipe = await check("recipe", feedback => callChatJSON({ ..., user: prompt + feedback }));
+ */
+export function createSchemaChecker() {
+  const errors = {};
+  const check = async (kind, call, opts) => {
+    const res = await withSchemaRetry(kind, call, opts);
+    if (res.errors.length) errors[kind] = res.errors;
+    return res.value;
+  };
+  return { check, errors };
+}
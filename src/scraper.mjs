@@ -3,6 +3,12 @@ import { promisify } from "node:util";
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
+import { pipeline } from "node:stream/promises";
+import { NOOP_STAGES } from "./progress.mjs";
+import { fetchHtml, parseRecipePage } from "./webrecipe.mjs";
+import { getPublic } from "./netguard.mjs";
+import { getStorage, storeLocalFile } from "./storage.mjs";
+import { parseVtt } from "./transcript.mjs";
 
 const pExecFile = promisify(execFile);
 
@@ -12,6 +18,11 @@ const JSON_DIR = path.join(DOWNLOAD_DIR, "json");
 const CACHE_DIR = path.join(DOWNLOAD_DIR, "cache");
 const COOKIES_FILE = process.env.COOKIES_FILE;
 const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS || 24 * 60 * 60 * 1000); // 24h
+const THUMB_MAX_BYTES = 5 * 1024 * 1024;
+// hosts handled by yt-dlp; everything else is treated as a web page (recipe blogs etc.)
+const VIDEO_HOSTS = (process.env.VIDEO_HOSTS ||
+  "youtube.com,youtu.be,tiktok.com,instagram.com,facebook.com,fb.watch,vimeo.com,twitter.com,x.com,pinterest.com,pin.it,reddit.com,twitch.tv,dailymotion.com")
+  .split(",").map(h => h.trim().toLowerCase()).filter(Boolean);
 
 for (const d of [DOWNLOAD_DIR, JSON_DIR, CACHE_DIR]) {
   if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
@@ -78,6 +89,83 @@ export function writeCache(url, obj) {
   fs.writeFileSync(cachePathForUrl(url), JSON.stringify(obj, null, 2), "utf8");
 }
 
+export function isVideoUrl(url) {
+  return hostnameAllowed(url, VIDEO_HOSTS);
+}
+
+/** URL of the widest thumbnail the platform reported, or null */
+export function bestThumbnailUrl(meta) {
+  const thumbs = meta?.raw?.thumbnails || [];
+  if (!thumbs.length) return null;
+  const best = thumbs
+    .map(t => ({ ...t, w: t.width || 0 }))
+    .sort((a,b) => b.w - a.w)[0];
+  return best?.url || null;
+}
+
+// --- storage ---
+const THUMB_EXT = { "image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp" };
+const MEDIA_EXT = { ...THUMB_EXT, "image/heic": ".heic", "video/mp4": ".mp4", "video/webm": ".webm", "video/quicktime": ".mov" };
+
+/**
+ * Downloads `url` from a public address (see netguard.mjs) to `<base><ext>` (ext from the content
+ * type) when its type is one of `types` and it is at most `maxBytes`. Returns the file, or null.
+ */
+async function fetchToFile(url, base, { types = THUMB_EXT, maxBytes = THUMB_MAX_BYTES, timeoutMs = 10_000 } = {}) {
+  const r = await getPublic(url, { signal: AbortSignal.timeout(timeoutMs) });
+  const type = (r.headers["content-type"] || "").split(";")[0].trim();
+  if (r.statusCode < 200 || r.statusCode >= 300 || !types[type] || Number(r.headers["content-length"]) > maxBytes) {
+    r.destroy();
+    return null;
+  }
+  // streamed with a running count: carousel clips can be large, and Content-Length may be missing
+  const file = `${base}${types[type]}`;
+  let size = 0;
+  try {
+    await pipeline(r, async function* (chunks) {
+      for await (const chunk of chunks) {
+        size += chunk.length;
+        if (size > maxBytes) throw new Error("Too large");
+        yield chunk;
+      }
+    }, fs.createWriteStream(file));
+  } catch {
+    fs.rmSync(file, { force: true });
+    return null;
+  }
+  return file;
+}
+
+/** Best effort: platform thumbnail URLs expire, so keep a copy next to the other files. */
+async function downloadThumbnail(meta, postDir) {
+  const url = bestThumbnailUrl(meta);
+  if (!url) return null;
+  try {
+    return await fetchToFile(url, path.join(postDir, "thumbnail"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copies what extract() wrote to `postDir` into storage (see storage.mjs) and returns
+ * `{ driver, prefix, files: { name: key } }`; the folder name is the key prefix.
+ * meta.json is written and stored last so it carries the other keys.
+ */
+async function storeExtracted(postDir, normalized, files) {
+  const prefix = path.basename(postDir);
+  const stored = { driver: getStorage().name, prefix, files: {} };
+  for (const [name, file] of Object.entries(files)) {
+    if (file && fs.existsSync(file)) stored.files[name] = await storeLocalFile(prefix, file);
+  }
+  // carousel entries point at their stored file
+  for (const item of normalized.media_items || []) item.key = stored.files[mediaFileName(item.index)] || null;
+  const metaPath = path.join(postDir, "meta.json");
+  fs.writeFileSync(metaPath, JSON.stringify({ ...normalized, storage: stored }, null, 2), "utf8");
+  stored.files.meta = await storeLocalFile(prefix, metaPath);
+  return { storage: stored, metaPath };
+}
+
 // --- yt-dlp helpers ---
 async function ytdlpJSON(url, { cookiesFile } = {}) {
   const args = ["-J", "--no-warnings", "--no-call-home", "--no-playlist", url];
@@ -120,134 +208,260 @@ async function ytdlpDownloadSubsIfYouTube(info, url, outBase, { cookiesFile } =
   if (files.length === 0) return null;
 
   // quick .vtt → text
-  const text = files.map(f => fs.readFileSync(path.join(dir, f), "utf8"))
+  const vtts = files.map(f => fs.readFileSync(path.join(dir, f), "utf8"));
+  const text = vtts
     .map(vtt => vtt
       .replace(/\r/g, "")
       .split("\n")
       .filter(line => line && !/^\d+$/.test(line) && !line.includes("-->") && !line.startsWith("WEBVTT"))
       .join("\n"))
     .join("\n");
+  if (!text.trim()) return null;
+
+  // cue times of the first language (<id>.<lang>.vtt) for the timed transcript
+  const segments = parseVtt(vtts[0]);
+  const timed = segments.length
+    ? { source: "subtitles", language: files[0].slice(id.length + 1, -".vtt".length) || null, segments }
+    : null;
+  return { text: text.trim(), timed };
+}
 
-  return text.trim() || null;
+// --- multi-entry posts (carousels, photo slideshows) ---
+const MAX_POST_ENTRIES = Number(process.env.MAX_POST_ENTRIES || 20);
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 200 * 1024 * 1024);
+// optional: gallery-dl sees the images yt-dlp skips (Instagram photo carousels, TikTok photo posts)
+const GALLERY_DL_BIN = process.env.GALLERY_DL_BIN || "gallery-dl";
+const IMAGE_EXTS = new Set(["jpg", "jpeg", "png", "webp", "heic"]);
+const VIDEO_EXTS = new Set(["mp4", "webm", "mov", "m4v"]);
+
+const mediaFileName = (index) => `media_${String(index).padStart(2, "0")}`;
+const urlExt = (u) => { try { return path.extname(new URL(u).pathname).slice(1).toLowerCase(); } catch { return ""; } };
+
+const hasVideoFormat = (info) =>
+  (info?.formats?.length ? info.formats : [info || {}]).some(f => f.vcodec && f.vcodec !== "none");
+
+/** one yt-dlp playlist entry -> { type, source_url, width, height, duration_sec, playlist_index } or null */
+function ytdlpEntry(e, i) {
+  if (!e) return null;
+  if (hasVideoFormat(e)) {
+    return { type: "video", source_url: e.webpage_url || e.url || null, width: e.width ?? null, height: e.height ?? null,
+      duration_sec: e.duration ?? null, playlist_index: e.playlist_index ?? i + 1 };
+  }
+  const url = IMAGE_EXTS.has(String(e.ext || "").toLowerCase()) && e.url ? e.url : bestThumbnailUrl({ raw: { thumbnails: e.thumbnails || [] } });
+  return url ? { type: "image", source_url: url, width: e.width ?? null, height: e.height ?? null, duration_sec: null } : null;
 }
 
-// --- ASR helpers (optional) ---
-async function extractAudioWav(videoPath, wavPath) {
-  await pExecFile("ffmpeg", ["-y", "-i", videoPath, "-vn", "-ac", "1", "-ar", "16000", wavPath]);
-  return wavPath;
+/** gallery-dl -j prints [type, url, metadata] messages; type 3 is a file. -> { info (yt-dlp shaped), entries } or null */
+async function galleryDlPost(url, { cookiesFile } = {}) {
+  const args = ["-j", url];
+  if (cookiesFile && fs.existsSync(cookiesFile)) args.unshift("--cookies", cookiesFile);
+  const { stdout } = await pExecFile(GALLERY_DL_BIN, args, { maxBuffer: 1024 * 1024 * 50 });
+  const files = JSON.parse(stdout).filter(m => m[0] === 3 && m[1]).slice(0, MAX_POST_ENTRIES);
+  if (!files.length) return null;
+
+  const kw = files[0][2] || {};
+  const description = kw.description || kw.desc || kw.content || null;
+  const date = kw.date ? Date.parse(`${String(kw.date).replace(" ", "T")}Z`) : NaN;
+  const entries = files.map(([, fileUrl, k = {}]) => ({
+    type: VIDEO_EXTS.has(String(k.extension || urlExt(fileUrl)).toLowerCase()) ? "video" : "image",
+    source_url: fileUrl,
+    width: k.width ?? null,
+    height: k.height ?? null,
+    duration_sec: null
+  }));
+  const info = {
+    extractor_key: kw.category || "post",
+    id: String(kw.post_shortcode || kw.shortcode || kw.post_id || kw.id || sha1(url).slice(0, 16)),
+    webpage_url: url,
+    title: description ? description.split("\n")[0].slice(0, 120) : `Post by ${kw.username || kw.author?.name || "unknown"}`,
+    description,
+    uploader: kw.fullname || kw.username || kw.author?.nickname || null,
+    uploader_id: kw.username || kw.owner_id || kw.author?.id || null,
+    timestamp: Number.isFinite(date) ? date / 1000 : null,
+    thumbnails: entries.filter(e => e.type === "image").slice(0, 1).map(e => ({ url: e.source_url, width: e.width }))
+  };
+  return { info, entries };
 }
 
 /**
- * ASR via API (OpenAI Whisper or custom server).
- * Returns transcript text, or null on failure.
+ * yt-dlp metadata plus, for carousels, slideshows and photo posts, their ordered entries
+ * (`entries` is null for a plain single-video post). Falls back to gallery-dl when yt-dlp
+ * fails or finds no video; without gallery-dl a photo post is reduced to its best thumbnail.
  */
-export async function transcribeWithASRLocalOrAPI({ videoPath }) {
-  const mode = (process.env.ASR_MODE || "api").toLowerCase(); // api | local
-  const provider = (process.env.ASR_PROVIDER || "openai").toLowerCase();
-
-  // Extract wav
-  const wav = videoPath ? videoPath.replace(/\.(mp4|mov|m4v)$/i, ".wav") : null;
-  if (!videoPath) return null;
-  await extractAudioWav(videoPath, wav);
-
-  // API path
-  if (mode === "api") {
-    if (provider === "openai") {
-      // Uses global fetch in Node 18+; if you’re on older Node, install node-fetch.
-      const apiKey = process.env.AI_API_KEY || process.env.OPENAI_API_KEY;
-      if (!apiKey) return null;
-
-      const form = new FormData();
-      form.append("file", new Blob([fs.readFileSync(wav)]), path.basename(wav));
-      form.append("model", "whisper-1");
-
-      const r = await fetch("https://api.openai.com/v1/audio/transcriptions", {
-        method: "POST",
-        headers: { Authorization: `Bearer ${apiKey}` },
-        body: form
-      });
-      if (!r.ok) return null;
-      const data = await r.json();
-      return data?.text || null;
+async function resolvePost(url, { cookiesFile } = {}) {
+  let info = null;
+  let failure = null;
+  try { info = await ytdlpJSON(url, { cookiesFile }); } catch (e) { failure = e; }
+
+  if (info?.entries?.length) {
+    const raw = info.entries.filter(Boolean).slice(0, MAX_POST_ENTRIES);
+    const entries = raw.map(ytdlpEntry).filter(Boolean);
+    if (entries.length) {
+      // playlist-level fields win; the first entry fills in what the playlist lacks (uploader, date, ...)
+      const post = { ...raw[0], ...Object.fromEntries(Object.entries(info).filter(([k, v]) => v != null && k !== "entries")) };
+      const clips = entries.filter(e => e.type === "video");
+      post.duration = clips.length ? clips.reduce((sum, e) => sum + (e.duration_sec || 0), 0) : null;
+      return { info: post, entries };
     }
+  }
+  if (info && hasVideoFormat(info)) return { info, entries: null };
+
+  const gallery = await galleryDlPost(url, { cookiesFile }).catch(() => null);
+  if (gallery) return gallery;
+  if (failure) throw failure;
+  const image = ytdlpEntry(info, 0);
+  return { info, entries: image ? [image] : [] };
+}
+
+async function ytdlpDownloadEntry(url, playlistIndex, outtmpl, { cookiesFile } = {}) {
+  const args = [
+    "-o", outtmpl,
+    "--yes-playlist",
+    "--playlist-items", String(playlistIndex),
+    "-f", "bestvideo*+bestaudio/best",
+    "--merge-output-format", "mp4",
+    "--geo-bypass"
+  ];
+  if (cookiesFile && fs.existsSync(cookiesFile)) args.unshift("--cookies", cookiesFile);
+  await pExecFile("yt-dlp", args.concat(url), { maxBuffer: 1024 * 1024 * 50 });
+}
 
-    // Custom Whisper server (OpenAI-compatible style)
-    if (provider === "custom") {
-      const base = process.env.ASR_BASE_URL;
-      const key  = process.env.ASR_API_KEY;
-      if (!base) return null;
-      const form = new FormData();
-      form.append("file", new Blob([fs.readFileSync(wav)]), path.basename(wav));
-      form.append("model", "whisper");
-      const r = await fetch(`${base}/v1/audio/transcriptions`, {
-        method: "POST",
-        headers: key ? { Authorization: `Bearer ${key}` } : {},
-        body: form
-      });
-      if (!r.ok) return null;
-      const data = await r.json();
-      return data?.text || null;
+/** Downloads every entry as postDir/media_NN.<ext>; returns the files in entry order (null where one failed). */
+async function downloadEntries(url, entries, postDir, { cookiesFile } = {}) {
+  const files = [];
+  for (const [i, e] of entries.entries()) {
+    const base = path.join(postDir, mediaFileName(i + 1));
+    try {
+      if (e.type === "video" && e.playlist_index != null) {
+        await ytdlpDownloadEntry(url, e.playlist_index, `${base}.%(ext)s`, { cookiesFile });
+        files.push(fs.existsSync(`${base}.mp4`) ? `${base}.mp4` : null);
+      } else {
+        files.push(await fetchToFile(e.source_url, base, { types: MEDIA_EXT, maxBytes: MEDIA_MAX_BYTES, timeoutMs: 120_000 }));
+      }
+    } catch {
+      files.push(null); // one broken entry shouldn't lose the whole post
     }
   }
+  return files;
+}
 
-  // Local mode placeholder (run your own faster-whisper service and call it here)
-  return null;
+// --- web pages ---
+/**
+ * Recipe blogs and other pages: schema.org Recipe (JSON-LD / microdata) when present,
+ * otherwise the readable page text (`page_text`) for the LLM recipe prompt.
+ * The parsed recipe travels as `structured_recipe` so runPipeline can skip the model.
+ */
+async function extractWebPage(url, { downloadDir = DOWNLOAD_DIR, stages = NOOP_STAGES } = {}) {
+  const { html, parsed } = await stages.run("extract", async () => {
+    const { html, finalUrl } = await fetchHtml(url);
+    return { html, parsed: parseRecipePage(html, finalUrl) };
+  }, ({ parsed }) => ({ platform: "web", title: parsed.meta.title, structured: parsed.source }));
+
+  const postDir = path.join(downloadDir, `web-${parsed.meta.post_id}`);
+  if (!fs.existsSync(postDir)) fs.mkdirSync(postDir, { recursive: true });
+  const pagePath = path.join(postDir, "page.html");
+  fs.writeFileSync(pagePath, html, "utf8");
+
+  const normalized = {
+    ...parsed.meta,
+    transcript: null,
+    video: { downloaded_path: null },
+    structured_recipe: parsed.recipe
+  };
+  const { storage, metaPath } = await storeExtracted(postDir, normalized, {
+    page: pagePath,
+    thumbnail: await downloadThumbnail(normalized, postDir)
+  });
+
+  const paths = { dir: postDir, meta_json: metaPath, video: null, transcript_txt: null };
+  writeCache(url, { ...normalized, storage, paths });
+  return { ...normalized, storage, paths };
 }
 
 // --- main API used by server ---
 /**
  * Extracts metadata, optionally downloads the merged (A+V) MP4, optionally gets transcript.
- * Saves normalized JSON to downloads/json/<post_id>.json.
+ * Carousels, slideshows and photo posts come back as `media_items` (their files downloaded
+ * with `downloadVideo`). Non-video URLs (see VIDEO_HOSTS) go through extractWebPage instead.
+ * Works in DOWNLOAD_DIR/<platform>-<post_id>/ and copies the results to the active storage
+ * driver; `storage.files` holds their keys (`paths` are the local working copies).
+ * `stages` (see progress.mjs) receives "extract" and "download" progress; cache hits report nothing.
  */
 export async function extract(url, {
   downloadVideo = false,
   cookiesFile = COOKIES_FILE,
   downloadDir = DOWNLOAD_DIR,
   wantTranscript = false,
-  refresh = false
+  refresh = false,
+  stages = NOOP_STAGES
 } = {}) {
 
   // 0) cache?
   const cached = !refresh ? readCache(url) : null;
   if (cached) return cached;
 
-  // 1) metadata
-  const info = await ytdlpJSON(url, { cookiesFile });
+  if (!isVideoUrl(url)) return extractWebPage(url, { downloadDir, stages });
+
+  // 1) metadata (+ the entry list of carousels / photo posts)
+  const { info, entries } = await stages.run("extract", () => resolvePost(url, { cookiesFile }),
+    ({ info: i, entries: e }) => ({ platform: (i.extractor_key || "").toLowerCase(), title: i.title, duration_sec: i.duration ?? null, entries: e?.length ?? null }));
   const postDir = postDirFor(info, downloadDir);
   if (!fs.existsSync(postDir)) fs.mkdirSync(postDir, { recursive: true });
 
-  // 2) video (merged mp4)
+  // 2) video (merged mp4), or every image / clip of a multi-entry post
   let downloadedPath = null;
-  if (downloadVideo) {
+  let entryFiles = [];
+  if (downloadVideo && entries) {
+    entryFiles = await stages.run("download", () => downloadEntries(url, entries, postDir, { cookiesFile }),
+      f => ({ downloaded: f.filter(Boolean).length, entries: f.length }));
+  } else if (downloadVideo) {
     const outtmpl = path.join(postDir, "%(id)s.%(ext)s");
-    await ytdlpDownloadMergedMP4(url, outtmpl, { cookiesFile });
-    const guessMp4 = path.join(postDir, `${info.id}.mp4`);
-    downloadedPath = fs.existsSync(guessMp4) ? guessMp4 : null;
+    downloadedPath = await stages.run("download", async () => {
+      await ytdlpDownloadMergedMP4(url, outtmpl, { cookiesFile });
+      const guessMp4 = path.join(postDir, `${info.id}.mp4`);
+      return fs.existsSync(guessMp4) ? guessMp4 : null;
+    }, p => ({ downloaded: !!p }));
   }
 
   // 3) transcript (YouTube subs only here)
   let transcript = null;
-  if (wantTranscript) {
+  let timedTranscript = null;
+  const transcriptPath = path.join(postDir, "transcript.txt");
+  if (wantTranscript && !entries) {
     const outBase = path.join(postDir, info.id); // yt-dlp appends .xx.vtt
-    try { transcript = await ytdlpDownloadSubsIfYouTube(info, url, outBase, { cookiesFile }); }
-    catch { transcript = null; }
+    try {
+      const subs = await ytdlpDownloadSubsIfYouTube(info, url, outBase, { cookiesFile });
+      transcript = subs?.text || null;
+      timedTranscript = subs?.timed || null;
+    } catch { transcript = null; }
     if (transcript) {
-      fs.writeFileSync(path.join(postDir, "transcript.txt"), transcript, "utf8");
+      fs.writeFileSync(transcriptPath, transcript, "utf8");
     }
   }
 
-  // 4) normalize + save JSON (per-post folder)
+  // 4) normalize + save JSON (per-post folder), then hand everything to storage
   const normalized = {
     ...normalize(info),
     transcript, // null if none
+    timed_transcript: timedTranscript, // { source, language, segments } when the subs have cue times
     video: { downloaded_path: downloadedPath },
+    // ordered images / clips of a carousel, slideshow or photo post (null for single videos)
+    media_items: entries ? entries.map(({ playlist_index: _i, ...e }, i) => ({ index: i + 1, ...e })) : null
   };
 
-  const metaPath = path.join(postDir, "meta.json");
-  fs.writeFileSync(metaPath, JSON.stringify(normalized, null, 2), "utf8");
+  const { storage, metaPath } = await storeExtracted(postDir, normalized, {
+    video: downloadedPath,
+    transcript: transcript ? transcriptPath : null,
+    thumbnail: await downloadThumbnail(normalized, postDir),
+    ...Object.fromEntries(entryFiles.map((f, i) => [mediaFileName(i + 1), f]))
+  });
+  const paths = {
+    dir: postDir, meta_json: metaPath, video: downloadedPath, transcript_txt: transcript ? transcriptPath : null,
+    media: entries ? entries.map((_, i) => entryFiles[i] || null) : null
+  };
 
   // cache (keeps the object small—no thumbnails in top-level fields)
-  writeCache(url, { ...normalized, paths: { dir: postDir, meta_json: metaPath, video: downloadedPath, transcript_txt: transcript ? path.join(postDir, "transcript.txt") : null } });
+  writeCache(url, { ...normalized, storage, paths });
 
-  return { ...normalized, paths: { dir: postDir, meta_json: metaPath, video: downloadedPath, transcript_txt: transcript ? path.join(postDir, "transcript.txt") : null } };
+  return { ...normalized, storage, paths };
 }
\ No newline at end of file
@@ -0,0 +1,194 @@
+import { pool } from "./db.mjs";
+import { embedText, toPgVectorLiteral } from "./pipeline.mjs";
+import { nutritionClauses } from "./nutrition.mjs";
+import { dietClauses } from "./diet.mjs";
+import { pantryEntities, editedItemIngredients, DEFAULT_STAPLES } from "./pantry.mjs";
+import { overlayClauses } from "./overlays.mjs";
+
+export const SEARCH_MODES = ["vector", "keyword", "hybrid"];
+
+const RRF_K = Number(process.env.SEARCH_RRF_K || 60);
+const CANDIDATES = Number(process.env.SEARCH_CANDIDATES || 50);
+
+const RESULT_COLUMNS = `i.id, i.title, i.platform, i.url, i.topics, i.is_recipe, i.author_name,
+       i.published_at, i.created_at, i.kcal_per_serving, i.protein_g_per_serving, i.diet_labels, i.allergens,
+       ui.rating, ui.cooked_count, ui.last_cooked_on::text AS last_cooked_on`;
+
+/**
+ * Reciprocal rank fusion: score(d) = Σ 1 / (k + rank_i(d)) over every list d appears in.
+ * `lists` is { signalName: [id, ...] } with ids in rank order (best first).
+ * Returns [{ id, score, ranks: { signalName: rank } }] sorted by score desc.
+ */
+export function reciprocalRankFusion(lists, k = RRF_K) {
+  const fused = new Map();
+  for (const [signal, ids] of Object.entries(lists)) {
+    ids.forEach((id, idx) => {
+      const entry = fused.get(id) || { id, score: 0, ranks: {} };
+      entry.score += 1 / (k + idx + 1);
+      entry.ranks[signal] = idx + 1;
+      fused.set(id, entry);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/** Shared WHERE clauses for both signals; appends to `params` in place. */
+function buildFilters({ userId, is_recipe, platform, topic, nutrition = [], diet = {}, overlay = {} }, params) {
+  params.push(userId);
+  const join = `JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $${params.length}`;
+  const clauses = [];
+  if (is_recipe !== undefined) { params.push(!!is_recipe); clauses.push(`i.is_recipe = $${params.length}`); }
+  if (platform) { params.push(platform); clauses.push(`i.platform = $${params.length}`); }
+  if (topic) { params.push(topic); clauses.push(`$${params.length} = ANY(i.topics)`); }
+  // per-serving ranges from parseNutritionFilters (nutrition.mjs)
+  clauses.push(...nutritionClauses(nutrition, params));
+  // diet labels / excluded allergens from parseDietFilters (diet.mjs)
+  clauses.push(...dietClauses(diet, params));
+  // the caller's rating / cook count from parseOverlayFilters (overlays.mjs)
+  clauses.push(...overlayClauses(overlay, params));
+  return { join, clauses };
+}
+
+async function vectorCandidates(q, filters, limit) {
+  const vec = await embedText(q);
+  if (!Array.isArray(vec) || !vec.length) throw new Error("Embedding failed");
+
+  const params = [toPgVectorLiteral(vec)];
+  const { join, clauses } = buildFilters(filters, params);
+  clauses.unshift("i.embedding IS NOT NULL");
+
+  const { rows } = await pool.query(
+    `SELECT ${RESULT_COLUMNS},
+            (i.embedding <-> $1::vector) AS distance
+     FROM items i
+     ${join}
+     WHERE ${clauses.join(" AND ")}
+     ORDER BY i.embedding <-> $1::vector
+     LIMIT ${limit}`,
+    params
+  );
+  return rows;
+}
+
+async function keywordCandidates(q, filters, limit) {
+  const params = [q];
+  const { join, clauses } = buildFilters(filters, params);
+  clauses.unshift("i.search_tsv @@ websearch_to_tsquery('simple', $1)");
+
+  const { rows } = await pool.query(
+    `SELECT ${RESULT_COLUMNS},
+            ts_rank_cd(i.search_tsv, websearch_to_tsquery('simple', $1)) AS keyword_rank
+     FROM items i
+     ${join}
+     WHERE ${clauses.join(" AND ")}
+     ORDER BY keyword_rank DESC, i.created_at DESC
+     LIMIT ${limit}`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Search a user's library.
+ *  - vector:  pgvector L2 distance on the item embedding
+ *  - keyword: Postgres full-text over items.search_tsv (also finds items without embeddings)
+ *  - hybrid:  both, fused with reciprocal rank fusion
+ * Each result carries `matched` (the signals that returned it) and the raw per-signal scores.
+ * `sort: "rating" | "cooked"` reorders the relevant candidates by the caller's rating or cook
+ * count (relevance breaks ties) before taking the top k.
+ */
+export async function searchItems({ userId, q, k = 10, mode = "hybrid", sort = "relevance", ...filters }) {
+  const limit = Math.max(k, CANDIDATES);
+  const scoped = { userId, ...filters };
+
+  const [vecRows, kwRows] = await Promise.all([
+    mode === "keyword" ? [] : vectorCandidates(q, scoped, limit),
+    mode === "vector" ? [] : keywordCandidates(q, scoped, limit)
+  ]);
+
+  const byId = new Map();
+  for (const r of [...vecRows, ...kwRows]) byId.set(r.id, { ...byId.get(r.id), ...r });
+
+  const fused = reciprocalRankFusion({
+    vector: vecRows.map(r => r.id),
+    keyword: kwRows.map(r => r.id)
+  });
+
+  if (sort === "rating") fused.sort((a, b) => (byId.get(b.id).rating ?? 0) - (byId.get(a.id).rating ?? 0) || b.score - a.score);
+  if (sort === "cooked") fused.sort((a, b) => byId.get(b.id).cooked_count - byId.get(a.id).cooked_count || b.score - a.score);
+
+  return fused.slice(0, k).map(({ id, score, ranks }) => {
+    const row = byId.get(id);
+    return {
+      ...row,
+      distance: row.distance != null ? Number(row.distance) : null,
+      keyword_rank: row.keyword_rank != null ? Number(row.keyword_rank) : null,
+      score,
+      matched: Object.keys(ranks)
+    };
+  });
+}
+
+/**
+ * "What can I cook": the user's recipes ranked by how many of their required ingredients
+ * `have` covers (see pantry.mjs for how names are compared). Staples and optional ingredients
+ * ("to taste", "for garnish") are not required; `staples` replaces DEFAULT_STAPLES.
+ * Each result lists what is `missing`, what matched and which staples were ignored.
+ */
+export async function searchPantry({ userId, have, staples = DEFAULT_STAPLES, k = 20, maxMissing = null, minCoverage = 0, ...filters }) {
+  const pantry = pantryEntities(have);
+  const staple = pantryEntities(staples);
+  const params = [];
+  const { join, clauses } = buildFilters({ userId, ...filters, is_recipe: true }, params);
+  params.push(pantry.names, pantry.foods, staple.names, staple.foods, JSON.stringify(await editedItemIngredients(userId)));
+  const [names, foods, stapleNames, stapleFoods, edited] = [1, 2, 3, 4, 5].map(n => `$${params.length - 5 + n}`);
+
+  clauses.push("p.matched > 0");
+  if (maxMissing != null) { params.push(maxMissing); clauses.push(`p.required - p.matched <= $${params.length}`); }
+  if (minCoverage > 0) { params.push(minCoverage); clauses.push(`p.matched::float / GREATEST(p.required, 1) >= $${params.length}`); }
+
+  // a pantry name covers an ingredient with the same name or food, and unmatched ingredients
+  // by their last words ("stock" covers "vegetable stock" but "butter" not "peanut butter");
+  // items the user edited the recipe of are ranked by the edited ingredients
+  const { rows } = await pool.query(
+    `WITH edited AS (
+       SELECT * FROM jsonb_to_recordset(${edited}::jsonb)
+         AS e(item_id text, position int, name text, food text, raw text, optional boolean)
+     ), src AS (
+       SELECT ii.item_id, ii.position, ii.name, ii.food, ii.raw, ii.optional
+       FROM item_ingredients ii
+       WHERE NOT EXISTS (SELECT 1 FROM user_items ue
+                         WHERE ue.item_id = ii.item_id AND ue.user_id = $1 AND ue.recipe_edits IS NOT NULL)
+       UNION ALL
+       SELECT item_id, position, name, food, raw, optional FROM edited
+     ), ing AS (
+       SELECT ii.item_id, ii.position, ii.name, ii.raw, ii.optional,
+              (ii.name = ANY(${stapleNames}::text[]) OR COALESCE(ii.food = ANY(${stapleFoods}::text[]), false)) AS staple,
+              (ii.name = ANY(${names}::text[]) OR COALESCE(ii.food = ANY(${foods}::text[]), false)
+               OR (ii.food IS NULL AND EXISTS (SELECT 1 FROM unnest(${names}::text[]) n WHERE ii.name LIKE '% ' || n))) AS have
+       FROM src ii
+       JOIN user_items u ON u.item_id = ii.item_id AND u.user_id = $1
+     ), p AS (
+       SELECT item_id,
+              count(*) FILTER (WHERE NOT staple AND NOT optional)::int AS required,
+              count(*) FILTER (WHERE NOT staple AND NOT optional AND have)::int AS matched,
+              COALESCE(jsonb_agg(jsonb_build_object('name', name, 'ingredient', raw) ORDER BY position)
+                FILTER (WHERE NOT staple AND NOT optional AND NOT have), '[]'::jsonb) AS missing,
+              COALESCE(array_agg(name ORDER BY position) FILTER (WHERE have), '{}') AS matched_ingredients,
+              COALESCE(array_agg(name ORDER BY position) FILTER (WHERE staple AND NOT have), '{}') AS staples_ignored,
+              COALESCE(array_agg(name ORDER BY position) FILTER (WHERE optional AND NOT staple AND NOT have), '{}') AS optional_missing
+       FROM ing
+       GROUP BY item_id
+     )
+     SELECT ${RESULT_COLUMNS}, i.thumb_key, i.thumb_url,
+            p.required, p.matched, p.missing, p.matched_ingredients, p.staples_ignored, p.optional_missing
+     FROM p
+     JOIN items i ON i.id = p.item_id
+     ${join}
+     WHERE ${clauses.join(" AND ")}
+     ORDER BY p.matched::float / GREATEST(p.required, 1) DESC, p.required - p.matched ASC, p.matched DESC, i.created_at DESC
+     LIMIT ${k}`,
+    params
+  );
+  return rows.map(r => ({ ...r, coverage: Math.round((r.matched / Math.max(r.required, 1)) * 1000) / 1000 }));
+}
@@ -4,33 +4,47 @@ import cors from "cors";
 import helmet from "helmet";
 import morgan from "morgan";
 import rateLimit from "express-rate-limit";
-import path from "node:path";
-import fs from "node:fs";
+import { pipeline } from "node:stream/promises";
 import { v4 as uuidv4 } from "uuid";
 
-import { extract, hostnameAllowed, transcribeWithASRLocalOrAPI } from "./scraper.mjs";
-import { pool } from "./db.mjs";
+import { extract, hostnameAllowed } from "./scraper.mjs";
+import { transcribeWithASRLocalOrAPI } from "./asr.mjs";
+import { pool, withTx } from "./db.mjs";
+import { migrateOnBoot } from "./migrator.mjs";
+import { pickVariant } from "./video.mjs";
+import { getStorage, putJson, storageKey, signedMediaUrl, verifyMediaSignature, requireMediaSecret } from "./storage.mjs";
+import { requireUser } from "./auth.mjs";
+import { searchItems, searchPantry, SEARCH_MODES } from "./search.mjs";
+import { subscribeJobEvents, summarizeJobStages, recordJobEvent } from "./progress.mjs";
+import { createSchemaChecker } from "./schemas.mjs";
+import { scaleRecipe, UNIT_SYSTEMS } from "./units.mjs";
+import { buildShoppingEntries, createShoppingList, renderShoppingList } from "./shopping.mjs";
+import { EXPORT_FORMATS, loadRecipeForExport, renderExport, writeExportArchive, archiveFilename } from "./export.mjs";
+import { TRANSCRIPT_FORMATS, toVtt, toSrt } from "./transcript.mjs";
+import { resolveCanonicalUrl } from "./canonical.mjs";
+import { parseNutritionFilters, nutritionClauses } from "./nutrition.mjs";
+import { parseDietFilters, dietClauses } from "./diet.mjs";
+import {
+  ITEM_SORTS, SEARCH_SORTS, parseRating, parseCookedOn, refreshCookStats, parseRecipeEdits, applyRecipeEdits,
+  parseOverlayFilters, overlayClauses
+} from "./overlays.mjs";
+import { parseCollectionQuery, embedCollectionQuery, smartCollectionItems, refreshSmartCollection } from "./collections.mjs";
+import {
+  WEBHOOK_EVENTS, newWebhookSecret, parseWebhookUrl, parseWebhookEvents, emitWebhookEvent, replayWebhookDelivery
+} from "./webhooks.mjs";
+import {
+  SOURCE_KINDS, DEFAULT_SYNC_INTERVAL_MINUTES, MIN_SYNC_INTERVAL_MINUTES,
+  detectSourceKind, parseSourceFilters, claimSource, syncSource
+} from "./sources.mjs";
 
 import {
   callChatJSON,
   buildClassifierPrompt,
   buildRecipePrompt,
   cleanCaption,
-  cleanTranscript,
-  embedText,
-  toPgVectorLiteral
+  cleanTranscript
 } from "./pipeline.mjs";
 
-// --- Optional GCS signer (only used by /media/sign) ---
-let signGcsReadUrl = null;
-try {
-  // If your gcs.mjs exports `signGcsReadUrl(gsUri, { expiresSec })`, we’ll use it.
-  const gcs = await import("./gcs.mjs");
-  if (typeof gcs.signGcsReadUrl === "function") {
-    signGcsReadUrl = gcs.signGcsReadUrl;
-  }
-} catch (_) { /* not fatal */ }
-
 // --- AI config (OpenAI-compatible, used for search embeddings & legacy classify) ---
 const AI_BASE_URL = process.env.AI_BASE_URL || "https://api.openai.com/v1";
 const AI_MODEL = process.env.AI_MODEL || "gpt-5-mini";
@@ -51,21 +65,277 @@ const COOKIES_FILE = process.env.COOKIES_FILE;
 const ALLOW_DOWNLOAD = String(process.env.ALLOW_DOWNLOAD || "true").toLowerCase() === "true";
 const ALLOWED_HOSTS = (process.env.ALLOWED_HOSTS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
 const MAX_VIDEO_SECONDS = Number(process.env.MAX_VIDEO_SECONDS || 120);
+// signed links handed out by item endpoints and /media/sign
+const MEDIA_LINK_SECONDS = Number(process.env.MEDIA_LINK_SECONDS || 3600);
+const MAX_MEDIA_LINK_SECONDS = 7 * 24 * 60 * 60;
+// absolute base for /media links (e.g. https://api.example.com behind a proxy); default: the request's host
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+
+// stored files by key (see storage.mjs). Only signed links (?exp=&sig=, see signedMediaUrl)
+// are served: streamed from the local driver, redirected to the bucket for S3/GCS.
+// /media/sign is an authenticated route further down.
+app.get("/media/*key", async (req, res, next) => {
+  try {
+    const key = storageKey(req.params.key.join("/"));
+    if (key === "sign") return next();
+    const check = verifyMediaSignature(key, req.query);
+    if (check !== "ok") {
+      return res.status(403).json({ error: check === "expired" ? "Link expired" : "Signed URL required (see /media/sign)" });
+    }
+    await sendStoredFile(req, res, key);
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    res.status(/Invalid storage key/.test(e.message) ? 400 : 500).json({ error: e.message });
+  }
+});
 
-// static serving for local testing
-app.use("/media", express.static(path.resolve(DOWNLOAD_DIR)));
-
-// basic rate limit on the heaviest unauthed route
+// basic per-IP rate limit on the heaviest route (scrapes and runs the model on every call), on top of requireUser
 app.use("/extract", rateLimit({ windowMs: 60_000, max: 20, standardHeaders: true, legacyHeaders: false }));
 
 app.get("/health", (_req, res) => res.json({ ok: true, time: new Date().toISOString() }));
 
+// everything below requires an API key (Authorization: Bearer <key> or X-API-Key)
+app.use(requireUser);
+
 // ────────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ────────────────────────────────────────────────────────────────────────────────
 function b64(obj) { return Buffer.from(JSON.stringify(obj)).toString("base64url"); }
 function unb64(s) { try { return JSON.parse(Buffer.from(String(s), "base64url").toString("utf8")); } catch { return null; } }
 
+/** { url, expires_at } for a stored file, or null without a key */
+async function mediaLink(req, key, expiresSec = MEDIA_LINK_SECONDS) {
+  if (!key) return null;
+  return signedMediaUrl(key, { expiresSec, baseUrl: PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}` });
+}
+
+// items stored before thumbnails were copied fall back to the platform's (unsigned, possibly expired) thumb_url
+async function thumbnailLink(req, item, files = {}) {
+  return await mediaLink(req, item.thumb_key || files.thumbnail)
+    ?? (item.thumb_url ? { url: item.thumb_url, expires_at: null } : null);
+}
+
+/**
+ * Signed video / thumbnail / transcript links for an item (`meta` is its stored meta body),
+ * plus the ordered images / clips of carousels and photo posts.
+ */
+async function itemMediaLinks(req, item, meta) {
+  const files = meta?.storage?.files || {};
+  const items = meta?.media_items?.length
+    ? await Promise.all(meta.media_items.map(async m => ({
+        index: m.index, type: m.type, width: m.width ?? null, height: m.height ?? null, duration_sec: m.duration_sec ?? null,
+        ...(await mediaLink(req, m.key) ?? { url: null, expires_at: null })
+      })))
+    : null;
+  return {
+    video: await mediaLink(req, item.video_key || files.video),
+    thumbnail: await thumbnailLink(req, item, files),
+    transcript: await mediaLink(req, files.transcript),
+    items
+  };
+}
+
+/** Serves one stored file with Range support (video seeking), or redirects to the driver's signed URL. */
+async function sendStoredFile(req, res, key) {
+  const storage = getStorage();
+  const signed = await storage.signedUrl(key);
+  if (signed) return res.redirect(302, signed);
+
+  const st = await storage.stat(key);
+  if (!st) return res.status(404).json({ error: "Not found" });
+
+  res.set({ "Content-Type": st.contentType, "Accept-Ranges": "bytes", "Cache-Control": "private, max-age=3600" });
+  const m = /^bytes=(\d*)-(\d*)$/.exec(req.get("range") || "");
+  let range;
+  if (m && (m[1] || m[2])) {
+    const start = m[1] ? Number(m[1]) : Math.max(0, st.size - Number(m[2]));
+    const end = m[1] && m[2] ? Math.min(Number(m[2]), st.size - 1) : st.size - 1;
+    if (start > end || start >= st.size) {
+      return res.status(416).set("Content-Range", `bytes */${st.size}`).end();
+    }
+    range = { start, end };
+    res.status(206).set({ "Content-Range": `bytes ${start}-${end}/${st.size}`, "Content-Length": end - start + 1 });
+  } else {
+    res.set("Content-Length", st.size);
+  }
+  await pipeline(storage.createReadStream(key, range), res);
+}
+
+// the caller's overlay columns on item rows (see overlays.mjs)
+const USER_ITEM_COLUMNS = "ui.notes, ui.added_at, ui.rating, ui.cooked_count, ui.last_cooked_on::text AS last_cooked_on";
+
+/** Returns the item row (plus the caller's notes, rating and cook count) only if it is in the user's library. */
+async function getOwnedItem(userId, itemId) {
+  const { rows } = await pool.query(
+    `SELECT i.*, ${USER_ITEM_COLUMNS}
+     FROM items i
+     JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $1
+     WHERE i.id = $2`,
+    [userId, itemId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * The other uploads of the same video (see fingerprint.mjs): the original and every item
+ * linked to it through items.duplicate_of, this one excluded.
+ */
+async function getItemDuplicates(item) {
+  const original = item.duplicate_of || item.id;
+  const { rows } = await pool.query(`
+    SELECT id, platform, url, title, author_name, published_at, (id = $1) AS original
+    FROM items
+    WHERE (id = $1 OR duplicate_of = $1) AND id <> $2
+    ORDER BY (id = $1) DESC, created_at
+  `, [original, item.id]);
+  return rows;
+}
+
+async function getRecipeEdits(userId, itemId) {
+  const { rows } = await pool.query("SELECT recipe_edits FROM user_items WHERE user_id=$1 AND item_id=$2", [userId, itemId]);
+  return rows[0]?.recipe_edits || null;
+}
+
+/**
+ * The caller's view of an item's recipe (model output + their edits) and their cook log.
+ * -> { recipe, original_recipe, recipe_edits: { ...edits, unapplied } | null, cook_log }
+ */
+async function getItemOverlay(userId, itemId, recipe) {
+  const edits = await getRecipeEdits(userId, itemId);
+  const merged = applyRecipeEdits(recipe, edits);
+  return {
+    recipe: merged.recipe,
+    original_recipe: recipe,
+    recipe_edits: edits && { ...edits, unapplied: merged.unapplied },
+    cook_log: await getCookLog(userId, itemId)
+  };
+}
+
+async function getCookLog(userId, itemId) {
+  const { rows } = await pool.query(
+    `SELECT id, cooked_on::text AS cooked_on, comment, created_at
+     FROM cook_log WHERE user_id=$1 AND item_id=$2
+     ORDER BY cooked_on DESC, created_at DESC`,
+    [userId, itemId]
+  );
+  return rows;
+}
+
+const COLLECTION_COLUMNS = "id,name,description,color,(query IS NOT NULL) AS smart,query,materialize,refreshed_at,created_at,updated_at";
+
+async function getOwnedCollection(userId, collectionId) {
+  const { rows } = await pool.query(
+    `SELECT ${COLLECTION_COLUMNS} FROM collections WHERE id=$1 AND user_id=$2`,
+    [collectionId, userId]
+  );
+  return rows[0] || null;
+}
+
+/** Item ids of a collection: its members, or what a (not materialized) smart collection's query matches now. */
+async function getCollectionItemIds(collection) {
+  if (collection.smart && !collection.materialize) return (await smartCollectionItems(collection.id)).map(r => r.id);
+  const { rows } = await pool.query(
+    "SELECT item_id FROM collection_items WHERE collection_id=$1 ORDER BY added_at",
+    [collection.id]
+  );
+  return rows.map(r => r.item_id);
+}
+
+// jobs with a higher priority are picked first; clients can't push past this range
+const MAX_JOB_PRIORITY = 10;
+
+/**
+ * Reads `priority` / `run_after` from an ingest body.
+ * -> { priority, runAfter } or { error } for a 400
+ */
+function parseJobSchedule({ priority, run_after } = {}) {
+  const out = { priority: 0, runAfter: null };
+  if (priority != null) {
+    const p = Number(priority);
+    if (!Number.isInteger(p) || Math.abs(p) > MAX_JOB_PRIORITY) {
+      return { error: `priority must be an integer between -${MAX_JOB_PRIORITY} and ${MAX_JOB_PRIORITY}` };
+    }
+    out.priority = p;
+  }
+  if (run_after != null) {
+    const t = new Date(run_after);
+    if (Number.isNaN(t.getTime())) return { error: "run_after must be an ISO timestamp" };
+    out.runAfter = t;
+  }
+  return out;
+}
+
+/** Enqueue a job for the user; idempotent per (user, url) unless refresh=true. */
+async function enqueueJob(userId, url, { allowInference = true, refresh = false, priority = 0, runAfter = null } = {}) {
+  // youtu.be/x, /shorts/x and ?v=x&si=… are one job (see canonical.mjs)
+  url = await resolveCanonicalUrl(url);
+  if (!refresh) {
+    const existing = await pool.query(
+      "SELECT id, status FROM jobs WHERE user_id=$1 AND url=$2 ORDER BY created_at DESC LIMIT 1",
+      [userId, url]
+    );
+    if (existing.rows[0]) return { job_id: existing.rows[0].id, status: existing.rows[0].status };
+  }
+
+  const id = uuidv4();
+  await pool.query(
+    `INSERT INTO jobs (id, user_id, url, status, allow_inference, refresh, priority, run_after)
+     VALUES ($1,$2,$3,'queued',$4,$5,$6,COALESCE($7, now()))`,
+    [id, userId, url, !!allowInference, !!refresh, priority, runAfter]
+  );
+  return { job_id: id, status: "queued" };
+}
+
+/**
+ * Server-Sent Events for job progress. Replays stored events after `afterId`
+ * (Last-Event-ID on reconnect), then streams new ones as the worker records them.
+ * `match(evt)` selects the events for this stream; `isFinal(evt)` ends it
+ * (as does `endAfterReplay`, for jobs that were already finished).
+ */
+async function streamJobEvents(res, { replaySql, replayParams, afterId, match, isFinal = () => false, endAfterReplay = false }) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  let lastId = Number(afterId) || 0;
+  let closed = false;
+  let pending = [];   // live events that arrive while we are still replaying
+  let replaying = true;
+
+  const send = (evt) => {
+    if (closed || Number(evt.id) <= lastId) return;
+    lastId = Number(evt.id);
+    res.write(`id: ${evt.id}\nevent: ${evt.stage === "job" ? "job" : "stage"}\ndata: ${JSON.stringify(evt)}\n\n`);
+    if (isFinal(evt)) close();
+  };
+
+  const unsubscribe = await subscribeJobEvents((evt) => {
+    if (!match(evt)) return;
+    if (replaying) pending.push(evt); else send(evt);
+  });
+  const keepalive = setInterval(() => res.write(": ping\n\n"), 15_000);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepalive);
+    unsubscribe();
+    res.end();
+  }
+  res.on("close", close);
+
+  const { rows } = await pool.query(replaySql, [...replayParams, lastId]);
+  replaying = false;
+  for (const evt of rows) send(evt);
+  for (const evt of pending) send(evt);
+  pending = [];
+  if (endAfterReplay) close();
+}
+
 function buildSnippet(row, meta, analysis, recipe) {
   if (analysis?.summary) return analysis.summary;
   if (recipe?.title) return `Recipe: ${recipe.title}`;
@@ -92,10 +362,10 @@ app.post("/extract", async (req, res) => {
       refresh
     });
 
-    const mediaUrl = result.video.downloaded_path ? `/media/${path.basename(result.video.downloaded_path)}` : null;
-    const { raw, ...rest } = result;
+    const { raw, paths: _localPaths, ...rest } = result;
     const { thumbnails: _dropThumbs, ...rawSansThumbs } = raw || {};
-    const metaForWire = { ...rest, raw: rawSansThumbs, mediaUrl, paths: result.paths };
+    const video = await mediaLink(req, result.storage?.files?.video);
+    const metaForWire = { ...rest, raw: rawSansThumbs, mediaUrl: video?.url ?? null };
 
     res.json(metaForWire);
   } catch (err) {
@@ -130,40 +400,52 @@ app.post("/classify-and-extract", async (req, res) => {
 
     if (wantTranscript && !meta.transcript && meta.video?.downloaded_path) {
       try {
-        const asrText = await transcribeWithASRLocalOrAPI({ videoPath: meta.video.downloaded_path });
-        if (asrText) meta.transcript = asrText;
+        const asr = await transcribeWithASRLocalOrAPI({ videoPath: meta.video.downloaded_path });
+        if (asr) meta.transcript = asr.text;
       } catch (_) {}
     }
 
-    const classification = await callChatJSON({
+    const { check: checked, errors: validation } = createSchemaChecker();
+
+    const classification = await checked("classification", feedback => callChatJSON({
+      task: "classify",
+      postId: meta.post_id,
       system: "You are a content classifier. Output ONLY valid JSON per instructions.",
       user: buildClassifierPrompt({
         title: meta.title,
         caption: cleanCaption(meta.caption),
-        transcript: cleanTranscript(meta.transcript)
-      })
-    });
+        transcript: cleanTranscript(meta.transcript),
+        pageText: meta.page_text
+      }) + feedback
+    }));
 
     let recipe = null;
-    if (!classify_only && classification?.content_type === "recipe") {
-      recipe = await callChatJSON({
+    if (!classify_only && meta.structured_recipe) {
+      // web page with schema.org Recipe markup (see webrecipe.mjs)
+      const structured = meta.structured_recipe;
+      recipe = await checked("recipe", async () => structured, { retries: 0 });
+    } else if (!classify_only && classification?.content_type === "recipe") {
+      recipe = await checked("recipe", feedback => callChatJSON({
+        task: "recipe",
+        postId: meta.post_id,
         system: "You extract recipes. Output ONLY valid JSON per schema.",
-        user: buildRecipePrompt({ allowInference: !!allow_inference, meta })
-      });
-      recipe.recipe_id = recipe.recipe_id || `rec_${meta.post_id}`;
-      recipe.source = { platform: meta.platform, url: meta.url, post_id: meta.post_id, ...(recipe.source || {}) };
+        user: buildRecipePrompt({ allowInference: !!allow_inference, meta }) + feedback
+      }));
+      if (recipe) {
+        recipe.recipe_id = recipe.recipe_id || `rec_${meta.post_id}`;
+        recipe.source = { platform: meta.platform, url: meta.url, post_id: meta.post_id, ...(recipe.source || {}) };
+      }
     }
 
-    if (recipe && meta.paths?.dir) {
-      const recipePath = path.join(meta.paths.dir, "recipe.json");
-      fs.writeFileSync(recipePath, JSON.stringify(recipe, null, 2), "utf8");
-      recipe.__saved_path = recipePath;
+    if (recipe && meta.storage?.prefix) {
+      const key = await putJson(storageKey(meta.storage.prefix, "recipe.json"), recipe);
+      meta.storage.files = { ...meta.storage.files, recipe: key };
     }
 
-    const mediaUrl = meta.video.downloaded_path ? `/media/${path.basename(meta.video.downloaded_path)}` : null;
-    const { raw, ...rest } = meta;
+    const { raw, paths: _localPaths, ...rest } = meta;
     const { thumbnails: _dropThumbs, ...rawSansThumbs } = raw || {};
-    res.json({ ok: true, classification, recipe, meta: { ...rest, raw: rawSansThumbs, mediaUrl, paths: meta.paths } });
+    const video = await mediaLink(req, meta.storage?.files?.video);
+    res.json({ ok: true, classification, recipe, validation, meta: { ...rest, raw: rawSansThumbs, mediaUrl: video?.url ?? null } });
   } catch (err) {
     res.status(500).json({ error: err?.message || "AI classify/extract failed" });
   }
@@ -176,6 +458,8 @@ app.post("/ingest", async (req, res) => {
   try {
     const { url, allow_inference = true, refresh = false } = req.body || {};
     if (!url) return res.status(400).json({ error: "Missing url" });
+    const schedule = parseJobSchedule(req.body);
+    if (schedule.error) return res.status(400).json({ error: schedule.error });
 
     try {
       const meta = await extract(url, { downloadVideo: true, wantTranscript: false, refresh: false });
@@ -186,21 +470,8 @@ app.post("/ingest", async (req, res) => {
       }
     } catch { /* ignore extract errors here */}
 
-    // idempotent by URL unless refresh=true
-    if (!refresh) {
-      const existing = await pool.query(
-        "SELECT id, status FROM jobs WHERE url=$1 ORDER BY created_at DESC LIMIT 1",
-        [url]
-      );
-      if (existing.rows[0]) return res.json({ job_id: existing.rows[0].id, status: existing.rows[0].status });
-    }
-
-    const id = uuidv4();
-    await pool.query(
-      "INSERT INTO jobs (id, url, status, allow_inference) VALUES ($1,$2,'queued',$3)",
-      [id, url, !!allow_inference]
-    );
-    res.json({ job_id: id, status: "queued" });
+    // idempotent per user+URL unless refresh=true
+    res.json(await enqueueJob(req.user.id, url, { allowInference: allow_inference, refresh, ...schedule }));
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -208,36 +479,161 @@ app.post("/ingest/batch", async (req, res) => {
   try {
     const { urls = [], allow_inference = true, refresh = false } = req.body || {};
     if (!Array.isArray(urls) || urls.length === 0) return res.status(400).json({ error: "Provide urls[]" });
+    const schedule = parseJobSchedule(req.body);
+    if (schedule.error) return res.status(400).json({ error: schedule.error });
 
     const out = [];
     for (const url of urls) {
       if (!url) continue;
-      if (!refresh) {
-        const existing = await pool.query(
-          "SELECT id, status FROM jobs WHERE url=$1 ORDER BY created_at DESC LIMIT 1",
-          [url]
-        );
-        if (existing.rows[0]) { out.push({ url, job_id: existing.rows[0].id, status: existing.rows[0].status }); continue; }
-      }
-      const id = uuidv4();
-      await pool.query(
-        "INSERT INTO jobs (id, url, status, allow_inference) VALUES ($1,$2,'queued',$3)",
-        [id, url, !!allow_inference]
-      );
-      out.push({ url, job_id: id, status: "queued" });
+      out.push({ url, ...await enqueueJob(req.user.id, url, { allowInference: allow_inference, refresh, ...schedule }) });
     }
     res.json({ jobs: out });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// GET /jobs/events -> SSE stream of progress for all of the user's jobs
+app.get("/jobs/events", async (req, res) => {
+  try {
+    const userId = req.user.id;
+    // without Last-Event-ID only new events are streamed
+    const afterId = req.get("last-event-id")
+      ?? (await pool.query("SELECT COALESCE(MAX(id),0) AS id FROM job_events WHERE user_id=$1", [userId])).rows[0].id;
+    await streamJobEvents(res, {
+      replaySql: "SELECT * FROM job_events WHERE user_id=$1 AND id > $2 ORDER BY id",
+      replayParams: [userId],
+      afterId,
+      match: (evt) => evt.user_id === userId
+    });
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ error: e.message }); else res.end();
+  }
+});
+
+// GET /jobs/dead-letter -> jobs that used up their attempts, with every attempt's error
+app.get("/jobs/dead-letter", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Math.trunc(Number(req.query.limit)) || 50, 1), 100);
+    const { rows } = await pool.query(
+      `SELECT j.id, j.url, j.stage, j.error, j.attempts, j.max_attempts, j.priority, j.created_at, j.updated_at,
+              COALESCE(
+                json_agg(json_build_object(
+                  'attempt', a.attempt, 'status', a.status, 'stage', a.stage, 'error', a.error,
+                  'worker_id', a.worker_id, 'started_at', a.started_at, 'finished_at', a.finished_at
+                ) ORDER BY a.attempt) FILTER (WHERE a.job_id IS NOT NULL),
+                '[]'
+              ) AS attempt_history
+       FROM jobs j
+       LEFT JOIN job_attempts a ON a.job_id = j.id
+       WHERE j.user_id=$1 AND j.status='error'
+       GROUP BY j.id
+       ORDER BY j.updated_at DESC
+       LIMIT $2`,
+      [req.user.id, limit]
+    );
+    res.json(rows);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// GET /jobs/:id/events -> SSE stream for one job (replays history, ends when the job finishes)
+app.get("/jobs/:id/events", async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT id, status FROM jobs WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
+    if (!rows[0]) return res.status(404).json({ error: "Job not found" });
+    const jobId = rows[0].id;
+
+    await streamJobEvents(res, {
+      replaySql: "SELECT * FROM job_events WHERE job_id=$1 AND id > $2 ORDER BY id",
+      replayParams: [jobId],
+      afterId: req.get("last-event-id"),
+      match: (evt) => evt.job_id === jobId,
+      isFinal: (evt) => evt.stage === "job" && (evt.status === "done" || evt.status === "cancelled" || (evt.status === "error" && !evt.data?.retrying)),
+      endAfterReplay: ["done", "error", "cancelled"].includes(rows[0].status)
+    });
+  } catch (e) {
+    if (!res.headersSent) res.status(500).json({ error: e.message }); else res.end();
+  }
+});
+
 app.get("/jobs/:id", async (req, res) => {
   try {
     const { rows } = await pool.query(
-      "SELECT id,status,item_id,error,created_at,updated_at FROM jobs WHERE id=$1",
-      [req.params.id]
+      `SELECT id,status,stage,item_id,error,attempts,max_attempts,priority,run_after,cancel_requested_at,created_at,updated_at
+       FROM jobs WHERE id=$1 AND user_id=$2`,
+      [req.params.id, req.user.id]
     );
     if (!rows[0]) return res.status(404).json({ error: "Job not found" });
-    res.json(rows[0]);
+    const attempts = await pool.query(
+      "SELECT attempt, status, stage, error, worker_id, started_at, finished_at FROM job_attempts WHERE job_id=$1 ORDER BY attempt",
+      [rows[0].id]
+    );
+    res.json({ ...rows[0], stages: await summarizeJobStages(rows[0].id), attempt_history: attempts.rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * POST /jobs/:id/cancel
+ * Queued jobs (and running ones whose worker is gone) are cancelled right away;
+ * a running job is flagged and its worker stops at the next heartbeat (202).
+ */
+const NO_LIVE_WORKER = "(status='queued' OR lease_expires_at IS NULL OR lease_expires_at < now())";
+
+app.post("/jobs/:id/cancel", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE jobs
+       SET cancel_requested_at = COALESCE(cancel_requested_at, now()),
+           status = CASE WHEN ${NO_LIVE_WORKER} THEN 'cancelled' ELSE status END,
+           lease_owner = CASE WHEN ${NO_LIVE_WORKER} THEN NULL ELSE lease_owner END,
+           lease_expires_at = CASE WHEN ${NO_LIVE_WORKER} THEN NULL ELSE lease_expires_at END,
+           updated_at = now()
+       WHERE id=$1 AND user_id=$2 AND status IN ('queued','running')
+       RETURNING id, status, cancel_requested_at`,
+      [req.params.id, req.user.id]
+    );
+    if (!rows[0]) {
+      const job = await pool.query("SELECT status FROM jobs WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
+      if (!job.rows[0]) return res.status(404).json({ error: "Job not found" });
+      return res.status(409).json({ error: `Job is already ${job.rows[0].status}` });
+    }
+    const job = rows[0];
+    if (job.status === "cancelled") {
+      await recordJobEvent({ jobId: job.id, userId: req.user.id, stage: "job", status: "cancelled" });
+      return res.json({ job_id: job.id, status: "cancelled" });
+    }
+    res.status(202).json({ job_id: job.id, status: job.status, cancel_requested_at: job.cancel_requested_at });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * POST /jobs/:id/retry  { priority? }
+ * Re-queues a failed or cancelled job with a fresh set of attempts; earlier attempts
+ * stay in its history.
+ */
+app.post("/jobs/:id/retry", async (req, res) => {
+  try {
+    const schedule = parseJobSchedule(req.body || {});
+    if (schedule.error) return res.status(400).json({ error: schedule.error });
+    const { rows } = await pool.query(
+      `UPDATE jobs
+       SET status='queued',
+           attempts=0,
+           error=NULL,
+           stage=NULL,
+           cancel_requested_at=NULL,
+           priority=COALESCE($3, priority),
+           run_after=COALESCE($4, now()),
+           updated_at=now()
+       WHERE id=$1 AND user_id=$2 AND status IN ('error','cancelled')
+       RETURNING id, status, priority, run_after`,
+      [req.params.id, req.user.id, req.body?.priority != null ? schedule.priority : null, schedule.runAfter]
+    );
+    if (!rows[0]) {
+      const job = await pool.query("SELECT status FROM jobs WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
+      if (!job.rows[0]) return res.status(404).json({ error: "Job not found" });
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${job.rows[0].status})` });
+    }
+    const { id, ...job } = rows[0];
+    res.json({ job_id: id, ...job });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -245,12 +641,12 @@ app.get("/jobs/:id", async (req, res) => {
 app.get("/jobs", async (req, res) => {
   try {
     const { status, limit = 50 } = req.query;
-    const clauses = [];
-    const params = [];
+    const clauses = ["user_id=$1"];
+    const params = [req.user.id];
     if (status) { params.push(status); clauses.push(`status=$${params.length}`); }
-    const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+    const where = `WHERE ${clauses.join(" AND ")}`;
     const { rows } = await pool.query(
-      `SELECT id, url, status, item_id, error, created_at, updated_at
+      `SELECT id, url, status, stage, item_id, error, priority, run_after, created_at, updated_at
        FROM jobs ${where}
        ORDER BY created_at DESC
        LIMIT ${Number(limit) || 50}`,
@@ -263,74 +659,382 @@ app.get("/jobs", async (req, res) => {
 // Rebuild a specific item (enqueue a refresh job)
 app.post("/items/:id/rebuild", async (req, res) => {
   try {
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+
     const { rows } = await pool.query("SELECT url FROM jobs WHERE item_id=$1 ORDER BY created_at DESC LIMIT 1", [req.params.id]);
     const url = rows[0]?.url;
     if (!url) return res.status(404).json({ error: "No original job for this item" });
 
-    const id = uuidv4();
-    await pool.query("INSERT INTO jobs (id, url, status, allow_inference) VALUES ($1,$2,'queued',TRUE)", [id, url]);
-    res.json({ job_id: id, status: "queued" });
+    res.json(await enqueueJob(req.user.id, url, { allowInference: true, refresh: true }));
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // ────────────────────────────────────────────────────────────────────────────────
-/** GET /items/:id -> one row + meta/recipe/analysis (compact) */
+/**
+ * GET /items/:id -> one row + meta/recipe/analysis/nutrition/diet (compact)
+ * `recipe` includes the caller's edits; `original_recipe` is the model output.
+ */
 app.get("/items/:id", async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM items WHERE id=$1", [req.params.id]);
-    if (!rows[0]) return res.status(404).json({ error: "Item not found" });
+    const item = await getOwnedItem(req.user.id, req.params.id);
+    if (!item) return res.status(404).json({ error: "Item not found" });
 
     const meta = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='meta'", [req.params.id]);
-    const recipe = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='recipe'", [req.params.id]);
-    const analysis = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='analysis'", [req.params.id]);
-
-    res.json({ item: rows[0], meta: meta.rows[0]?.body || null, recipe: recipe.rows[0]?.body || null, analysis: analysis.rows[0]?.body || null });
+    const recipe = await pool.query("SELECT body, validation_errors FROM item_json WHERE item_id=$1 AND kind='recipe'", [req.params.id]);
+    const analysis = await pool.query("SELECT body, validation_errors FROM item_json WHERE item_id=$1 AND kind='analysis'", [req.params.id]);
+    const nutrition = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='nutrition'", [req.params.id]);
+    const diet = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='diet'", [req.params.id]);
+    const validation = {
+      analysis: analysis.rows[0]?.validation_errors || null,
+      recipe: recipe.rows[0]?.validation_errors || null
+    };
+
+    const media = await itemMediaLinks(req, item, meta.rows[0]?.body);
+    const duplicates = await getItemDuplicates(item);
+    const overlay = await getItemOverlay(req.user.id, req.params.id, recipe.rows[0]?.body || null);
+    res.json({ item, meta: meta.rows[0]?.body || null, recipe: overlay.recipe, original_recipe: overlay.original_recipe, recipe_edits: overlay.recipe_edits, cook_log: overlay.cook_log, analysis: analysis.rows[0]?.body || null, nutrition: nutrition.rows[0]?.body || null, diet: diet.rows[0]?.body || null, validation, media, duplicates });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 /** GET /items/:id/full -> same as /items/:id (kept for explicitness / future expansion) */
 app.get("/items/:id/full", async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM items WHERE id=$1", [req.params.id]);
-    if (!rows[0]) return res.status(404).json({ error: "Item not found" });
+    const item = await getOwnedItem(req.user.id, req.params.id);
+    if (!item) return res.status(404).json({ error: "Item not found" });
 
     const meta = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='meta'", [req.params.id]);
-    const recipe = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='recipe'", [req.params.id]);
-    const analysis = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='analysis'", [req.params.id]);
-
-    res.json({ item: rows[0], meta: meta.rows[0]?.body || null, analysis: analysis.rows[0]?.body || null, recipe: recipe.rows[0]?.body || null });
+    const recipe = await pool.query("SELECT body, validation_errors FROM item_json WHERE item_id=$1 AND kind='recipe'", [req.params.id]);
+    const analysis = await pool.query("SELECT body, validation_errors FROM item_json WHERE item_id=$1 AND kind='analysis'", [req.params.id]);
+    const nutrition = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='nutrition'", [req.params.id]);
+    const diet = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='diet'", [req.params.id]);
+    const validation = {
+      analysis: analysis.rows[0]?.validation_errors || null,
+      recipe: recipe.rows[0]?.validation_errors || null
+    };
+
+    const media = await itemMediaLinks(req, item, meta.rows[0]?.body);
+    const duplicates = await getItemDuplicates(item);
+    const overlay = await getItemOverlay(req.user.id, req.params.id, recipe.rows[0]?.body || null);
+    res.json({ item, meta: meta.rows[0]?.body || null, analysis: analysis.rows[0]?.body || null, recipe: overlay.recipe, original_recipe: overlay.original_recipe, recipe_edits: overlay.recipe_edits, cook_log: overlay.cook_log, nutrition: nutrition.rows[0]?.body || null, diet: diet.rows[0]?.body || null, validation, media, duplicates });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 /** GET /items/:id/analysis */
 app.get("/items/:id/analysis", async (req, res) => {
   try {
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
     const r = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='analysis'", [req.params.id]);
     if (!r.rows[0]) return res.status(404).json({ error: "No analysis for this item" });
     res.json(r.rows[0].body);
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+/**
+ * GET /items/:id/media?size=640
+ * Cover, keyframes (with their time in the video) and contact sheet as signed WebP links.
+ * Every image comes in several widths; `size` picks the closest one per image instead.
+ */
+app.get("/items/:id/media", async (req, res) => {
+  try {
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const r = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='media'", [req.params.id]);
+    if (!r.rows[0]) return res.status(404).json({ error: "No media for this item" });
+    const m = r.rows[0].body;
+
+    const size = req.query.size != null ? Number(req.query.size) : null;
+    if (size != null && !(size > 0)) return res.status(400).json({ error: "size must be a positive width in pixels" });
+    const sign = async ({ key, ...v }) => ({ ...v, ...await mediaLink(req, key) });
+    const images = async (variants = []) => size
+      ? { image: variants.length ? await sign(pickVariant(variants, size)) : null }
+      : { variants: await Promise.all(variants.map(sign)) };
+
+    res.json({
+      source: m.source,
+      duration_sec: m.duration_sec,
+      width: m.width,
+      height: m.height,
+      mode: m.mode,
+      cover: await images(m.cover?.variants),
+      keyframes: await Promise.all((m.keyframes || []).map(async f => ({ index: f.index, time_sec: f.time_sec, ...await images(f.variants) }))),
+      contact_sheet: m.contact_sheet
+        ? { columns: m.contact_sheet.columns, rows: m.contact_sheet.rows, times: m.contact_sheet.times, ...await images(m.contact_sheet.variants) }
+        : null
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * GET /items/:id/transcript?format=json|vtt|srt
+ * Timed transcript (subtitle cues or ASR segments); vtt/srt can go straight into a <track>.
+ */
+app.get("/items/:id/transcript", async (req, res) => {
+  try {
+    const format = String(req.query.format || "json").toLowerCase();
+    if (!TRANSCRIPT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${TRANSCRIPT_FORMATS.join(", ")}` });
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const r = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='transcript'", [req.params.id]);
+    const t = r.rows[0]?.body;
+    if (!t) return res.status(404).json({ error: "No timed transcript for this item" });
+
+    if (format === "vtt") return res.type("text/vtt; charset=utf-8").send(toVtt(t.segments));
+    if (format === "srt") return res.type("application/x-subrip; charset=utf-8").send(toSrt(t.segments));
+    res.json({ item_id: req.params.id, source: t.source, language: t.language ?? null, segments: t.segments });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * GET /items/:id/recipe?servings=6&units=metric|us&original=true
+ * Recipe scaled to `servings` (or by `factor`) and optionally converted to a unit system.
+ * Without parameters the stored recipe is returned with display strings. The caller's
+ * edits are applied unless `original=true`.
+ */
+app.get("/items/:id/recipe", async (req, res) => {
+  try {
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const r = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='recipe'", [req.params.id]);
+    if (!r.rows[0]) return res.status(404).json({ error: "No recipe for this item" });
+    const recipe = req.query.original === "true"
+      ? r.rows[0].body
+      : applyRecipeEdits(r.rows[0].body, await getRecipeEdits(req.user.id, req.params.id)).recipe;
+
+    const units = req.query.units ? String(req.query.units).toLowerCase() : null;
+    if (units && !UNIT_SYSTEMS.includes(units)) {
+      return res.status(400).json({ error: `units must be one of: ${UNIT_SYSTEMS.join(", ")}` });
+    }
+
+    const servings = req.query.servings != null ? Number(req.query.servings) : null;
+    let factor = req.query.factor != null ? Number(req.query.factor) : 1;
+    if (servings != null) {
+      if (!(servings > 0)) return res.status(400).json({ error: "servings must be a positive number" });
+      if (!(recipe.servings > 0)) return res.status(400).json({ error: "Recipe has no servings count; scale with ?factor= instead" });
+      factor = servings / recipe.servings;
+    }
+    if (!(factor > 0) || factor > 100) return res.status(400).json({ error: "factor must be between 0 and 100" });
+
+    res.json({
+      item_id: req.params.id,
+      factor,
+      units,
+      servings: { original: recipe.servings ?? null, requested: servings },
+      recipe: scaleRecipe(recipe, { factor, servings, units })
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * GET /items/:id/nutrition?servings=6
+ * Estimated kcal, macros, fiber and sodium (total and per serving) with the food and weight
+ * each ingredient was matched to. `servings` divides the total differently.
+ */
+app.get("/items/:id/nutrition", async (req, res) => {
+  try {
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const r = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='nutrition'", [req.params.id]);
+    const nutrition = r.rows[0]?.body;
+    if (!nutrition) return res.status(404).json({ error: "No nutrition estimate for this item" });
+
+    if (req.query.servings == null) return res.json({ item_id: req.params.id, ...nutrition });
+    const servings = Number(req.query.servings);
+    if (!(servings > 0)) return res.status(400).json({ error: "servings must be a positive number" });
+    const t = nutrition.total;
+    const per = (v, d = 1) => Math.round((v / servings) * 10 ** d) / 10 ** d;
+    res.json({
+      item_id: req.params.id,
+      ...nutrition,
+      servings,
+      per_serving: {
+        kcal: per(t.kcal, 0), protein_g: per(t.protein_g), fat_g: per(t.fat_g),
+        carbs_g: per(t.carbs_g), fiber_g: per(t.fiber_g), sodium_mg: per(t.sodium_mg, 0)
+      }
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * GET /items/:id/diet
+ * Diet labels and EU allergens of the item's recipe, each decision with the ingredient behind it.
+ */
+app.get("/items/:id/diet", async (req, res) => {
+  try {
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const r = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='diet'", [req.params.id]);
+    if (!r.rows[0]) return res.status(404).json({ error: "No diet labels for this item" });
+    res.json({ item_id: req.params.id, ...r.rows[0].body });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /items/:id/export?format=jsonld|markdown|paprika|mealie|cooklang -> file download */
+app.get("/items/:id/export", async (req, res) => {
+  try {
+    const format = String(req.query.format || "jsonld").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+
+    const data = await loadRecipeForExport(req.params.id);
+    if (!data) return res.status(404).json({ error: "No recipe for this item" });
+    data.recipe = applyRecipeEdits(data.recipe, await getRecipeEdits(req.user.id, req.params.id)).recipe;
+
+    const file = renderExport(format, data);
+    res.attachment(file.filename).type(file.contentType).send(file.body);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** PATCH /items/:id { notes?, rating? } -> per-user notes and 1-5 rating on a library item (null clears) */
+app.patch("/items/:id", async (req, res) => {
+  try {
+    const { notes, rating } = req.body || {};
+    if (notes === undefined && rating === undefined) return res.status(400).json({ error: "Provide notes or rating" });
+    if (notes !== undefined && notes !== null && typeof notes !== "string") return res.status(400).json({ error: "notes must be a string or null" });
+    const parsed = rating !== undefined ? parseRating(rating) : null;
+    if (parsed?.error) return res.status(400).json({ error: parsed.error });
+    const { rowCount } = await pool.query(
+      `UPDATE user_items
+       SET notes=CASE WHEN $3 THEN $4 ELSE notes END,
+           rating=CASE WHEN $5 THEN $6::smallint ELSE rating END,
+           updated_at=now()
+       WHERE user_id=$1 AND item_id=$2`,
+      [req.user.id, req.params.id, notes !== undefined, notes ?? null, rating !== undefined, parsed?.rating ?? null]
+    );
+    if (!rowCount) return res.status(404).json({ error: "Item not found" });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * PUT /items/:id/recipe-edits { title?, servings?, total_time_minutes?, ingredients?: [op], steps?: [op] }
+ * Replaces the caller's corrections to the extracted recipe (see overlays.mjs for the operations).
+ * They are applied on read, so they outlive POST /items/:id/rebuild. -> { recipe, recipe_edits }
+ */
+app.put("/items/:id/recipe-edits", async (req, res) => {
+  try {
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const r = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='recipe'", [req.params.id]);
+    if (!r.rows[0]) return res.status(404).json({ error: "No recipe for this item" });
+    const parsed = parseRecipeEdits(req.body, r.rows[0].body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    await pool.query(
+      "UPDATE user_items SET recipe_edits=$3, updated_at=now() WHERE user_id=$1 AND item_id=$2",
+      [req.user.id, req.params.id, parsed.edits]
+    );
+    const merged = applyRecipeEdits(r.rows[0].body, parsed.edits);
+    res.json({ recipe: merged.recipe, recipe_edits: { ...parsed.edits, unapplied: merged.unapplied } });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** DELETE /items/:id/recipe-edits -> back to the extracted recipe */
+app.delete("/items/:id/recipe-edits", async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      "UPDATE user_items SET recipe_edits=NULL, updated_at=now() WHERE user_id=$1 AND item_id=$2",
+      [req.user.id, req.params.id]
+    );
+    if (!rowCount) return res.status(404).json({ error: "Item not found" });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /items/:id/cook-log -> { entries: [{id, cooked_on, comment, created_at}], cooked_count, last_cooked_on } */
+app.get("/items/:id/cook-log", async (req, res) => {
+  try {
+    const item = await getOwnedItem(req.user.id, req.params.id);
+    if (!item) return res.status(404).json({ error: "Item not found" });
+    res.json({ entries: await getCookLog(req.user.id, req.params.id), cooked_count: item.cooked_count, last_cooked_on: item.last_cooked_on });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** POST /items/:id/cook-log { cooked_on?: "YYYY-MM-DD" (default today), comment? } -> { id, cooked_count, last_cooked_on } */
+app.post("/items/:id/cook-log", async (req, res) => {
+  try {
+    const { cooked_on, comment = null } = req.body || {};
+    const date = parseCookedOn(cooked_on);
+    if (date.error) return res.status(400).json({ error: date.error });
+    if (comment !== null && typeof comment !== "string") return res.status(400).json({ error: "comment must be a string or null" });
+    if (!await getOwnedItem(req.user.id, req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const id = uuidv4();
+    const stats = await withTx(async (client) => {
+      await client.query(
+        "INSERT INTO cook_log (id,user_id,item_id,cooked_on,comment) VALUES ($1,$2,$3,$4,$5)",
+        [id, req.user.id, req.params.id, date.cookedOn, comment]
+      );
+      return refreshCookStats(client, req.user.id, req.params.id);
+    });
+    res.json({ id, ...stats });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** DELETE /items/:id/cook-log/:entry_id */
+app.delete("/items/:id/cook-log/:entry_id", async (req, res) => {
+  try {
+    const deleted = await withTx(async (client) => {
+      const { rowCount } = await client.query(
+        "DELETE FROM cook_log WHERE id=$1 AND user_id=$2 AND item_id=$3",
+        [req.params.entry_id, req.user.id, req.params.id]
+      );
+      if (rowCount) await refreshCookStats(client, req.user.id, req.params.id);
+      return rowCount;
+    });
+    if (!deleted) return res.status(404).json({ error: "Not found" });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** DELETE /items/:id -> remove from the user's library (the shared item itself is kept) */
+app.delete("/items/:id", async (req, res) => {
+  try {
+    const deleted = await withTx(async (client) => {
+      const { rowCount } = await client.query("DELETE FROM user_items WHERE user_id=$1 AND item_id=$2", [req.user.id, req.params.id]);
+      if (rowCount) {
+        await client.query(
+          `DELETE FROM collection_items
+           WHERE item_id=$2 AND collection_id IN (SELECT id FROM collections WHERE user_id=$1)`,
+          [req.user.id, req.params.id]
+        );
+      }
+      return rowCount;
+    });
+    if (!deleted) return res.status(404).json({ error: "Item not found" });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// GET /items ?sort= -> leading sort key (the cursor carries its value); newest first within it
+const ITEM_SORT_KEYS = { rating: ["COALESCE(ui.rating, 0)", r => r.rating ?? 0], cooked: ["ui.cooked_count", r => r.cooked_count] };
+
 /** GET /items  -> keyset pagination + filters
- *  query: is_recipe?, platform?, topic?, after? (cursor), limit?
+ *  query: is_recipe?, platform?, topic?, needs_review?, min_rating?, cooked?, sort? (newest|rating|cooked), after? (cursor), limit?
  */
 app.get("/items", async (req, res) => {
   try {
-    const { is_recipe, platform, topic, after, limit = 30 } = req.query;
+    const { is_recipe, platform, topic, needs_review, sort = "newest", after, limit = 30 } = req.query;
+    if (!ITEM_SORTS.includes(sort)) return res.status(400).json({ error: `sort must be one of: ${ITEM_SORTS.join(", ")}` });
+    const [sortKey, sortValue] = ITEM_SORT_KEYS[sort] || [];
     const clauses = [];
-    const params = [];
+    const params = [req.user.id];
     let cursorClause = "";
     let cursor;
 
-    if (is_recipe !== undefined) { params.push(is_recipe === "true"); clauses.push(`is_recipe = $${params.length}`); }
-    if (platform) { params.push(platform); clauses.push(`platform = $${params.length}`); }
-    if (topic) { params.push(topic); clauses.push(`$${params.length} = ANY(topics)`); }
+    if (is_recipe !== undefined) { params.push(is_recipe === "true"); clauses.push(`i.is_recipe = $${params.length}`); }
+    if (platform) { params.push(platform); clauses.push(`i.platform = $${params.length}`); }
+    if (topic) { params.push(topic); clauses.push(`$${params.length} = ANY(i.topics)`); }
+    if (needs_review !== undefined) { params.push(needs_review === "true"); clauses.push(`i.needs_review = $${params.length}`); }
+    const nutrition = parseNutritionFilters(req.query);
+    if (nutrition.error) return res.status(400).json({ error: nutrition.error });
+    clauses.push(...nutritionClauses(nutrition.filters, params));
+    const diet = parseDietFilters(req.query);
+    if (diet.error) return res.status(400).json({ error: diet.error });
+    clauses.push(...dietClauses(diet.filters, params));
+    const overlay = parseOverlayFilters(req.query);
+    if (overlay.error) return res.status(400).json({ error: overlay.error });
+    clauses.push(...overlayClauses(overlay.filters, params));
 
     if (after) {
       cursor = unb64(after);
-      if (cursor?.created_at && cursor?.id) {
+      if (cursor?.created_at && cursor?.id && sortKey && cursor.key != null) {
+        params.push(cursor.key, cursor.created_at, cursor.id);
+        cursorClause = ` AND (${sortKey}, i.created_at, i.id) < ($${params.length-2}, $${params.length-1}, $${params.length})`;
+      } else if (cursor?.created_at && cursor?.id && !sortKey) {
         params.push(cursor.created_at, cursor.id);
-        cursorClause = ` AND (created_at, id) < ($${params.length-1}, $${params.length})`;
+        cursorClause = ` AND (i.created_at, i.id) < ($${params.length-1}, $${params.length})`;
       }
     }
 
@@ -338,58 +1042,66 @@ app.get("/items", async (req, res) => {
     const lim = Math.min(Math.max(Number(limit) || 30, 1), 100);
 
     const { rows } = await pool.query(
-      `SELECT * FROM items
+      `SELECT i.*, ${USER_ITEM_COLUMNS}
+       FROM items i
+       JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $1
        ${where}
-       ORDER BY created_at DESC, id DESC
+       ORDER BY ${sortKey ? `${sortKey} DESC, ` : ""}i.created_at DESC, i.id DESC
        LIMIT ${lim + 1}`,
       params
     );
 
     const hasMore = rows.length > lim;
     const page = hasMore ? rows.slice(0, lim) : rows;
-    const nextCursor = hasMore ? b64({ created_at: page[page.length - 1].created_at, id: page[page.length - 1].id }) : null;
+    const last = page[page.length - 1];
+    const nextCursor = hasMore ? b64({ created_at: last.created_at, id: last.id, ...(sortValue && { key: sortValue(last) }) }) : null;
+    const items = await Promise.all(page.map(async i => ({ ...i, thumbnail: await thumbnailLink(req, i) })));
 
-    res.json({ items: page, next_cursor: nextCursor });
+    res.json({ items, next_cursor: nextCursor });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // facets
 // GET /topics  -> [{topic, count}]
-app.get("/topics", async (_req,res) => {
+app.get("/topics", async (req,res) => {
   const { rows } = await pool.query(`
-    SELECT LOWER(UNNEST(topics)) AS topic, COUNT(*)::int
-    FROM items
+    SELECT LOWER(UNNEST(i.topics)) AS topic, COUNT(*)::int
+    FROM items i
+    JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $1
     GROUP BY 1
-    HAVING LOWER(UNNEST(topics)) IS NOT NULL
+    HAVING LOWER(UNNEST(i.topics)) IS NOT NULL
     ORDER BY COUNT(*) DESC, topic ASC
     LIMIT 200
-  `);
+  `, [req.user.id]);
   res.json(rows);
 });
 
 // GET /platforms -> [{platform, count}]
-app.get("/platforms", async (_req,res) => {
+app.get("/platforms", async (req,res) => {
   const { rows } = await pool.query(`
-    SELECT platform, COUNT(*)::int
-    FROM items
-    GROUP BY platform
+    SELECT i.platform, COUNT(*)::int
+    FROM items i
+    JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $1
+    GROUP BY i.platform
     ORDER BY COUNT(*) DESC
-  `);
+  `, [req.user.id]);
   res.json(rows);
 });
 
 // GET /stats
-app.get("/stats", async (_req,res) => {
-  const [[items], [recipes], [withVec]] = await Promise.all([
-    pool.query("SELECT COUNT(*)::int AS n FROM items"),
-    pool.query("SELECT COUNT(*)::int AS n FROM items WHERE is_recipe"),
-    pool.query("SELECT COUNT(*)::int AS n FROM items WHERE embedding IS NOT NULL")
+app.get("/stats", async (req,res) => {
+  const owned = "FROM items i JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $1";
+  const [items, recipes, withVec] = await Promise.all([
+    pool.query(`SELECT COUNT(*)::int AS n ${owned}`, [req.user.id]),
+    pool.query(`SELECT COUNT(*)::int AS n ${owned} WHERE i.is_recipe`, [req.user.id]),
+    pool.query(`SELECT COUNT(*)::int AS n ${owned} WHERE i.embedding IS NOT NULL`, [req.user.id])
   ]);
   const jobs = await pool.query(`
     SELECT status, COUNT(*)::int AS n
     FROM jobs
+    WHERE user_id = $1
     GROUP BY status
-  `);
+  `, [req.user.id]);
   res.json({
     items: items.rows[0].n,
     recipes: recipes.rows[0].n,
@@ -407,39 +1119,39 @@ app.get("/config", (_req,res) => {
   });
 });
 
+// GET /me -> the authenticated user
+app.get("/me", (req, res) => res.json(req.user));
+
 // ────────────────────────────────────────────────────────────────────────────────
-/** POST /search  { q, k?, is_recipe?, platform?, topic? } */
+/** POST /search  { q, k?, mode?, is_recipe?, platform?, topic? }
+ *  mode: "vector" | "keyword" | "hybrid" (default) — see search.mjs
+ */
 app.post("/search", async (req, res) => {
   try {
-    const { q, k = 10, is_recipe, platform, topic } = req.body || {};
+    const { q, k = 10, mode = "hybrid", sort = "relevance", is_recipe, platform, topic } = req.body || {};
     if (!q) return res.status(400).json({ error: "Missing q" });
-
-    const vec = await embedText(q);
-    if (!Array.isArray(vec) || !vec.length) return res.status(500).json({ error: "Embedding failed" });
-    const vecLiteral = toPgVectorLiteral(vec);
-
-    const clauses = ["embedding IS NOT NULL"];
-    const params = [vecLiteral];
-    let idx = 2;
-
-    if (is_recipe !== undefined) { clauses.push(`is_recipe = $${idx++}`); params.push(!!is_recipe); }
-    if (platform) { clauses.push(`platform = $${idx++}`); params.push(platform); }
-    if (topic) { clauses.push(`$${idx++} = ANY(topics)`); params.push(topic); }
-
-    const where = `WHERE ${clauses.join(" AND ")}`;
-
-    const { rows } = await pool.query(
-      `
-      SELECT id, title, platform, url, topics, is_recipe, author_name,
-             published_at, created_at,
-             (embedding <-> $1::vector) AS distance
-      FROM items
-      ${where}
-      ORDER BY embedding <-> $1::vector
-      LIMIT ${Number(k) || 10}
-      `,
-      params
-    );
+    if (!SEARCH_MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of ${SEARCH_MODES.join(", ")}` });
+    if (!SEARCH_SORTS.includes(sort)) return res.status(400).json({ error: `sort must be one of: ${SEARCH_SORTS.join(", ")}` });
+    const nutrition = parseNutritionFilters(req.body);
+    if (nutrition.error) return res.status(400).json({ error: nutrition.error });
+    const diet = parseDietFilters(req.body);
+    if (diet.error) return res.status(400).json({ error: diet.error });
+    const overlay = parseOverlayFilters(req.body);
+    if (overlay.error) return res.status(400).json({ error: overlay.error });
+
+    const rows = await searchItems({
+      userId: req.user.id,
+      q: String(q),
+      k: Math.min(Math.max(Number(k) || 10, 1), 100),
+      mode,
+      sort,
+      is_recipe,
+      platform,
+      topic,
+      nutrition: nutrition.filters,
+      diet: diet.filters,
+      overlay: overlay.filters
+    });
 
     // attach a small snippet from stored JSON
     const withSnippets = await Promise.all(rows.map(async r => {
@@ -447,25 +1159,82 @@ app.post("/search", async (req, res) => {
       const analysis = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='analysis'", [r.id]);
       const recipe = await pool.query("SELECT body FROM item_json WHERE item_id=$1 AND kind='recipe'", [r.id]);
       const snippet = buildSnippet(r, meta.rows[0]?.body, analysis.rows[0]?.body, recipe.rows[0]?.body);
-      return { ...r, distance: Number(r.distance), snippet };
+      return { ...r, snippet };
     }));
 
-    res.json({ q, k: Number(k) || 10, results: withSnippets });
+    res.json({ q, k: Number(k) || 10, mode, results: withSnippets });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-/** POST /collections {name,description?,color?} -> {id} */
+/**
+ * POST /search/pantry { ingredients: ["eggs", "spinach", "feta"], staples?, max_missing?, min_coverage?, k?, filters }
+ * Recipes in the library ranked by how many of their ingredients the list covers, each with
+ * what is still missing. Salt, pepper, oil and the like are ignored unless `staples` says otherwise.
+ */
+app.post("/search/pantry", async (req, res) => {
+  try {
+    const { ingredients, staples, k = 20, max_missing, min_coverage, platform, topic } = req.body || {};
+    const isNames = (v) => Array.isArray(v) && v.every(x => typeof x === "string");
+    if (!isNames(ingredients) || !ingredients.some(x => x.trim())) return res.status(400).json({ error: "ingredients must be a non-empty array of strings" });
+    if (ingredients.length > 100) return res.status(400).json({ error: "At most 100 ingredients" });
+    if (staples !== undefined && !isNames(staples)) return res.status(400).json({ error: "staples must be an array of strings" });
+    const maxMissing = max_missing != null ? Number(max_missing) : null;
+    if (maxMissing != null && !(Number.isInteger(maxMissing) && maxMissing >= 0)) return res.status(400).json({ error: "max_missing must be a non-negative integer" });
+    const minCoverage = min_coverage != null ? Number(min_coverage) : 0;
+    if (!(minCoverage >= 0 && minCoverage <= 1)) return res.status(400).json({ error: "min_coverage must be between 0 and 1" });
+    const nutrition = parseNutritionFilters(req.body);
+    if (nutrition.error) return res.status(400).json({ error: nutrition.error });
+    const diet = parseDietFilters(req.body);
+    if (diet.error) return res.status(400).json({ error: diet.error });
+    const overlay = parseOverlayFilters(req.body);
+    if (overlay.error) return res.status(400).json({ error: overlay.error });
+
+    const rows = await searchPantry({
+      userId: req.user.id,
+      have: ingredients,
+      ...(staples !== undefined ? { staples } : {}),
+      k: Math.min(Math.max(Number(k) || 20, 1), 100),
+      maxMissing,
+      minCoverage,
+      platform,
+      topic,
+      nutrition: nutrition.filters,
+      diet: diet.filters,
+      overlay: overlay.filters
+    });
+    const results = await Promise.all(rows.map(async ({ thumb_key, thumb_url, ...r }) => ({
+      ...r,
+      thumbnail: await thumbnailLink(req, { thumb_key, thumb_url })
+    })));
+    res.json({ ingredients, results });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * POST /collections {name,description?,color?,query?,materialize?} -> {id}
+ * With `query` it's a smart collection (see collections.mjs); `materialize` has the worker keep its items stored.
+ */
 app.post("/collections", async (req, res) => {
   try {
-    const { name, description = null, color = null } = req.body || {};
+    const { name, description = null, color = null, query = null, materialize = false } = req.body || {};
     if (!name) return res.status(400).json({ error: "Missing name" });
+    let parsed = null;
+    if (query != null) {
+      const q = parseCollectionQuery(query);
+      if (q.error) return res.status(400).json({ error: q.error });
+      parsed = q.query;
+    }
+    if (typeof materialize !== "boolean") return res.status(400).json({ error: "materialize must be a boolean" });
+    if (materialize && !parsed) return res.status(400).json({ error: "materialize needs a query" });
     const id = uuidv4();
     await pool.query(
-      "INSERT INTO collections (id,name,description,color) VALUES ($1,$2,$3,$4)",
-      [id, name, description, color]
+      `INSERT INTO collections (id,user_id,name,description,color,query,query_embedding,materialize)
+       VALUES ($1,$2,$3,$4,$5,$6,$7::vector,$8)`,
+      [id, req.user.id, name, description, color, parsed, await embedCollectionQuery(parsed), materialize]
     );
+    if (materialize) await refreshSmartCollection(id);
     res.json({ id });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -477,11 +1246,12 @@ app.get("/collections", async (req, res) => {
     const page = Math.max(Number(req.query.page) || 1, 1);
     const offset = (page - 1) * pageSize;
     const { rows } = await pool.query(
-      `SELECT id,name,description,color,created_at,updated_at
+      `SELECT ${COLLECTION_COLUMNS}
        FROM collections
+       WHERE user_id=$3
        ORDER BY created_at DESC
        LIMIT $1 OFFSET $2`,
-      [pageSize, offset]
+      [pageSize, offset, req.user.id]
     );
     res.json({ items: rows, page, page_size: pageSize });
   } catch (e) { res.status(500).json({ error: e.message }); }
@@ -490,28 +1260,50 @@ app.get("/collections", async (req, res) => {
 /** GET /collections/:id */
 app.get("/collections/:id", async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      "SELECT id,name,description,color,created_at,updated_at FROM collections WHERE id=$1",
-      [req.params.id]
-    );
-    if (!rows[0]) return res.status(404).json({ error: "Not found" });
-    res.json(rows[0]);
+    const collection = await getOwnedCollection(req.user.id, req.params.id);
+    if (!collection) return res.status(404).json({ error: "Not found" });
+    res.json(collection);
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-/** PATCH /collections/:id {name?,description?,color?} */
+/**
+ * PATCH /collections/:id {name?,description?,color?,query?,materialize?}
+ * `query: null` turns a smart collection into a manual one (materialized items stay as members);
+ * a query replaces the members of a manual one.
+ */
 app.patch("/collections/:id", async (req, res) => {
   try {
-    const { name, description, color } = req.body || {};
-    await pool.query(
-      `UPDATE collections
-       SET name=COALESCE($2,name),
-           description=COALESCE($3,description),
-           color=COALESCE($4,color),
-           updated_at=now()
-       WHERE id=$1`,
-      [req.params.id, name ?? null, description ?? null, color ?? null]
-    );
+    const { name, description, color, query, materialize } = req.body || {};
+    const current = await getOwnedCollection(req.user.id, req.params.id);
+    if (!current) return res.status(404).json({ error: "Not found" });
+    let parsed = current.query;
+    if (query !== undefined) {
+      const q = query === null ? { query: null } : parseCollectionQuery(query);
+      if (q.error) return res.status(400).json({ error: q.error });
+      parsed = q.query;
+    }
+    if (materialize !== undefined && typeof materialize !== "boolean") return res.status(400).json({ error: "materialize must be a boolean" });
+    if (materialize && !parsed) return res.status(400).json({ error: "materialize needs a query" });
+    const materialized = parsed ? (materialize ?? current.materialize) : false;
+
+    await withTx(async (client) => {
+      await client.query(
+        `UPDATE collections
+         SET name=COALESCE($2,name),
+             description=COALESCE($3,description),
+             color=COALESCE($4,color),
+             query=CASE WHEN $5 THEN $6::jsonb ELSE query END,
+             query_embedding=CASE WHEN $5 THEN $7::vector ELSE query_embedding END,
+             materialize=$8,
+             updated_at=now()
+         WHERE id=$1 AND user_id=$9`,
+        [req.params.id, name ?? null, description ?? null, color ?? null,
+          query !== undefined, parsed, query !== undefined ? await embedCollectionQuery(parsed) : null, materialized, req.user.id]
+      );
+      // only materialized collections keep their items in collection_items
+      if (parsed && !materialized) await client.query("DELETE FROM collection_items WHERE collection_id=$1", [req.params.id]);
+    });
+    if (materialized && (query !== undefined || !current.materialize)) await refreshSmartCollection(req.params.id);
     res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -519,17 +1311,26 @@ app.patch("/collections/:id", async (req, res) => {
 /** DELETE /collections/:id */
 app.delete("/collections/:id", async (req, res) => {
   try {
-    await pool.query("DELETE FROM collections WHERE id=$1", [req.params.id]);
+    await pool.query("DELETE FROM collections WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
     res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-/** GET /collections/:id/items?page?&page_size? */
+/**
+ * GET /collections/:id/items?page?&page_size?
+ * Smart collections that aren't materialized run their query now (closest to `q` first, with `distance`).
+ */
 app.get("/collections/:id/items", async (req, res) => {
   try {
     const pageSize = Math.min(Math.max(Number(req.query.page_size) || 24, 1), 100);
     const page = Math.max(Number(req.query.page) || 1, 1);
     const offset = (page - 1) * pageSize;
+    const collection = await getOwnedCollection(req.user.id, req.params.id);
+    if (!collection) return res.status(404).json({ error: "Not found" });
+    if (collection.smart && !collection.materialize) {
+      const items = await smartCollectionItems(collection.id, { limit: pageSize, offset });
+      return res.json({ items, page, page_size: pageSize });
+    }
 
     const { rows } = await pool.query(
       `SELECT i.id, i.title, i.platform, i.url, i.topics, i.is_recipe,
@@ -545,15 +1346,46 @@ app.get("/collections/:id/items", async (req, res) => {
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+/** GET /collections/:id/export?format=... -> zip with one file per recipe (paprika: .paprikarecipes) */
+app.get("/collections/:id/export", async (req, res) => {
+  try {
+    const format = String(req.query.format || "jsonld").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    const collection = await getOwnedCollection(req.user.id, req.params.id);
+    if (!collection) return res.status(404).json({ error: "Not found" });
+
+    const recipes = [];
+    for (const itemId of await getCollectionItemIds(collection)) {
+      const data = await loadRecipeForExport(itemId);
+      if (data) recipes.push({ ...data, recipe: applyRecipeEdits(data.recipe, await getRecipeEdits(req.user.id, itemId)).recipe });
+    }
+    if (!recipes.length) return res.status(404).json({ error: "No recipes in this collection" });
+
+    res.attachment(archiveFilename(collection.name, format)).type("application/zip");
+    await writeExportArchive(res, format, recipes);
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /** POST /collections/:id/items { item_id } */
 app.post("/collections/:id/items", async (req, res) => {
   try {
     const { item_id } = req.body || {};
     if (!item_id) return res.status(400).json({ error: "Missing item_id" });
-    await pool.query(
+    const collection = await getOwnedCollection(req.user.id, req.params.id);
+    if (!collection) return res.status(404).json({ error: "Not found" });
+    if (collection.smart) return res.status(409).json({ error: "Items of a smart collection come from its query" });
+    if (!await getOwnedItem(req.user.id, item_id)) return res.status(404).json({ error: "Item not found" });
+    const { rowCount } = await pool.query(
       "INSERT INTO collection_items (collection_id,item_id) VALUES ($1,$2) ON CONFLICT DO NOTHING",
       [req.params.id, item_id]
     );
+    if (rowCount) {
+      await emitWebhookEvent(req.user.id, "collection.item_added", { collection_id: collection.id, collection_name: collection.name, item_id })
+        .catch(e => console.warn("webhook event collection.item_added failed:", e.message));
+    }
     res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
@@ -561,6 +1393,9 @@ app.post("/collections/:id/items", async (req, res) => {
 /** DELETE /collections/:id/items/:item_id */
 app.delete("/collections/:id/items/:item_id", async (req, res) => {
   try {
+    const collection = await getOwnedCollection(req.user.id, req.params.id);
+    if (!collection) return res.status(404).json({ error: "Not found" });
+    if (collection.smart) return res.status(409).json({ error: "Items of a smart collection come from its query" });
     await pool.query(
       "DELETE FROM collection_items WHERE collection_id=$1 AND item_id=$2",
       [req.params.id, req.params.item_id]
@@ -570,26 +1405,554 @@ app.delete("/collections/:id/items/:item_id", async (req, res) => {
 });
 
 // ────────────────────────────────────────────────────────────────────────────────
-// Optional: sign a GCS object for temporary read access.
-// GET /media/sign?gcsUri=gs://bucket/path/to/file.mp4&expires=900
+// Sources: followed playlists / channels / profiles / feeds (see sources.mjs)
 // ────────────────────────────────────────────────────────────────────────────────
-app.get("/media/sign", async (req, res) => {
+const SOURCE_COLUMNS = `s.id, s.url, s.kind, s.name, s.filters, s.allow_inference, s.priority, s.sync_interval_minutes, s.enabled,
+  s.next_sync_at, s.sync_started_at IS NOT NULL AS syncing, s.last_synced_at, s.last_sync_status, s.last_sync_error,
+  s.last_sync_stats, s.created_at, s.updated_at,
+  (SELECT count(*)::int FROM source_entries e WHERE e.source_id = s.id AND e.status = 'queued') AS queued_count,
+  (SELECT count(*)::int FROM source_entries e WHERE e.source_id = s.id AND e.status = 'filtered') AS filtered_count`;
+
+async function getOwnedSource(userId, sourceId) {
+  const { rows } = await pool.query(`SELECT ${SOURCE_COLUMNS} FROM sources s WHERE s.id=$1 AND s.user_id=$2`, [sourceId, userId]);
+  return rows[0] || null;
+}
+
+/**
+ * Reads the settable fields of a sources body (absent ones stay undefined).
+ * -> { name, filters, allow_inference, priority, sync_interval_minutes, enabled } or { error } for a 400
+ */
+function parseSourceSettings(body = {}) {
+  const out = { name: body.name, allow_inference: body.allow_inference, enabled: body.enabled };
+  if (body.filters !== undefined) {
+    const parsed = parseSourceFilters(body.filters);
+    if (parsed.error) return parsed;
+    out.filters = parsed.filters;
+  }
+  if (body.priority != null) {
+    const schedule = parseJobSchedule({ priority: body.priority });
+    if (schedule.error) return schedule;
+    out.priority = schedule.priority;
+  }
+  if (body.sync_interval_minutes != null) {
+    const m = Number(body.sync_interval_minutes);
+    if (!Number.isInteger(m) || m < MIN_SYNC_INTERVAL_MINUTES) {
+      return { error: `sync_interval_minutes must be an integer of at least ${MIN_SYNC_INTERVAL_MINUTES}` };
+    }
+    out.sync_interval_minutes = m;
+  }
+  for (const k of ["allow_inference", "enabled"]) {
+    if (out[k] !== undefined && typeof out[k] !== "boolean") return { error: `${k} must be a boolean` };
+  }
+  return out;
+}
+
+/**
+ * POST /sources {url, kind?, name?, filters?, sync_interval_minutes?, allow_inference?, priority?, enabled?}
+ * Follows a playlist / channel / profile / feed; the worker's first sync is due right away.
+ * Idempotent per (user, url): an existing source is returned unchanged.
+ */
+app.post("/sources", async (req, res) => {
+  try {
+    const { url } = req.body || {};
+    if (!url) return res.status(400).json({ error: "Missing url" });
+    if (ALLOWED_HOSTS.length && !hostnameAllowed(url, ALLOWED_HOSTS)) return res.status(400).json({ error: "Host not allowed.", allowed: ALLOWED_HOSTS });
+    const kind = req.body.kind || detectSourceKind(url);
+    if (!kind) return res.status(400).json({ error: "Not a playlist, channel, TikTok profile or feed URL (pass kind to override)" });
+    if (!SOURCE_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of: ${SOURCE_KINDS.join(", ")}` });
+    const settings = parseSourceSettings(req.body);
+    if (settings.error) return res.status(400).json({ error: settings.error });
+
+    const { rows } = await pool.query(
+      `INSERT INTO sources (id, user_id, url, kind, name, filters, allow_inference, priority, sync_interval_minutes, enabled)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+       ON CONFLICT (user_id, url) DO NOTHING
+       RETURNING id`,
+      [uuidv4(), req.user.id, url, kind, settings.name ?? null, settings.filters || {}, settings.allow_inference ?? ALLOW_INFERENCE_DEFAULT,
+        settings.priority ?? 0, settings.sync_interval_minutes ?? DEFAULT_SYNC_INTERVAL_MINUTES, settings.enabled ?? true]
+    );
+    const id = rows[0]?.id
+      ?? (await pool.query("SELECT id FROM sources WHERE user_id=$1 AND url=$2", [req.user.id, url])).rows[0].id;
+    res.json(await getOwnedSource(req.user.id, id));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /sources -> the user's sources with their last sync status */
+app.get("/sources", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${SOURCE_COLUMNS} FROM sources s WHERE s.user_id=$1 ORDER BY s.created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ items: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /sources/:id */
+app.get("/sources/:id", async (req, res) => {
+  try {
+    const source = await getOwnedSource(req.user.id, req.params.id);
+    if (!source) return res.status(404).json({ error: "Not found" });
+    res.json(source);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * PATCH /sources/:id {name?, filters?, sync_interval_minutes?, allow_inference?, priority?, enabled?}
+ * New filters also apply to posts an earlier sync filtered out: those are forgotten and
+ * looked at again by the next sync (if still among the newest posts).
+ */
+app.patch("/sources/:id", async (req, res) => {
+  try {
+    const settings = parseSourceSettings(req.body || {});
+    if (settings.error) return res.status(400).json({ error: settings.error });
+
+    const updated = await withTx(async (client) => {
+      const { rowCount } = await client.query(
+        `UPDATE sources
+         SET name=COALESCE($3,name),
+             filters=COALESCE($4,filters),
+             allow_inference=COALESCE($5,allow_inference),
+             priority=COALESCE($6,priority),
+             sync_interval_minutes=COALESCE($7,sync_interval_minutes),
+             enabled=COALESCE($8,enabled),
+             next_sync_at=CASE WHEN last_synced_at IS NULL THEN next_sync_at
+                               ELSE last_synced_at + make_interval(mins => COALESCE($7,sync_interval_minutes)) END,
+             updated_at=now()
+         WHERE id=$1 AND user_id=$2`,
+        [req.params.id, req.user.id, settings.name ?? null, settings.filters ?? null, settings.allow_inference ?? null,
+          settings.priority ?? null, settings.sync_interval_minutes ?? null, settings.enabled ?? null]
+      );
+      if (rowCount && settings.filters) {
+        await client.query("DELETE FROM source_entries WHERE source_id=$1 AND status='filtered'", [req.params.id]);
+      }
+      return rowCount > 0;
+    });
+    if (!updated) return res.status(404).json({ error: "Not found" });
+    res.json(await getOwnedSource(req.user.id, req.params.id));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** DELETE /sources/:id -> stops following; jobs and items it created stay */
+app.delete("/sources/:id", async (req, res) => {
+  try {
+    await pool.query("DELETE FROM sources WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** POST /sources/:id/sync -> syncs now (instead of waiting for the worker) and returns the stats */
+app.post("/sources/:id/sync", async (req, res) => {
+  try {
+    if (!await getOwnedSource(req.user.id, req.params.id)) return res.status(404).json({ error: "Not found" });
+    const claimed = await claimSource(req.params.id);
+    if (!claimed) return res.status(409).json({ error: "A sync of this source is already running" });
+    try {
+      const stats = await syncSource(claimed);
+      res.json({ ok: true, stats, source: await getOwnedSource(req.user.id, req.params.id) });
+    } catch (e) {
+      res.status(502).json({ error: `Sync failed: ${e.message}`, source: await getOwnedSource(req.user.id, req.params.id) });
+    }
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /sources/:id/entries?status=queued|filtered&limit? -> posts the source has listed, newest first */
+app.get("/sources/:id/entries", async (req, res) => {
+  try {
+    if (!await getOwnedSource(req.user.id, req.params.id)) return res.status(404).json({ error: "Not found" });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const params = [req.params.id, limit];
+    let statusClause = "";
+    if (req.query.status) { params.push(String(req.query.status)); statusClause = `AND e.status=$${params.length}`; }
+    const { rows } = await pool.query(
+      `SELECT e.url, e.title, e.published_at, e.status, e.reason, e.first_seen_at,
+              e.job_id, j.status AS job_status, j.item_id
+       FROM source_entries e
+       LEFT JOIN jobs j ON j.id = e.job_id
+       WHERE e.source_id=$1 ${statusClause}
+       ORDER BY e.first_seen_at DESC, e.published_at DESC NULLS LAST
+       LIMIT $2`,
+      params
+    );
+    res.json({ items: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Webhooks
+// ────────────────────────────────────────────────────────────────────────────────
+const WEBHOOK_COLUMNS = `w.id, w.url, w.events, w.description, w.enabled, w.created_at, w.updated_at,
+  (SELECT count(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending_count,
+  (SELECT count(*)::int FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed_count,
+  (SELECT max(d.delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivered_at`;
+
+const DELIVERY_COLUMNS = `d.id, d.event, d.status, d.attempts, d.next_attempt_at, d.response_status, d.error,
+  d.duration_ms, d.replay_of, d.created_at, d.delivered_at, d.updated_at`;
+
+async function getOwnedWebhook(userId, webhookId) {
+  const { rows } = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks w WHERE w.id=$1 AND w.user_id=$2`, [webhookId, userId]);
+  return rows[0] || null;
+}
+
+/**
+ * Reads the settable fields of a webhooks body (absent ones stay undefined).
+ * -> { url, events, description, enabled } or { error } for a 400
+ */
+async function parseWebhookSettings(body = {}) {
+  const out = { description: body.description, enabled: body.enabled };
+  if (body.url !== undefined) {
+    const parsed = await parseWebhookUrl(body.url);
+    if (parsed.error) return parsed;
+    out.url = parsed.url;
+  }
+  if (body.events !== undefined) {
+    const parsed = parseWebhookEvents(body.events);
+    if (parsed.error) return parsed;
+    out.events = parsed.events;
+  }
+  if (out.enabled !== undefined && typeof out.enabled !== "boolean") return { error: "enabled must be a boolean" };
+  return out;
+}
+
+/**
+ * POST /webhooks {url, events[], description?, enabled?}
+ * The signing secret is generated here and only returned by this call (and PATCH rotate_secret).
+ */
+app.post("/webhooks", async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!body.url) return res.status(400).json({ error: "Missing url" });
+    if (body.events === undefined) return res.status(400).json({ error: `Missing events (any of: ${WEBHOOK_EVENTS.join(", ")})` });
+    const settings = await parseWebhookSettings(body);
+    if (settings.error) return res.status(400).json({ error: settings.error });
+
+    const id = uuidv4();
+    const secret = newWebhookSecret();
+    await pool.query(
+      `INSERT INTO webhooks (id, user_id, url, events, secret, description, enabled)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+      [id, req.user.id, settings.url, settings.events, secret, settings.description ?? null, settings.enabled ?? true]
+    );
+    res.json({ ...await getOwnedWebhook(req.user.id, id), secret });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /webhooks -> the user's webhooks with delivery counts (no secrets) */
+app.get("/webhooks", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${WEBHOOK_COLUMNS} FROM webhooks w WHERE w.user_id=$1 ORDER BY w.created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ items: rows, events: WEBHOOK_EVENTS });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /webhooks/:id */
+app.get("/webhooks/:id", async (req, res) => {
+  try {
+    const webhook = await getOwnedWebhook(req.user.id, req.params.id);
+    if (!webhook) return res.status(404).json({ error: "Not found" });
+    res.json(webhook);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** PATCH /webhooks/:id {url?, events?, description?, enabled?, rotate_secret?} */
+app.patch("/webhooks/:id", async (req, res) => {
+  try {
+    const settings = await parseWebhookSettings(req.body || {});
+    if (settings.error) return res.status(400).json({ error: settings.error });
+    const secret = req.body?.rotate_secret === true ? newWebhookSecret() : null;
+
+    const { rowCount } = await pool.query(
+      `UPDATE webhooks
+       SET url=COALESCE($3,url),
+           events=COALESCE($4,events),
+           description=COALESCE($5,description),
+           enabled=COALESCE($6,enabled),
+           secret=COALESCE($7,secret),
+           updated_at=now()
+       WHERE id=$1 AND user_id=$2`,
+      [req.params.id, req.user.id, settings.url ?? null, settings.events ?? null, settings.description ?? null,
+        settings.enabled ?? null, secret]
+    );
+    if (!rowCount) return res.status(404).json({ error: "Not found" });
+    const webhook = await getOwnedWebhook(req.user.id, req.params.id);
+    res.json(secret ? { ...webhook, secret } : webhook);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** DELETE /webhooks/:id -> also drops its delivery log */
+app.delete("/webhooks/:id", async (req, res) => {
+  try {
+    await pool.query("DELETE FROM webhooks WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /webhooks/:id/deliveries?status=pending|delivered|failed&event?&limit? -> delivery log, newest first */
+app.get("/webhooks/:id/deliveries", async (req, res) => {
+  try {
+    if (!await getOwnedWebhook(req.user.id, req.params.id)) return res.status(404).json({ error: "Not found" });
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    const params = [req.params.id, limit];
+    const clauses = ["d.webhook_id=$1"];
+    if (req.query.status) { params.push(String(req.query.status)); clauses.push(`d.status=$${params.length}`); }
+    if (req.query.event) { params.push(String(req.query.event)); clauses.push(`d.event=$${params.length}`); }
+    const { rows } = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries d
+       WHERE ${clauses.join(" AND ")}
+       ORDER BY d.created_at DESC
+       LIMIT $2`,
+      params
+    );
+    res.json({ items: rows });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /webhooks/:id/deliveries/:delivery_id -> one delivery with the payload and the last response */
+app.get("/webhooks/:id/deliveries/:delivery_id", async (req, res) => {
+  try {
+    if (!await getOwnedWebhook(req.user.id, req.params.id)) return res.status(404).json({ error: "Not found" });
+    const { rows } = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS}, d.payload, d.response_body
+       FROM webhook_deliveries d WHERE d.id=$1 AND d.webhook_id=$2`,
+      [req.params.delivery_id, req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Delivery not found" });
+    res.json(rows[0]);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/**
+ * POST /webhooks/:id/deliveries/:delivery_id/replay
+ * Sends the same payload (same event id) again as a new delivery; the worker picks it up right away.
+ */
+app.post("/webhooks/:id/deliveries/:delivery_id/replay", async (req, res) => {
+  try {
+    if (!await getOwnedWebhook(req.user.id, req.params.id)) return res.status(404).json({ error: "Not found" });
+    const { rows } = await pool.query(
+      "SELECT id, webhook_id, event, payload FROM webhook_deliveries WHERE id=$1 AND webhook_id=$2",
+      [req.params.delivery_id, req.params.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: "Delivery not found" });
+    const replay = await replayWebhookDelivery(rows[0]);
+    res.status(202).json({ id: replay.id, event: replay.event, status: replay.status, replay_of: replay.replay_of, created_at: replay.created_at });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ────────────────────────────────────────────────────────────────────────────────
+// Shopping lists
+// ────────────────────────────────────────────────────────────────────────────────
+async function getOwnedShoppingList(userId, listId) {
+  const { rows } = await pool.query(
+    "SELECT id,name,source,created_at,updated_at FROM shopping_lists WHERE id=$1 AND user_id=$2",
+    [listId, userId]
+  );
+  return rows[0] || null;
+}
+
+async function getShoppingListEntries(listId) {
+  const { rows } = await pool.query(
+    `SELECT id,name,aisle,quantity,unit,display,checked,sources
+     FROM shopping_list_entries WHERE list_id=$1 ORDER BY position`,
+    [listId]
+  );
+  return rows;
+}
+
+/**
+ * POST /shopping-lists
+ * { name?, collection_id?, items?: [{item_id, servings?}], item_ids?: [], servings?, units?: "metric"|"us" }
+ * Merges the recipes' ingredients (scaled to `servings`) into one checkable list.
+ */
+app.post("/shopping-lists", async (req, res) => {
+  try {
+    const { name, collection_id = null, items = [], item_ids = [], servings = null, units = null } = req.body || {};
+    if (units && !UNIT_SYSTEMS.includes(units)) return res.status(400).json({ error: `units must be one of: ${UNIT_SYSTEMS.join(", ")}` });
+    if (!Array.isArray(items) || !Array.isArray(item_ids)) return res.status(400).json({ error: "items and item_ids must be arrays" });
+
+    // per-item servings win over the list-wide default
+    const wanted = new Map();
+    let collection = null;
+    if (collection_id) {
+      collection = await getOwnedCollection(req.user.id, collection_id);
+      if (!collection) return res.status(404).json({ error: "Collection not found" });
+      for (const itemId of await getCollectionItemIds(collection)) wanted.set(itemId, servings);
+    }
+    for (const id of item_ids) wanted.set(String(id), servings);
+    for (const it of items) {
+      if (!it?.item_id) return res.status(400).json({ error: "Each entry in items needs an item_id" });
+      wanted.set(String(it.item_id), it.servings ?? servings);
+    }
+    if (!wanted.size) return res.status(400).json({ error: "Provide collection_id, items or item_ids" });
+    if (wanted.size > 100) return res.status(400).json({ error: "At most 100 recipes per list" });
+    for (const [itemId, target] of wanted) {
+      if (target != null && !(Number(target) > 0)) return res.status(400).json({ error: `Invalid servings for ${itemId}` });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT ij.item_id, i.title, ij.body, ui.recipe_edits
+       FROM item_json ij
+       JOIN items i ON i.id = ij.item_id
+       JOIN user_items ui ON ui.item_id = ij.item_id AND ui.user_id = $1
+       WHERE ij.kind='recipe' AND ij.item_id = ANY($2)`,
+      [req.user.id, [...wanted.keys()]]
+    );
+    const found = new Map(rows.map(r => [r.item_id, r]));
+
+    const recipes = [];
+    const skipped = [];
+    for (const [item_id, target] of wanted) {
+      const row = found.get(item_id);
+      if (!row) { skipped.push({ item_id, reason: "no recipe" }); continue; }
+      // the user's corrected quantities, not the extracted ones
+      const recipe = applyRecipeEdits(row.body, row.recipe_edits).recipe;
+      const base = Number(recipe?.servings) || null;
+      const factor = target && base ? Number(target) / base : 1;
+      if (!(factor > 0) || factor > 100) return res.status(400).json({ error: `Invalid servings for ${item_id}` });
+      recipes.push({ item_id, title: row.title || recipe?.title || null, recipe, factor, servings: target && base ? Number(target) : base });
+    }
+    if (!recipes.length) return res.status(400).json({ error: "None of the selected items has a recipe", skipped });
+
+    const entries = buildShoppingEntries(recipes, { units });
+    const source = {
+      collection_id,
+      items: recipes.map(r => ({ item_id: r.item_id, servings: r.servings, factor: r.factor })),
+      units
+    };
+    const listName = name || (collection ? collection.name : `Shopping list ${new Date().toISOString().slice(0, 10)}`);
+    const id = await createShoppingList({ userId: req.user.id, name: listName, source, entries });
+
+    res.json({ ...(await getOwnedShoppingList(req.user.id, id)), entries: await getShoppingListEntries(id), skipped });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /shopping-lists?page?&page_size? */
+app.get("/shopping-lists", async (req, res) => {
+  try {
+    const pageSize = Math.min(Math.max(Number(req.query.page_size) || 20, 1), 100);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const offset = (page - 1) * pageSize;
+    const { rows } = await pool.query(
+      `SELECT l.id, l.name, l.created_at, l.updated_at,
+              count(e.id)::int AS entries,
+              count(e.id) FILTER (WHERE e.checked)::int AS checked
+       FROM shopping_lists l
+       LEFT JOIN shopping_list_entries e ON e.list_id = l.id
+       WHERE l.user_id=$3
+       GROUP BY l.id
+       ORDER BY l.created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [pageSize, offset, req.user.id]
+    );
+    res.json({ items: rows, page, page_size: pageSize });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /shopping-lists/:id -> list + entries (ordered by aisle) */
+app.get("/shopping-lists/:id", async (req, res) => {
+  try {
+    const list = await getOwnedShoppingList(req.user.id, req.params.id);
+    if (!list) return res.status(404).json({ error: "Not found" });
+    res.json({ ...list, entries: await getShoppingListEntries(list.id) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** GET /shopping-lists/:id/export?format=text|markdown */
+app.get("/shopping-lists/:id/export", async (req, res) => {
+  try {
+    const format = String(req.query.format || "text").toLowerCase();
+    if (!["text", "markdown"].includes(format)) return res.status(400).json({ error: "format must be text or markdown" });
+    const list = await getOwnedShoppingList(req.user.id, req.params.id);
+    if (!list) return res.status(404).json({ error: "Not found" });
+
+    const body = renderShoppingList(list, await getShoppingListEntries(list.id), format);
+    res.type(format === "markdown" ? "text/markdown" : "text/plain").send(body);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+/** PATCH /shopping-lists/:id { name } */
+app.patch("/shopping-lists/:id", async (req, res) => {
   try {
-    const { gcsUri, expires = 900 } = req.query;
-    if (!gcsUri || !String(gcsUri).startsWith("gs://"))
-      return res.status(400).json({ error: "Provide gcsUri=gs://bucket/object" });
+    const { name } = req.body || {};
+    if (!name) return res.status(400).json({ error: "Missing name" });
+    const { rowCount } = await pool.query(
+      "UPDATE shopping_lists SET name=$3, updated_at=now() WHERE id=$1 AND user_id=$2",
+      [req.params.id, req.user.id, name]
+    );
+    if (!rowCount) return res.status(404).json({ error: "Not found" });
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-    if (!signGcsReadUrl)
-      return res.status(400).json({ error: "Signer not configured. Implement signGcsReadUrl in gcs.mjs." });
+/** PATCH /shopping-lists/:id/entries/:entry_id { checked } */
+app.patch("/shopping-lists/:id/entries/:entry_id", async (req, res) => {
+  try {
+    const { checked } = req.body || {};
+    if (typeof checked !== "boolean") return res.status(400).json({ error: "checked must be a boolean" });
+    if (!await getOwnedShoppingList(req.user.id, req.params.id)) return res.status(404).json({ error: "Not found" });
+    const { rowCount } = await pool.query(
+      "UPDATE shopping_list_entries SET checked=$3, updated_at=now() WHERE id=$2 AND list_id=$1",
+      [req.params.id, req.params.entry_id, checked]
+    );
+    if (!rowCount) return res.status(404).json({ error: "Entry not found" });
+    await pool.query("UPDATE shopping_lists SET updated_at=now() WHERE id=$1", [req.params.id]);
+    res.json({ ok: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-    const url = await signGcsReadUrl(String(gcsUri), { expiresSec: Number(expires) || 900 });
-    res.json({ url, expires_in: Number(expires) || 900 });
+/** DELETE /shopping-lists/:id */
+app.delete("/shopping-lists/:id", async (req, res) => {
+  try {
+    const { rowCount } = await pool.query("DELETE FROM shopping_lists WHERE id=$1 AND user_id=$2", [req.params.id, req.user.id]);
+    if (!rowCount) return res.status(404).json({ error: "Shopping list not found" });
+    res.json({ ok: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // ────────────────────────────────────────────────────────────────────────────────
+// Temporary read access to a stored file of an item in the caller's library.
+// GET /media/sign?key=youtube-abc/abc.mp4&expires=900
+// (gcsUri=gs://bucket/key is still accepted when the GCS driver serves that bucket)
+// ────────────────────────────────────────────────────────────────────────────────
+app.get("/media/sign", async (req, res) => {
+  try {
+    const { gcsUri, expires = MEDIA_LINK_SECONDS } = req.query;
+    const storage = getStorage();
+    let key = req.query.key;
+    if (!key && gcsUri) {
+      const prefix = `gs://${storage.bucket}/`;
+      if (storage.name !== "gcs" || !String(gcsUri).startsWith(prefix))
+        return res.status(400).json({ error: `gcsUri must point into the active GCS bucket (${storage.name} storage is active)` });
+      key = String(gcsUri).slice(prefix.length);
+    }
+    if (!key) return res.status(400).json({ error: "Provide key=<storage key>" });
+    key = storageKey(String(key));
+
+    // keys start with the item's storage prefix; only sign files of the caller's items
+    const { rows } = await pool.query(
+      `SELECT 1 FROM items i
+       JOIN user_items ui ON ui.item_id = i.id AND ui.user_id = $1
+       WHERE i.storage_prefix = $2 LIMIT 1`,
+      [req.user.id, key.split("/")[0]]
+    );
+    if (!rows[0] || !await storage.exists(key)) return res.status(404).json({ error: "Not found" });
+
+    const expiresSec = Math.min(Math.max(Number(expires) || MEDIA_LINK_SECONDS, 1), MAX_MEDIA_LINK_SECONDS);
+    const link = await mediaLink(req, key, expiresSec);
+    res.json({ ...link, expires_in: expiresSec });
+  } catch (e) {
+    res.status(/Invalid storage key/.test(e.message) ? 400 : 500).json({ error: e.message });
+  }
+});
+
+// ────────────────────────────────────────────────────────────────────────────────
+
+requireMediaSecret();
+await migrateOnBoot();
 
 app.listen(PORT, () => {
   console.log(`✓ API http://localhost:${PORT}`);
-  console.log(`✓ Media served from /media → ${DOWNLOAD_DIR}`);
+  console.log(`✓ Media served from /media (${getStorage().name} storage)`);
 });
\ No newline at end of file
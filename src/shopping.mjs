@@ -0,0 +1,246 @@
+import { v4 as uuidv4 } from "uuid";
+import { withTx } from "./db.mjs";
+import { stripEmoji, normalizeUnit, densityFor, convertQuantity, roundQuantity, toUnitSystem, formatQuantity } from "./units.mjs";
+
+// --- ingredient names ---
+// words that look plural but aren't (or whose singular reads wrong on a list)
+const INVARIANT = new Set([
+  "asparagus", "hummus", "couscous", "molasses", "swiss", "grass", "glass", "bass", "cress", "watercress",
+  "series", "species", "chickpeas", "oats", "grits", "greens", "herbs", "noodles", "spaghetti", "peas", "lentils",
+  "sprinkles", "brussels", "feta", "pasta", "quinoa", "rice", "salsa", "panko", "bread", "cheese"
+]);
+const IRREGULAR = { leaves: "leaf", loaves: "loaf", halves: "half", knives: "knife", potatoes: "potato", tomatoes: "tomato", mangoes: "mango", avocados: "avocado" };
+
+/** "tomatoes" → "tomato", "berries" → "berry", "cloves" → "clove"; multi-word names singularize the last word. */
+export function singularize(word) {
+  const w = String(word || "");
+  const lower = w.toLowerCase();
+  if (INVARIANT.has(lower) || lower.length < 4) return w;
+  if (IRREGULAR[lower]) return IRREGULAR[lower];
+  if (/[^aeiou]ies$/.test(lower)) return w.slice(0, -3) + "y";
+  if (/(ch|sh|x|ss|zz)es$/.test(lower)) return w.slice(0, -2);
+  if (/(us|is|ss)$/.test(lower)) return w;
+  if (/s$/.test(lower)) return w.slice(0, -1);
+  return w;
+}
+
+function pluralize(name) {
+  if (/(s|x|ch|sh)$/.test(name)) return name;
+  if (/[^aeiou]y$/.test(name)) return name.slice(0, -1) + "ies";
+  if (/(tomato|potato|mango)$/.test(name)) return name + "es";
+  return name + "s";
+}
+
+// count words that end up in the name ("garlic clove") rather than the unit
+const PIECE_WORDS = ["clove", "sprig", "stalk", "bunch", "head", "slice", "can", "fillet", "breast", "thigh"];
+const PIECE_SUFFIX = new RegExp(`\\s(${PIECE_WORDS.join("|")})$`);
+// "2", "1 1/2", "2-3", "2 x 400", "½", "100g" at the start of a name the extractor left the quantity in
+const LEADING_QUANTITY = /^(?:(?:\d+(?:[.,/]\d+)?|[¼½¾⅓⅔⅛])\s*(?:(?:[-–]|x(?=\s))\s*)?)+/u;
+
+/** "garlic clove" -> { name: "garlic", piece: "clove" }; expects a normalized name */
+export function splitPieceWord(name) {
+  const m = name.match(PIECE_SUFFIX);
+  return m ? { name: name.slice(0, m.index).trim(), piece: m[1] } : { name, piece: null };
+}
+
+/**
+ * Leading quantity and unit left in a name -> { name, piece }: "2 cups of flour" -> flour,
+ * "2 cloves garlic" -> garlic with piece "clove". Names without a leading quantity are kept.
+ */
+function stripQuantity(base) {
+  const m = base.match(LEADING_QUANTITY);
+  if (!m) return { name: base, piece: null };
+  const words = base.slice(m[0].length).split(" ").filter(Boolean);
+  // "7up": digits glued to something that isn't a unit are part of the name
+  if (!/\s$/.test(m[0]) && normalizeUnit(words[0]).kind === "count") return { name: base, piece: null };
+  let piece = null;
+  if (words.length > 2 && normalizeUnit(words.slice(0, 2).join(" ")).kind !== "count") words.splice(0, 2);
+  else if (words.length > 1 && normalizeUnit(words[0]).kind !== "count") words.splice(0, 1);
+  else if (words.length > 1 && PIECE_WORDS.includes(singularize(words[0]))) piece = singularize(words.shift());
+  if (words.length > 1 && words[0] === "of") words.shift();
+  return { name: words.join(" "), piece };
+}
+
+/**
+ * Key ingredients are merged on: no emoji prefix, quantity or prep notes ("2 onions, diced",
+ * "butter (softened)"), lowercase, singular. "🧅 Red Onions, finely chopped" → "red onion";
+ * a leading count word moves behind the name ("2 cloves garlic" → "garlic clove").
+ */
+export function normalizeIngredientName(name) {
+  const { name: base, piece } = stripQuantity(stripEmoji(name)
+    .replace(/\([^)]*\)/g, " ")
+    .split(/,|;| - /)[0]
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim());
+  if (!base) return "";
+  const words = base.split(" ");
+  if (!INVARIANT.has(base)) words[words.length - 1] = singularize(words[words.length - 1]);
+  if (piece) words.push(piece);
+  return words.join(" ");
+}
+
+// --- aisles ---
+// first match wins; keywords are matched as whole words against the normalized name
+export const AISLES = [
+  ["spices", ["salt", "salt and pepper", "black pepper", "white pepper", "peppercorn", "ground pepper", "cayenne", "paprika", "cumin", "cinnamon", "oregano", "thyme", "rosemary", "nutmeg", "chili flake", "curry", "turmeric", "vanilla", "bay leaf", "spice", "seasoning", "gewürz", "salz", "pfeffer", "zimt"]],
+  ["condiments", ["ketchup", "mustard", "mayonnaise", "mayo", "soy sauce", "vinegar", "hot sauce", "sriracha", "pesto", "tahini", "fish sauce", "worcestershire", "essig", "senf"]],
+  ["meat & fish", ["chicken", "beef", "pork", "lamb", "bacon", "ham", "sausage", "turkey", "mince", "steak", "salmon", "tuna", "shrimp", "prawn", "cod", "fish", "hähnchen", "rindfleisch", "rinderhack", "schwein", "speck", "lachs", "hackfleisch"]],
+  ["dairy & eggs", ["milk", "butter", "cream", "cheese", "yogurt", "yoghurt", "egg", "parmesan", "mozzarella", "feta", "ricotta", "mascarpone", "quark", "crème fraîche", "milch", "sahne", "käse", "joghurt", "ei", "eier"]],
+  ["produce", ["onion", "garlic", "tomato", "potato", "carrot", "pepper", "bell pepper", "zucchini", "cucumber", "lettuce", "spinach", "kale", "cabbage", "broccoli", "cauliflower", "mushroom", "lemon", "lime", "orange", "apple", "banana", "berry", "avocado", "ginger", "herb", "basil", "parsley", "cilantro", "coriander", "mint", "dill", "chive", "scallion", "spring onion", "shallot", "leek", "celery", "corn", "pea", "bean sprout", "chili", "jalapeño", "jalapeno", "zwiebel", "knoblauch", "tomate", "kartoffel", "karotte", "zitrone"]],
+  ["bakery", ["bread", "bun", "baguette", "tortilla", "pita", "naan", "roll", "croissant", "brot", "brötchen"]],
+  ["frozen", ["frozen", "ice cream", "tiefkühl"]],
+  ["drinks", ["wine", "beer", "juice", "coffee", "tea", "soda", "wein", "bier", "saft", "kaffee"]],
+  ["pantry", ["flour", "sugar", "rice", "pasta", "spaghetti", "noodle", "oat", "oil", "honey", "syrup", "stock", "broth", "bean", "lentil", "chickpea", "canned", "tomato paste", "baking", "yeast", "cocoa", "chocolate", "nut", "almond", "peanut", "seed", "breadcrumb", "panko", "cornstarch", "quinoa", "couscous", "mehl", "zucker", "reis", "nudel", "öl"]]
+];
+
+const AISLE_ORDER = [...AISLES.map(([a]) => a), "other"];
+
+// compound keywords first so "tomato paste" (pantry) wins over "tomato" (produce)
+const AISLE_KEYWORDS = AISLES
+  .flatMap(([aisle, words]) => words.map(w => [w, aisle]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+export function aisleFor(normalizedName) {
+  for (const [kw, aisle] of AISLE_KEYWORDS) {
+    if (new RegExp(`(^|\\s)${kw}s?(\\s|$)`, "u").test(normalizedName)) return aisle;
+  }
+  return "other";
+}
+
+// --- merging ---
+/**
+ * Merges scaled ingredients of several recipes into shopping list entries.
+ * `recipes`: [{ item_id, title, recipe, factor }]. Quantities of the same ingredient are
+ * summed when their units are compatible (mass+mass, volume+volume, volume+mass with a
+ * known density, same count unit); incompatible ones become separate entries.
+ * `units` ("metric" | "us" | null) converts the totals; null keeps a shared unit when all
+ * sources used the same one and falls back to metric otherwise.
+ */
+export function buildShoppingEntries(recipes, { units = null } = {}) {
+  const groups = new Map(); // key -> { name, display_name, kind, unit, total, sources, units }
+
+  for (const { item_id, title, recipe, factor = 1 } of recipes) {
+    for (const ing of recipe?.ingredients || []) {
+      let name = normalizeIngredientName(ing.name);
+      if (!name) continue;
+      let { unit, kind } = normalizeUnit(ing.unit);
+      // "2 garlic cloves" and "2 cloves garlic" are the same line
+      const split = splitPieceWord(name);
+      if (split.piece && !unit) ({ name, piece: unit } = split);
+      const quantity = ing.quantity == null ? null : ing.quantity * factor;
+      const density = densityFor(name);
+
+      // volume with a known density is summed as mass so "1 cup flour" + "200 g flour" merge
+      let bucket = kind;
+      let base = null;
+      if (kind === "mass") base = convertQuantity(quantity, unit, "g");
+      else if (kind === "volume") {
+        base = convertQuantity(quantity, unit, "ml");
+        if (density) { bucket = "mass"; base = base == null ? null : base * density; }
+      } else bucket = `count:${unit ? singularize(unit.toLowerCase()) : ""}`;
+      if (quantity == null && !unit) bucket = "unquantified";
+
+      const key = `${name}|${bucket}`;
+      let g = groups.get(key);
+      if (!g) {
+        g = { name, kind: bucket.startsWith("count") ? "count" : bucket, unit: kind === "count" ? unit : null, total: null, units: new Set(), sources: [] };
+        groups.set(key, g);
+      }
+      if (quantity != null) {
+        g.total = (g.total || 0) + (kind === "count" ? quantity : base);
+        g.units.add(unit);
+      }
+      g.sources.push({ item_id, title: title || recipe?.title || null, name: ing.name, quantity, unit: ing.unit ?? null, notes: ing.notes ?? null });
+    }
+  }
+
+  // "salt, to taste" folds into a quantified salt line when there is one
+  for (const [key, g] of groups) {
+    if (!key.endsWith("|unquantified")) continue;
+    const target = [...groups.values()].find(o => o !== g && o.name === g.name);
+    if (target) { target.sources.push(...g.sources); groups.delete(key); }
+  }
+
+  const entries = [];
+  for (const g of groups.values()) {
+    let out;
+    if (g.total == null) out = { quantity: null, unit: g.unit };
+    else if (g.kind === "count") out = roundQuantity(g.total, g.unit);
+    else {
+      const baseUnit = g.kind === "mass" ? "g" : "ml";
+      const [only] = g.units;
+      if (!units && g.units.size === 1) {
+        out = roundQuantity(convertQuantity(g.total, baseUnit, only, { density: densityFor(g.name) }), only);
+      } else {
+        out = toUnitSystem({ quantity: g.total, unit: baseUnit, name: g.name }, units || "metric");
+      }
+    }
+    const label = g.kind === "count" && out.unit && out.quantity > 1 ? pluralize(singularize(out.unit)) : out.unit;
+    entries.push({
+      name: g.name,
+      aisle: aisleFor(g.name),
+      quantity: out.quantity,
+      unit: out.unit ?? null,
+      display: [formatQuantity(out.quantity, label), !out.unit && out.quantity > 1 ? pluralize(g.name) : g.name].filter(Boolean).join(" "),
+      sources: g.sources
+    });
+  }
+
+  return entries.sort((a, b) =>
+    AISLE_ORDER.indexOf(a.aisle) - AISLE_ORDER.indexOf(b.aisle) || a.name.localeCompare(b.name));
+}
+
+// --- persistence ---
+/** Stores a list with its entries; returns the list id. */
+export async function createShoppingList({ userId, name, source, entries }) {
+  const id = uuidv4();
+  await withTx(async (client) => {
+    await client.query(
+      "INSERT INTO shopping_lists (id, user_id, name, source) VALUES ($1,$2,$3,$4)",
+      [id, userId, name, source]
+    );
+    let position = 0;
+    for (const e of entries) {
+      await client.query(
+        `INSERT INTO shopping_list_entries (id, list_id, position, name, aisle, quantity, unit, display, sources)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [uuidv4(), id, position++, e.name, e.aisle, e.quantity, e.unit, e.display, JSON.stringify(e.sources)]
+      );
+    }
+  });
+  return id;
+}
+
+// --- export ---
+function groupByAisle(entries) {
+  const groups = new Map();
+  for (const e of entries) {
+    if (!groups.has(e.aisle)) groups.set(e.aisle, []);
+    groups.get(e.aisle).push(e);
+  }
+  return [...groups.entries()].sort((a, b) => AISLE_ORDER.indexOf(a[0]) - AISLE_ORDER.indexOf(b[0]));
+}
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+
+/** renderShoppingList(list, entries, "text" | "markdown") -> string */
+export function renderShoppingList(list, entries, format = "text") {
+  const lines = [];
+  if (format === "markdown") {
+    lines.push(`# ${list.name}`, "");
+    for (const [aisle, rows] of groupByAisle(entries)) {
+      lines.push(`## ${capitalize(aisle)}`, "");
+      for (const e of rows) lines.push(`- [${e.checked ? "x" : " "}] ${e.display}`);
+      lines.push("");
+    }
+  } else {
+    lines.push(list.name, "=".repeat(list.name.length), "");
+    for (const [aisle, rows] of groupByAisle(entries)) {
+      lines.push(`${capitalize(aisle)}:`);
+      for (const e of rows) lines.push(`  ${e.checked ? "[x]" : "[ ]"} ${e.display}`);
+      lines.push("");
+    }
+  }
+  return lines.join("\n").trimEnd() + "\n";
+}
@@ -0,0 +1,294 @@
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import fs from "node:fs";
+import * as cheerio from "cheerio";
+import { v4 as uuidv4 } from "uuid";
+import { pool, withTx } from "./db.mjs";
+import { canonicalUrl } from "./canonical.mjs";
+import { getPublic, readCapped } from "./netguard.mjs";
+
+const pExecFile = promisify(execFile);
+
+// --- config ---
+// A source is a followed playlist / channel / profile / feed. Syncing lists its newest posts,
+// remembers every post it has seen (source_entries) and queues jobs for the new ones.
+export const SOURCE_KINDS = ["playlist", "channel", "profile", "rss"];
+export const DEFAULT_SYNC_INTERVAL_MINUTES = 360;
+export const MIN_SYNC_INTERVAL_MINUTES = Number(process.env.SOURCE_MIN_SYNC_MINUTES || 15);
+// newest posts looked at per sync; also how far back the first sync of a big channel goes
+const SYNC_MAX_ENTRIES = Number(process.env.SOURCE_SYNC_MAX_ENTRIES || 50);
+// a sync still marked running after this long belonged to a worker that died
+const SYNC_TIMEOUT_SECONDS = Number(process.env.SOURCE_SYNC_TIMEOUT_SECONDS || 600);
+const FEED_TIMEOUT_MS = Number(process.env.WEB_FETCH_TIMEOUT_MS || 20000);
+const FEED_MAX_BYTES = Number(process.env.WEB_MAX_BYTES || 5 * 1024 * 1024);
+const MAX_VIDEO_SECONDS = Number(process.env.MAX_VIDEO_SECONDS || 120);
+const COOKIES_FILE = process.env.COOKIES_FILE;
+
+/** What a followed URL looks like, or null (the client can still pass `kind`, e.g. for feeds without .xml). */
+export function detectSourceKind(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const host = u.hostname.toLowerCase().replace(/^(www|m)\./, "");
+  const p = u.pathname;
+  if (host === "youtube.com" || host === "music.youtube.com") {
+    if (p.startsWith("/feeds/")) return "rss";
+    if (p === "/playlist" || u.searchParams.has("list")) return "playlist";
+    if (/^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)/.test(p)) return "channel";
+    return null;
+  }
+  if (host.endsWith("tiktok.com")) return /^\/@[^/]+\/?$/.test(p) ? "profile" : null;
+  if (/\.(xml|rss|atom)$/i.test(p) || /\/(feed|rss|atom)\/?$/i.test(p)) return "rss";
+  return null;
+}
+
+// --- filters ---
+/**
+ * Reads `filters` from a sources body.
+ * { min_duration_sec?, max_duration_sec?, keywords?: [string], exclude_keywords?: [string] }
+ * -> { filters } (keywords lowercased) or { error } for a 400
+ */
+export function parseSourceFilters(input) {
+  if (input == null) return { filters: {} };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: "filters must be an object" };
+  const filters = {};
+  for (const k of ["min_duration_sec", "max_duration_sec"]) {
+    if (input[k] == null) continue;
+    const n = Number(input[k]);
+    if (!Number.isFinite(n) || n < 0) return { error: `filters.${k} must be a number of seconds` };
+    filters[k] = n;
+  }
+  if (filters.min_duration_sec != null && filters.max_duration_sec != null && filters.min_duration_sec > filters.max_duration_sec) {
+    return { error: "filters.min_duration_sec is larger than filters.max_duration_sec" };
+  }
+  for (const k of ["keywords", "exclude_keywords"]) {
+    if (input[k] == null) continue;
+    if (!Array.isArray(input[k]) || input[k].some(w => typeof w !== "string")) return { error: `filters.${k} must be an array of strings` };
+    const words = input[k].map(w => w.trim().toLowerCase()).filter(Boolean);
+    if (words.length) filters[k] = [...new Set(words)];
+  }
+  return { filters };
+}
+
+/**
+ * Why `entry` is skipped, or null when it gets a job. Posts of unknown length pass the
+ * duration bounds; anything over MAX_VIDEO_SECONDS would fail in the worker anyway.
+ * Keywords match the title and description, case-insensitively.
+ */
+export function filterReason(entry, filters = {}) {
+  const d = entry.duration_sec;
+  if (d != null) {
+    if (filters.min_duration_sec != null && d < filters.min_duration_sec) return `shorter than ${filters.min_duration_sec}s`;
+    const max = Math.min(filters.max_duration_sec ?? Infinity, MAX_VIDEO_SECONDS);
+    if (d > max) return `longer than ${max}s`;
+  }
+  const text = `${entry.title || ""}\n${entry.description || ""}`.toLowerCase();
+  if (filters.keywords?.length && !filters.keywords.some(k => text.includes(k))) return "no keyword match";
+  const excluded = filters.exclude_keywords?.find(k => text.includes(k));
+  if (excluded) return `excluded keyword "${excluded}"`;
+  return null;
+}
+
+// --- listing: -> { title, entries: [{ url, title, description, duration_sec, published_at }] }, newest first ---
+async function ytdlpFlatJSON(url) {
+  const args = ["-J", "--flat-playlist", "--no-warnings", "--playlist-end", String(SYNC_MAX_ENTRIES), url];
+  if (COOKIES_FILE && fs.existsSync(COOKIES_FILE)) args.unshift("--cookies", COOKIES_FILE);
+  const { stdout } = await pExecFile("yt-dlp", args, { maxBuffer: 1024 * 1024 * 50, timeout: SYNC_TIMEOUT_SECONDS * 1000 });
+  return JSON.parse(stdout);
+}
+
+function flatEntryUrl(e) {
+  const u = e.url || e.webpage_url;
+  if (u && /^https?:\/\//.test(u)) return u;
+  if (/^youtube$/i.test(e.ie_key || "") && e.id) return `https://www.youtube.com/watch?v=${e.id}`;
+  return null;
+}
+
+function flatEntryDate(e) {
+  if (e.timestamp) return new Date(e.timestamp * 1000).toISOString();
+  const d = /^(\d{4})(\d{2})(\d{2})$/.exec(e.upload_date || "");
+  return d ? `${d[1]}-${d[2]}-${d[3]}T00:00:00.000Z` : null;
+}
+
+/** Playlists, channels and profiles through `yt-dlp --flat-playlist` (titles and ids only, nothing downloaded). */
+async function listYtdlpEntries(url) {
+  const info = await ytdlpFlatJSON(url);
+  let entries = (info.entries || []).filter(Boolean);
+  // a channel's root lists its tabs (Videos, Shorts, Live); list those instead
+  if (entries.length && entries.every(e => e._type === "playlist" || e.ie_key === "YoutubeTab")) {
+    const tabs = [];
+    for (const tab of entries) {
+      const tabUrl = flatEntryUrl(tab);
+      if (tabUrl) tabs.push(...((await ytdlpFlatJSON(tabUrl)).entries || []).filter(Boolean));
+    }
+    entries = tabs;
+  }
+  return {
+    title: info.title || info.channel || info.uploader || null,
+    entries: entries.map(e => ({
+      url: flatEntryUrl(e),
+      title: e.title || null,
+      description: e.description || null,
+      duration_sec: e.duration ?? null,
+      published_at: flatEntryDate(e)
+    })).filter(e => e.url)
+  };
+}
+
+/** "1:02:03" / "754" -> seconds */
+function feedDuration(s) {
+  if (!s) return null;
+  const parts = String(s).trim().split(":").map(Number);
+  if (parts.some(n => !Number.isFinite(n))) return null;
+  return parts.reduce((sum, n) => sum * 60 + n, 0);
+}
+
+/** RSS 2.0 / Atom (incl. YouTube's channel feeds) -> { title, entries }. Pure, for fixtures. */
+export function parseFeed(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const text = ($el, ...names) => {
+    for (const n of names) {
+      const v = $el.children(n.replace(":", "\\:")).first().text().trim();
+      if (v) return v;
+    }
+    return null;
+  };
+  const entries = [];
+  $("item, entry").each((_, el) => {
+    const $el = $(el);
+    const link = $el.children("link").filter((_, l) => !$(l).attr("rel") || $(l).attr("rel") === "alternate").first();
+    const url = (link.attr("href") || link.text() || "").trim();
+    if (!/^https?:\/\//.test(url)) return;
+    const date = new Date(text($el, "pubDate", "published", "updated", "dc:date") || NaN);
+    const description = text($el, "description", "summary", "content", "content:encoded")
+      || $el.find("media\\:description").first().text().trim() || null;
+    entries.push({
+      url,
+      title: text($el, "title"),
+      description: description && description.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim(),
+      duration_sec: feedDuration(text($el, "itunes:duration") || $el.find("media\\:content").attr("duration")),
+      published_at: Number.isNaN(date.getTime()) ? null : date.toISOString()
+    });
+  });
+  return { title: $("channel > title, feed > title").first().text().trim() || null, entries: entries.slice(0, SYNC_MAX_ENTRIES) };
+}
+
+/** Fetches a feed from a public address (see netguard.mjs), at most FEED_MAX_BYTES of it. */
+async function listFeedEntries(url) {
+  const r = await getPublic(url, { signal: AbortSignal.timeout(FEED_TIMEOUT_MS), headers: { Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml" } });
+  if (r.statusCode < 200 || r.statusCode >= 300) { r.destroy(); throw new Error(`Feed HTTP ${r.statusCode}`); }
+  if (Number(r.headers["content-length"] || 0) > FEED_MAX_BYTES) { r.destroy(); throw new Error("Feed too large"); }
+  const body = await readCapped(r, FEED_MAX_BYTES);
+  if (!body) throw new Error("Feed too large");
+  return parseFeed(body.toString("utf8"));
+}
+
+export function listSourceEntries(source) {
+  return source.kind === "rss" ? listFeedEntries(source.url) : listYtdlpEntries(source.url);
+}
+
+// --- sync ---
+/** Claims the most overdue enabled source for this worker (marks it syncing), or null. */
+export async function claimDueSource() {
+  const { rows } = await pool.query(`
+    WITH picked AS (
+      SELECT id
+      FROM sources
+      WHERE enabled AND next_sync_at <= now()
+        AND (sync_started_at IS NULL OR sync_started_at < now() - make_interval(secs => $1))
+      ORDER BY next_sync_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    UPDATE sources s
+    SET sync_started_at = now(), updated_at = now()
+    FROM picked
+    WHERE s.id = picked.id
+    RETURNING s.*
+  `, [SYNC_TIMEOUT_SECONDS]);
+  return rows[0] || null;
+}
+
+/** Claims one source for a manual sync; null while another sync holds it. */
+export async function claimSource(sourceId) {
+  const { rows } = await pool.query(`
+    UPDATE sources
+    SET sync_started_at = now(), updated_at = now()
+    WHERE id = $1 AND (sync_started_at IS NULL OR sync_started_at < now() - make_interval(secs => $2))
+    RETURNING *
+  `, [sourceId, SYNC_TIMEOUT_SECONDS]);
+  return rows[0] || null;
+}
+
+// same (user, url) idempotency as POST /ingest: an existing job is reused
+async function queueEntryJob(client, source, url) {
+  const existing = await client.query(
+    "SELECT id FROM jobs WHERE user_id=$1 AND url=$2 ORDER BY created_at DESC LIMIT 1",
+    [source.user_id, url]
+  );
+  if (existing.rows[0]) return existing.rows[0].id;
+  const id = uuidv4();
+  await client.query(
+    `INSERT INTO jobs (id, user_id, url, status, allow_inference, refresh, priority)
+     VALUES ($1,$2,$3,'queued',$4,false,$5)`,
+    [id, source.user_id, url, source.allow_inference, source.priority]
+  );
+  return id;
+}
+
+/**
+ * Syncs a claimed source: lists its newest posts, records the unseen ones and queues a job
+ * for each that passes its filters (oldest first, so jobs follow upload order). Releases the
+ * claim and records last_sync_* / next_sync_at either way; rethrows listing errors.
+ * -> { listed, new, queued, filtered, duration_ms }
+ */
+export async function syncSource(source) {
+  const started = Date.now();
+  const stats = { listed: 0, new: 0, queued: 0, filtered: 0 };
+  const finish = (status, error, title = null) => pool.query(`
+    UPDATE sources
+    SET sync_started_at = NULL,
+        last_synced_at = now(),
+        last_sync_status = $2,
+        last_sync_error = LEFT($3, 1000),
+        last_sync_stats = $4,
+        name = COALESCE(name, $5),
+        next_sync_at = now() + make_interval(mins => sync_interval_minutes),
+        updated_at = now()
+    WHERE id = $1
+  `, [source.id, status, error, { ...stats, duration_ms: Date.now() - started }, title]);
+
+  try {
+    const { title, entries } = await listSourceEntries(source);
+    // the same post in two shapes (a feed's short link and the channel's watch URL) is one entry
+    const unique = [...new Map(entries.map(e => ({ ...e, url: canonicalUrl(e.url) })).map(e => [e.url, e])).values()];
+    stats.listed = unique.length;
+
+    const { rows } = await pool.query(
+      "SELECT url FROM source_entries WHERE source_id=$1 AND url = ANY($2)",
+      [source.id, unique.map(e => e.url)]
+    );
+    const seen = new Set(rows.map(r => r.url));
+    const fresh = unique.filter(e => !seen.has(e.url)).reverse();
+    stats.new = fresh.length;
+
+    for (const entry of fresh) {
+      const reason = filterReason(entry, source.filters);
+      await withTx(async (client) => {
+        const jobId = reason ? null : await queueEntryJob(client, source, entry.url);
+        await client.query(
+          `INSERT INTO source_entries (source_id, url, title, published_at, status, reason, job_id)
+           VALUES ($1,$2,$3,$4,$5,$6,$7)
+           ON CONFLICT (source_id, url) DO NOTHING`,
+          [source.id, entry.url, entry.title, entry.published_at, reason ? "filtered" : "queued", reason, jobId]
+        );
+      });
+      if (reason) stats.filtered++; else stats.queued++;
+    }
+
+    await finish("ok", null, title);
+    return { ...stats, duration_ms: Date.now() - started };
+  } catch (e) {
+    await finish("error", e?.message || String(e)).catch(() => {});
+    throw e;
+  }
+}
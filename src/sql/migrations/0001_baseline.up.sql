@@ -0,0 +1,295 @@
+-- 0001 baseline: the schema as it stood before versioned migrations (formerly src/sql/migrations.sql).
+-- Every statement is idempotent so databases set up by the old runner adopt it safely.
+
+-- ensure extension exists in the recipes DB
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- items table (unchanged)
+CREATE TABLE IF NOT EXISTS items (
+  id TEXT PRIMARY KEY,
+  platform TEXT NOT NULL,
+  url TEXT NOT NULL UNIQUE,
+  title TEXT,
+  author_name TEXT,
+  published_at TIMESTAMPTZ,
+  topics TEXT[] DEFAULT '{}',
+  is_recipe BOOLEAN DEFAULT FALSE,
+  dir TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- embedding column (dims must match EMBED_DIM); only added when missing so re-runs keep the vectors.
+-- Changing the dimension is a migration of its own.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name='items' AND column_name='embedding'
+  ) THEN
+    EXECUTE 'ALTER TABLE items ADD COLUMN embedding vector(1536)';
+  END IF;
+END$$;
+
+-- ANN index (L2)
+CREATE INDEX IF NOT EXISTS items_embedding_hnsw
+  ON items USING hnsw (embedding vector_l2_ops);
+
+-- JSON blobs
+CREATE TABLE IF NOT EXISTS item_json (
+  item_id TEXT REFERENCES items(id) ON DELETE CASCADE,
+  kind TEXT CHECK (kind IN ('meta','recipe')) NOT NULL,
+  body JSONB NOT NULL,
+  PRIMARY KEY (item_id, kind)
+);
+
+-- jobs table
+CREATE TABLE IF NOT EXISTS jobs (
+  id UUID PRIMARY KEY,
+  url TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('queued','running','done','error')),
+  item_id TEXT REFERENCES items(id),
+  error TEXT,
+  allow_inference BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs(status);
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_url_unique ON jobs(url);
+
+ALTER TABLE item_json
+  DROP CONSTRAINT IF EXISTS item_json_kind_check;
+
+ALTER TABLE item_json
+  ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis'));
+
+  -- allow 'analysis' rows in item_json.kind
+DO $$
+DECLARE
+  has_analysis boolean;
+BEGIN
+  SELECT EXISTS (
+    SELECT 1
+    FROM information_schema.check_constraints c
+    JOIN information_schema.constraint_column_usage u
+      ON c.constraint_name = u.constraint_name
+    WHERE u.table_name='item_json'
+      AND c.check_clause LIKE '%(meta%'  -- heuristic to find our check
+  ) INTO has_analysis;
+
+  -- If the current check clause does NOT already include 'analysis', replace it.
+  IF has_analysis THEN
+    BEGIN
+      ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+    EXCEPTION WHEN undefined_object THEN
+      -- sometimes the auto-generated name is different; try to drop any check constraints on item_json
+      RAISE NOTICE 'Dropping generic check constraints for item_json failed or not needed';
+    END;
+    ALTER TABLE item_json
+      ADD CONSTRAINT item_json_kind_check
+      CHECK (kind IN ('meta','recipe','analysis'));
+  END IF;
+END $$;
+
+-- lightweight preview fields
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name='items' AND column_name='thumb_url'
+  ) THEN
+    ALTER TABLE items ADD COLUMN thumb_url TEXT;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name='items' AND column_name='summary'
+  ) THEN
+    ALTER TABLE items ADD COLUMN summary TEXT;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS collections (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT,
+  color TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS collection_items (
+  collection_id UUID REFERENCES collections(id) ON DELETE CASCADE,
+  item_id TEXT REFERENCES items(id) ON DELETE CASCADE,
+  added_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (collection_id, item_id)
+);
+
+-- --- Job robustness: lease + heartbeat + attempts --------------------------
+
+-- Add robustness columns if missing
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                 WHERE table_name='jobs' AND column_name='lease_owner') THEN
+    ALTER TABLE jobs
+      ADD COLUMN lease_owner TEXT,
+      ADD COLUMN lease_expires_at TIMESTAMPTZ,
+      ADD COLUMN last_heartbeat_at TIMESTAMPTZ,
+      ADD COLUMN attempts INT NOT NULL DEFAULT 0,
+      ADD COLUMN max_attempts INT NOT NULL DEFAULT 3;
+  END IF;
+END $$;
+
+-- Helpful indexes
+CREATE INDEX IF NOT EXISTS jobs_status_lease_idx
+  ON jobs (status, lease_expires_at);
+
+CREATE INDEX IF NOT EXISTS jobs_created_idx
+  ON jobs (created_at);
+
+-- Optional: a function to mark stale running jobs as timed out (call via cron)
+CREATE OR REPLACE FUNCTION jobs_timeout_stale(p_grace_seconds INT DEFAULT 300)
+RETURNS INT LANGUAGE plpgsql AS $$
+DECLARE
+  v_count INT;
+BEGIN
+  UPDATE jobs
+  SET status='error',
+      error=COALESCE(error, '') || CASE WHEN error IS NULL OR error = '' THEN '' ELSE ' | ' END || 'timeout',
+      lease_owner=NULL,
+      lease_expires_at=NULL,
+      updated_at=NOW()
+  WHERE status='running'
+    AND (last_heartbeat_at IS NULL OR last_heartbeat_at < NOW() - make_interval(secs => p_grace_seconds));
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END $$;
+-- --- Users & per-user libraries ---------------------------------------------
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY,
+  email TEXT NOT NULL UNIQUE,
+  name TEXT,
+  api_key_hash TEXT NOT NULL UNIQUE,   -- sha256 of the API key; the key itself is never stored
+  disabled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- items are shared pipeline output; membership (and notes) are per user
+CREATE TABLE IF NOT EXISTS user_items (
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  item_id TEXT REFERENCES items(id) ON DELETE CASCADE,
+  notes TEXT,
+  added_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (user_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS user_items_item_idx ON user_items (item_id);
+
+ALTER TABLE collections ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS collections_user_idx ON collections (user_id, created_at);
+
+-- jobs belong to the user who enqueued them; refresh=false lets the worker reuse an existing item
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS refresh BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- the same URL may now be queued by several users (and again on refresh)
+DROP INDEX IF EXISTS jobs_url_unique;
+CREATE INDEX IF NOT EXISTS jobs_user_url_idx ON jobs (user_id, url, created_at);
+
+-- --- Full-text search (hybrid with pgvector) ---------------------------------
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS search_tsv tsvector;
+CREATE INDEX IF NOT EXISTS items_search_tsv_gin ON items USING gin (search_tsv);
+
+-- join a JSON array of strings (or objects with name/text) into one string
+CREATE OR REPLACE FUNCTION jsonb_join_text(j jsonb, sep TEXT DEFAULT ' ')
+RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE WHEN jsonb_typeof(j) = 'array' THEN (
+    SELECT string_agg(
+      CASE WHEN jsonb_typeof(e) = 'object' THEN COALESCE(e->>'name', e->>'text') ELSE e #>> '{}' END,
+      sep)
+    FROM jsonb_array_elements(j) e
+  ) END
+$$;
+
+-- weighted document: A title/author, B ingredients/entities/topics, C caption/key points, D transcript
+CREATE OR REPLACE FUNCTION items_build_search_tsv(p_item_id TEXT)
+RETURNS tsvector LANGUAGE sql STABLE AS $$
+  SELECT
+    setweight(to_tsvector('simple', concat_ws(' ',
+      i.title, i.author_name, m.body->'author'->>'id', r.body->>'title')), 'A') ||
+    setweight(to_tsvector('simple', concat_ws(' ',
+      jsonb_join_text(r.body->'ingredients'), jsonb_join_text(a.body->'entities'),
+      array_to_string(i.topics, ' '))), 'B') ||
+    setweight(to_tsvector('simple', concat_ws(' ',
+      m.body->>'caption', jsonb_join_text(a.body->'key_points'), a.body->>'summary')), 'C') ||
+    setweight(to_tsvector('simple', COALESCE(m.body->>'transcript', '')), 'D')
+  FROM items i
+  LEFT JOIN item_json m ON m.item_id = i.id AND m.kind = 'meta'
+  LEFT JOIN item_json a ON a.item_id = i.id AND a.kind = 'analysis'
+  LEFT JOIN item_json r ON r.item_id = i.id AND r.kind = 'recipe'
+  WHERE i.id = p_item_id
+$$;
+
+UPDATE items SET search_tsv = items_build_search_tsv(id) WHERE search_tsv IS NULL;
+
+-- --- Job progress: per-stage events ------------------------------------------
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS stage TEXT;   -- last stage the worker reported
+
+CREATE TABLE IF NOT EXISTS job_events (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  stage TEXT NOT NULL,                 -- extract|download|asr|downscale|upload|analysis|recipe|embedding|job
+  status TEXT NOT NULL CHECK (status IN ('started','done','error','skipped')),
+  duration_ms INT,
+  data JSONB,                          -- partial results (e.g. title, content_type, ingredient count)
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS job_events_job_idx ON job_events (job_id, id);
+CREATE INDEX IF NOT EXISTS job_events_user_idx ON job_events (user_id, id);
+
+-- --- Schema validation of model output ---------------------------------------
+
+-- set when a stored analysis/recipe still failed validation after repair + retries
+ALTER TABLE items ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE item_json ADD COLUMN IF NOT EXISTS validation_errors JSONB;   -- ["/path message", ...]
+CREATE INDEX IF NOT EXISTS items_needs_review_idx ON items (needs_review) WHERE needs_review;
+
+-- --- Shopping lists ------------------------------------------------------------
+
+CREATE TABLE IF NOT EXISTS shopping_lists (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  source JSONB,                         -- { collection_id, items: [{item_id, servings, factor}], units }
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS shopping_lists_user_idx ON shopping_lists (user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS shopping_list_entries (
+  id UUID PRIMARY KEY,
+  list_id UUID NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+  position INT NOT NULL DEFAULT 0,
+  name TEXT NOT NULL,                   -- normalized ingredient name (no emoji, singular)
+  aisle TEXT NOT NULL DEFAULT 'other',
+  quantity DOUBLE PRECISION,
+  unit TEXT,
+  display TEXT NOT NULL,
+  checked BOOLEAN NOT NULL DEFAULT FALSE,
+  sources JSONB,                        -- [{item_id, title, name, quantity, unit, notes}]
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS shopping_list_entries_list_idx ON shopping_list_entries (list_id, position);
@@ -0,0 +1,20 @@
+-- 0002_job_scheduling (rollback)
+
+DROP TABLE IF EXISTS job_attempts;
+DROP INDEX IF EXISTS jobs_queue_idx;
+
+UPDATE jobs SET status='error', error=COALESCE(error, 'cancelled') WHERE status='cancelled';
+DELETE FROM job_events WHERE status='cancelled';
+
+ALTER TABLE job_events DROP CONSTRAINT IF EXISTS job_events_status_check;
+ALTER TABLE job_events ADD CONSTRAINT job_events_status_check
+  CHECK (status IN ('started','done','error','skipped'));
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check
+  CHECK (status IN ('queued','running','done','error'));
+
+ALTER TABLE jobs
+  DROP COLUMN IF EXISTS cancel_requested_at,
+  DROP COLUMN IF EXISTS run_after,
+  DROP COLUMN IF EXISTS priority;
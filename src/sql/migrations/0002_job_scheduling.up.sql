@@ -0,0 +1,32 @@
+-- 0002_job_scheduling
+-- priorities, delayed runs / retry backoff, cancellation and a per-attempt history
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS priority INT NOT NULL DEFAULT 0;               -- higher runs first
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMPTZ NOT NULL DEFAULT now();  -- not picked up before this
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMPTZ;               -- the running worker stops at its next heartbeat
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check
+  CHECK (status IN ('queued','running','done','error','cancelled'));
+
+ALTER TABLE job_events DROP CONSTRAINT IF EXISTS job_events_status_check;
+ALTER TABLE job_events ADD CONSTRAINT job_events_status_check
+  CHECK (status IN ('started','done','error','skipped','cancelled'));
+
+-- what fetchNextJob scans: queued jobs that are due, best priority first
+CREATE INDEX IF NOT EXISTS jobs_queue_idx
+  ON jobs (priority DESC, run_after, created_at)
+  WHERE status = 'queued';
+
+-- one row per time a worker picked the job up; jobs.error only keeps the last message
+CREATE TABLE IF NOT EXISTS job_attempts (
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  attempt INT NOT NULL,
+  worker_id TEXT,
+  status TEXT NOT NULL CHECK (status IN ('running','done','error','cancelled')),
+  stage TEXT,                          -- stage that failed
+  error TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ,
+  PRIMARY KEY (job_id, attempt)
+);
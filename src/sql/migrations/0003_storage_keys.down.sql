@@ -0,0 +1,9 @@
+-- 0003_storage_keys (rollback)
+
+UPDATE items SET dir = COALESCE(dir, storage_prefix, '') WHERE dir IS NULL;
+ALTER TABLE items ALTER COLUMN dir SET NOT NULL;
+
+ALTER TABLE items
+  DROP COLUMN IF EXISTS thumb_key,
+  DROP COLUMN IF EXISTS video_key,
+  DROP COLUMN IF EXISTS storage_prefix;
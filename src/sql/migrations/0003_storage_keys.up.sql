@@ -0,0 +1,19 @@
+-- 0003_storage_keys
+-- items reference files by storage key (see storage.mjs) instead of a path on the worker's disk
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS storage_prefix TEXT;   -- "<platform>-<post_id>"; every file key starts with it
+ALTER TABLE items ADD COLUMN IF NOT EXISTS video_key TEXT;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS thumb_key TEXT;
+ALTER TABLE items ALTER COLUMN dir DROP NOT NULL;                  -- no longer written
+
+-- existing items live in DOWNLOAD_DIR/<folder>; with the local driver the folder name is the prefix
+UPDATE items
+SET storage_prefix = regexp_replace(rtrim(dir, '/'), '^.*/', '')
+WHERE storage_prefix IS NULL AND COALESCE(dir, '') <> '';
+
+UPDATE items i
+SET video_key = i.storage_prefix || '/' || regexp_replace(ij.body->'video'->>'downloaded_path', '^.*/', '')
+FROM item_json ij
+WHERE ij.item_id = i.id AND ij.kind = 'meta'
+  AND i.video_key IS NULL AND i.storage_prefix IS NOT NULL
+  AND COALESCE(ij.body->'video'->>'downloaded_path', '') <> '';
@@ -0,0 +1,6 @@
+-- 0004_item_media (rollback)
+
+DELETE FROM item_json WHERE kind = 'media';
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+ALTER TABLE item_json ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis'));
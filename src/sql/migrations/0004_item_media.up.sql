@@ -0,0 +1,6 @@
+-- 0004_item_media
+-- item_json kind 'media': cover / keyframe / contact sheet manifest (storage keys per size)
+
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+ALTER TABLE item_json ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis','media'));
@@ -0,0 +1,6 @@
+-- 0005_item_transcript
+-- item_json kind 'transcript': timed segments ({ source, language, segments: [{ start_sec, end_sec, text }] })
+
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+ALTER TABLE item_json ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis','media','transcript'));
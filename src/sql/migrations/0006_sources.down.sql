@@ -0,0 +1,4 @@
+-- 0006_sources (rollback)
+
+DROP TABLE IF EXISTS source_entries;
+DROP TABLE IF EXISTS sources;
@@ -0,0 +1,42 @@
+-- 0006_sources
+-- followed playlists / channels / profiles / feeds; the worker syncs them and queues jobs for new posts
+
+CREATE TABLE IF NOT EXISTS sources (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('playlist','channel','profile','rss')),
+  name TEXT,
+  filters JSONB NOT NULL DEFAULT '{}',      -- { min_duration_sec, max_duration_sec, keywords: [], exclude_keywords: [] }
+  allow_inference BOOLEAN NOT NULL DEFAULT TRUE,
+  priority INT NOT NULL DEFAULT 0,          -- priority of the jobs it queues
+  sync_interval_minutes INT NOT NULL DEFAULT 360,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  next_sync_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  sync_started_at TIMESTAMPTZ,              -- set while a sync runs (stale after SOURCE_SYNC_TIMEOUT_SECONDS)
+  last_synced_at TIMESTAMPTZ,
+  last_sync_status TEXT CHECK (last_sync_status IN ('ok','error')),
+  last_sync_error TEXT,
+  last_sync_stats JSONB,                    -- { listed, new, queued, filtered, duration_ms }
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (user_id, url)
+);
+
+-- what the worker's sync loop scans
+CREATE INDEX IF NOT EXISTS sources_due_idx ON sources (next_sync_at) WHERE enabled;
+
+-- every post a source has listed, so each sync only queues what it hasn't seen
+CREATE TABLE IF NOT EXISTS source_entries (
+  source_id UUID NOT NULL REFERENCES sources(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  title TEXT,
+  published_at TIMESTAMPTZ,
+  status TEXT NOT NULL CHECK (status IN ('queued','filtered')),
+  reason TEXT,                              -- why it was filtered
+  job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+  first_seen_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (source_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS source_entries_seen_idx ON source_entries (source_id, first_seen_at);
@@ -0,0 +1,43 @@
+-- 0007_item_identity (rollback)
+-- item ids lose their platform prefix again (fails if two platforms share a post id by now)
+
+DROP TABLE IF EXISTS item_fingerprints;
+ALTER TABLE items DROP COLUMN IF EXISTS duplicate_of;
+DROP INDEX IF EXISTS items_canonical_url_idx;
+ALTER TABLE items DROP COLUMN IF EXISTS canonical_url;
+
+CREATE TEMP TABLE item_id_map ON COMMIT DROP AS
+  SELECT id AS new_id, substring(id FROM length(platform) + 2) AS old_id
+  FROM items
+  WHERE COALESCE(platform, '') <> '' AND id LIKE platform || ':%';
+
+UPDATE shopping_list_entries e
+SET sources = (
+  SELECT jsonb_agg(CASE WHEN m.old_id IS NULL THEN s ELSE jsonb_set(s, '{item_id}', to_jsonb(m.old_id)) END ORDER BY n)
+  FROM jsonb_array_elements(e.sources) WITH ORDINALITY AS x(s, n)
+  LEFT JOIN item_id_map m ON m.new_id = s->>'item_id'
+)
+WHERE jsonb_typeof(e.sources) = 'array' AND jsonb_array_length(e.sources) > 0;
+
+UPDATE shopping_lists l
+SET source = jsonb_set(l.source, '{items}', (
+  SELECT jsonb_agg(CASE WHEN m.old_id IS NULL THEN s ELSE jsonb_set(s, '{item_id}', to_jsonb(m.old_id)) END ORDER BY n)
+  FROM jsonb_array_elements(l.source->'items') WITH ORDINALITY AS x(s, n)
+  LEFT JOIN item_id_map m ON m.new_id = s->>'item_id'
+))
+WHERE jsonb_typeof(l.source->'items') = 'array' AND jsonb_array_length(l.source->'items') > 0;
+
+UPDATE items i SET id = m.old_id FROM item_id_map m WHERE i.id = m.new_id;
+
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_item_id_fkey;
+ALTER TABLE item_json ADD CONSTRAINT item_json_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE;
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_item_id_fkey;
+ALTER TABLE jobs ADD CONSTRAINT jobs_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id);
+ALTER TABLE collection_items DROP CONSTRAINT IF EXISTS collection_items_item_id_fkey;
+ALTER TABLE collection_items ADD CONSTRAINT collection_items_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE;
+ALTER TABLE user_items DROP CONSTRAINT IF EXISTS user_items_item_id_fkey;
+ALTER TABLE user_items ADD CONSTRAINT user_items_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE;
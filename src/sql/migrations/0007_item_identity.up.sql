@@ -0,0 +1,60 @@
+-- 0007_item_identity
+-- platform-qualified item ids ("youtube:abc" instead of "abc"), canonical URLs, and perceptual
+-- fingerprints that link re-uploads of the same video (items.duplicate_of)
+
+-- item ids may change from now on (this migration, merges); let references follow
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_item_id_fkey;
+ALTER TABLE item_json ADD CONSTRAINT item_json_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_item_id_fkey;
+ALTER TABLE jobs ADD CONSTRAINT jobs_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id) ON UPDATE CASCADE;
+ALTER TABLE collection_items DROP CONSTRAINT IF EXISTS collection_items_item_id_fkey;
+ALTER TABLE collection_items ADD CONSTRAINT collection_items_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE user_items DROP CONSTRAINT IF EXISTS user_items_item_id_fkey;
+ALTER TABLE user_items ADD CONSTRAINT user_items_item_id_fkey
+  FOREIGN KEY (item_id) REFERENCES items(id) ON DELETE CASCADE ON UPDATE CASCADE;
+
+CREATE TEMP TABLE item_id_map ON COMMIT DROP AS
+  SELECT id AS old_id, platform || ':' || id AS new_id
+  FROM items
+  WHERE COALESCE(platform, '') <> '' AND position(':' IN id) = 0;
+
+UPDATE items i SET id = m.new_id FROM item_id_map m WHERE i.id = m.old_id;
+
+-- shopping lists keep item ids inside JSON
+UPDATE shopping_list_entries e
+SET sources = (
+  SELECT jsonb_agg(CASE WHEN m.new_id IS NULL THEN s ELSE jsonb_set(s, '{item_id}', to_jsonb(m.new_id)) END ORDER BY n)
+  FROM jsonb_array_elements(e.sources) WITH ORDINALITY AS x(s, n)
+  LEFT JOIN item_id_map m ON m.old_id = s->>'item_id'
+)
+WHERE jsonb_typeof(e.sources) = 'array' AND jsonb_array_length(e.sources) > 0;
+
+UPDATE shopping_lists l
+SET source = jsonb_set(l.source, '{items}', (
+  SELECT jsonb_agg(CASE WHEN m.new_id IS NULL THEN s ELSE jsonb_set(s, '{item_id}', to_jsonb(m.new_id)) END ORDER BY n)
+  FROM jsonb_array_elements(l.source->'items') WITH ORDINALITY AS x(s, n)
+  LEFT JOIN item_id_map m ON m.old_id = s->>'item_id'
+))
+WHERE jsonb_typeof(l.source->'items') = 'array' AND jsonb_array_length(l.source->'items') > 0;
+
+-- canonical form of the post URL (canonical.mjs); set by the worker, NULL for older items
+ALTER TABLE items ADD COLUMN IF NOT EXISTS canonical_url TEXT;
+CREATE INDEX IF NOT EXISTS items_canonical_url_idx ON items (canonical_url);
+
+-- the item this one is a re-upload of; its analysis was reused
+ALTER TABLE items ADD COLUMN IF NOT EXISTS duplicate_of TEXT REFERENCES items(id) ON DELETE SET NULL ON UPDATE CASCADE;
+CREATE INDEX IF NOT EXISTS items_duplicate_of_idx ON items (duplicate_of) WHERE duplicate_of IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS item_fingerprints (
+  item_id TEXT PRIMARY KEY REFERENCES items(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  duration_sec DOUBLE PRECISION NOT NULL,
+  frames TEXT[] NOT NULL,                -- 64-bit dHash per sampled frame, hex
+  audio INT[],                           -- Chromaprint raw fingerprint (NULL without fpcalc)
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- candidates are looked up by length first
+CREATE INDEX IF NOT EXISTS item_fingerprints_duration_idx ON item_fingerprints (duration_sec);
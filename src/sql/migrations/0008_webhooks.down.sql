@@ -0,0 +1,4 @@
+-- 0008_webhooks (rollback)
+
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
@@ -0,0 +1,17 @@
+-- 0009_item_nutrition (rollback)
+
+DROP INDEX IF EXISTS items_protein_g_per_serving_idx;
+DROP INDEX IF EXISTS items_kcal_per_serving_idx;
+
+ALTER TABLE items
+  DROP COLUMN IF EXISTS sodium_mg_per_serving,
+  DROP COLUMN IF EXISTS fiber_g_per_serving,
+  DROP COLUMN IF EXISTS carbs_g_per_serving,
+  DROP COLUMN IF EXISTS fat_g_per_serving,
+  DROP COLUMN IF EXISTS protein_g_per_serving,
+  DROP COLUMN IF EXISTS kcal_per_serving;
+
+DELETE FROM item_json WHERE kind = 'nutrition';
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+ALTER TABLE item_json ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis','media','transcript'));
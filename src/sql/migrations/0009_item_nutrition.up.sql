@@ -0,0 +1,17 @@
+-- 0009_item_nutrition
+-- item_json kind 'nutrition' (estimated from the recipe, see nutrition.mjs) and per-serving values on items for filtering
+
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+ALTER TABLE item_json ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis','media','transcript','nutrition'));
+
+ALTER TABLE items
+  ADD COLUMN IF NOT EXISTS kcal_per_serving REAL,
+  ADD COLUMN IF NOT EXISTS protein_g_per_serving REAL,
+  ADD COLUMN IF NOT EXISTS fat_g_per_serving REAL,
+  ADD COLUMN IF NOT EXISTS carbs_g_per_serving REAL,
+  ADD COLUMN IF NOT EXISTS fiber_g_per_serving REAL,
+  ADD COLUMN IF NOT EXISTS sodium_mg_per_serving REAL;
+
+CREATE INDEX IF NOT EXISTS items_kcal_per_serving_idx ON items (kcal_per_serving) WHERE kcal_per_serving IS NOT NULL;
+CREATE INDEX IF NOT EXISTS items_protein_g_per_serving_idx ON items (protein_g_per_serving) WHERE protein_g_per_serving IS NOT NULL;
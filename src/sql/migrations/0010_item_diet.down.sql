@@ -0,0 +1,13 @@
+-- 0010_item_diet (rollback)
+
+DROP INDEX IF EXISTS items_allergens_gin;
+DROP INDEX IF EXISTS items_diet_labels_gin;
+
+ALTER TABLE items
+  DROP COLUMN IF EXISTS allergens,
+  DROP COLUMN IF EXISTS diet_labels;
+
+DELETE FROM item_json WHERE kind = 'diet';
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+ALTER TABLE item_json ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis','media','transcript','nutrition'));
@@ -0,0 +1,14 @@
+-- 0010_item_diet
+-- item_json kind 'diet' (labels, allergens and why, see diet.mjs) and the labels on items for filtering
+
+ALTER TABLE item_json DROP CONSTRAINT IF EXISTS item_json_kind_check;
+ALTER TABLE item_json ADD CONSTRAINT item_json_kind_check
+  CHECK (kind IN ('meta','recipe','analysis','media','transcript','nutrition','diet'));
+
+-- NULL until the recipe has been classified (non-recipes stay NULL)
+ALTER TABLE items
+  ADD COLUMN IF NOT EXISTS diet_labels TEXT[],
+  ADD COLUMN IF NOT EXISTS allergens TEXT[];
+
+CREATE INDEX IF NOT EXISTS items_diet_labels_gin ON items USING gin (diet_labels);
+CREATE INDEX IF NOT EXISTS items_allergens_gin ON items USING gin (allergens);
@@ -0,0 +1,3 @@
+-- 0011_item_ingredients (rollback)
+
+DROP TABLE IF EXISTS item_ingredients;
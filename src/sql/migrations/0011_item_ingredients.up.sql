@@ -0,0 +1,15 @@
+-- 0011_item_ingredients
+-- one row per recipe ingredient, normalized to an entity (see pantry.mjs) for "what can I cook" searches
+
+CREATE TABLE IF NOT EXISTS item_ingredients (
+  item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE ON UPDATE CASCADE,
+  position INT NOT NULL,                 -- index in recipe.ingredients
+  name TEXT NOT NULL,                    -- entity: "red onion" for "🧅 2 red onions, diced"
+  food TEXT,                             -- food table entry it matched ("onion"), NULL when none
+  raw TEXT NOT NULL,                     -- the ingredient as extracted
+  optional BOOLEAN NOT NULL DEFAULT FALSE, -- "optional", "to taste", "for garnish"
+  PRIMARY KEY (item_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS item_ingredients_name_idx ON item_ingredients (name);
+CREATE INDEX IF NOT EXISTS item_ingredients_food_idx ON item_ingredients (food) WHERE food IS NOT NULL;
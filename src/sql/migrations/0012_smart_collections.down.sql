@@ -0,0 +1,10 @@
+-- 0012_smart_collections (rollback)
+
+DROP INDEX IF EXISTS collections_materialize_idx;
+
+-- materialized members stay behind as manual ones
+ALTER TABLE collections
+  DROP COLUMN IF EXISTS refreshed_at,
+  DROP COLUMN IF EXISTS materialize,
+  DROP COLUMN IF EXISTS query_embedding,
+  DROP COLUMN IF EXISTS query;
@@ -0,0 +1,11 @@
+-- 0012_smart_collections
+-- collections defined by a saved query (see collections.mjs); manual collections keep query NULL
+
+ALTER TABLE collections
+  ADD COLUMN IF NOT EXISTS query JSONB,                 -- { q?, max_distance?, topic?, platform?, is_recipe?, author?, published_after?, published_before?, diet?, exclude_allergens? }
+  ADD COLUMN IF NOT EXISTS query_embedding vector,      -- embedding of query.q, so matching never calls the model
+  ADD COLUMN IF NOT EXISTS materialize BOOLEAN NOT NULL DEFAULT FALSE, -- the worker keeps collection_items in step
+  ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMPTZ;    -- last full refill of a materialized collection
+
+-- what the worker looks at for every upserted item
+CREATE INDEX IF NOT EXISTS collections_materialize_idx ON collections (user_id) WHERE materialize;
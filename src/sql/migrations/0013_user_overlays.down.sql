@@ -0,0 +1,10 @@
+-- 0013_user_overlays (rollback)
+
+DROP TABLE IF EXISTS cook_log;
+DROP INDEX IF EXISTS user_items_rating_idx;
+
+ALTER TABLE user_items
+  DROP COLUMN IF EXISTS last_cooked_on,
+  DROP COLUMN IF EXISTS cooked_count,
+  DROP COLUMN IF EXISTS recipe_edits,
+  DROP COLUMN IF EXISTS rating;
@@ -0,0 +1,24 @@
+-- 0013_user_overlays
+-- what a user adds to a saved item (see overlays.mjs): rating, cook log and recipe edits. They live
+-- on user_items, not items, so rebuilding the item keeps them.
+
+ALTER TABLE user_items
+  ADD COLUMN IF NOT EXISTS rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS recipe_edits JSONB,                 -- { title?, servings?, total_time_minutes?, ingredients?: [op], steps?: [op], updated_at }
+  ADD COLUMN IF NOT EXISTS cooked_count INT NOT NULL DEFAULT 0, -- kept in step with cook_log for sorting / filtering
+  ADD COLUMN IF NOT EXISTS last_cooked_on DATE;
+
+CREATE INDEX IF NOT EXISTS user_items_rating_idx ON user_items (user_id, rating) WHERE rating IS NOT NULL;
+
+-- one row per "cooked it"; goes away with the library entry
+CREATE TABLE IF NOT EXISTS cook_log (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL,
+  item_id TEXT NOT NULL,
+  cooked_on DATE NOT NULL,
+  comment TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  FOREIGN KEY (user_id, item_id) REFERENCES user_items(user_id, item_id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS cook_log_user_item_idx ON cook_log (user_id, item_id, cooked_on DESC);
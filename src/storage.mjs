@@ -0,0 +1,317 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { PassThrough } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { Storage } from "@google-cloud/storage";
+import { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { signGcsReadUrl } from "./gcs.mjs";
+
+// --- config ---
+// local | s3 | gcs; keys look like "<platform>-<post_id>/recipe.json" whichever driver is active
+export const STORAGE_DRIVERS = ["local", "s3", "gcs"];
+export const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || "local").toLowerCase();
+const LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || process.env.DOWNLOAD_DIR || "downloads";
+const SIGNED_URL_SECONDS = Number(process.env.STORAGE_SIGNED_URL_SECONDS || 900);
+// HMAC key for /media links to locally stored files; every API replica needs the same one
+const MEDIA_SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || null;
+
+const CONTENT_TYPES = {
+  ".json": "application/json",
+  ".txt": "text/plain; charset=utf-8",
+  ".vtt": "text/vtt; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".heic": "image/heic"
+};
+
+export function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(String(key)).toLowerCase()] || "application/octet-stream";
+}
+
+/** "youtube-abc", "recipe.json" -> "youtube-abc/recipe.json"; rejects absolute paths and `..` */
+export function storageKey(...parts) {
+  const key = parts.filter(Boolean).join("/").replace(/\\/g, "/").replace(/\/{2,}/g, "/").replace(/^\/+/, "");
+  if (!key || key.split("/").some(p => p === ".." || p === ".")) throw new Error(`Invalid storage key "${key}"`);
+  return key;
+}
+
+/*
+ * Every driver implements:
+ *   put(key, body, { contentType? })        -> key   (body: Buffer | string)
+ *   putFile(key, localPath, { contentType? }) -> key
+ *   get(key)                                 -> Buffer (throws when missing)
+ *   exists(key)                              -> boolean
+ *   stat(key)                                -> { size, contentType } | null
+ *   createReadStream(key, { start?, end? })  -> Readable
+ *   signedUrl(key, { expiresSec? })          -> URL a client can fetch directly, or null
+ *                                               when files are served through /media
+ *                                               (see signedMediaUrl)
+ *   uri(key)                                 -> "file://…", "s3://bucket/key", "gs://bucket/key"
+ *   remove(key)
+ */
+
+// --- local filesystem ---
+function localDriver(root = LOCAL_DIR) {
+  const base = path.resolve(root);
+  const file = (key) => {
+    const p = path.resolve(base, storageKey(key));
+    if (!p.startsWith(base + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return p;
+  };
+
+  return {
+    name: "local",
+    root: base,
+
+    async put(key, body) {
+      const p = file(key);
+      await fs.promises.mkdir(path.dirname(p), { recursive: true });
+      await fs.promises.writeFile(p, body);
+      return key;
+    },
+
+    async putFile(key, localPath) {
+      const p = file(key);
+      // the scraper already works inside this directory; nothing to copy then
+      if (path.resolve(localPath) === p) return key;
+      await fs.promises.mkdir(path.dirname(p), { recursive: true });
+      await fs.promises.copyFile(localPath, p);
+      return key;
+    },
+
+    get: (key) => fs.promises.readFile(file(key)),
+
+    async exists(key) {
+      try { await fs.promises.access(file(key)); return true; } catch { return false; }
+    },
+
+    async stat(key) {
+      try {
+        const st = await fs.promises.stat(file(key));
+        return st.isFile() ? { size: st.size, contentType: contentTypeFor(key) } : null;
+      } catch { return null; }
+    },
+
+    createReadStream: (key, range = {}) => fs.createReadStream(file(key), range),
+
+    async signedUrl() { return null; },
+
+    uri: (key) => `file://${file(key)}`,
+
+    async remove(key) { await fs.promises.rm(file(key), { force: true }); }
+  };
+}
+
+// --- S3-compatible (AWS, MinIO, R2, ...) ---
+function s3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error("S3_BUCKET is not set");
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+  const client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint,
+    // MinIO and most self-hosted servers don't do virtual-host style buckets
+    forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE ?? (endpoint ? "true" : "false")).toLowerCase() === "true",
+    ...(process.env.S3_ACCESS_KEY_ID ? {
+      credentials: { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "" }
+    } : {})
+  });
+  const notFound = (e) => e?.name === "NotFound" || e?.name === "NoSuchKey" || e?.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: "s3",
+    bucket,
+
+    async put(key, body, { contentType = contentTypeFor(key) } = {}) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: storageKey(key), Body: body, ContentType: contentType }));
+      return key;
+    },
+
+    async putFile(key, localPath, { contentType = contentTypeFor(key) } = {}) {
+      const { size } = await fs.promises.stat(localPath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket, Key: storageKey(key), Body: fs.createReadStream(localPath), ContentLength: size, ContentType: contentType
+      }));
+      return key;
+    },
+
+    async get(key) {
+      const out = await client.send(new GetObjectCommand({ Bucket: bucket, Key: storageKey(key) }));
+      return Buffer.from(await out.Body.transformToByteArray());
+    },
+
+    async exists(key) {
+      return !!await this.stat(key);
+    },
+
+    async stat(key) {
+      try {
+        const h = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: storageKey(key) }));
+        return { size: h.ContentLength, contentType: h.ContentType || contentTypeFor(key) };
+      } catch (e) {
+        if (notFound(e)) return null;
+        throw e;
+      }
+    },
+
+    // the SDK hands out the body asynchronously; return a stream callers can pipe right away
+    createReadStream(key, { start, end } = {}) {
+      const out = new PassThrough();
+      const Range = start != null ? `bytes=${start}-${end ?? ""}` : undefined;
+      client.send(new GetObjectCommand({ Bucket: bucket, Key: storageKey(key), Range }))
+        .then(r => pipeline(r.Body, out))
+        .catch(e => out.destroy(e));
+      return out;
+    },
+
+    signedUrl(key, { expiresSec = SIGNED_URL_SECONDS } = {}) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: storageKey(key) }), { expiresIn: expiresSec });
+    },
+
+    uri: (key) => `s3://${bucket}/${storageKey(key)}`,
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: storageKey(key) }));
+    }
+  };
+}
+
+// --- Google Cloud Storage ---
+function gcsDriver() {
+  const bucketName = process.env.STORAGE_GCS_BUCKET || process.env.GCS_BUCKET;
+  if (!bucketName) throw new Error("GCS_BUCKET is not set");
+  const bucket = new Storage({ projectId: process.env.GCLOUD_PROJECT }).bucket(bucketName);
+  const object = (key) => bucket.file(storageKey(key));
+
+  return {
+    name: "gcs",
+    bucket: bucketName,
+
+    async put(key, body, { contentType = contentTypeFor(key) } = {}) {
+      await object(key).save(body, { resumable: false, contentType });
+      return key;
+    },
+
+    async putFile(key, localPath, { contentType = contentTypeFor(key) } = {}) {
+      await bucket.upload(localPath, { destination: storageKey(key), resumable: true, metadata: { contentType } });
+      return key;
+    },
+
+    async get(key) {
+      const [buf] = await object(key).download();
+      return buf;
+    },
+
+    async exists(key) {
+      const [exists] = await object(key).exists();
+      return exists;
+    },
+
+    async stat(key) {
+      try {
+        const [m] = await object(key).getMetadata();
+        return { size: Number(m.size), contentType: m.contentType || contentTypeFor(key) };
+      } catch (e) {
+        if (e?.code === 404) return null;
+        throw e;
+      }
+    },
+
+    createReadStream: (key, { start, end } = {}) => object(key).createReadStream({ start, end }),
+
+    signedUrl(key, { expiresSec = SIGNED_URL_SECONDS } = {}) {
+      return signGcsReadUrl(this.uri(key), { expiresSec });
+    },
+
+    uri: (key) => `gs://${bucketName}/${storageKey(key)}`,
+
+    async remove(key) { await object(key).delete({ ignoreNotFound: true }); }
+  };
+}
+
+// --- active driver ---
+const FACTORIES = { local: localDriver, s3: s3Driver, gcs: gcsDriver };
+let active = null;
+
+/** The driver picked by STORAGE_DRIVER (created on first use so unused drivers need no config). */
+export function getStorage() {
+  if (active) return active;
+  const factory = FACTORIES[STORAGE_DRIVER];
+  if (!factory) throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (use ${STORAGE_DRIVERS.join(", ")})`);
+  active = factory();
+  return active;
+}
+
+// --- signed links ---
+/**
+ * Called by the API on boot: in production the local driver's /media links need a shared
+ * MEDIA_SIGNING_SECRET, as a per-process one breaks them on restart and across replicas.
+ */
+export function requireMediaSecret() {
+  if (!MEDIA_SIGNING_SECRET && STORAGE_DRIVER === "local" && process.env.NODE_ENV === "production") {
+    throw new Error("MEDIA_SIGNING_SECRET must be set when NODE_ENV=production and STORAGE_DRIVER=local");
+  }
+}
+
+let signingSecret = MEDIA_SIGNING_SECRET;
+function mediaSecret() {
+  if (!signingSecret) {
+    console.warn("MEDIA_SIGNING_SECRET is not set; /media links stop working when this process restarts");
+    signingSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return signingSecret;
+}
+
+function mediaSignature(key, exp) {
+  return crypto.createHmac("sha256", mediaSecret()).update(`${key}\n${exp}`).digest("base64url");
+}
+
+/** /media/<key> with each path segment URL-encoded */
+export function mediaPath(key) {
+  return `/media/${storageKey(key).split("/").map(encodeURIComponent).join("/")}`;
+}
+
+/**
+ * The one way to hand out a stored file: a presigned S3 / V4-signed GCS URL, or for the
+ * local driver `<baseUrl>/media/<key>?exp=…&sig=…` (HMAC-SHA256 over key + expiry).
+ * -> { url, expires_at }
+ */
+export async function signedMediaUrl(key, { expiresSec = SIGNED_URL_SECONDS, baseUrl = "" } = {}) {
+  key = storageKey(key);
+  const expires_at = new Date(Date.now() + expiresSec * 1000).toISOString();
+  const direct = await getStorage().signedUrl(key, { expiresSec });
+  if (direct) return { url: direct, expires_at };
+  const exp = Math.floor(Date.now() / 1000) + expiresSec;
+  return { url: `${baseUrl}${mediaPath(key)}?exp=${exp}&sig=${mediaSignature(key, exp)}`, expires_at };
+}
+
+/** Checks the exp/sig query of a /media link -> "ok" | "missing" | "expired" | "invalid" */
+export function verifyMediaSignature(key, { exp, sig } = {}) {
+  if (!exp || !sig) return "missing";
+  const expected = Buffer.from(mediaSignature(storageKey(key), String(exp)));
+  const given = Buffer.from(String(sig));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return "invalid";
+  if (!(Number(exp) * 1000 > Date.now())) return "expired";
+  return "ok";
+}
+
+/** Stores `obj` as pretty JSON under `key`. */
+export function putJson(key, obj) {
+  return getStorage().put(key, JSON.stringify(obj, null, 2), { contentType: "application/json" });
+}
+
+/**
+ * Copies a file from the local working directory into storage under `prefix`, keeping its
+ * name ("downloads/youtube-abc/abc.mp4" -> "youtube-abc/abc.mp4"). Returns the key.
+ */
+export function storeLocalFile(prefix, localPath) {
+  return getStorage().putFile(storageKey(prefix, path.basename(localPath)), localPath);
+}
@@ -0,0 +1,158 @@
+// --- timed transcripts ---
+// A timed transcript is { source: "subtitles"|"asr", language, segments: [{ start_sec, end_sec, text }] };
+// it is stored as item_json kind 'transcript' next to the plain text in meta.transcript.
+
+export const TRANSCRIPT_FORMATS = ["json", "vtt", "srt"];
+
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/** "01:02:03.450" / "02:03.450" / "00:00:01,000" -> seconds */
+function parseTimestamp(s) {
+  const m = String(s).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/);
+  if (!m) return null;
+  return Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(m[4].padEnd(3, "0")) / 1000;
+}
+
+const cueText = (line) => line
+  .replace(/<\d{2}:\d{2}:\d{2}\.\d{3}>/g, "")
+  .replace(/<\/?[^>]+>/g, "")
+  .replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+  .replace(/\s+/g, " ")
+  .trim();
+
+/**
+ * WebVTT -> [{ start_sec, end_sec, text }].
+ * YouTube auto-captions roll: each cue repeats the previous line and adds one, so only
+ * lines the previous cue didn't show become new text; repeats just extend the segment.
+ */
+export function parseVtt(vtt) {
+  const segments = [];
+  let prevLines = [];
+  for (const block of String(vtt || "").replace(/\r/g, "").split(/\n{2,}/)) {
+    const lines = block.split("\n");
+    const at = lines.findIndex(l => l.includes("-->"));
+    if (at < 0) continue;
+    const [from, to] = lines[at].split("-->");
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(to);
+    if (start == null || end == null) continue;
+
+    const text = lines.slice(at + 1).map(cueText).filter(Boolean);
+    const fresh = text.filter(l => !prevLines.includes(l));
+    if (text.length) prevLines = text;
+
+    const last = segments[segments.length - 1];
+    if (!fresh.length) {
+      if (last && end > last.end_sec) last.end_sec = round3(end);
+      continue;
+    }
+    segments.push({ start_sec: round3(start), end_sec: round3(end), text: fresh.join(" ") });
+  }
+  return segments;
+}
+
+/** Whisper `verbose_json` response -> segments (null when the server sent none) */
+export function segmentsFromWhisper(data) {
+  if (!Array.isArray(data?.segments) || !data.segments.length) return null;
+  return data.segments
+    .map(s => ({ start_sec: round3(Number(s.start) || 0), end_sec: round3(Number(s.end) || 0), text: String(s.text || "").trim() }))
+    .filter(s => s.text);
+}
+
+/** Plain text of a segment list (one line per segment, repeats dropped) */
+export function segmentsToText(segments = []) {
+  const out = [];
+  for (const s of segments) if (out[out.length - 1] !== s.text) out.push(s.text);
+  return out.join("\n");
+}
+
+// --- rendering ---
+function clock(sec, sep) {
+  const ms = Math.round(Math.max(0, sec) * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+export function toVtt(segments = []) {
+  const cues = segments.map((s, i) => `${i + 1}\n${clock(s.start_sec, ".")} --> ${clock(s.end_sec, ".")}\n${s.text}`);
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+}
+
+export function toSrt(segments = []) {
+  return segments.map((s, i) => `${i + 1}\n${clock(s.start_sec, ",")} --> ${clock(s.end_sec, ",")}\n${s.text}`).join("\n\n") + "\n";
+}
+
+// --- aligning recipe steps / key points to the transcript ---
+const STOPWORDS = new Set((
+  "the and for with into onto then add adding now this that you your our just some get put let over from until about " +
+  "will can all out its also them they very really little bit well make sure like take " +
+  "und die der das den dem mit auf ein eine einen dann noch jetzt mal wir ich ist sind etwas bis"
+).split(" "));
+
+/** lowercase, accent-free word stems of 3+ letters (crude suffix stripping is enough here) */
+function terms(text) {
+  const words = String(text || "")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 3 && !STOPWORDS.has(w));
+  return new Set(words.map(w => (w.length > 4 ? w.replace(/(ing|ed|es|en|s|e|n)$/, "") : w)));
+}
+
+// a sentence said across two cues should still match, so each window spans a segment and the next one
+const WINDOW = 2;
+// share of a step's (weighted) words that must be said in the window
+const MIN_ALIGN_SCORE = 0.35;
+
+/**
+ * start_sec for each of `texts` (or null when no part of the transcript matches well enough).
+ * Words are weighted by rarity across the transcript, so "garlic" counts more than "pan".
+ * The best window's time is that of its first segment carrying at least half of the match.
+ * With `ordered` (recipe steps) every match starts at or after the previous one.
+ */
+export function alignToTranscript(texts, segments, { ordered = false } = {}) {
+  if (!segments?.length) return texts.map(() => null);
+  const segTerms = segments.map(s => terms(s.text));
+  const windows = segTerms.map((_, i) => new Set(segTerms.slice(i, i + WINDOW).flatMap(t => [...t])));
+  const df = new Map();
+  for (const w of windows) for (const t of w) df.set(t, (df.get(t) || 0) + 1);
+  const idf = (t) => Math.log(1 + windows.length / df.get(t));
+
+  let from = 0;
+  return texts.map(text => {
+    const wanted = [...terms(text)].filter(t => df.has(t));
+    const total = wanted.reduce((sum, t) => sum + idf(t), 0);
+    if (!total) return null;
+    const score = (set) => wanted.reduce((sum, t) => sum + (set.has(t) ? idf(t) : 0), 0) / total;
+
+    let best = null;
+    for (let i = ordered ? from : 0; i < windows.length; i++) {
+      const s = score(windows[i]);
+      if (s >= MIN_ALIGN_SCORE && (!best || s > best.score)) best = { i, score: s };
+    }
+    if (!best) return null;
+
+    const inWindow = segTerms.slice(best.i, best.i + WINDOW).map(score);
+    const top = Math.max(...inWindow);
+    const j = best.i + inWindow.findIndex(s => s >= top / 2);
+    if (ordered) from = j;
+    return segments[j].start_sec;
+  });
+}
+
+/** Sets steps[].start_sec (null when unknown); keeps a time the model already gave. */
+export function linkRecipeSteps(recipe, segments) {
+  if (!recipe?.steps?.length) return recipe;
+  const times = alignToTranscript(recipe.steps.map(s => s.instruction), segments, { ordered: true });
+  recipe.steps = recipe.steps.map((s, i) => ({ ...s, start_sec: s.start_sec ?? times[i] }));
+  return recipe;
+}
+
+/** key_points: ["string"] -> [{ text, start_sec }] */
+export function linkKeyPoints(analysis, segments) {
+  if (!analysis?.key_points?.length) return analysis;
+  const points = analysis.key_points.map(k => (typeof k === "string" ? { text: k, start_sec: null } : k));
+  const times = alignToTranscript(points.map(k => k.text), segments);
+  analysis.key_points = points.map((k, i) => ({ ...k, start_sec: k.start_sec ?? times[i] }));
+  return analysis;
+}
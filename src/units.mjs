@@ -0,0 +1,254 @@
+// --- units, densities & kitchen rounding (used for recipe scaling and shopping lists) ---
+
+export const UNIT_SYSTEMS = ["metric", "us"];
+
+// canonical unit → { kind, factor } where factor converts to the base (g for mass, ml for volume)
+const UNITS = {
+  g:     { kind: "mass", factor: 1 },
+  kg:    { kind: "mass", factor: 1000 },
+  mg:    { kind: "mass", factor: 0.001 },
+  oz:    { kind: "mass", factor: 28.3495 },
+  lb:    { kind: "mass", factor: 453.592 },
+  ml:    { kind: "volume", factor: 1 },
+  cl:    { kind: "volume", factor: 10 },
+  dl:    { kind: "volume", factor: 100 },
+  l:     { kind: "volume", factor: 1000 },
+  tsp:   { kind: "volume", factor: 4.92892 },
+  tbsp:  { kind: "volume", factor: 14.7868 },
+  cup:   { kind: "volume", factor: 236.588 },
+  fl_oz: { kind: "volume", factor: 29.5735 }
+};
+
+const UNIT_ALIASES = {
+  g: ["g", "gr", "gram", "grams", "gramm", "gramme", "grammes"],
+  kg: ["kg", "kilo", "kilos", "kilogram", "kilograms", "kilogramm"],
+  mg: ["mg", "milligram", "milligrams"],
+  oz: ["oz", "ounce", "ounces", "unze"],
+  lb: ["lb", "lbs", "pound", "pounds", "pfund"],
+  ml: ["ml", "milliliter", "milliliters", "millilitre", "millilitres"],
+  cl: ["cl", "centiliter", "centilitre"],
+  dl: ["dl", "deciliter", "decilitre"],
+  l: ["l", "liter", "liters", "litre", "litres"],
+  tsp: ["tsp", "tsps", "teaspoon", "teaspoons", "tl", "teelöffel", "t"],
+  tbsp: ["tbsp", "tbsps", "tbs", "tablespoon", "tablespoons", "el", "esslöffel", "T"],
+  cup: ["cup", "cups", "c", "tasse", "tassen"],
+  fl_oz: ["fl oz", "fl. oz", "fl oz.", "fluid ounce", "fluid ounces", "floz"]
+};
+
+const ALIAS_LOOKUP = new Map();
+for (const [canon, aliases] of Object.entries(UNIT_ALIASES)) {
+  for (const a of aliases) {
+    // "T" (capital) is the classic tablespoon abbreviation, "t" teaspoon — keep case for those two
+    ALIAS_LOOKUP.set(a.length === 1 && /[tT]/.test(a) ? a : a.toLowerCase(), canon);
+  }
+}
+
+/**
+ * normalizeUnit("Tablespoons") -> { unit: "tbsp", kind: "volume" }
+ * Unknown or count-like units ("piece", "clove", null) -> { unit: <as given>, kind: "count" }.
+ */
+export function normalizeUnit(unit) {
+  if (unit == null || String(unit).trim() === "") return { unit: null, kind: "count" };
+  const raw = String(unit).trim().replace(/\.$/, "");
+  const canon = ALIAS_LOOKUP.get(raw) || ALIAS_LOOKUP.get(raw.toLowerCase());
+  if (canon) return { unit: canon, kind: UNITS[canon].kind };
+  return { unit: raw, kind: "count" };
+}
+
+/** Ingredient name without the emoji prefix the extractor adds ("🧄 garlic" → "garlic"). */
+export function stripEmoji(name) {
+  return String(name || "").replace(/^[^\p{L}\p{N}]+/u, "").trim();
+}
+
+// g per ml; matched as whole words of the lowercased, emoji-free name, longer phrases before single
+// words ("peanut butter" before "butter"); null marks names that only look like an entry
+const DENSITIES = [
+  ["sugar snap", null], ["snap peas", null],
+  ["powdered sugar", 0.56], ["icing sugar", 0.56], ["puderzucker", 0.56],
+  ["brown sugar", 0.93], ["brauner zucker", 0.93],
+  ["sugar", 0.85], ["zucker", 0.85],
+  ["almond flour", 0.4], ["mandelmehl", 0.4],
+  ["flour", 0.53], ["mehl", 0.53],
+  ["cornstarch", 0.54], ["speisestärke", 0.54], ["starch", 0.54],
+  ["cocoa", 0.42], ["kakao", 0.42],
+  ["baking powder", 0.9], ["backpulver", 0.9],
+  ["baking soda", 1.1], ["natron", 1.1],
+  ["salt", 1.2], ["salz", 1.2],
+  ["oats", 0.41], ["haferflocken", 0.41],
+  ["rice", 0.85], ["reis", 0.85],
+  ["butter", 0.96],
+  ["honey", 1.42], ["honig", 1.42],
+  ["maple syrup", 1.32], ["ahornsirup", 1.32], ["syrup", 1.33],
+  ["olive oil", 0.91], ["olivenöl", 0.91], ["oil", 0.92], ["öl", 0.92],
+  ["heavy cream", 1.0], ["sahne", 1.0], ["cream", 1.0],
+  ["yogurt", 1.03], ["yoghurt", 1.03], ["joghurt", 1.03],
+  ["milk", 1.03], ["milch", 1.03],
+  ["water", 1.0], ["wasser", 1.0],
+  ["grated parmesan", 0.4], ["parmesan", 0.4], ["shredded cheese", 0.45],
+  ["chopped nuts", 0.5], ["nuts", 0.55], ["nüsse", 0.55],
+  ["peanut butter", 1.08], ["erdnussbutter", 1.08],
+  ["soy sauce", 1.2], ["sojasauce", 1.2],
+  ["vinegar", 1.01], ["essig", 1.01]
+];
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const DENSITY_RES = DENSITIES
+  .map(([key, d]) => [new RegExp(`(^|[^\\p{L}])${escapeRe(key)}($|[^\\p{L}])`, "u"), d, key.split(" ").length])
+  .sort((a, b) => b[2] - a[2]);
+
+/** Density in g/ml for an ingredient name, or null if we don't know it. */
+export function densityFor(name) {
+  const n = stripEmoji(name).toLowerCase();
+  for (const [re, d] of DENSITY_RES) if (re.test(n)) return d;
+  return null;
+}
+
+/** Converts between two units; crossing mass↔volume needs a density. Returns null if impossible. */
+export function convertQuantity(quantity, fromUnit, toUnit, { density = null } = {}) {
+  const from = UNITS[normalizeUnit(fromUnit).unit];
+  const to = UNITS[normalizeUnit(toUnit).unit];
+  if (!from || !to || quantity == null) return null;
+  let base = quantity * from.factor;
+  if (from.kind !== to.kind) {
+    if (!density) return null;
+    base = from.kind === "volume" ? base * density : base / density;
+  }
+  return base / to.factor;
+}
+
+// --- rounding ---
+const FRACTION_GLYPHS = [
+  [0.125, "1/8"], [0.25, "1/4"], [1 / 3, "1/3"], [0.375, "3/8"], [0.5, "1/2"],
+  [0.625, "5/8"], [2 / 3, "2/3"], [0.75, "3/4"], [0.875, "7/8"]
+];
+const KITCHEN_FRACTIONS = [0, 0.125, 0.25, 1 / 3, 0.5, 2 / 3, 0.75, 1];
+
+/** Nearest "kitchen" value: eighths/thirds below 2, quarters/thirds below 5, halves above. */
+export function roundToKitchenFraction(n) {
+  if (n == null || !Number.isFinite(n)) return null;
+  if (n >= 10) return Math.round(n);
+  if (n >= 5) return Math.round(n * 2) / 2;
+  const whole = Math.floor(n);
+  const frac = n - whole;
+  const allowed = n >= 2 ? [0, 0.25, 1 / 3, 0.5, 2 / 3, 0.75, 1] : KITCHEN_FRACTIONS;
+  const best = allowed.reduce((a, b) => (Math.abs(b - frac) < Math.abs(a - frac) ? b : a));
+  const out = whole + best;
+  return out === 0 ? (n > 0 ? 0.125 : 0) : out;
+}
+
+/** "1 1/2", "3/4", "2" */
+export function formatFraction(n) {
+  if (n == null) return "";
+  const whole = Math.floor(n + 1e-9);
+  const frac = n - whole;
+  const glyph = FRACTION_GLYPHS.find(([v]) => Math.abs(v - frac) < 0.01)?.[1];
+  if (frac < 0.01) return String(whole);
+  if (!glyph) return String(Math.round(n * 100) / 100);
+  return whole ? `${whole} ${glyph}` : glyph;
+}
+
+/** Pieces, cloves, eggs: whole numbers from 2 up, quarters below. */
+function roundCount(n) {
+  if (n >= 2) return Math.round(n);
+  return Math.max(Math.round(n * 4) / 4, 0.25);
+}
+
+/** Metric rounding: 0.5 steps under 10, whole numbers under 100, 5s under 1000. */
+function roundMetric(n) {
+  if (n < 10) return Math.max(Math.round(n * 2) / 2, 0.5);
+  if (n < 100) return Math.round(n);
+  if (n < 1000) return Math.round(n / 5) * 5;
+  return Math.round(n / 10) * 10;
+}
+
+// --- unit systems ---
+function bestMetric(kind, base) {
+  if (kind === "mass") return base >= 1000 ? { unit: "kg", quantity: Math.round(base / 10) / 100 } : { unit: "g", quantity: roundMetric(base) };
+  return base >= 1000 ? { unit: "l", quantity: Math.round(base / 10) / 100 } : { unit: "ml", quantity: roundMetric(base) };
+}
+
+function bestUsVolume(ml) {
+  if (ml < UNITS.tbsp.factor * 0.99) return { unit: "tsp", quantity: roundToKitchenFraction(ml / UNITS.tsp.factor) };
+  if (ml < UNITS.cup.factor / 4 * 0.99) return { unit: "tbsp", quantity: roundToKitchenFraction(ml / UNITS.tbsp.factor) };
+  return { unit: "cup", quantity: roundToKitchenFraction(ml / UNITS.cup.factor) };
+}
+
+function bestUsMass(g) {
+  if (g >= UNITS.lb.factor) return { unit: "lb", quantity: roundToKitchenFraction(g / UNITS.lb.factor) };
+  return { unit: "oz", quantity: roundToKitchenFraction(g / UNITS.oz.factor) };
+}
+
+/**
+ * Expresses a quantity in a unit system.
+ *  - metric: g/kg and ml/l; spoon measures stay spoons (that's how metric recipes write them too);
+ *            cups of something with a known density become grams.
+ *  - us:     cups/tbsp/tsp for volume and for weighed ingredients with a known density, else oz/lb.
+ */
+export function toUnitSystem({ quantity, unit, name }, system) {
+  const { unit: canon, kind } = normalizeUnit(unit);
+  if (quantity == null || kind === "count") {
+    return { quantity: quantity == null ? null : roundCount(quantity), unit };
+  }
+  const base = quantity * UNITS[canon].factor;
+  const density = densityFor(name);
+
+  if (system === "metric") {
+    if (kind === "volume" && (canon === "tsp" || canon === "tbsp")) return { quantity: roundToKitchenFraction(quantity), unit: canon };
+    if (kind === "volume" && density && !["ml", "cl", "dl", "l"].includes(canon)) return bestMetric("mass", base * density);
+    return bestMetric(kind, base);
+  }
+
+  if (kind === "volume") return bestUsVolume(base);
+  if (density) return bestUsVolume(base / density);
+  return bestUsMass(base);
+}
+
+/** Rounds a quantity in its own unit (metric steps, kitchen fractions or whole pieces); unit spelling is normalized. */
+export function roundQuantity(quantity, unit) {
+  const { unit: canon, kind } = normalizeUnit(unit);
+  const out = { quantity: null, unit: kind === "count" ? unit : canon };
+  if (quantity == null) return out;
+  if (kind === "count") out.quantity = roundCount(quantity);
+  else if (["g", "mg", "ml"].includes(canon)) out.quantity = roundMetric(quantity);
+  else if (["kg", "cl", "dl", "l"].includes(canon)) out.quantity = Math.round(quantity * 100) / 100;
+  else out.quantity = roundToKitchenFraction(quantity);
+  return out;
+}
+
+/** Human-readable quantity for display: fractions for US/spoon/count units, decimals for metric. */
+export function formatQuantity(quantity, unit) {
+  if (quantity == null) return "";
+  const { unit: canon, kind } = normalizeUnit(unit);
+  const metric = ["g", "kg", "mg", "ml", "cl", "dl", "l"].includes(canon);
+  const q = metric ? String(quantity) : formatFraction(quantity);
+  if (kind === "count") return unit ? `${q} ${unit}` : q;
+  const label = canon === "fl_oz" ? "fl oz" : canon === "cup" && quantity > 1 ? "cups" : canon;
+  return `${q} ${label}`;
+}
+
+/**
+ * Scales a recipe and optionally converts it to a unit system ("metric" | "us").
+ * Ingredient names (including their emoji prefix) are kept as-is; the original
+ * quantity/unit is preserved under `original`.
+ */
+export function scaleRecipe(recipe, { factor = 1, servings = null, units = null } = {}) {
+  const ingredients = (recipe.ingredients || []).map(ing => {
+    const scaled = ing.quantity == null ? null : ing.quantity * factor;
+    let out;
+    if (units) out = toUnitSystem({ quantity: scaled, unit: ing.unit, name: ing.name }, units);
+    else out = roundQuantity(scaled, ing.unit);
+    return {
+      ...ing,
+      quantity: out.quantity,
+      unit: out.unit,
+      display: [formatQuantity(out.quantity, out.unit), ing.name].filter(Boolean).join(" "),
+      original: { quantity: ing.quantity, unit: ing.unit }
+    };
+  });
+
+  return {
+    ...recipe,
+    servings: servings ?? (recipe.servings != null ? recipe.servings * factor : null),
+    ingredients
+  };
+}
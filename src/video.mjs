@@ -1,6 +1,7 @@
 import { execFile } from "node:child_process";
 import { promisify } from "node:util";
 import path from "node:path";
+import fs from "node:fs";
 
 const pExec = promisify(execFile);
 
@@ -12,4 +13,143 @@ export async function downscaleForGemini(inputPath) {
 
   await pExec("ffmpeg", ["-y", "-i", inputPath, "-vf", vf, "-c:v", "libx264", "-preset", "veryfast", "-crf", "28", "-an", out]);
   return out;
-}
\ No newline at end of file
+}
+
+// --- stills: cover, keyframes, contact sheet ---
+export const MEDIA_SIZES = (process.env.MEDIA_SIZES || "320,640,1280")
+  .split(",").map(Number).filter(n => n > 0).sort((a, b) => a - b);
+const KEYFRAMES = Number(process.env.MEDIA_KEYFRAMES || 8);
+const KEYFRAME_MODE = (process.env.MEDIA_KEYFRAME_MODE || "interval").toLowerCase(); // interval | scene
+const SCENE_THRESHOLD = Number(process.env.MEDIA_SCENE_THRESHOLD || 0.3);
+const WEBP_QUALITY = Number(process.env.MEDIA_WEBP_QUALITY || 80);
+const SHEET_COLUMNS = 4;
+const SHEET_ROWS = 4;
+const SHEET_TILE_W = 320;
+
+/** { duration_sec, width, height } of the first video stream */
+export async function probeVideo(inputPath) {
+  const { stdout } = await pExec("ffprobe", [
+    "-v", "error", "-select_streams", "v:0",
+    "-show_entries", "stream=width,height:format=duration",
+    "-of", "json", inputPath
+  ]);
+  const info = JSON.parse(stdout);
+  const stream = info.streams?.[0] || {};
+  return { duration_sec: Number(info.format?.duration) || 0, width: stream.width || null, height: stream.height || null };
+}
+
+// sizes never upscale: a 480 px wide video gets 320 and 480, not 640/1280
+function targetWidths(srcWidth) {
+  if (!srcWidth) return MEDIA_SIZES;
+  const widths = MEDIA_SIZES.filter(w => w < srcWidth);
+  return widths.length < MEDIA_SIZES.length ? [...widths, srcWidth] : widths;
+}
+
+/** variant whose width is closest to `width` (ties go to the larger one) */
+export function pickVariant(variants, width) {
+  if (!variants?.length) return null;
+  return [...variants].sort((a, b) => Math.abs(a.width - width) - Math.abs(b.width - width) || b.width - a.width)[0];
+}
+
+const heightFor = (w, src) => (src.width && src.height ? Math.round((src.height * w) / src.width / 2) * 2 : null);
+
+/**
+ * One frame (or image) -> WebP in every target width with a single ffmpeg run.
+ * `seekSec` null means the input is a still image. Returns [{ width, height, file }].
+ */
+async function writeWebpVariants(inputPath, seekSec, outBase, src) {
+  const widths = targetWidths(src.width);
+  const split = `[0:v]split=${widths.length}${widths.map((_, i) => `[s${i}]`).join("")}`;
+  const scales = widths.map((w, i) => `[s${i}]scale=${w}:-2[o${i}]`);
+  const args = ["-y", "-v", "error"];
+  if (seekSec != null) args.push("-ss", String(Math.max(0, seekSec).toFixed(3)));
+  args.push("-i", inputPath, "-filter_complex", [split, ...scales].join(";"));
+  const out = [];
+  widths.forEach((w, i) => {
+    const file = `${outBase}_${w}.webp`;
+    args.push("-map", `[o${i}]`, "-frames:v", "1", "-c:v", "libwebp", "-quality", String(WEBP_QUALITY), file);
+    out.push({ width: w, height: heightFor(w, src), file });
+  });
+  await pExec("ffmpeg", args);
+  return out;
+}
+
+/** Timestamps where the picture changes (ffmpeg scene score), at most `max`, at least 1 s apart. */
+async function sceneChangeTimes(inputPath, max) {
+  const { stderr } = await pExec("ffmpeg", [
+    "-v", "info", "-i", inputPath,
+    "-vf", `select='gt(scene,${SCENE_THRESHOLD})',showinfo`, "-an", "-f", "null", "-"
+  ], { maxBuffer: 1024 * 1024 * 20 });
+  const times = [...stderr.matchAll(/pts_time:([\d.]+)/g)].map(m => Number(m[1]));
+  const spaced = [];
+  for (const t of times) if (!spaced.length || t - spaced[spaced.length - 1] >= 1) spaced.push(t);
+  if (spaced.length <= max) return spaced;
+  // keep an even spread of the detected cuts
+  return Array.from({ length: max }, (_, i) => spaced[Math.floor((i * spaced.length) / max)]);
+}
+
+const evenTimes = (duration, n) => Array.from({ length: n }, (_, i) => (duration * (i + 0.5)) / n);
+
+/**
+ * Cover image, keyframes and a contact sheet for a video, as WebP files in `outDir`:
+ *   cover_<w>.webp, frame_<nn>_<w>.webp, contact_sheet_<w>.webp
+ * The cover is ffmpeg's most representative frame (`thumbnail` filter) from the first third.
+ * Keyframes are evenly spaced, or at scene changes with MEDIA_KEYFRAME_MODE=scene (falling
+ * back to even spacing for videos with too few cuts).
+ * -> { duration_sec, width, height, mode, cover, keyframes: [{ index, time_sec, variants }], contact_sheet }
+ */
+export async function generateVideoStills(inputPath, outDir, { keyframes = KEYFRAMES, mode = KEYFRAME_MODE } = {}) {
+  await fs.promises.mkdir(outDir, { recursive: true });
+  const src = await probeVideo(inputPath);
+  const duration = src.duration_sec;
+
+  // cover: pick a representative frame, then scale it like every other still
+  const coverPng = path.join(outDir, "cover.png");
+  await pExec("ffmpeg", [
+    "-y", "-v", "error", "-t", String(Math.max(1, duration / 3).toFixed(3)), "-i", inputPath,
+    "-vf", "thumbnail=100", "-frames:v", "1", coverPng
+  ]);
+  const cover = { variants: await writeWebpVariants(coverPng, null, path.join(outDir, "cover"), src) };
+  await fs.promises.rm(coverPng, { force: true });
+
+  let times = [];
+  let usedMode = "interval";
+  if (mode === "scene" && duration > 0) {
+    times = await sceneChangeTimes(inputPath, keyframes);
+    if (times.length >= Math.min(3, keyframes)) usedMode = "scene";
+  }
+  if (usedMode === "interval") times = duration > 0 ? evenTimes(duration, keyframes) : [0];
+
+  const frames = [];
+  for (const [i, t] of times.entries()) {
+    const base = path.join(outDir, `frame_${String(i + 1).padStart(2, "0")}`);
+    frames.push({ index: i + 1, time_sec: Math.round(t * 100) / 100, variants: await writeWebpVariants(inputPath, t, base, src) });
+  }
+
+  // contact sheet: SHEET_COLUMNS x SHEET_ROWS evenly spaced tiles
+  const tiles = SHEET_COLUMNS * SHEET_ROWS;
+  const sheetW = SHEET_COLUMNS * SHEET_TILE_W;
+  const sheetFile = path.join(outDir, `contact_sheet_${sheetW}.webp`);
+  const fps = duration > 0 ? tiles / duration : 1;
+  await pExec("ffmpeg", [
+    "-y", "-v", "error", "-i", inputPath,
+    "-vf", `fps=${fps.toFixed(6)},scale=${SHEET_TILE_W}:-2,tile=${SHEET_COLUMNS}x${SHEET_ROWS}`,
+    "-frames:v", "1", "-c:v", "libwebp", "-quality", String(WEBP_QUALITY), sheetFile
+  ]);
+  const tileH = heightFor(SHEET_TILE_W, src);
+  const contact_sheet = {
+    columns: SHEET_COLUMNS,
+    rows: SHEET_ROWS,
+    times: evenTimes(duration, tiles).map(t => Math.round(t * 100) / 100),
+    variants: [{ width: sheetW, height: tileH ? tileH * SHEET_ROWS : null, file: sheetFile }]
+  };
+
+  return { duration_sec: duration, width: src.width, height: src.height, mode: usedMode, cover, keyframes: frames, contact_sheet };
+}
+
+/** Cover variants from a still image (web pages, or posts without a downloaded video). */
+export async function generateImageCover(imagePath, outDir) {
+  await fs.promises.mkdir(outDir, { recursive: true });
+  const src = await probeVideo(imagePath); // ffprobe reports width/height for images too
+  return { width: src.width, height: src.height, cover: { variants: await writeWebpVariants(imagePath, null, path.join(outDir, "cover"), src) } };
+}
@@ -0,0 +1,220 @@
+import crypto from "node:crypto";
+import net from "node:net";
+import http from "node:http";
+import https from "node:https";
+import { v4 as uuidv4 } from "uuid";
+import { pool } from "./db.mjs";
+import { hostnameAllowed } from "./scraper.mjs";
+import { isPrivateAddress, publicLookup, hostError } from "./netguard.mjs";
+
+// --- config ---
+// Webhooks tell clients that aren't open that a job finished or an item changed. Events are
+// written to webhook_deliveries where they happen (worker, API); the worker sends them.
+export const WEBHOOK_EVENTS = ["job.done", "job.error", "item.updated", "collection.item_added"];
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+// failed attempts wait RETRY_BASE_SECONDS * 2^(attempt-1), capped at RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30);
+const RETRY_MAX_SECONDS = Number(process.env.WEBHOOK_RETRY_MAX_SECONDS || 6 * 3600);
+// a delivery still locked after this long belonged to a worker that died mid-request
+const LOCK_SECONDS = Math.ceil(TIMEOUT_MS / 1000) + 30;
+const USER_AGENT = "recallr-webhooks/1.0";
+// bytes of the receiver's response kept in webhook_deliveries.response_body
+const RESPONSE_BYTES = 1000;
+// webhook hosts (and their subdomains) users may register; empty = any public host
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+// local development only: lets webhooks reach localhost and private networks
+const ALLOW_PRIVATE = String(process.env.WEBHOOK_ALLOW_PRIVATE || "false").toLowerCase() === "true";
+
+export const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+/**
+ * X-Recallr-Signature: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`. Receivers
+ * recompute it over the raw body and reject old timestamps, so a captured request can't be replayed.
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const sig = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${sig}`;
+}
+
+// --- target addresses ---
+// The worker POSTs to user-supplied URLs and stores what comes back (see netguard.mjs).
+const isBlockedAddress = (address) => !ALLOW_PRIVATE && isPrivateAddress(address);
+
+/** -> null when `url`'s host may receive webhooks, else the reason */
+async function targetError(u) {
+  if (ALLOWED_HOSTS.length && !hostnameAllowed(u.toString(), ALLOWED_HOSTS)) return `Host not allowed (use: ${ALLOWED_HOSTS.join(", ")})`;
+  return ALLOW_PRIVATE ? null : hostError(u.hostname);
+}
+
+// --- validation (API) ---
+/** Checks the URL and that its host resolves to public addresses only -> { url } or { error } for a 400 */
+export async function parseWebhookUrl(url) {
+  let u;
+  try { u = new URL(String(url)); } catch { return { error: "url must be an absolute http(s) URL" }; }
+  if (!/^https?:$/.test(u.protocol)) return { error: "url must be an absolute http(s) URL" };
+  if (u.username || u.password) return { error: "url must not contain credentials" };
+  const error = await targetError(u);
+  if (error) return { error: `url: ${error}` };
+  return { url: u.toString() };
+}
+
+/** -> { events } (deduplicated, known names only) or { error } for a 400 */
+export function parseWebhookEvents(events) {
+  if (!Array.isArray(events) || !events.length) return { error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}` };
+  const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) return { error: `Unknown events: ${unknown.join(", ")} (use: ${WEBHOOK_EVENTS.join(", ")})` };
+  return { events: [...new Set(events)] };
+}
+
+// --- emitting ---
+/**
+ * Queues `event` for every enabled webhook of `userIds` that subscribed to it. The payload
+ * ({ id, event, created_at, data }) is the same for all of them; `id` identifies the event
+ * across retries and replays. Pass `client` to queue inside a transaction.
+ * -> number of deliveries queued
+ */
+export async function emitWebhookEvent(userIds, event, data, { client = pool } = {}) {
+  const users = [...new Set([userIds].flat().filter(Boolean))];
+  if (!users.length) return 0;
+  const { rows } = await client.query(
+    "SELECT id FROM webhooks WHERE user_id = ANY($1::uuid[]) AND enabled AND $2 = ANY(events)",
+    [users, event]
+  );
+  if (!rows.length) return 0;
+  const payload = { id: uuidv4(), event, created_at: new Date().toISOString(), data };
+  for (const hook of rows) {
+    await client.query(
+      "INSERT INTO webhook_deliveries (id, webhook_id, event, payload) VALUES ($1,$2,$3,$4)",
+      [uuidv4(), hook.id, event, payload]
+    );
+  }
+  return rows.length;
+}
+
+/** Queues a delivery again as a new row (`replay_of` points at the original) -> the new row */
+export async function replayWebhookDelivery(delivery) {
+  const { rows } = await pool.query(`
+    INSERT INTO webhook_deliveries (id, webhook_id, event, payload, replay_of)
+    VALUES ($1,$2,$3,$4,$5)
+    RETURNING *
+  `, [uuidv4(), delivery.webhook_id, delivery.event, delivery.payload, delivery.id]);
+  return rows[0];
+}
+
+// --- delivering (worker) ---
+/** Claims the most overdue pending delivery (locks it for one attempt), or null. */
+export async function claimDueDelivery() {
+  const { rows } = await pool.query(`
+    WITH picked AS (
+      SELECT id
+      FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= now()
+        AND (locked_until IS NULL OR locked_until < now())
+      ORDER BY next_attempt_at
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    UPDATE webhook_deliveries d
+    SET locked_until = now() + make_interval(secs => $1), updated_at = now()
+    FROM picked
+    WHERE d.id = picked.id
+    RETURNING d.*
+  `, [LOCK_SECONDS]);
+  return rows[0] || null;
+}
+
+/** seconds to wait before the next try after `failures` failed attempts */
+function retryDelaySeconds(failures) {
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** Math.max(0, failures - 1));
+}
+
+/**
+ * POSTs `body` without following redirects; the address is checked again on connect.
+ * -> { status, body } (the first RESPONSE_BYTES of it)
+ */
+async function postWebhook(url, headers, body) {
+  const u = new URL(url);
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  // IP literals never go through `lookup`
+  if (net.isIP(host) && isBlockedAddress(host)) throw new Error(`${host} is not a public address`);
+  if (ALLOWED_HOSTS.length && !hostnameAllowed(url, ALLOWED_HOSTS)) throw new Error("Host not allowed");
+
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      ...(ALLOW_PRIVATE ? {} : { lookup: publicLookup })
+    }, (res) => {
+      const chunks = [];
+      let size = 0;
+      res.on("data", (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= RESPONSE_BYTES) res.destroy();
+      });
+      res.on("close", () => {
+        clearTimeout(timer);
+        resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString("utf8").slice(0, RESPONSE_BYTES) });
+      });
+    });
+    const timer = setTimeout(() => req.destroy(new Error(`Timed out after ${TIMEOUT_MS} ms`)), TIMEOUT_MS);
+    req.on("error", (e) => { clearTimeout(timer); reject(e); });
+    req.end(body);
+  });
+}
+
+/**
+ * One attempt at a claimed delivery: POSTs the signed payload and records the response.
+ * Any 2xx delivers it; otherwise it is retried with backoff until WEBHOOK_MAX_ATTEMPTS,
+ * then `failed` (replayable). Redirects are not followed, and hosts that resolve to private
+ * addresses (see netguard.mjs) fail the attempt.
+ * -> { status, attempts, response_status, error }
+ */
+export async function deliverWebhook(delivery) {
+  const { rows } = await pool.query("SELECT url, secret, enabled FROM webhooks WHERE id=$1", [delivery.webhook_id]);
+  const hook = rows[0];
+  const attempts = hook?.enabled ? delivery.attempts + 1 : delivery.attempts;
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  const t0 = Date.now();
+
+  if (!hook?.enabled) {
+    error = "Webhook disabled";
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      const r = await postWebhook(hook.url, {
+        "Content-Type": "application/json",
+        "User-Agent": USER_AGENT,
+        "X-Recallr-Event": delivery.event,
+        "X-Recallr-Delivery": delivery.id,
+        "X-Recallr-Signature": signPayload(hook.secret, body)
+      }, body);
+      responseStatus = r.status;
+      responseBody = r.body || null;
+      if (r.status < 200 || r.status >= 300) error = `HTTP ${r.status}`;
+    } catch (e) {
+      error = e?.message || String(e);
+    }
+  }
+
+  // a disabled webhook won't come back by retrying; it can be replayed once enabled
+  const status = !error ? "delivered" : (!hook?.enabled || attempts >= MAX_ATTEMPTS ? "failed" : "pending");
+  await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = $2,
+        attempts = $3,
+        response_status = $4,
+        response_body = $5,
+        error = LEFT($6, 1000),
+        duration_ms = $7,
+        locked_until = NULL,
+        next_attempt_at = CASE WHEN $2 = 'pending' THEN now() + make_interval(secs => $8) ELSE next_attempt_at END,
+        delivered_at = CASE WHEN $2 = 'delivered' THEN now() ELSE delivered_at END,
+        updated_at = now()
+    WHERE id = $1
+  `, [delivery.id, status, attempts, responseStatus, responseBody, error, Date.now() - t0, retryDelaySeconds(attempts)]);
+  return { status, attempts, response_status: responseStatus, error };
+}
@@ -0,0 +1,323 @@
+import crypto from "node:crypto";
+import * as cheerio from "cheerio";
+import { parseQuantity } from "./schemas.mjs";
+import { normalizeUnit } from "./units.mjs";
+import { getPublic, readCapped } from "./netguard.mjs";
+
+// --- config ---
+const WEB_USER_AGENT = process.env.WEB_USER_AGENT
+  || "Mozilla/5.0 (compatible; recallr/1.0; +https://github.com/eliasantony/recallr-api)";
+const WEB_FETCH_TIMEOUT_MS = Number(process.env.WEB_FETCH_TIMEOUT_MS || 20000);
+const WEB_MAX_BYTES = Number(process.env.WEB_MAX_BYTES || 5 * 1024 * 1024);
+const PAGE_TEXT_MAX = 20000;
+
+// --- fetch ---
+/**
+ * GET an HTML page from a public address (redirects checked hop by hop, see netguard.mjs);
+ * returns { html, finalUrl } or throws on non-HTML / too large responses.
+ */
+export async function fetchHtml(url) {
+  const r = await getPublic(url, {
+    headers: { "User-Agent": WEB_USER_AGENT, Accept: "text/html,application/xhtml+xml" },
+    signal: AbortSignal.timeout(WEB_FETCH_TIMEOUT_MS)
+  });
+  if (r.statusCode < 200 || r.statusCode >= 300) { r.destroy(); throw new Error(`page HTTP ${r.statusCode}`); }
+  const type = r.headers["content-type"] || "";
+  if (!/html|xml/i.test(type)) { r.destroy(); throw new Error(`Not an HTML page (${type || "unknown content type"})`); }
+  if (Number(r.headers["content-length"] || 0) > WEB_MAX_BYTES) { r.destroy(); throw new Error("Page too large"); }
+  // read the body in chunks so a page without (or lying about) Content-Length stops at the limit
+  const body = await readCapped(r, WEB_MAX_BYTES);
+  if (!body) throw new Error("Page too large");
+  return { html: body.toString("utf8"), finalUrl: r.url };
+}
+
+// --- schema.org helpers ---
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+function hasType(node, type) {
+  return asArray(node?.["@type"]).some(t => String(t).replace(/^.*[/#]/, "") === type);
+}
+
+// strips tags/entities that some sites leave inside JSON-LD strings
+function plainText(s) {
+  if (s == null) return "";
+  const str = String(s);
+  const text = /[<&]/.test(str) ? cheerio.load(`<div>${str}</div>`)("div").text() : str;
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function firstText(v) {
+  for (const x of asArray(v)) {
+    const s = typeof x === "object" ? (x?.name ?? x?.["@value"] ?? x?.text) : x;
+    if (s) return plainText(s);
+  }
+  return null;
+}
+
+function imageUrl(v) {
+  for (const x of asArray(v)) {
+    const u = typeof x === "string" ? x : (x?.url || x?.contentUrl || x?.["@id"]);
+    if (u && /^https?:\/\//.test(u)) return u;
+  }
+  return null;
+}
+
+/** "PT1H30M" / "P0DT0H45M" / "45 min" -> minutes (null when unreadable) */
+export function parseDurationMinutes(v) {
+  if (v == null || v === "") return null;
+  const s = String(Array.isArray(v) ? v[0] : v).trim();
+  const iso = s.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (iso) {
+    const [, d, h, m, sec] = iso.map(x => Number(x || 0));
+    const total = d * 1440 + h * 60 + m + Math.round(sec / 60);
+    return total > 0 ? total : null;
+  }
+  return parseQuantity(s, { minutes: true });
+}
+
+// --- ingredient lines ---
+const FRACTIONS = "¼½¾⅓⅔⅛⅜⅝⅞";
+const QTY = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?\\s*[${FRACTIONS}]?|[${FRACTIONS}])`;
+const LEADING_QTY = new RegExp(`^(${QTY}(?:\\s*(?:-|–|to|bis)\\s*${QTY})?)\\s*`, "i");
+// count-ish units we keep as the unit instead of folding them into the name
+const PIECE_UNITS = new Set(["can", "cans", "clove", "cloves", "pinch", "pinches", "slice", "slices", "piece", "pieces", "bunch", "bunches", "sprig", "sprigs", "handful", "handfuls", "stick", "sticks", "package", "packages", "pkg", "dash", "dashes", "prise", "bund", "stück", "zehe", "zehen", "dose", "dosen", "scheibe", "scheiben", "packung", "päckchen"]);
+
+/**
+ * "2 1/2 cups all-purpose flour, sifted" -> { name: "all-purpose flour", quantity: 2.5, unit: "cup", notes: "sifted" }
+ * "1 (14 oz) can tomatoes" keeps "14 oz" in notes; lines without a number keep quantity null.
+ */
+export function parseIngredientLine(line) {
+  let s = plainText(line).replace(/^[-•*▢□]\s*/, "");
+  let quantity = null;
+  let unit = null;
+  const notes = [];
+
+  const q = s.match(LEADING_QTY);
+  if (q) {
+    quantity = parseQuantity(q[1]);
+    s = s.slice(q[0].length);
+  }
+
+  // "(14 oz)" right after the number
+  const paren = s.match(/^\(([^)]*)\)\s*/);
+  if (paren) { notes.push(paren[1].trim()); s = s.slice(paren[0].length); }
+
+  if (quantity != null) {
+    const two = s.match(/^([\p{L}.]+\s+[\p{L}.]+)\b\.?\s*/u);
+    const one = s.match(/^([\p{L}]+)\.?(?=[\s,]|$)\s*/u);
+    if (two && normalizeUnit(two[1]).kind !== "count") { unit = normalizeUnit(two[1]).unit; s = s.slice(two[0].length); }
+    else if (one && normalizeUnit(one[1]).kind !== "count") { unit = normalizeUnit(one[1]).unit; s = s.slice(one[0].length); }
+    else if (one && PIECE_UNITS.has(one[1].toLowerCase())) { unit = one[1].toLowerCase(); s = s.slice(one[0].length); }
+  }
+  s = s.replace(/^of\s+/i, "");
+
+  const comma = s.indexOf(",");
+  if (comma > 0) { notes.push(s.slice(comma + 1).trim()); s = s.slice(0, comma); }
+  const trailingParen = s.match(/\s*\(([^)]*)\)\s*$/);
+  if (trailingParen) { notes.push(trailingParen[1].trim()); s = s.slice(0, trailingParen.index); }
+
+  return { name: s.trim() || plainText(line), quantity, unit, notes: notes.filter(Boolean).join("; ") || null };
+}
+
+// --- instructions ---
+function instructionTexts(v) {
+  const out = [];
+  const walk = (node) => {
+    if (node == null) return;
+    if (typeof node === "string") {
+      for (const part of node.split(/\n+|<\/?(?:p|li|br)[^>]*>/i)) {
+        const t = plainText(part.replace(/^\s*\d+[.)]\s+/, ""));
+        if (t) out.push({ text: t, minutes: null });
+      }
+      return;
+    }
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (hasType(node, "HowToSection") || node.itemListElement) return walk(node.itemListElement);
+    const t = plainText(node.text || node.name || node.description);
+    if (t) out.push({ text: t, minutes: parseDurationMinutes(node.performTime || node.totalTime) });
+  };
+  walk(v);
+  return out;
+}
+
+// --- schema.org Recipe -> our recipe shape ---
+/** Maps a schema.org Recipe node (JSON-LD or microdata) to the shape the LLM extractor produces. */
+export function schemaRecipeToRecipe(node, meta) {
+  const ingredients = [...asArray(node.recipeIngredient), ...asArray(node.ingredients)]
+    .flatMap(i => (typeof i === "string" ? i.split(/\n+/) : [firstText(i)]))
+    .map(i => plainText(i))
+    .filter(Boolean)
+    .map(parseIngredientLine);
+
+  const steps = instructionTexts(node.recipeInstructions)
+    .map((s, idx) => ({ index: idx + 1, instruction: s.text, timer_minutes: s.minutes }));
+
+  const total = parseDurationMinutes(node.totalTime)
+    ?? (((parseDurationMinutes(node.prepTime) || 0) + (parseDurationMinutes(node.cookTime) || 0)) || null);
+  const servings = asArray(node.recipeYield).map(y => parseQuantity(typeof y === "object" ? y?.value ?? y?.name : y)).find(n => n > 0) ?? null;
+
+  const tags = [];
+  for (const v of [node.keywords, node.recipeCategory, node.recipeCuisine]) {
+    for (const t of asArray(v).flatMap(x => String(x).split(","))) {
+      const tag = plainText(t).toLowerCase();
+      if (tag && !tags.includes(tag)) tags.push(tag);
+    }
+  }
+
+  const fromPage = { source: "page", confidence: 0.9 };
+  return {
+    recipe_id: `${meta.platform}:${meta.post_id}`,
+    source: { platform: meta.platform, url: meta.url, post_id: meta.post_id },
+    title: firstText(node.name) || meta.title || "Untitled recipe",
+    author: firstText(node.author) || meta.author?.name || null,
+    servings,
+    total_time_minutes: total,
+    ingredients,
+    steps,
+    tags: tags.slice(0, 20),
+    confidence: { ingredients: ingredients.length ? 0.9 : 0, steps: steps.length ? 0.9 : 0, servings: servings ? 0.9 : 0, time: total ? 0.9 : 0 },
+    provenance: {
+      servings: servings ? fromPage : { source: null, confidence: null },
+      total_time_minutes: total ? fromPage : { source: null, confidence: null }
+    },
+    flags: { has_inferred_values: false }
+  };
+}
+
+// --- JSON-LD ---
+function findRecipeNodes(node, out = []) {
+  if (!node || typeof node !== "object") return out;
+  if (Array.isArray(node)) { node.forEach(n => findRecipeNodes(n, out)); return out; }
+  if (hasType(node, "Recipe")) out.push(node);
+  for (const key of ["@graph", "mainEntity", "mainEntityOfPage", "itemListElement", "item"]) {
+    if (node[key] && typeof node[key] === "object") findRecipeNodes(node[key], out);
+  }
+  return out;
+}
+
+export function parseJsonLdRecipe($) {
+  for (const el of $('script[type="application/ld+json"]').toArray()) {
+    const raw = $(el).contents().text().trim();
+    if (!raw) continue;
+    let doc;
+    try { doc = JSON.parse(raw); }
+    catch {
+      // stray control characters / trailing commas are common in hand-written blocks
+      try { doc = JSON.parse(raw.replace(/[\u0000-\u001f]+/g, " ").replace(/,\s*([}\]])/g, "$1")); } catch { continue; }
+    }
+    const [recipe] = findRecipeNodes(doc);
+    if (recipe) return recipe;
+  }
+  return null;
+}
+
+// --- microdata ---
+function microdataValue($, el) {
+  const $el = $(el);
+  return $el.attr("content") ?? $el.attr("datetime") ?? $el.attr("src") ?? $el.attr("href") ?? $el.text();
+}
+
+export function parseMicrodataRecipe($) {
+  const scope = $('[itemscope][itemtype*="schema.org/Recipe"]').first();
+  if (!scope.length) return null;
+  const props = {};
+  scope.find("[itemprop]").each((_, el) => {
+    // properties of nested items (author Person, HowToStep, ...) belong to those items
+    if ($(el).parent().closest("[itemscope]")[0] !== scope[0]) return;
+    const value = $(el).is("[itemscope]")
+      ? plainText($(el).find('[itemprop="text"], [itemprop="name"]').first().text() || $(el).text())
+      : microdataValue($, el);
+    for (const name of String($(el).attr("itemprop")).split(/\s+/)) (props[name] ||= []).push(value);
+  });
+  if (!props.name && !props.recipeIngredient && !props.ingredients) return null;
+  return { "@type": "Recipe", ...props };
+}
+
+// --- readable text (fallback for the LLM) ---
+const NOISE = "script, style, noscript, template, nav, header, footer, aside, form, iframe, svg, button, .comments, #comments, .sidebar, .share, .social, .advertisement, .ad, [aria-hidden=true]";
+const CONTENT_CANDIDATES = ["[itemprop=recipeInstructions]", ".wprm-recipe", ".tasty-recipes", ".recipe", "article", "[role=main]", "main", ".entry-content", ".post-content", "#content"];
+
+/** Readability-style main text: drops chrome, picks the densest content container, keeps line breaks. */
+export function readableText($) {
+  const $$ = cheerio.load($.html());
+  $$(NOISE).remove();
+  let root = null;
+  let best = 0;
+  for (const sel of CONTENT_CANDIDATES) {
+    $$(sel).each((_, el) => {
+      const len = $$(el).text().replace(/\s+/g, " ").length;
+      if (len > best) { best = len; root = $$(el); }
+    });
+    if (root && best > 500) break;
+  }
+  root = root || $$("body");
+  root.find("br").replaceWith("\n");
+  root.find("p, li, h1, h2, h3, h4, h5, h6, tr, div, section").each((_, el) => { $$(el).append("\n"); });
+  const lines = root.text().split("\n").map(l => l.replace(/\s+/g, " ").trim()).filter(Boolean);
+  const out = lines.filter((l, i) => l !== lines[i - 1]).join("\n");
+  return out.length > PAGE_TEXT_MAX ? out.slice(0, PAGE_TEXT_MAX) : out;
+}
+
+// --- page -> meta ---
+function metaContent($, ...names) {
+  for (const n of names) {
+    const v = $(`meta[property="${n}"]`).attr("content") || $(`meta[name="${n}"]`).attr("content");
+    if (v && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+// tracking parameters and fragments don't make a different page
+function cleanPageUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = "";
+    for (const k of [...u.searchParams.keys()]) {
+      if (/^(utm_|fbclid$|gclid$|mc_|ref$)/i.test(k)) u.searchParams.delete(k);
+    }
+    return u.toString();
+  } catch { return url; }
+}
+
+export function webPostId(url) {
+  const host = new URL(url).hostname.replace(/^www\./, "").replace(/[^a-z0-9]+/gi, "-");
+  return `${host}-${crypto.createHash("sha1").update(url).digest("hex").slice(0, 12)}`;
+}
+
+/**
+ * parseRecipePage(html, url) -> { meta, recipe, source }
+ * Pure (no network/filesystem), so saved HTML pages work as fixtures.
+ * `recipe` comes from JSON-LD or microdata (`source` tells which) and is null when the
+ * page has neither; `meta.page_text` then carries the readable text for the LLM.
+ */
+export function parseRecipePage(html, url) {
+  const $ = cheerio.load(html);
+  const canonical = $('link[rel="canonical"]').attr("href") || metaContent($, "og:url");
+  let pageUrl = cleanPageUrl(url);
+  try { if (canonical) pageUrl = cleanPageUrl(new URL(canonical, url).toString()); } catch {}
+
+  let node = parseJsonLdRecipe($);
+  let source = node ? "jsonld" : null;
+  if (!node) { node = parseMicrodataRecipe($); source = node ? "microdata" : null; }
+
+  const image = imageUrl(node?.image) || metaContent($, "og:image", "twitter:image");
+  const published = firstText(node?.datePublished) || metaContent($, "article:published_time", "datePublished");
+  const publishedAt = published && !Number.isNaN(Date.parse(published)) ? new Date(published).toISOString() : null;
+
+  const meta = {
+    platform: "web",
+    url: pageUrl,
+    post_id: webPostId(pageUrl),
+    title: firstText(node?.name) || metaContent($, "og:title", "twitter:title") || plainText($("title").first().text()) || null,
+    caption: plainText(node?.description) || metaContent($, "og:description", "description", "twitter:description"),
+    author: { name: firstText(node?.author) || metaContent($, "author", "article:author") || null, id: null },
+    published_at: publishedAt,
+    stats: { views: null, likes: null, comments: null },
+    duration_sec: null,
+    site_name: metaContent($, "og:site_name"),
+    page_text: node ? null : readableText($),
+    raw: { extractor: "webrecipe", structured: source, thumbnails: image ? [{ url: image }] : [] }
+  };
+
+  return { meta, recipe: node ? schemaRecipeToRecipe(node, meta) : null, source };
+}
@@ -2,19 +2,32 @@ import "dotenv/config";
 import { withTx, pool } from "./db.mjs";
 import { runPipeline, toPgVectorLiteral, EMBED_DIM } from "./pipeline.mjs";
 // import extract if it lives elsewhere
-import { extract } from './scraper.mjs'
+import { extract, bestThumbnailUrl } from './scraper.mjs'
+import { createStageTracker, recordJobEvent } from "./progress.mjs";
+import { migrateOnBoot } from "./migrator.mjs";
+import { pickVariant } from "./video.mjs";
+import { claimDueSource, syncSource } from "./sources.mjs";
+import { canonicalUrl, itemIdFor } from "./canonical.mjs";
+import { compareFingerprints, durationRange } from "./fingerprint.mjs";
+import { emitWebhookEvent, claimDueDelivery, deliverWebhook } from "./webhooks.mjs";
+import { syncItemIngredients, backfillItemIngredients } from "./pantry.mjs";
+import { materializeItem } from "./collections.mjs";
 
 const WORKER_ID = process.env.WORKER_ID || `${process.pid}`;
 const LEASE_SECONDS = Number(process.env.LEASE_SECONDS || 120);  // lease window
 const HEARTBEAT_EVERY_MS = Number(process.env.HEARTBEAT_EVERY_MS || 15000);
+const COVER_THUMB_WIDTH = 640; // cover variant used as the item thumbnail
+// failed attempts wait RETRY_BASE_SECONDS * 2^(attempt-1), capped at RETRY_MAX_SECONDS
+const RETRY_BASE_SECONDS = Number(process.env.RETRY_BASE_SECONDS || 30);
+const RETRY_MAX_SECONDS = Number(process.env.RETRY_MAX_SECONDS || 3600);
+// how often the worker looks for followed sources that are due (see sources.mjs)
+const SOURCE_SYNC_EVERY_MS = Number(process.env.SOURCE_SYNC_EVERY_MS || 60000);
+// how often the worker sends due webhook deliveries (see webhooks.mjs)
+const WEBHOOK_DELIVERY_EVERY_MS = Number(process.env.WEBHOOK_DELIVERY_EVERY_MS || 5000);
 
-function pickThumb(meta) {
-  const thumbs = meta?.raw?.thumbnails || [];
-  if (!thumbs.length) return null;
-  const best = thumbs
-    .map(t => ({ ...t, w: t.width || 0 }))
-    .sort((a,b) => b.w - a.w)[0];
-  return best?.url || null;
+/** Queues a webhook event; losing one must not fail the job. */
+function webhookEvent(userIds, event, data) {
+  return emitWebhookEvent(userIds, event, data).catch(e => console.warn(`webhook event ${event} failed:`, e.message));
 }
 
 function buildSummary({ meta, analysis, recipe }) {
@@ -25,7 +38,7 @@ function buildSummary({ meta, analysis, recipe }) {
 }
 
 /**
- * Atomically claim one queued (or stale-running) job.
+ * Atomically claim one due queued (or stale-running) job, highest priority first.
  * Uses a CTE + SKIP LOCKED and sets a lease/heartbeat.
  */
 async function fetchNextJob() {
@@ -34,9 +47,9 @@ async function fetchNextJob() {
       SELECT id
       FROM jobs
       WHERE
-        status = 'queued'
+        (status = 'queued' AND run_after <= NOW())
         OR (status = 'running' AND (lease_expires_at IS NULL OR lease_expires_at < NOW()))
-      ORDER BY created_at
+      ORDER BY priority DESC, run_after, created_at
       FOR UPDATE SKIP LOCKED
       LIMIT 1
     )
@@ -53,18 +66,58 @@ async function fetchNextJob() {
   return rows[0] || null;
 }
 
-/** Heartbeat: extend lease & mark activity while working */
+/** Heartbeat: extend lease & mark activity while working. Returns true once a cancel was requested. */
 async function sendHeartbeat(jobId) {
-  await pool.query(`
+  const { rows } = await pool.query(`
     UPDATE jobs
     SET last_heartbeat_at = NOW(),
         lease_expires_at = NOW() + ($2 || ' seconds')::interval,
         updated_at = NOW()
     WHERE id = $1 AND status = 'running' AND lease_owner = $3
+    RETURNING cancel_requested_at
   `, [jobId, String(LEASE_SECONDS), WORKER_ID]);
+  return !!rows[0]?.cancel_requested_at;
+}
+
+/**
+ * Opens a job_attempts row for this pickup and returns its number. An attempt still
+ * "running" belonged to a worker whose lease expired, so it is closed first.
+ */
+async function startAttempt(jobId) {
+  return withTx(async (client) => {
+    await client.query(`
+      UPDATE job_attempts
+      SET status='error', error='lease expired', finished_at=NOW()
+      WHERE job_id=$1 AND status='running'
+    `, [jobId]);
+    const { rows } = await client.query(`
+      INSERT INTO job_attempts (job_id, attempt, worker_id, status)
+      SELECT $1, COALESCE(MAX(attempt), 0) + 1, $2, 'running' FROM job_attempts WHERE job_id=$1
+      RETURNING attempt
+    `, [jobId, WORKER_ID]);
+    return rows[0].attempt;
+  });
+}
+
+async function finishAttempt(jobId, attempt, status, { stage = null, error = null } = {}) {
+  await pool.query(`
+    UPDATE job_attempts
+    SET status=$3, stage=$4, error=LEFT($5, 1000), finished_at=NOW()
+    WHERE job_id=$1 AND attempt=$2
+  `, [jobId, attempt, status, stage, error]);
+}
+
+/** seconds to wait before the next try after `failures` failed attempts */
+function retryDelaySeconds(failures) {
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * 2 ** Math.max(0, failures - 1));
 }
 
-async function upsertItem({ meta, analysis, classification, recipe, embedding }) {
+/**
+ * Stores the pipeline result as an item (insert or update) and tells everyone who has it in
+ * their library, plus `userId` (the job owner, linked right after), through item.updated.
+ */
+async function upsertItem({ meta, analysis, classification, recipe, nutrition = null, diet = null, embedding, validation = {}, media = null, transcript = null, fingerprint = null, duplicate_of = null }, { userId = null } = {}) {
+  const itemId = itemIdFor(meta);
   const topics = Array.isArray(analysis?.topics)
     ? analysis.topics
     : (Array.isArray(classification?.topics) ? classification.topics : []);
@@ -72,28 +125,57 @@ async function upsertItem({ meta, analysis, classification, recipe, embedding })
     ? true
     : (classification?.content_type === "recipe");
 
-  const thumb = pickThumb(meta);
+  const thumb = bestThumbnailUrl(meta);
+  // items point at storage keys; the worker's local working paths stay out of the database,
+  // and the timed transcript gets its own row
+  const { paths: _localPaths, timed_transcript: _timed, ...storedMeta } = meta;
+  const files = meta.storage?.files || {};
+  // our own cover still beats the platform thumbnail, whose URL may expire
+  const thumbKey = pickVariant(media?.cover?.variants, COVER_THUMB_WIDTH)?.key || files.thumbnail || null;
   const summary = buildSummary({ meta, analysis, recipe });
 
-  await withTx(async (client) => {
+  // schema errors that survived repair + retries (see schemas.mjs); classification feeds the analysis row
+  const analysisErrors = [...(validation.analysis || []), ...(validation.classification || [])];
+  const recipeErrors = validation.recipe || [];
+  const needsReview = analysisErrors.length > 0 || recipeErrors.length > 0;
+  // per-serving values are columns so /items and /search can filter on them
+  const perServing = nutrition?.per_serving || {};
+
+  const { created, holders } = await withTx(async (client) => {
     // BUGFIX: include thumb_url and summary in the INSERT column list
-    await client.query(`
-      INSERT INTO items (id, platform, url, title, author_name, published_at, topics, is_recipe, dir, thumb_url, summary)
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    const { rows: upserted } = await client.query(`
+      INSERT INTO items (id, platform, url, title, author_name, published_at, topics, is_recipe, storage_prefix, video_key, thumb_key, thumb_url, summary, needs_review, canonical_url, duplicate_of,
+                         kcal_per_serving, protein_g_per_serving, fat_g_per_serving, carbs_g_per_serving, fiber_g_per_serving, sodium_mg_per_serving,
+                         diet_labels, allergens)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24)
       ON CONFLICT (id) DO UPDATE SET
         platform=EXCLUDED.platform,
         url=EXCLUDED.url,
+        canonical_url=EXCLUDED.canonical_url,
+        duplicate_of=EXCLUDED.duplicate_of,
         title=EXCLUDED.title,
         author_name=EXCLUDED.author_name,
         published_at=EXCLUDED.published_at,
         topics=EXCLUDED.topics,
         is_recipe=EXCLUDED.is_recipe,
-        dir=EXCLUDED.dir,
+        storage_prefix=EXCLUDED.storage_prefix,
+        video_key=EXCLUDED.video_key,
+        thumb_key=EXCLUDED.thumb_key,
         thumb_url=EXCLUDED.thumb_url,
         summary=EXCLUDED.summary,
+        needs_review=EXCLUDED.needs_review,
+        kcal_per_serving=EXCLUDED.kcal_per_serving,
+        protein_g_per_serving=EXCLUDED.protein_g_per_serving,
+        fat_g_per_serving=EXCLUDED.fat_g_per_serving,
+        carbs_g_per_serving=EXCLUDED.carbs_g_per_serving,
+        fiber_g_per_serving=EXCLUDED.fiber_g_per_serving,
+        sodium_mg_per_serving=EXCLUDED.sodium_mg_per_serving,
+        diet_labels=EXCLUDED.diet_labels,
+        allergens=EXCLUDED.allergens,
         updated_at=now()
+      RETURNING (xmax = 0) AS inserted
     `, [
-      meta.post_id,
+      itemId,
       meta.platform,
       meta.url,
       meta.title,
@@ -101,32 +183,98 @@ async function upsertItem({ meta, analysis, classification, recipe, embedding })
       meta.published_at ? new Date(meta.published_at) : null,
       topics,
       !!isRecipe,
-      meta.paths?.dir || "",
+      meta.storage?.prefix || null,
+      files.video || null,
+      thumbKey,
       thumb,
-      summary
+      summary,
+      needsReview,
+      canonicalUrl(meta.url),
+      duplicate_of,
+      perServing.kcal ?? null,
+      perServing.protein_g ?? null,
+      perServing.fat_g ?? null,
+      perServing.carbs_g ?? null,
+      perServing.fiber_g ?? null,
+      perServing.sodium_mg ?? null,
+      diet?.diets ?? null,
+      diet?.allergens ?? null
     ]);
 
     await client.query(`
       INSERT INTO item_json (item_id, kind, body)
       VALUES ($1,'meta',$2)
       ON CONFLICT (item_id,kind) DO UPDATE SET body=EXCLUDED.body
-    `, [meta.post_id, meta]);
+    `, [itemId, storedMeta]);
 
     if (analysis) {
+      await client.query(`
+        INSERT INTO item_json (item_id, kind, body, validation_errors)
+        VALUES ($1,'analysis',$2,$3)
+        ON CONFLICT (item_id,kind) DO UPDATE SET body=EXCLUDED.body, validation_errors=EXCLUDED.validation_errors
+      `, [itemId, analysis, analysisErrors.length ? JSON.stringify(analysisErrors) : null]);
+    }
+
+    if (recipe) {
+      await client.query(`
+        INSERT INTO item_json (item_id, kind, body, validation_errors)
+        VALUES ($1,'recipe',$2,$3)
+        ON CONFLICT (item_id,kind) DO UPDATE SET body=EXCLUDED.body, validation_errors=EXCLUDED.validation_errors
+      `, [itemId, recipe, recipeErrors.length ? JSON.stringify(recipeErrors) : null]);
+    }
+
+    // a rebuild that no longer finds a recipe drops the old estimate too
+    if (nutrition) {
       await client.query(`
         INSERT INTO item_json (item_id, kind, body)
-        VALUES ($1,'analysis',$2)
+        VALUES ($1,'nutrition',$2)
         ON CONFLICT (item_id,kind) DO UPDATE SET body=EXCLUDED.body
-      `, [meta.post_id, analysis]);
+      `, [itemId, nutrition]);
+    } else {
+      await client.query("DELETE FROM item_json WHERE item_id=$1 AND kind='nutrition'", [itemId]);
     }
 
-    if (recipe) {
+    if (diet) {
       await client.query(`
         INSERT INTO item_json (item_id, kind, body)
-        VALUES ($1,'recipe',$2)
+        VALUES ($1,'diet',$2)
         ON CONFLICT (item_id,kind) DO UPDATE SET body=EXCLUDED.body
-      `, [meta.post_id, recipe]);
+      `, [itemId, diet]);
+    } else {
+      await client.query("DELETE FROM item_json WHERE item_id=$1 AND kind='diet'", [itemId]);
     }
+
+    // ingredient entities for POST /search/pantry (rows go away with the recipe)
+    await syncItemIngredients(client, itemId, recipe);
+
+    if (media) {
+      await client.query(`
+        INSERT INTO item_json (item_id, kind, body)
+        VALUES ($1,'media',$2)
+        ON CONFLICT (item_id,kind) DO UPDATE SET body=EXCLUDED.body
+      `, [itemId, media]);
+    }
+
+    if (transcript) {
+      await client.query(`
+        INSERT INTO item_json (item_id, kind, body)
+        VALUES ($1,'transcript',$2)
+        ON CONFLICT (item_id,kind) DO UPDATE SET body=EXCLUDED.body
+      `, [itemId, transcript]);
+    }
+
+    if (fingerprint) {
+      await client.query(`
+        INSERT INTO item_fingerprints (item_id, duration_sec, frames, audio)
+        VALUES ($1,$2,$3,$4)
+        ON CONFLICT (item_id) DO UPDATE SET duration_sec=EXCLUDED.duration_sec, frames=EXCLUDED.frames, audio=EXCLUDED.audio, created_at=now()
+      `, [itemId, fingerprint.duration_sec, fingerprint.frames, fingerprint.audio]);
+    }
+
+    // keyword index over title/caption/transcript/analysis/ingredients (see items_build_search_tsv)
+    await client.query("UPDATE items SET search_tsv = items_build_search_tsv($1) WHERE id = $1", [itemId]);
+    const { rows: holders } = await client.query("SELECT user_id FROM user_items WHERE item_id=$1", [itemId]);
+    return { created: upserted[0].inserted, holders: holders.map(r => r.user_id) };
   });
 
   // vector update OUTSIDE the transaction
@@ -135,32 +283,165 @@ async function upsertItem({ meta, analysis, classification, recipe, embedding })
       const vecLiteral = toPgVectorLiteral(embedding); // "[...]" string
       await pool.query(
         "UPDATE items SET embedding = $1::vector, updated_at=now() WHERE id = $2",
-        [vecLiteral, meta.post_id]
+        [vecLiteral, itemId]
       );
     } catch (e) {
-      console.warn("embedding update failed for", meta.post_id, e.message);
+      console.warn("embedding update failed for", itemId, e.message);
+    }
+  }
+
+  await webhookEvent([userId, ...holders], "item.updated", {
+    item_id: itemId,
+    created,
+    title: meta.title || null,
+    platform: meta.platform,
+    url: meta.url,
+    is_recipe: !!isRecipe,
+    needs_review: needsReview,
+    duplicate_of
+  });
+}
+
+/**
+ * Keeps materialized smart collections in step with an upserted or newly linked item
+ * (see collections.mjs); like webhooks, a failure here must not fail the job.
+ */
+async function materializeCollections(itemId) {
+  try {
+    for (const c of await materializeItem(itemId)) {
+      await webhookEvent(c.user_id, "collection.item_added", { collection_id: c.id, collection_name: c.name, item_id: itemId });
     }
+  } catch (e) {
+    console.warn("smart collections update failed for", itemId, e.message);
   }
 }
 
+/** Adds an item to the job owner's library (no-op for legacy jobs without an owner). */
+async function linkUserItem(userId, itemId) {
+  if (!userId || !itemId) return;
+  await pool.query(`
+    INSERT INTO user_items (user_id, item_id)
+    VALUES ($1,$2)
+    ON CONFLICT (user_id, item_id) DO NOTHING
+  `, [userId, itemId]);
+}
+
+/**
+ * Items are shared across users: if someone already ingested this URL (in any of its
+ * shapes, see canonical.mjs), return that item's id so we can skip the (expensive) pipeline.
+ */
+async function findSharedItem(url) {
+  const { rows } = await pool.query(`
+    SELECT item_id AS id FROM jobs
+    WHERE url=$1 AND status='done' AND item_id IS NOT NULL
+    UNION ALL
+    SELECT id FROM items WHERE url=$1 OR canonical_url=$2
+    LIMIT 1
+  `, [url, canonicalUrl(url)]);
+  return rows[0]?.id || null;
+}
+
+/**
+ * The same video under another item (a repost, another platform): stored fingerprints of
+ * about the same length are compared with this one (see fingerprint.mjs). Returns the
+ * original item with its analysis and recipe, or null.
+ */
+async function findDuplicate(fingerprint, meta) {
+  const itemId = itemIdFor(meta);
+  const [lo, hi] = durationRange(fingerprint.duration_sec);
+  const { rows } = await pool.query(`
+    SELECT f.item_id, f.duration_sec, f.frames, f.audio, COALESCE(i.duplicate_of, i.id) AS original_id
+    FROM item_fingerprints f
+    JOIN items i ON i.id = f.item_id
+    WHERE f.item_id <> $1 AND COALESCE(i.duplicate_of, i.id) <> $1
+      AND f.duration_sec BETWEEN $2 AND $3
+    ORDER BY abs(f.duration_sec - $4)
+    LIMIT 50
+  `, [itemId, lo, hi, fingerprint.duration_sec]);
+
+  let best = null;
+  for (const row of rows) {
+    const match = compareFingerprints(fingerprint, row);
+    if (match.duplicate && (!best || match.frames > best.match.frames)) best = { row, match };
+  }
+  if (!best) return null;
+
+  const { rows: json } = await pool.query(
+    "SELECT kind, body FROM item_json WHERE item_id=$1 AND kind IN ('analysis','recipe')",
+    [best.row.original_id]
+  );
+  const body = (kind) => json.find(r => r.kind === kind)?.body || null;
+  return { item_id: best.row.original_id, match: best.match, analysis: body("analysis"), recipe: body("recipe") };
+}
+
+async function markJobDone(jobId, itemId) {
+  await pool.query(`
+    UPDATE jobs
+    SET status='done',
+        item_id=$2,
+        updated_at=now(),
+        lease_owner=NULL,
+        lease_expires_at=NULL
+    WHERE id=$1 AND lease_owner=$3 AND status='running'
+  `, [jobId, itemId, WORKER_ID]);
+}
+
+async function markJobCancelled(jobId) {
+  await pool.query(`
+    UPDATE jobs
+    SET status='cancelled',
+        updated_at=now(),
+        lease_owner=NULL,
+        lease_expires_at=NULL
+    WHERE id=$1 AND lease_owner=$2 AND status='running'
+  `, [jobId, WORKER_ID]);
+}
+
 async function workOnce() {
   const job = await fetchNextJob();
   if (!job) return;
+  const attempt = await startAttempt(job.id);
+
+  // POST /jobs/:id/cancel only flags a running job; the heartbeat notices and the
+  // stage tracker stops before the next stage
+  const cancel = new AbortController();
+  const requestCancel = () => cancel.abort(new Error("Job cancelled"));
+  if (job.cancel_requested_at) requestCancel(); // flagged while its previous worker was gone
 
   // start heartbeat pinger
   let hb;
   const startHeartbeat = () => {
     hb = setInterval(() => {
-      sendHeartbeat(job.id).catch(() => {});
+      sendHeartbeat(job.id).then(cancelled => { if (cancelled) requestCancel(); }).catch(() => {});
     }, HEARTBEAT_EVERY_MS);
   };
   const stopHeartbeat = () => hb && clearInterval(hb);
 
+  // per-stage progress → job_events (+ NOTIFY for the SSE streams)
+  const jobEvent = (evt) => recordJobEvent({ jobId: job.id, userId: job.user_id, ...evt })
+    .catch(e => console.warn("job event failed for", job.id, e.message));
+  const stages = createStageTracker(jobEvent, { signal: cancel.signal });
+
   try {
     startHeartbeat();
+    await jobEvent({ stage: "job", status: "started", data: { attempt } });
+    cancel.signal.throwIfAborted();
+
+    if (!job.refresh) {
+      const sharedId = await findSharedItem(job.url);
+      if (sharedId) {
+        await linkUserItem(job.user_id, sharedId);
+        await materializeCollections(sharedId);
+        await markJobDone(job.id, sharedId);
+        await finishAttempt(job.id, attempt, "done");
+        await jobEvent({ stage: "job", status: "done", data: { item_id: sharedId, shared: true } });
+        await webhookEvent(job.user_id, "job.done", { job_id: job.id, url: job.url, item_id: sharedId, shared: true, duplicate_of: null });
+        return;
+      }
+    }
 
     // quick pre-probe for duration limits
-    const metaProbe = await extract(job.url, { downloadVideo: true, wantTranscript: false, refresh: false });
+    const metaProbe = await extract(job.url, { downloadVideo: true, wantTranscript: false, refresh: false, stages });
     const maxSec = Number(process.env.MAX_VIDEO_SECONDS || 120);
     if (metaProbe?.duration_sec && metaProbe.duration_sec > maxSec) {
       await pool.query(`
@@ -172,6 +453,9 @@ async function workOnce() {
             lease_expires_at=NULL
         WHERE id=$1 AND lease_owner=$3 AND status='running'
       `, [job.id, `Video too long (${metaProbe.duration_sec}s > ${maxSec}s)`, WORKER_ID]);
+      await finishAttempt(job.id, attempt, "error", { stage: "extract", error: `Video too long (${metaProbe.duration_sec}s > ${maxSec}s)` });
+      await jobEvent({ stage: "job", status: "error", error: `Video too long (${metaProbe.duration_sec}s > ${maxSec}s)`, data: { stage: "extract" } });
+      await webhookEvent(job.user_id, "job.error", { job_id: job.id, url: job.url, stage: "extract", error: `Video too long (${metaProbe.duration_sec}s > ${maxSec}s)`, attempts: job.attempts + 1 });
       return;
     }
 
@@ -181,38 +465,99 @@ async function workOnce() {
       downloadVideo: USE_GEMINI,
       wantTranscript: !USE_GEMINI,
       allow_inference: job.allow_inference,
-      refresh: false
+      refresh: false,
+      stages,
+      findDuplicate,
+      // a rebuild asks the model again instead of copying the original's analysis
+      reuseAnalysis: !job.refresh
     });
 
-    await upsertItem(result);
-
-    await pool.query(`
-      UPDATE jobs
-      SET status='done',
-          item_id=$2,
-          updated_at=now(),
-          lease_owner=NULL,
-          lease_expires_at=NULL
-      WHERE id=$1 AND lease_owner=$3 AND status='running'
-    `, [job.id, result.meta.post_id, WORKER_ID]);
+    const itemId = itemIdFor(result.meta);
+    await upsertItem(result, { userId: job.user_id });
+    await linkUserItem(job.user_id, itemId);
+    await materializeCollections(itemId);
+    await markJobDone(job.id, itemId);
+    await finishAttempt(job.id, attempt, "done");
+    await jobEvent({ stage: "job", status: "done", data: { item_id: itemId, shared: false, duplicate_of: result.duplicate_of } });
+    await webhookEvent(job.user_id, "job.done", { job_id: job.id, url: job.url, item_id: itemId, shared: false, duplicate_of: result.duplicate_of });
 
   } catch (e) {
-    // retry with attempts, otherwise error
+    if (cancel.signal.aborted) {
+      await markJobCancelled(job.id);
+      await finishAttempt(job.id, attempt, "cancelled", { stage: stages.failedStage });
+      await jobEvent({ stage: "job", status: "cancelled", data: { stage: stages.failedStage } });
+      return;
+    }
+
+    // retry after an exponential backoff, otherwise error (-> dead letter)
+    const message = e?.message || String(e);
+    const delay = retryDelaySeconds(job.attempts + 1);
     await pool.query(`
       UPDATE jobs
       SET
         attempts = attempts + 1,
         status = CASE WHEN attempts + 1 >= max_attempts THEN 'error' ELSE 'queued' END,
         error = LEFT($2, 1000),
+        run_after = NOW() + ($4 || ' seconds')::interval,
         updated_at = NOW(),
-        lease_owner = CASE WHEN attempts + 1 >= max_attempts THEN NULL ELSE NULL END,
-        lease_expires_at = CASE WHEN attempts + 1 >= max_attempts THEN NULL ELSE NULL END
+        lease_owner = NULL,
+        lease_expires_at = NULL
       WHERE id = $1 AND lease_owner = $3
-    `, [job.id, (e?.message || String(e)).slice(0, 1000), WORKER_ID]);
+    `, [job.id, message, WORKER_ID, String(delay)]);
+    await finishAttempt(job.id, attempt, "error", { stage: stages.failedStage, error: message });
+    const retrying = job.attempts + 1 < job.max_attempts;
+    await jobEvent({
+      stage: "job",
+      status: "error",
+      error: message,
+      data: { stage: stages.failedStage, retrying, ...(retrying ? { retry_in_sec: delay } : {}) }
+    });
+    // clients only hear about jobs that gave up, not every failed attempt
+    if (!retrying) {
+      await webhookEvent(job.user_id, "job.error", { job_id: job.id, url: job.url, stage: stages.failedStage, error: message, attempts: job.attempts + 1 });
+    }
   } finally {
     stopHeartbeat();
   }
 }
 
+/** Syncs due sources one after another; the row claim keeps other workers off the same source. */
+let syncingSources = false;
+async function syncDueSources() {
+  if (syncingSources) return;
+  syncingSources = true;
+  try {
+    for (let source = await claimDueSource(); source; source = await claimDueSource()) {
+      const stats = await syncSource(source).catch(e => { console.warn("source sync failed for", source.url, e.message); return null; });
+      if (stats) console.log(`✓ Synced ${source.url}: ${stats.queued} queued, ${stats.filtered} filtered`);
+    }
+  } finally {
+    syncingSources = false;
+  }
+}
+
+/** Sends due webhook deliveries one after another (each claim locks its row for one attempt). */
+let deliveringWebhooks = false;
+async function deliverDueWebhooks() {
+  if (deliveringWebhooks) return;
+  deliveringWebhooks = true;
+  try {
+    for (let delivery = await claimDueDelivery(); delivery; delivery = await claimDueDelivery()) {
+      const r = await deliverWebhook(delivery);
+      if (r.status !== "delivered") console.warn(`webhook ${delivery.event} ${delivery.id}: ${r.error} (attempt ${r.attempts}, ${r.status})`);
+    }
+  } finally {
+    deliveringWebhooks = false;
+  }
+}
+
+await migrateOnBoot();
+// recipes stored before item_ingredients existed
+backfillItemIngredients()
+  .then(n => n && console.log(`item_ingredients: filled ${n} recipes`))
+  .catch(e => console.warn("item_ingredients backfill failed:", e.message));
+
 setInterval(() => { workOnce().catch(() => {}); }, 1500);
+setInterval(() => { syncDueSources().catch(e => console.warn("source sync loop failed:", e.message)); }, SOURCE_SYNC_EVERY_MS);
+setInterval(() => { deliverDueWebhooks().catch(e => console.warn("webhook delivery loop failed:", e.message)); }, WEBHOOK_DELIVERY_EVERY_MS);
 console.log(`✓ Worker started (id=${WORKER_ID}, lease=${LEASE_SECONDS}s, hb=${HEARTBEAT_EVERY_MS}ms)`);
\ No newline at end of file
@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// The whole ingest pipeline offline: a local web page, the mock provider and its fixtures.
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "recallr-pipeline-"));
+const fixturesDir = path.join(tmp, "fixtures");
+fs.mkdirSync(fixturesDir);
+Object.assign(process.env, {
+  LLM_PROVIDER: "mock",
+  LLM_FIXTURES_DIR: fixturesDir,
+  DOWNLOAD_DIR: path.join(tmp, "downloads"),
+  STORAGE_DRIVER: "local",
+  MEDIA_STILLS: "false",
+  DIET_MODEL: "false",
+  FETCH_ALLOW_PRIVATE: "true"
+});
+const { runPipeline } = await import("../src/pipeline.mjs");
+const { parseRecipePage } = await import("../src/webrecipe.mjs");
+
+const PAGE = `<html><head><title>Pancakes</title></head><body><article>
+<h1>Pancakes</h1><p>Our favourite recipe. Ingredients:</p>
+<p>200 g flour</p><p>2 eggs</p><p>300 ml milk</p>
+<p>Whisk everything and bake in a hot pan.</p>
+</article></body></html>`;
+
+let server;
+let base;
+before(async () => {
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+    res.end(PAGE);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test("a web page without markup goes through the mock classify and recipe tasks", async () => {
+  const out = await runPipeline({ url: `${base}/pancakes` });
+  assert.equal(out.analysis.content_type, "recipe");
+  assert.deepEqual(out.recipe.ingredients.map(i => [i.name, i.quantity, i.unit]), [
+    ["🍽️ flour", 200, "g"], ["🍽️ eggs", 2, null], ["🍽️ milk", 300, "ml"]
+  ]);
+  assert.equal(out.recipe.source.platform, "web");
+  assert.ok(out.embedding.length > 0);
+  assert.deepEqual(out.diet.allergens, ["gluten", "eggs", "milk"]);
+});
+
+test("<post_id>.recipe.json replaces the model answer for that post only", async () => {
+  const url = `${base}/crepes`;
+  const postId = parseRecipePage(PAGE, url).meta.post_id;
+  fs.writeFileSync(path.join(fixturesDir, `${postId}.recipe.json`), JSON.stringify({
+    title: "Crêpes from a fixture",
+    servings: 4,
+    total_time_minutes: 20,
+    ingredients: [{ name: "🥚 egg", quantity: 3, unit: null, notes: null }],
+    steps: [{ step: 1, instruction: "Whisk and fry thinly." }],
+    tags: [],
+    confidence: { ingredients: 1, steps: 1, servings: 1, time: 1 },
+    flags: { has_inferred_values: false }
+  }));
+  const out = await runPipeline({ url });
+  assert.equal(out.recipe.title, "Crêpes from a fixture");
+  assert.equal(out.recipe.recipe_id, `web:${postId}`);
+
+  const other = await runPipeline({ url: `${base}/waffles` });
+  assert.equal(other.recipe.title, "Pancakes");
+});
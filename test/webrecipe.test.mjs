@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { parseRecipePage, parseIngredientLine, parseDurationMinutes } from "../src/webrecipe.mjs";
+
+// saved pages: test/fixtures/web/*.html
+const page = (name) => fs.readFileSync(new URL(`./fixtures/web/${name}.html`, import.meta.url), "utf8");
+
+test("JSON-LD: Recipe inside @graph, canonical URL, sections and step times", () => {
+  const { meta, recipe, source } = parseRecipePage(page("jsonld-graph"), "https://www.example-kitchen.com/lemon-ricotta-pancakes/?utm_source=newsletter");
+  assert.equal(source, "jsonld");
+  assert.equal(meta.url, "https://www.example-kitchen.com/lemon-ricotta-pancakes/");
+  assert.equal(meta.title, "Lemon Ricotta Pancakes");
+  assert.equal(meta.caption, "Fluffy pancakes with ricotta & lemon zest.");
+  assert.equal(meta.author.name, "Jamie Baker");
+  assert.equal(meta.published_at, "2024-03-02T08:00:00.000Z");
+  assert.equal(meta.site_name, "Example Kitchen");
+  assert.equal(meta.page_text, null);
+  assert.deepEqual(meta.raw.thumbnails, [{ url: "https://www.example-kitchen.com/img/pancakes-1200.jpg" }]);
+
+  assert.equal(recipe.recipe_id, `web:${meta.post_id}`);
+  assert.equal(recipe.servings, 4);
+  assert.equal(recipe.total_time_minutes, 30);
+  assert.deepEqual(recipe.ingredients.map(i => [i.name, i.quantity, i.unit, i.notes]), [
+    ["all-purpose flour", 1.5, "cup", "sifted"],
+    ["sugar", 2, "tbsp", null],
+    ["salt", 0.5, "tsp", null],
+    ["ricotta", 1.25, "cup", "about 10 oz"],
+    ["large eggs", 2, null, null],
+    ["lemon", 1, null, "zest only"],
+    ["Butter for the pan", null, null, null]
+  ]);
+  assert.deepEqual(recipe.steps.map(s => [s.instruction, s.timer_minutes]), [
+    ["Whisk the flour, sugar and salt.", null],
+    ["Stir in ricotta, eggs and lemon zest.", null],
+    ["Fry in butter, about 3 minutes per side.", 6]
+  ]);
+  assert.deepEqual(recipe.tags, ["breakfast", "pancakes", "american"]);
+  assert.deepEqual(recipe.provenance.servings, { source: "page", confidence: 0.9 });
+});
+
+test("microdata: itemprop values, German units and paragraph instructions", () => {
+  const { meta, recipe, source } = parseRecipePage(page("microdata"), "https://omas-rezepte.de/kartoffelsuppe");
+  assert.equal(source, "microdata");
+  assert.equal(meta.title, "Kartoffelsuppe");
+  assert.equal(meta.author.name, "Oma Hilde");
+  assert.equal(recipe.servings, 6);
+  assert.equal(recipe.total_time_minutes, 60);
+  assert.deepEqual(recipe.ingredients.map(i => [i.name, i.quantity, i.unit, i.notes]), [
+    ["Kartoffeln", 1, "kg", "geschält"],
+    ["Zwiebeln", 2, null, null],
+    ["Gemüsebrühe", 1, "l", null],
+    ["Sahne", 200, "ml", null],
+    ["Muskat", 1, "prise", null]
+  ]);
+  assert.deepEqual(recipe.steps.map(s => s.instruction), [
+    "Kartoffeln und Zwiebeln würfeln.",
+    "In der Brühe 25 Minuten kochen.",
+    "Pürieren und die Sahne einrühren."
+  ]);
+});
+
+test("no markup: readable text without navigation, scripts or comments", () => {
+  const { meta, recipe, source } = parseRecipePage(page("plain"), "https://blog.example.com/tomato-pasta");
+  assert.equal(source, null);
+  assert.equal(recipe, null);
+  assert.equal(meta.title, "Weeknight Tomato Pasta");
+  assert.equal(meta.caption, "A 20-minute pasta from the pantry.");
+  assert.match(meta.page_text, /^Weeknight Tomato Pasta\n/);
+  assert.match(meta.page_text, /\n250 g spaghetti\n1 can chopped tomatoes\n/);
+  assert.match(meta.page_text, /simmer for 10 minutes/);
+  for (const noise of ["window.ads", "font-family", "Recipes", "newsletter", "Great recipe", "©"]) {
+    assert.ok(!meta.page_text.includes(noise), `page_text contains ${noise}`);
+  }
+});
+
+test("parseIngredientLine", () => {
+  const cases = [
+    ["2 1/2 cups all-purpose flour, sifted", { name: "all-purpose flour", quantity: 2.5, unit: "cup", notes: "sifted" }],
+    ["1 (14 oz) can tomatoes", { name: "tomatoes", quantity: 1, unit: "can", notes: "14 oz" }],
+    ["½ tsp salt", { name: "salt", quantity: 0.5, unit: "tsp", notes: null }],
+    ["2-3 cloves garlic, minced", { name: "garlic", quantity: 2, unit: "cloves", notes: "minced" }],
+    ["3 fl oz milk", { name: "milk", quantity: 3, unit: "fl_oz", notes: null }],
+    ["1 cup of water", { name: "water", quantity: 1, unit: "cup", notes: null }],
+    ["• 2 eggs", { name: "eggs", quantity: 2, unit: null, notes: null }],
+    ["Salt and pepper to taste", { name: "Salt and pepper to taste", quantity: null, unit: null, notes: null }]
+  ];
+  for (const [line, expected] of cases) assert.deepEqual(parseIngredientLine(line), expected, line);
+});
+
+test("parseDurationMinutes", () => {
+  assert.equal(parseDurationMinutes("PT1H30M"), 90);
+  assert.equal(parseDurationMinutes("P0DT0H45M"), 45);
+  assert.equal(parseDurationMinutes("PT90S"), 2);
+  assert.equal(parseDurationMinutes("PT0M"), null);
+  assert.equal(parseDurationMinutes(""), null);
+});